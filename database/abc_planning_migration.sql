@@ -0,0 +1,390 @@
+-- =====================================================
+-- ABC classification and count planning
+-- Items are ranked by FIFO consumption (quantity issued, or quantity times
+-- unit cost) and split into classes A, B and C at cumulative shares of the
+-- total; an admin can override the class of any item. Each class has a
+-- count frequency in counts per year.
+-- Recurring templates with recurring_config.abc_plan = true no longer copy
+-- their whole item list into every generated session. The template's items
+-- are the pool; each generated session gets, per class,
+--   ceil(pool items of the class * counts per year / sessions per year)
+-- items, picking those planned longest ago first, so every item comes round
+-- at its class frequency.
+-- Requires recurring_sessions_migration_fixed.sql and
+-- material_fifo_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.abc_class_policies (
+    abc_class TEXT PRIMARY KEY CHECK (abc_class IN ('A', 'B', 'C')),
+    cumulative_pct NUMERIC(5,2) NOT NULL CHECK (cumulative_pct > 0 AND cumulative_pct <= 100),
+    counts_per_year INTEGER NOT NULL CHECK (counts_per_year BETWEEN 1 AND 365),
+    updated_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO public.abc_class_policies (abc_class, cumulative_pct, counts_per_year)
+VALUES ('A', 80, 12), ('B', 95, 4), ('C', 100, 1)
+ON CONFLICT (abc_class) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS public.item_abc_classes (
+    item_id UUID PRIMARY KEY REFERENCES public.items(id) ON DELETE CASCADE,
+    computed_class TEXT CHECK (computed_class IN ('A', 'B', 'C')),
+    override_class TEXT CHECK (override_class IN ('A', 'B', 'C')),
+    unit_cost NUMERIC(20,4) CHECK (unit_cost >= 0),
+    basis TEXT CHECK (basis IN ('value', 'volume')),
+    usage NUMERIC(20,4),
+    cumulative_pct NUMERIC(7,4),
+    period_from DATE,
+    period_to DATE,
+    classified_at TIMESTAMPTZ,
+    updated_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.abc_class_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.item_abc_classes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS abc_class_policies_read ON public.abc_class_policies;
+CREATE POLICY abc_class_policies_read ON public.abc_class_policies
+    FOR SELECT TO authenticated USING (true);
+DROP POLICY IF EXISTS abc_class_policies_admin_write ON public.abc_class_policies;
+CREATE POLICY abc_class_policies_admin_write ON public.abc_class_policies
+    FOR UPDATE TO authenticated USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+DROP POLICY IF EXISTS item_abc_classes_read ON public.item_abc_classes;
+CREATE POLICY item_abc_classes_read ON public.item_abc_classes
+    FOR SELECT TO authenticated USING (true);
+
+REVOKE ALL ON public.abc_class_policies FROM anon, authenticated;
+REVOKE ALL ON public.item_abc_classes FROM anon, authenticated;
+GRANT SELECT, UPDATE ON public.abc_class_policies TO authenticated;
+GRANT SELECT ON public.item_abc_classes TO authenticated;
+
+-- Quantity issued per item between two dates, from the FIFO ledger.
+CREATE OR REPLACE FUNCTION public.get_item_consumption(p_from DATE, p_to DATE)
+RETURNS TABLE (item_id UUID, out_qty NUMERIC)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+
+    RETURN QUERY
+    SELECT tx.item_id, sum(tx.quantity)
+    FROM public.material_fifo_transactions tx
+    WHERE tx.transaction_type = 'OUT'
+      AND tx.transaction_date BETWEEN p_from AND p_to
+    GROUP BY tx.item_id;
+END;
+$$;
+
+-- Stores a classification computed in the app. Rows are
+-- {item_id, computed_class, override_class, unit_cost, usage, cumulative_pct};
+-- override_class and unit_cost are written as given, null clears them.
+CREATE OR REPLACE FUNCTION public.save_abc_classification(
+    p_basis TEXT,
+    p_from DATE,
+    p_to DATE,
+    p_rows JSONB
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    saved INTEGER;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+    IF p_basis NOT IN ('value', 'volume') THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Unknown ABC basis %', p_basis;
+    END IF;
+    IF p_rows IS NULL OR jsonb_typeof(p_rows) <> 'array' THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Rows must be a JSON array';
+    END IF;
+
+    INSERT INTO public.item_abc_classes AS current_row (
+        item_id, computed_class, override_class, unit_cost, basis, usage, cumulative_pct,
+        period_from, period_to, classified_at, updated_by, updated_at
+    )
+    SELECT (row_data->>'item_id')::UUID,
+           row_data->>'computed_class',
+           nullif(row_data->>'override_class', ''),
+           (row_data->>'unit_cost')::NUMERIC,
+           p_basis,
+           (row_data->>'usage')::NUMERIC,
+           (row_data->>'cumulative_pct')::NUMERIC,
+           p_from, p_to, NOW(), auth.uid(), NOW()
+    FROM jsonb_array_elements(p_rows) AS row_data
+    JOIN public.items item ON item.id = (row_data->>'item_id')::UUID
+    ON CONFLICT (item_id) DO UPDATE SET
+        computed_class = EXCLUDED.computed_class,
+        override_class = EXCLUDED.override_class,
+        unit_cost = EXCLUDED.unit_cost,
+        basis = EXCLUDED.basis,
+        usage = EXCLUDED.usage,
+        cumulative_pct = EXCLUDED.cumulative_pct,
+        period_from = EXCLUDED.period_from,
+        period_to = EXCLUDED.period_to,
+        classified_at = EXCLUDED.classified_at,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = EXCLUDED.updated_at;
+    GET DIAGNOSTICS saved = ROW_COUNT;
+    RETURN saved;
+END;
+$$;
+
+-- Sessions a recurring template generates in a year.
+CREATE OR REPLACE FUNCTION public.abc_occurrences_per_year(p_config JSONB)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public, auth
+AS $$
+    SELECT CASE p_config->>'type'
+        WHEN 'daily' THEN 365
+        WHEN 'weekly' THEN 52 * coalesce(jsonb_array_length(p_config->'days'), 0)
+        WHEN 'monthly' THEN 12 * coalesce(jsonb_array_length(p_config->'dates'), 0)
+        ELSE 0
+    END;
+$$;
+
+-- Fills a generated session with the items due from its template's pool.
+-- Items last planned in the template's earlier sessions longest ago (or
+-- never) come first.
+CREATE OR REPLACE FUNCTION public.plan_abc_session_items(p_session_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    session_record public.sessions%ROWTYPE;
+    per_year INTEGER;
+    policy RECORD;
+    pool_size INTEGER;
+    quota INTEGER;
+    added INTEGER;
+    planned INTEGER := 0;
+BEGIN
+    SELECT * INTO session_record FROM public.sessions WHERE id = p_session_id;
+    IF NOT FOUND OR session_record.parent_session_id IS NULL THEN
+        RAISE EXCEPTION 'CC_SESSION_NOT_FOUND:Session is not generated from a template';
+    END IF;
+
+    SELECT public.abc_occurrences_per_year(template.recurring_config) INTO per_year
+    FROM public.sessions template
+    WHERE template.id = session_record.parent_session_id;
+
+    FOR policy IN SELECT * FROM public.abc_class_policies ORDER BY abc_class LOOP
+        SELECT count(*) INTO pool_size
+        FROM public.session_items si
+        LEFT JOIN public.item_abc_classes abc ON abc.item_id = si.item_id
+        WHERE si.session_id = session_record.parent_session_id
+          AND coalesce(abc.override_class, abc.computed_class, 'C') = policy.abc_class;
+
+        quota := CASE
+            WHEN coalesce(per_year, 0) <= 0 THEN pool_size
+            ELSE least(pool_size, ceil(pool_size * policy.counts_per_year::NUMERIC / per_year)::INTEGER)
+        END;
+        CONTINUE WHEN quota = 0;
+
+        INSERT INTO public.session_items (session_id, item_id)
+        SELECT p_session_id, si.item_id
+        FROM public.session_items si
+        JOIN public.items item ON item.id = si.item_id
+        LEFT JOIN public.item_abc_classes abc ON abc.item_id = si.item_id
+        LEFT JOIN LATERAL (
+            SELECT max(sibling.scheduled_date) AS last_planned
+            FROM public.sessions sibling
+            JOIN public.session_items sibling_item
+              ON sibling_item.session_id = sibling.id AND sibling_item.item_id = si.item_id
+            WHERE sibling.parent_session_id = session_record.parent_session_id
+              AND sibling.id <> p_session_id
+              AND sibling.scheduled_date < session_record.scheduled_date
+        ) history ON true
+        WHERE si.session_id = session_record.parent_session_id
+          AND coalesce(abc.override_class, abc.computed_class, 'C') = policy.abc_class
+        ORDER BY history.last_planned NULLS FIRST, item.sku
+        LIMIT quota
+        ON CONFLICT (session_id, item_id) DO NOTHING;
+        GET DIAGNOSTICS added = ROW_COUNT;
+        planned := planned + added;
+    END LOOP;
+
+    RETURN planned;
+END;
+$$;
+
+-- Same as in recurring_sessions_migration_fixed.sql, except that ABC
+-- planned templates plan the session's items instead of copying them.
+CREATE OR REPLACE FUNCTION public.create_session_from_template(
+    p_master_session_id UUID,
+    p_scheduled_date DATE,
+    p_valid_from TIMESTAMPTZ,
+    p_valid_until TIMESTAMPTZ
+)
+RETURNS UUID AS $$
+DECLARE
+    v_new_session_id UUID;
+    v_master_session RECORD;
+    v_session_name TEXT;
+BEGIN
+    -- Get master session details
+    SELECT * INTO v_master_session
+    FROM sessions
+    WHERE id = p_master_session_id AND is_recurring_template = true;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Master session not found or not a recurring template';
+    END IF;
+
+    -- Generate session name with date
+    v_session_name := v_master_session.name || ' - ' || TO_CHAR(p_scheduled_date, 'DD/MM/YYYY');
+
+    -- Create new session
+    INSERT INTO sessions (
+        name,
+        type,
+        status,
+        created_by,
+        parent_session_id,
+        is_scheduled,
+        scheduled_date,
+        valid_from,
+        valid_until
+    ) VALUES (
+        v_session_name,
+        v_master_session.type,
+        'scheduled', -- Initially scheduled, will be activated later
+        v_master_session.created_by,
+        p_master_session_id,
+        true,
+        p_scheduled_date,
+        p_valid_from,
+        p_valid_until
+    )
+    RETURNING id INTO v_new_session_id;
+
+    -- Copy session users
+    INSERT INTO session_users (session_id, user_id)
+    SELECT v_new_session_id, user_id
+    FROM session_users
+    WHERE session_id = p_master_session_id;
+
+    -- Plan or copy session items
+    IF coalesce((v_master_session.recurring_config->>'abc_plan')::BOOLEAN, false) THEN
+        PERFORM public.plan_abc_session_items(v_new_session_id);
+    ELSE
+        INSERT INTO session_items (session_id, item_id)
+        SELECT v_new_session_id, item_id
+        FROM session_items
+        WHERE session_id = p_master_session_id;
+    END IF;
+
+    -- Log the generation
+    INSERT INTO recurring_session_logs (
+        master_session_id,
+        generated_session_id,
+        scheduled_date,
+        status
+    ) VALUES (
+        p_master_session_id,
+        v_new_session_id,
+        p_scheduled_date,
+        'generated'
+    );
+
+    RETURN v_new_session_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Same as in recurring_sessions_migration_fixed.sql, except that future
+-- sessions of ABC planned templates are re-planned in date order.
+CREATE OR REPLACE FUNCTION public.update_future_sessions_from_template(
+    p_master_session_id UUID
+)
+RETURNS TABLE(updated_count INTEGER, session_ids UUID[]) AS $$
+DECLARE
+    v_master_session RECORD;
+    v_future_session RECORD;
+    v_count INTEGER := 0;
+    v_session_ids UUID[] := ARRAY[]::UUID[];
+    v_abc_plan BOOLEAN;
+BEGIN
+    -- Get master session
+    SELECT * INTO v_master_session
+    FROM sessions
+    WHERE id = p_master_session_id AND is_recurring_template = true;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Master session not found or not a recurring template';
+    END IF;
+
+    v_abc_plan := coalesce((v_master_session.recurring_config->>'abc_plan')::BOOLEAN, false);
+
+    -- Loop through future sessions, earliest first so ABC planning rotates in order
+    FOR v_future_session IN
+        SELECT id, scheduled_date
+        FROM sessions
+        WHERE parent_session_id = p_master_session_id
+            AND scheduled_date >= CURRENT_DATE
+            AND status IN ('scheduled', 'active')
+        ORDER BY scheduled_date
+    LOOP
+        -- Delete existing session_users
+        DELETE FROM session_users WHERE session_id = v_future_session.id;
+
+        -- Copy session_users from master
+        INSERT INTO session_users (session_id, user_id)
+        SELECT v_future_session.id, user_id
+        FROM session_users
+        WHERE session_id = p_master_session_id;
+
+        -- Delete existing session_items
+        DELETE FROM session_items WHERE session_id = v_future_session.id;
+
+        -- Plan or copy session_items from master
+        IF v_abc_plan THEN
+            PERFORM public.plan_abc_session_items(v_future_session.id);
+        ELSE
+            INSERT INTO session_items (session_id, item_id)
+            SELECT v_future_session.id, item_id
+            FROM session_items
+            WHERE session_id = p_master_session_id;
+        END IF;
+
+        -- Update valid_from and valid_until times (keep date, update time)
+        UPDATE sessions
+        SET valid_from = v_future_session.scheduled_date::TIMESTAMP + (v_master_session.valid_from::TIME),
+            valid_until = v_future_session.scheduled_date::TIMESTAMP + (v_master_session.valid_until::TIME)
+        WHERE id = v_future_session.id;
+
+        v_count := v_count + 1;
+        v_session_ids := array_append(v_session_ids, v_future_session.id);
+    END LOOP;
+
+    -- Return results
+    RETURN QUERY SELECT v_count, v_session_ids;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION public.get_item_consumption(DATE, DATE) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.save_abc_classification(TEXT, DATE, DATE, JSONB) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.abc_occurrences_per_year(JSONB) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.plan_abc_session_items(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_item_consumption(DATE, DATE) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.save_abc_classification(TEXT, DATE, DATE, JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.create_session_from_template TO authenticated;
+GRANT EXECUTE ON FUNCTION public.update_future_sessions_from_template TO authenticated;
+
+COMMIT;
@@ -0,0 +1,72 @@
+-- =====================================================
+-- Barcode parsing rules
+-- How a raw scan (camera, handheld scanner or typed code) is turned into an
+-- item code. Rules are tried in priority order; the capture group of the
+-- first rule whose code belongs to an item wins. item_field 'any' looks the
+-- code up as internal product code, then SKU, then item code.
+-- The app falls back to the same three seeded rules while this table is
+-- missing or empty.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.barcode_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+    pattern TEXT NOT NULL CHECK (length(pattern) > 0),
+    capture_group INTEGER NOT NULL DEFAULT 1 CHECK (capture_group >= 0),
+    item_field TEXT NOT NULL DEFAULT 'any'
+        CHECK (item_field IN ('any', 'internal_product_code', 'sku', 'item_code')),
+    priority INTEGER NOT NULL DEFAULT 100,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_barcode_rules_priority ON public.barcode_rules(priority);
+
+-- Postgres regex syntax differs from JavaScript in places; the pattern only
+-- has to compile in the browser, where it is applied.
+CREATE OR REPLACE FUNCTION public.touch_barcode_rule()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public, auth
+AS $$
+BEGIN
+    NEW.updated_at := NOW();
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_touch_barcode_rule ON public.barcode_rules;
+CREATE TRIGGER trg_touch_barcode_rule
+    BEFORE UPDATE ON public.barcode_rules
+    FOR EACH ROW EXECUTE FUNCTION public.touch_barcode_rule();
+
+ALTER TABLE public.barcode_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS barcode_rules_read ON public.barcode_rules;
+CREATE POLICY barcode_rules_read ON public.barcode_rules
+    FOR SELECT TO authenticated USING (true);
+
+DROP POLICY IF EXISTS barcode_rules_admin_write ON public.barcode_rules;
+CREATE POLICY barcode_rules_admin_write ON public.barcode_rules
+    FOR ALL TO authenticated USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+REVOKE ALL ON public.barcode_rules FROM anon, authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.barcode_rules TO authenticated;
+REVOKE ALL ON FUNCTION public.touch_barcode_rule() FROM PUBLIC;
+
+-- The rules the scanners used to hard-code.
+INSERT INTO public.barcode_rules (name, pattern, capture_group, item_field, priority)
+SELECT seed.name, seed.pattern, seed.capture_group, seed.item_field, seed.priority
+FROM (VALUES
+    ('Whole code', '^(.+)$', 1, 'any', 10),
+    ('8-digit date prefix + internal code', '^\d{8}([A-Z0-9-]+)$', 1, 'internal_product_code', 20),
+    ('Legacy numeric prefix', '^\d+(\D.*)$', 1, 'any', 30)
+) AS seed(name, pattern, capture_group, item_field, priority)
+WHERE NOT EXISTS (SELECT 1 FROM public.barcode_rules);
+
+COMMIT;
@@ -0,0 +1,142 @@
+-- =====================================================
+-- Blind count sessions
+-- In a blind session counters only see their own counts. Other users'
+-- counts are hidden by RLS (which also filters realtime postgres_changes)
+-- and the shared calculator broadcast is limited to sessions that are
+-- not blind. Admins keep full visibility.
+-- Requires Realtime Authorization: the calculator channels are private, so
+-- every session's shared calculator relies on the realtime.messages
+-- policies below. The migration stops with an error when they cannot be
+-- created.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE public.sessions
+    ADD COLUMN IF NOT EXISTS is_blind BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.sessions.is_blind IS 'Counters only see their own counts and the calculator is not shared';
+
+-- Counters of a blind session may only read their own rows.
+DROP POLICY IF EXISTS "Users can view counts for accessible sessions" ON counts;
+CREATE POLICY "Users can view counts for accessible sessions" ON counts
+    FOR SELECT USING (
+        public.is_admin() OR
+        EXISTS (
+            SELECT 1 FROM sessions s
+            WHERE s.id = counts.session_id
+              AND (NOT s.is_blind OR counts.user_id = auth.uid())
+              AND (
+                  s.created_by = auth.uid() OR
+                  EXISTS (
+                      SELECT 1 FROM session_users su
+                      WHERE su.session_id = s.id AND su.user_id = auth.uid()
+                  )
+              )
+        )
+    );
+
+-- Sessions generated from a recurring template inherit its blind flag, and
+-- changing the flag on the template carries over to sessions not yet started.
+CREATE OR REPLACE FUNCTION public.inherit_session_blind_flag()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    parent_blind BOOLEAN;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.parent_session_id IS NOT NULL THEN
+            SELECT parent.is_blind INTO parent_blind
+            FROM public.sessions parent
+            WHERE parent.id = NEW.parent_session_id;
+            IF FOUND THEN
+                NEW.is_blind := parent_blind;
+            END IF;
+        END IF;
+        RETURN NEW;
+    END IF;
+
+    IF NEW.is_recurring_template AND NEW.is_blind IS DISTINCT FROM OLD.is_blind THEN
+        UPDATE public.sessions
+        SET is_blind = NEW.is_blind
+        WHERE parent_session_id = NEW.id AND status::text = 'scheduled';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_sessions_inherit_blind ON public.sessions;
+CREATE TRIGGER trg_sessions_inherit_blind
+    BEFORE INSERT ON public.sessions
+    FOR EACH ROW EXECUTE FUNCTION public.inherit_session_blind_flag();
+
+DROP TRIGGER IF EXISTS trg_sessions_propagate_blind ON public.sessions;
+CREATE TRIGGER trg_sessions_propagate_blind
+    AFTER UPDATE OF is_blind ON public.sessions
+    FOR EACH ROW EXECUTE FUNCTION public.inherit_session_blind_flag();
+
+-- Calculator channels are named calc:<session_id>:<item_id>.
+CREATE OR REPLACE FUNCTION public.can_share_session_calculator(p_topic TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    topic_session_id UUID;
+BEGIN
+    IF p_topic IS NULL OR split_part(p_topic, ':', 1) <> 'calc' THEN
+        RETURN false;
+    END IF;
+    BEGIN
+        topic_session_id := split_part(p_topic, ':', 2)::UUID;
+    EXCEPTION WHEN invalid_text_representation THEN
+        RETURN false;
+    END;
+
+    IF public.is_admin() THEN
+        RETURN true;
+    END IF;
+
+    RETURN EXISTS (
+        SELECT 1
+        FROM public.sessions s
+        JOIN public.session_users su ON su.session_id = s.id
+        WHERE s.id = topic_session_id
+          AND NOT s.is_blind
+          AND su.user_id = auth.uid()
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.can_share_session_calculator(TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.can_share_session_calculator(TEXT) TO authenticated;
+
+-- Realtime authorization for the private calculator channels. Without these
+-- policies the calculator of every session, blind or not, is refused.
+DO $$
+BEGIN
+    IF to_regclass('realtime.messages') IS NULL THEN
+        RAISE EXCEPTION 'realtime.messages not found: enable Supabase Realtime Authorization before running this migration';
+    END IF;
+    BEGIN
+        EXECUTE 'DROP POLICY IF EXISTS calc_channel_read ON realtime.messages';
+        EXECUTE 'CREATE POLICY calc_channel_read ON realtime.messages
+            FOR SELECT TO authenticated
+            USING (realtime.topic() NOT LIKE ''calc:%'' OR public.can_share_session_calculator(realtime.topic()))';
+        EXECUTE 'DROP POLICY IF EXISTS calc_channel_write ON realtime.messages';
+        EXECUTE 'CREATE POLICY calc_channel_write ON realtime.messages
+            FOR INSERT TO authenticated
+            WITH CHECK (realtime.topic() NOT LIKE ''calc:%'' OR public.can_share_session_calculator(realtime.topic()))';
+    EXCEPTION WHEN insufficient_privilege OR undefined_function THEN
+        RAISE EXCEPTION 'Could not create the calculator channel policies on realtime.messages (%): check that Realtime Authorization is enabled', SQLERRM;
+    END;
+END;
+$$;
+
+COMMIT;
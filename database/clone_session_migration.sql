@@ -0,0 +1,95 @@
+-- =====================================================
+-- Clone session
+-- Admins duplicate a session as a new draft: its settings, time window,
+-- counters with their zones and its items, or only the items whose count
+-- differed from book in the source session.
+-- Requires counter_zones_migration.sql and session_review_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+-- Returns the id of the new draft session. Without a new window the copy
+-- keeps the source's; a scheduled date makes it a scheduled session.
+CREATE OR REPLACE FUNCTION public.clone_session(
+    p_source_session_id UUID,
+    p_name TEXT,
+    p_scheduled_date DATE DEFAULT NULL,
+    p_valid_from TIMESTAMPTZ DEFAULT NULL,
+    p_valid_until TIMESTAMPTZ DEFAULT NULL,
+    p_variance_only BOOLEAN DEFAULT false
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    source_record public.sessions%ROWTYPE;
+    new_session_id UUID;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+    IF length(trim(coalesce(p_name, ''))) = 0 THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Session name is required';
+    END IF;
+    IF p_valid_from IS NOT NULL AND p_valid_until IS NOT NULL AND p_valid_until <= p_valid_from THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Session must end after it starts';
+    END IF;
+
+    SELECT * INTO source_record FROM public.sessions WHERE id = p_source_session_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_SESSION_NOT_FOUND:Session no longer exists';
+    END IF;
+
+    IF p_variance_only AND NOT EXISTS (
+        SELECT 1 FROM public.session_review_totals(p_source_session_id) totals
+        WHERE totals.is_counted AND totals.variance <> 0
+    ) THEN
+        RAISE EXCEPTION 'CC_NO_VARIANCE_ITEMS:No item of the source session has a variance';
+    END IF;
+
+    INSERT INTO public.sessions (
+        name, type, status, created_by, is_blind,
+        recount_tolerance_pct, recount_tolerance_qty,
+        is_recurring_template, is_scheduled, scheduled_date, valid_from, valid_until
+    ) VALUES (
+        trim(p_name), source_record.type, 'draft', auth.uid(), source_record.is_blind,
+        source_record.recount_tolerance_pct, source_record.recount_tolerance_qty,
+        false, p_scheduled_date IS NOT NULL, p_scheduled_date,
+        coalesce(p_valid_from, source_record.valid_from),
+        coalesce(p_valid_until, source_record.valid_until)
+    )
+    RETURNING id INTO new_session_id;
+
+    INSERT INTO public.session_users (session_id, user_id)
+    SELECT new_session_id, su.user_id
+    FROM public.session_users su
+    WHERE su.session_id = p_source_session_id;
+
+    INSERT INTO public.session_user_zones (session_id, user_id, location_id, category_id)
+    SELECT new_session_id, zone.user_id, zone.location_id, zone.category_id
+    FROM public.session_user_zones zone
+    WHERE zone.session_id = p_source_session_id;
+
+    IF p_variance_only THEN
+        INSERT INTO public.session_items (session_id, item_id)
+        SELECT new_session_id, totals.item_id
+        FROM public.session_review_totals(p_source_session_id) totals
+        WHERE totals.is_counted AND totals.variance <> 0;
+    ELSE
+        INSERT INTO public.session_items (session_id, item_id)
+        SELECT new_session_id, si.item_id
+        FROM public.session_items si
+        WHERE si.session_id = p_source_session_id;
+    END IF;
+
+    RETURN new_session_id;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.clone_session(UUID, TEXT, DATE, TIMESTAMPTZ, TIMESTAMPTZ, BOOLEAN) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.clone_session(UUID, TEXT, DATE, TIMESTAMPTZ, TIMESTAMPTZ, BOOLEAN) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,516 @@
+-- =====================================================
+-- Duplicate count detection and merge
+-- A second count row for the same item, location and count round is
+-- rejected with CC_DUPLICATE_COUNT unless the counter says what to do:
+--   ADD      add the new quantity to the existing count
+--   REPLACE  overwrite the existing count
+--   SEPARATE keep a second row for a separate pallet
+-- ADD and REPLACE change the existing row, so like any edit they are for
+-- its own counter and admins only. Another counter's row is reported with
+-- CC_DUPLICATE_OTHER_COUNT, and ADD or REPLACE on it is kept as SEPARATE.
+-- Admins list suspected duplicates per session and merge them. Merges go
+-- through the counts table, so count_history keeps every step, with a note
+-- saying which rows were merged.
+-- Requires unit_conversion_migration.sql and session_recount_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE public.counts
+    ADD COLUMN IF NOT EXISTS is_separate_pallet BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.counts.is_separate_pallet IS 'Counter or admin confirmed this row is a separate pallet, not a duplicate';
+
+ALTER TABLE public.count_history
+    ADD COLUMN IF NOT EXISTS note TEXT;
+
+-- Captures that were folded into an existing count have no row of their
+-- own; their client_id is kept here so a replay does not add twice.
+CREATE TABLE IF NOT EXISTS public.count_merges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES public.sessions(id) ON DELETE CASCADE,
+    target_count_id UUID NOT NULL,
+    source_count_id UUID,
+    client_id UUID UNIQUE,
+    mode TEXT NOT NULL CHECK (mode IN ('ADD', 'REPLACE', 'SUM', 'DISCARD')),
+    source_user_id UUID,
+    source_qty INTEGER,
+    qty_before INTEGER,
+    qty_after INTEGER,
+    merged_by UUID,
+    merged_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_count_merges_session ON public.count_merges(session_id);
+
+ALTER TABLE public.count_merges ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS count_merges_read ON public.count_merges;
+CREATE POLICY count_merges_read ON public.count_merges
+    FOR SELECT TO authenticated USING (public.is_admin());
+
+REVOKE ALL ON public.count_merges FROM anon, authenticated;
+GRANT SELECT ON public.count_merges TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.record_count_history()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    device_name TEXT := nullif(current_setting('cycle_count.device', true), '');
+    history_note TEXT := nullif(current_setting('cycle_count.note', true), '');
+BEGIN
+    IF device_name IS NULL THEN
+        device_name := left(
+            nullif(current_setting('request.headers', true), '')::jsonb->>'user-agent',
+            200
+        );
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO public.count_history (
+            count_id, session_id, item_id, location_id, count_user_id, action,
+            new_qty, new_calculation, changed_by, device, captured_at, note
+        ) VALUES (
+            NEW.id, NEW.session_id, NEW.item_id, NEW.location_id, NEW.user_id, 'INSERT',
+            NEW.counted_qty, NEW.counted_qty_calculation, auth.uid(), device_name,
+            coalesce(NEW.captured_at, NEW.timestamp), history_note
+        );
+        RETURN NULL;
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        INSERT INTO public.count_history (
+            count_id, session_id, item_id, location_id, count_user_id, action,
+            old_qty, old_calculation, changed_by, device, note
+        ) VALUES (
+            OLD.id, OLD.session_id, OLD.item_id, OLD.location_id, OLD.user_id, 'DELETE',
+            OLD.counted_qty, OLD.counted_qty_calculation, auth.uid(), device_name, history_note
+        );
+        RETURN NULL;
+    END IF;
+
+    IF NEW.counted_qty IS NOT DISTINCT FROM OLD.counted_qty
+       AND NEW.counted_qty_calculation IS NOT DISTINCT FROM OLD.counted_qty_calculation THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO public.count_history (
+        count_id, session_id, item_id, location_id, count_user_id, action,
+        old_qty, new_qty, old_calculation, new_calculation, changed_by, device, captured_at, note
+    ) VALUES (
+        NEW.id, NEW.session_id, NEW.item_id, NEW.location_id, NEW.user_id, 'UPDATE',
+        OLD.counted_qty, NEW.counted_qty, OLD.counted_qty_calculation, NEW.counted_qty_calculation,
+        auth.uid(), device_name, NEW.captured_at, history_note
+    );
+    RETURN NULL;
+END;
+$$;
+
+-- "(a)+(b)" keeps both calculations readable and evaluable.
+CREATE OR REPLACE FUNCTION public.combine_count_calculations(
+    p_first_calculation TEXT,
+    p_first_qty INTEGER,
+    p_second_calculation TEXT,
+    p_second_qty INTEGER
+)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+    SELECT '(' || coalesce(nullif(regexp_replace(trim(p_first_calculation), '[+\-*/\s]+$', ''), ''), p_first_qty::text)
+        || ')+(' || coalesce(nullif(regexp_replace(trim(p_second_calculation), '[+\-*/\s]+$', ''), ''), p_second_qty::text)
+        || ')';
+$$;
+
+DROP FUNCTION IF EXISTS public.save_count_capture(UUID, UUID, UUID, UUID, UUID, INTEGER, TEXT, TIMESTAMPTZ, TEXT, JSONB);
+
+CREATE OR REPLACE FUNCTION public.save_count_capture(
+    p_client_id UUID,
+    p_session_id UUID,
+    p_item_id UUID,
+    p_location_id UUID,
+    p_count_id UUID,
+    p_counted_qty INTEGER,
+    p_calculation TEXT,
+    p_captured_at TIMESTAMPTZ,
+    p_device TEXT DEFAULT NULL,
+    p_breakdown JSONB DEFAULT NULL,
+    p_duplicate_mode TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    user_id UUID := auth.uid();
+    -- A device clock running ahead must not open a window that is not open yet.
+    capture_time TIMESTAMPTZ := least(coalesce(p_captured_at, NOW()), NOW());
+    session_record public.sessions%ROWTYPE;
+    count_record public.counts%ROWTYPE;
+    existing_record public.counts%ROWTYPE;
+    capture_round SMALLINT;
+    existing_owner TEXT;
+    duplicate_mode TEXT := p_duplicate_mode;
+BEGIN
+    IF user_id IS NULL THEN
+        RAISE EXCEPTION 'CC_NOT_AUTHENTICATED:Login required';
+    END IF;
+    IF p_client_id IS NULL THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Client ID is required';
+    END IF;
+    IF p_duplicate_mode IS NOT NULL AND p_duplicate_mode NOT IN ('ADD', 'REPLACE', 'SEPARATE') THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Unknown duplicate mode %', p_duplicate_mode;
+    END IF;
+
+    -- Replaying an insert that already reached the server returns the stored row.
+    SELECT * INTO count_record FROM public.counts WHERE client_id = p_client_id;
+    IF FOUND THEN
+        RETURN to_jsonb(count_record) || jsonb_build_object('replayed', true);
+    END IF;
+    SELECT counts.* INTO count_record
+    FROM public.count_merges merge
+    JOIN public.counts ON counts.id = merge.target_count_id
+    WHERE merge.client_id = p_client_id;
+    IF FOUND THEN
+        RETURN to_jsonb(count_record) || jsonb_build_object('replayed', true);
+    END IF;
+
+    IF p_counted_qty IS NULL OR p_counted_qty < 0 THEN
+        RAISE EXCEPTION 'CC_INVALID_QUANTITY:Quantity must be zero or more';
+    END IF;
+    IF p_breakdown IS NOT NULL AND public.count_breakdown_total(p_breakdown) <> p_counted_qty THEN
+        RAISE EXCEPTION 'CC_INVALID_BREAKDOWN:Unit breakdown does not add up to the quantity';
+    END IF;
+
+    SELECT * INTO session_record FROM public.sessions WHERE id = p_session_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_SESSION_NOT_FOUND:Session no longer exists';
+    END IF;
+
+    IF NOT public.is_admin() AND NOT EXISTS (
+        SELECT 1 FROM public.session_users su
+        WHERE su.session_id = p_session_id AND su.user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'CC_NOT_ASSIGNED:You are no longer assigned to this session';
+    END IF;
+
+    -- Sessions closed by auto_close_expired_sessions() still accept captures
+    -- made before valid_until; a manual close rejects everything.
+    IF session_record.status::text IN ('completed', 'cancelled', 'scheduled')
+       OR (session_record.status::text = 'closed' AND (
+            session_record.auto_closed_at IS NULL
+            OR session_record.valid_until IS NULL
+            OR capture_time > session_record.valid_until
+       )) THEN
+        RAISE EXCEPTION 'CC_SESSION_CLOSED:Session was % before this count was synced', session_record.status;
+    END IF;
+
+    IF session_record.valid_from IS NOT NULL AND capture_time < session_record.valid_from THEN
+        RAISE EXCEPTION 'CC_OUTSIDE_WINDOW:Count was captured before the session opened';
+    END IF;
+    IF session_record.valid_until IS NOT NULL AND capture_time > session_record.valid_until THEN
+        RAISE EXCEPTION 'CC_OUTSIDE_WINDOW:Count was captured after the session closed';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.locations WHERE id = p_location_id AND is_active = true
+    ) THEN
+        RAISE EXCEPTION 'CC_INVALID_LOCATION:Location is no longer active';
+    END IF;
+
+    -- Read by record_count_history() for the write below.
+    PERFORM set_config('cycle_count.device', left(coalesce(trim(p_device), ''), 200), true);
+
+    IF p_count_id IS NULL THEN
+        -- Same rule as set_count_round(): recount rows never collide with first counts.
+        capture_round := CASE WHEN EXISTS (
+            SELECT 1 FROM public.session_recounts recount
+            WHERE recount.session_id = p_session_id
+              AND recount.item_id = p_item_id
+              AND recount.assigned_to = user_id
+              AND recount.status <> 'RESOLVED'
+        ) THEN 2 ELSE 1 END;
+
+        IF coalesce(p_duplicate_mode, '') <> 'SEPARATE' THEN
+            SELECT * INTO existing_record
+            FROM public.counts
+            WHERE session_id = p_session_id
+              AND item_id = p_item_id
+              AND location_id = p_location_id
+              AND count_round = capture_round
+            -- The caller's own row first: that is the one they may change.
+            ORDER BY (counts.user_id = save_count_capture.user_id) DESC, coalesce(captured_at, timestamp), id
+            LIMIT 1
+            FOR UPDATE;
+
+            IF FOUND AND p_duplicate_mode IS NULL THEN
+                IF existing_record.user_id = user_id THEN
+                    RAISE EXCEPTION 'CC_DUPLICATE_COUNT:You already counted this item at this location';
+                END IF;
+                -- Only the counter's name: blind sessions must not leak the quantity.
+                SELECT coalesce(name, username) INTO existing_owner
+                FROM public.profiles WHERE id = existing_record.user_id;
+                RAISE EXCEPTION '%:% already counted this item at this location',
+                    CASE WHEN public.is_admin() THEN 'CC_DUPLICATE_COUNT' ELSE 'CC_DUPLICATE_OTHER_COUNT' END,
+                    coalesce(existing_owner, 'Another counter');
+            END IF;
+
+            -- Same rule as an edit (CC_NOT_OWNER): a counter cannot change
+            -- another counter's row, which a blind session does not even
+            -- show them. A choice made before that was known (an offline
+            -- capture) is kept as a separate row for the admin to merge.
+            IF FOUND AND existing_record.user_id <> user_id AND NOT public.is_admin() THEN
+                duplicate_mode := 'SEPARATE';
+            ELSIF FOUND THEN
+                INSERT INTO public.count_merges (
+                    session_id, target_count_id, client_id, mode, source_user_id,
+                    source_qty, qty_before, qty_after, merged_by
+                ) VALUES (
+                    p_session_id, existing_record.id, p_client_id, p_duplicate_mode, user_id,
+                    p_counted_qty, existing_record.counted_qty,
+                    CASE WHEN p_duplicate_mode = 'ADD' THEN existing_record.counted_qty + p_counted_qty ELSE p_counted_qty END,
+                    user_id
+                );
+                PERFORM set_config('cycle_count.note',
+                    CASE WHEN p_duplicate_mode = 'ADD' THEN 'Added a duplicate capture' ELSE 'Replaced by a duplicate capture' END,
+                    true);
+
+                UPDATE public.counts
+                SET counted_qty = CASE WHEN p_duplicate_mode = 'ADD' THEN counted_qty + p_counted_qty ELSE p_counted_qty END,
+                    counted_qty_calculation = CASE WHEN p_duplicate_mode = 'ADD'
+                        THEN public.combine_count_calculations(counted_qty_calculation, counted_qty, p_calculation, p_counted_qty)
+                        ELSE nullif(trim(p_calculation), '') END,
+                    -- A sum of two unit entries is no longer one breakdown.
+                    counted_qty_breakdown = CASE WHEN p_duplicate_mode = 'ADD' THEN NULL ELSE p_breakdown END,
+                    captured_at = greatest(coalesce(captured_at, timestamp), capture_time)
+                WHERE id = existing_record.id
+                RETURNING * INTO count_record;
+
+                PERFORM set_config('cycle_count.note', '', true);
+                RETURN to_jsonb(count_record) || jsonb_build_object('replayed', false, 'merged', true);
+            END IF;
+        END IF;
+
+        INSERT INTO public.counts (
+            session_id, item_id, user_id, location_id, counted_qty,
+            counted_qty_calculation, counted_qty_breakdown, client_id, captured_at, timestamp,
+            is_separate_pallet
+        ) VALUES (
+            p_session_id, p_item_id, user_id, p_location_id, p_counted_qty,
+            nullif(trim(p_calculation), ''), p_breakdown, p_client_id, capture_time, capture_time,
+            coalesce(duplicate_mode, '') = 'SEPARATE'
+        ) RETURNING * INTO count_record;
+
+        RETURN to_jsonb(count_record) || jsonb_build_object('replayed', false);
+    END IF;
+
+    SELECT * INTO count_record
+    FROM public.counts
+    WHERE id = p_count_id AND session_id = p_session_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_COUNT_NOT_FOUND:The count being edited was deleted';
+    END IF;
+    IF count_record.user_id <> user_id AND NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_NOT_OWNER:Only the original counter can edit this count';
+    END IF;
+    -- Equal timestamps are a replay of this same edit and simply re-apply it.
+    IF coalesce(count_record.captured_at, count_record.timestamp) > capture_time THEN
+        RAISE EXCEPTION 'CC_STALE_EDIT:The count was changed after this edit was captured';
+    END IF;
+
+    UPDATE public.counts
+    SET counted_qty = p_counted_qty,
+        counted_qty_calculation = nullif(trim(p_calculation), ''),
+        counted_qty_breakdown = p_breakdown,
+        captured_at = capture_time
+    WHERE id = p_count_id
+    RETURNING * INTO count_record;
+
+    RETURN to_jsonb(count_record) || jsonb_build_object('replayed', false);
+END;
+$$;
+
+COMMENT ON FUNCTION public.save_count_capture IS 'Idempotently inserts or updates a count captured (possibly offline) at p_captured_at on p_device; a second count for the same item and location needs p_duplicate_mode';
+
+-- Every row of an item/location/round that has more than one row, unless
+-- all of the extra rows were confirmed as separate pallets.
+CREATE OR REPLACE FUNCTION public.list_session_duplicate_counts(p_session_id UUID)
+RETURNS TABLE (
+    count_id UUID,
+    item_id UUID,
+    location_id UUID,
+    location_name TEXT,
+    count_round SMALLINT,
+    user_id UUID,
+    counted_qty INTEGER,
+    counted_qty_calculation TEXT,
+    is_separate_pallet BOOLEAN,
+    captured_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+
+    RETURN QUERY
+    WITH grouped AS (
+        SELECT
+            counts.*,
+            count(*) OVER w AS group_size,
+            count(*) FILTER (WHERE NOT counts.is_separate_pallet) OVER w AS unconfirmed
+        FROM public.counts
+        WHERE counts.session_id = p_session_id
+        WINDOW w AS (PARTITION BY counts.item_id, counts.location_id, counts.count_round)
+    )
+    SELECT
+        grouped.id, grouped.item_id, grouped.location_id, locations.name::TEXT, grouped.count_round,
+        grouped.user_id, grouped.counted_qty, grouped.counted_qty_calculation,
+        grouped.is_separate_pallet, coalesce(grouped.captured_at, grouped.timestamp)
+    FROM grouped
+    LEFT JOIN public.locations ON locations.id = grouped.location_id
+    WHERE grouped.group_size > 1 AND grouped.unconfirmed > 1
+    ORDER BY grouped.item_id, locations.name, grouped.count_round, coalesce(grouped.captured_at, grouped.timestamp);
+END;
+$$;
+
+-- SUM adds the other rows into the kept one; DISCARD drops them as
+-- double counts. Either way the other rows are deleted.
+CREATE OR REPLACE FUNCTION public.merge_session_counts(
+    p_keep_count_id UUID,
+    p_merge_count_ids UUID[],
+    p_mode TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    keep_record public.counts%ROWTYPE;
+    merge_record public.counts%ROWTYPE;
+    session_status TEXT;
+    merged_count INTEGER := 0;
+    new_qty INTEGER;
+    new_calculation TEXT;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+    IF p_mode NOT IN ('SUM', 'DISCARD') THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Unknown merge mode %', p_mode;
+    END IF;
+
+    SELECT * INTO keep_record FROM public.counts WHERE id = p_keep_count_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_COUNT_NOT_FOUND:The count to keep was deleted';
+    END IF;
+
+    SELECT status::text INTO session_status FROM public.sessions WHERE id = keep_record.session_id;
+    IF session_status IN ('completed', 'cancelled') THEN
+        RAISE EXCEPTION 'CC_SESSION_CLOSED:Session is %', session_status;
+    END IF;
+
+    new_qty := keep_record.counted_qty;
+    new_calculation := keep_record.counted_qty_calculation;
+
+    FOR merge_record IN
+        SELECT * FROM public.counts
+        WHERE id = ANY(coalesce(p_merge_count_ids, ARRAY[]::UUID[])) AND id <> keep_record.id
+        ORDER BY coalesce(captured_at, timestamp), id
+        FOR UPDATE
+    LOOP
+        IF merge_record.session_id <> keep_record.session_id
+           OR merge_record.item_id <> keep_record.item_id
+           OR merge_record.location_id IS DISTINCT FROM keep_record.location_id
+           OR merge_record.count_round <> keep_record.count_round THEN
+            RAISE EXCEPTION 'CC_MERGE_MISMATCH:Only counts of the same item and location can be merged';
+        END IF;
+
+        IF p_mode = 'SUM' THEN
+            new_calculation := public.combine_count_calculations(
+                new_calculation, new_qty, merge_record.counted_qty_calculation, merge_record.counted_qty
+            );
+            new_qty := new_qty + merge_record.counted_qty;
+        END IF;
+
+        INSERT INTO public.count_merges (
+            session_id, target_count_id, source_count_id, mode, source_user_id,
+            source_qty, qty_before, qty_after, merged_by
+        ) VALUES (
+            keep_record.session_id, keep_record.id, merge_record.id, p_mode, merge_record.user_id,
+            merge_record.counted_qty,
+            CASE WHEN p_mode = 'SUM' THEN new_qty - merge_record.counted_qty ELSE new_qty END,
+            new_qty, auth.uid()
+        );
+
+        PERFORM set_config('cycle_count.note',
+            CASE WHEN p_mode = 'SUM' THEN 'Merged into count ' ELSE 'Discarded as duplicate of count ' END || keep_record.id,
+            true);
+        DELETE FROM public.counts WHERE id = merge_record.id;
+        merged_count := merged_count + 1;
+    END LOOP;
+
+    IF merged_count = 0 THEN
+        RAISE EXCEPTION 'CC_MERGE_MISMATCH:Select at least one other count to merge';
+    END IF;
+
+    IF p_mode = 'SUM' THEN
+        PERFORM set_config('cycle_count.note', format('Merged %s duplicate count(s)', merged_count), true);
+        UPDATE public.counts
+        SET counted_qty = new_qty,
+            counted_qty_calculation = new_calculation,
+            counted_qty_breakdown = NULL
+        WHERE id = keep_record.id
+        RETURNING * INTO keep_record;
+    END IF;
+
+    PERFORM set_config('cycle_count.note', '', true);
+    RETURN to_jsonb(keep_record) || jsonb_build_object('merged', merged_count);
+END;
+$$;
+
+-- "These are different pallets": the group stops showing as a duplicate.
+CREATE OR REPLACE FUNCTION public.mark_counts_separate(p_count_ids UUID[])
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    updated INTEGER;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+
+    UPDATE public.counts SET is_separate_pallet = true
+    WHERE id = ANY(coalesce(p_count_ids, ARRAY[]::UUID[]));
+    GET DIAGNOSTICS updated = ROW_COUNT;
+    RETURN updated;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.combine_count_calculations(TEXT, INTEGER, TEXT, INTEGER) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.save_count_capture(UUID, UUID, UUID, UUID, UUID, INTEGER, TEXT, TIMESTAMPTZ, TEXT, JSONB, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.save_count_capture(UUID, UUID, UUID, UUID, UUID, INTEGER, TEXT, TIMESTAMPTZ, TEXT, JSONB, TEXT) TO authenticated;
+REVOKE ALL ON FUNCTION public.list_session_duplicate_counts(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.list_session_duplicate_counts(UUID) TO authenticated;
+REVOKE ALL ON FUNCTION public.merge_session_counts(UUID, UUID[], TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.merge_session_counts(UUID, UUID[], TEXT) TO authenticated;
+REVOKE ALL ON FUNCTION public.mark_counts_separate(UUID[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.mark_counts_separate(UUID[]) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,257 @@
+-- =====================================================
+-- Count edit history
+-- Every insert, update and delete of a count is appended to count_history
+-- with the old and new quantity and calculation, the acting user, the
+-- device and the time, so auditors can see why a quantity changed.
+-- save_count_capture() gains a p_device argument that names the capturing
+-- device; other writes fall back to the request's user agent.
+-- Requires offline_count_sync_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+-- No foreign keys: history must outlive the count, its session and its
+-- item, and cascaded deletes would otherwise reject their own history rows.
+CREATE TABLE IF NOT EXISTS public.count_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    count_id UUID NOT NULL,
+    session_id UUID NOT NULL,
+    item_id UUID NOT NULL,
+    location_id UUID,
+    count_user_id UUID,
+    action TEXT NOT NULL CHECK (action IN ('INSERT', 'UPDATE', 'DELETE')),
+    old_qty NUMERIC(20,4),
+    new_qty NUMERIC(20,4),
+    old_calculation TEXT,
+    new_calculation TEXT,
+    changed_by UUID,
+    device TEXT,
+    captured_at TIMESTAMPTZ,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN public.count_history.count_user_id IS 'Counter who owns the count';
+COMMENT ON COLUMN public.count_history.changed_by IS 'User whose request made the change; NULL for database jobs';
+COMMENT ON COLUMN public.count_history.captured_at IS 'Device capture time of the change; earlier than changed_at for offline captures';
+
+CREATE INDEX IF NOT EXISTS idx_count_history_count ON public.count_history(count_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_count_history_session ON public.count_history(session_id, changed_at);
+
+ALTER TABLE public.count_history ENABLE ROW LEVEL SECURITY;
+
+-- History follows the visibility of its count (so blind sessions stay
+-- blind); history of deleted counts is visible to admins only.
+DROP POLICY IF EXISTS count_history_read ON public.count_history;
+CREATE POLICY count_history_read ON public.count_history
+    FOR SELECT TO authenticated USING (
+        public.is_admin()
+        OR EXISTS (SELECT 1 FROM public.counts WHERE counts.id = count_history.count_id)
+    );
+
+-- Append-only: rows are written by the trigger below and never changed.
+REVOKE ALL ON public.count_history FROM anon, authenticated;
+GRANT SELECT ON public.count_history TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.record_count_history()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    device_name TEXT := nullif(current_setting('cycle_count.device', true), '');
+BEGIN
+    IF device_name IS NULL THEN
+        device_name := left(
+            nullif(current_setting('request.headers', true), '')::jsonb->>'user-agent',
+            200
+        );
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO public.count_history (
+            count_id, session_id, item_id, location_id, count_user_id, action,
+            new_qty, new_calculation, changed_by, device, captured_at
+        ) VALUES (
+            NEW.id, NEW.session_id, NEW.item_id, NEW.location_id, NEW.user_id, 'INSERT',
+            NEW.counted_qty, NEW.counted_qty_calculation, auth.uid(), device_name,
+            coalesce(NEW.captured_at, NEW.timestamp)
+        );
+        RETURN NULL;
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        INSERT INTO public.count_history (
+            count_id, session_id, item_id, location_id, count_user_id, action,
+            old_qty, old_calculation, changed_by, device
+        ) VALUES (
+            OLD.id, OLD.session_id, OLD.item_id, OLD.location_id, OLD.user_id, 'DELETE',
+            OLD.counted_qty, OLD.counted_qty_calculation, auth.uid(), device_name
+        );
+        RETURN NULL;
+    END IF;
+
+    IF NEW.counted_qty IS NOT DISTINCT FROM OLD.counted_qty
+       AND NEW.counted_qty_calculation IS NOT DISTINCT FROM OLD.counted_qty_calculation THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO public.count_history (
+        count_id, session_id, item_id, location_id, count_user_id, action,
+        old_qty, new_qty, old_calculation, new_calculation, changed_by, device, captured_at
+    ) VALUES (
+        NEW.id, NEW.session_id, NEW.item_id, NEW.location_id, NEW.user_id, 'UPDATE',
+        OLD.counted_qty, NEW.counted_qty, OLD.counted_qty_calculation, NEW.counted_qty_calculation,
+        auth.uid(), device_name, NEW.captured_at
+    );
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_record_count_history ON public.counts;
+CREATE TRIGGER trg_record_count_history
+    AFTER INSERT OR UPDATE OR DELETE ON public.counts
+    FOR EACH ROW EXECUTE FUNCTION public.record_count_history();
+
+-- Counts that existed before the history started get their creation row.
+INSERT INTO public.count_history (
+    count_id, session_id, item_id, location_id, count_user_id, action,
+    new_qty, new_calculation, changed_by, captured_at, changed_at
+)
+SELECT
+    count_row.id, count_row.session_id, count_row.item_id, count_row.location_id,
+    count_row.user_id, 'INSERT', count_row.counted_qty, count_row.counted_qty_calculation,
+    count_row.user_id, coalesce(count_row.captured_at, count_row.timestamp), coalesce(count_row.timestamp, NOW())
+FROM public.counts count_row
+WHERE NOT EXISTS (
+    SELECT 1 FROM public.count_history history WHERE history.count_id = count_row.id
+);
+
+DROP FUNCTION IF EXISTS public.save_count_capture(UUID, UUID, UUID, UUID, UUID, INTEGER, TEXT, TIMESTAMPTZ);
+
+CREATE OR REPLACE FUNCTION public.save_count_capture(
+    p_client_id UUID,
+    p_session_id UUID,
+    p_item_id UUID,
+    p_location_id UUID,
+    p_count_id UUID,
+    p_counted_qty INTEGER,
+    p_calculation TEXT,
+    p_captured_at TIMESTAMPTZ,
+    p_device TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    user_id UUID := auth.uid();
+    -- A device clock running ahead must not open a window that is not open yet.
+    capture_time TIMESTAMPTZ := least(coalesce(p_captured_at, NOW()), NOW());
+    session_record public.sessions%ROWTYPE;
+    count_record public.counts%ROWTYPE;
+BEGIN
+    IF user_id IS NULL THEN
+        RAISE EXCEPTION 'CC_NOT_AUTHENTICATED:Login required';
+    END IF;
+    IF p_client_id IS NULL THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Client ID is required';
+    END IF;
+
+    -- Replaying an insert that already reached the server returns the stored row.
+    SELECT * INTO count_record FROM public.counts WHERE client_id = p_client_id;
+    IF FOUND THEN
+        RETURN to_jsonb(count_record) || jsonb_build_object('replayed', true);
+    END IF;
+
+    IF p_counted_qty IS NULL OR p_counted_qty < 0 THEN
+        RAISE EXCEPTION 'CC_INVALID_QUANTITY:Quantity must be zero or more';
+    END IF;
+
+    SELECT * INTO session_record FROM public.sessions WHERE id = p_session_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_SESSION_NOT_FOUND:Session no longer exists';
+    END IF;
+
+    IF NOT public.is_admin() AND NOT EXISTS (
+        SELECT 1 FROM public.session_users su
+        WHERE su.session_id = p_session_id AND su.user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'CC_NOT_ASSIGNED:You are no longer assigned to this session';
+    END IF;
+
+    -- Sessions closed by auto_close_expired_sessions() still accept captures
+    -- made before valid_until; a manual close rejects everything.
+    IF session_record.status::text IN ('completed', 'cancelled', 'scheduled')
+       OR (session_record.status::text = 'closed' AND (
+            session_record.auto_closed_at IS NULL
+            OR session_record.valid_until IS NULL
+            OR capture_time > session_record.valid_until
+       )) THEN
+        RAISE EXCEPTION 'CC_SESSION_CLOSED:Session was % before this count was synced', session_record.status;
+    END IF;
+
+    IF session_record.valid_from IS NOT NULL AND capture_time < session_record.valid_from THEN
+        RAISE EXCEPTION 'CC_OUTSIDE_WINDOW:Count was captured before the session opened';
+    END IF;
+    IF session_record.valid_until IS NOT NULL AND capture_time > session_record.valid_until THEN
+        RAISE EXCEPTION 'CC_OUTSIDE_WINDOW:Count was captured after the session closed';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.locations WHERE id = p_location_id AND is_active = true
+    ) THEN
+        RAISE EXCEPTION 'CC_INVALID_LOCATION:Location is no longer active';
+    END IF;
+
+    -- Read by record_count_history() for the write below.
+    PERFORM set_config('cycle_count.device', left(coalesce(trim(p_device), ''), 200), true);
+
+    IF p_count_id IS NULL THEN
+        INSERT INTO public.counts (
+            session_id, item_id, user_id, location_id, counted_qty,
+            counted_qty_calculation, client_id, captured_at, timestamp
+        ) VALUES (
+            p_session_id, p_item_id, user_id, p_location_id, p_counted_qty,
+            nullif(trim(p_calculation), ''), p_client_id, capture_time, capture_time
+        ) RETURNING * INTO count_record;
+
+        RETURN to_jsonb(count_record) || jsonb_build_object('replayed', false);
+    END IF;
+
+    SELECT * INTO count_record
+    FROM public.counts
+    WHERE id = p_count_id AND session_id = p_session_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_COUNT_NOT_FOUND:The count being edited was deleted';
+    END IF;
+    IF count_record.user_id <> user_id AND NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_NOT_OWNER:Only the original counter can edit this count';
+    END IF;
+    -- Equal timestamps are a replay of this same edit and simply re-apply it.
+    IF coalesce(count_record.captured_at, count_record.timestamp) > capture_time THEN
+        RAISE EXCEPTION 'CC_STALE_EDIT:The count was changed after this edit was captured';
+    END IF;
+
+    UPDATE public.counts
+    SET counted_qty = p_counted_qty,
+        counted_qty_calculation = nullif(trim(p_calculation), ''),
+        captured_at = capture_time
+    WHERE id = p_count_id
+    RETURNING * INTO count_record;
+
+    RETURN to_jsonb(count_record) || jsonb_build_object('replayed', false);
+END;
+$$;
+
+COMMENT ON FUNCTION public.save_count_capture IS 'Idempotently inserts or updates a count captured (possibly offline) at p_captured_at on p_device';
+
+REVOKE ALL ON FUNCTION public.record_count_history() FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.save_count_capture(UUID, UUID, UUID, UUID, UUID, INTEGER, TEXT, TIMESTAMPTZ, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.save_count_capture(UUID, UUID, UUID, UUID, UUID, INTEGER, TEXT, TIMESTAMPTZ, TEXT) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,172 @@
+-- =====================================================
+-- Counter zones
+-- Admins split a session's locations among its counters, either by
+-- location or by whole category. Counters default to their zone and are
+-- warned when they count outside it; admins follow zone completion.
+-- Requires location_guided_count_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+-- Exactly one of location_id / category_id is set. Removing a counter from
+-- the session removes their zone with it.
+CREATE TABLE IF NOT EXISTS public.session_user_zones (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL,
+    user_id UUID NOT NULL,
+    location_id UUID REFERENCES public.locations(id) ON DELETE CASCADE,
+    category_id UUID REFERENCES public.categories(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (session_id, user_id)
+        REFERENCES public.session_users(session_id, user_id) ON DELETE CASCADE,
+    CONSTRAINT session_user_zones_target_check CHECK ((location_id IS NULL) <> (category_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_session_user_zones_location
+    ON public.session_user_zones(session_id, user_id, location_id) WHERE location_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_session_user_zones_category
+    ON public.session_user_zones(session_id, user_id, category_id) WHERE category_id IS NOT NULL;
+
+COMMENT ON TABLE public.session_user_zones IS 'Locations or categories assigned to a counter within a session';
+
+ALTER TABLE public.session_user_zones ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS session_user_zones_read ON public.session_user_zones;
+CREATE POLICY session_user_zones_read ON public.session_user_zones
+    FOR SELECT TO authenticated USING (public.can_access_session(session_id));
+
+REVOKE ALL ON public.session_user_zones FROM anon, authenticated;
+GRANT SELECT ON public.session_user_zones TO authenticated;
+
+-- Active locations in each counter's zone, categories expanded.
+CREATE OR REPLACE FUNCTION public.session_zone_locations(p_session_id UUID)
+RETURNS TABLE (user_id UUID, location_id UUID)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+    SELECT DISTINCT zone.user_id, location.id
+    FROM public.session_user_zones zone
+    JOIN public.locations location
+        ON location.id = zone.location_id OR location.category_id = zone.category_id
+    WHERE zone.session_id = p_session_id
+      AND location.is_active = true;
+$$;
+
+CREATE OR REPLACE FUNCTION public.set_counter_zone(
+    p_session_id UUID,
+    p_user_id UUID,
+    p_location_ids UUID[],
+    p_category_ids UUID[]
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    zone_size INTEGER;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+    IF NOT EXISTS (
+        SELECT 1 FROM public.session_users
+        WHERE session_id = p_session_id AND user_id = p_user_id
+    ) THEN
+        RAISE EXCEPTION 'CC_ZONE_USER_NOT_ASSIGNED:User is not assigned to this session';
+    END IF;
+
+    DELETE FROM public.session_user_zones
+    WHERE session_id = p_session_id AND user_id = p_user_id;
+
+    INSERT INTO public.session_user_zones (session_id, user_id, location_id)
+    SELECT DISTINCT p_session_id, p_user_id, location.id
+    FROM public.locations location
+    WHERE location.id = ANY(coalesce(p_location_ids, ARRAY[]::UUID[]));
+
+    INSERT INTO public.session_user_zones (session_id, user_id, category_id)
+    SELECT DISTINCT p_session_id, p_user_id, category.id
+    FROM public.categories category
+    WHERE category.id = ANY(coalesce(p_category_ids, ARRAY[]::UUID[]));
+
+    SELECT count(*) INTO zone_size
+    FROM public.session_zone_locations(p_session_id) zone
+    WHERE zone.user_id = p_user_id;
+
+    RETURN zone_size;
+END;
+$$;
+
+-- One row per counter with a zone. Expected items are the location guide's
+-- expectations inside the zone; counts by anyone complete them.
+CREATE OR REPLACE FUNCTION public.get_session_zone_progress(p_session_id UUID)
+RETURNS TABLE (
+    user_id UUID,
+    zone_locations INTEGER,
+    done_locations INTEGER,
+    expected_count INTEGER,
+    expected_counted INTEGER,
+    out_of_zone_counts INTEGER
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+
+    RETURN QUERY
+    WITH zone AS (
+        SELECT * FROM public.session_zone_locations(p_session_id)
+    ),
+    expected AS (
+        SELECT * FROM public.session_location_expectations(p_session_id)
+    ),
+    counted AS (
+        SELECT DISTINCT count_row.location_id, count_row.item_id
+        FROM public.counts count_row
+        WHERE count_row.session_id = p_session_id
+    ),
+    counters AS (
+        SELECT DISTINCT zone_row.user_id
+        FROM public.session_user_zones zone_row
+        WHERE zone_row.session_id = p_session_id
+    )
+    SELECT
+        counter.user_id,
+        (SELECT count(*)::INTEGER FROM zone WHERE zone.user_id = counter.user_id),
+        (SELECT count(*)::INTEGER FROM zone
+            JOIN public.session_location_status status
+                ON status.session_id = p_session_id AND status.location_id = zone.location_id
+            WHERE zone.user_id = counter.user_id),
+        (SELECT count(*)::INTEGER FROM zone
+            JOIN expected ON expected.location_id = zone.location_id
+            WHERE zone.user_id = counter.user_id),
+        (SELECT count(*)::INTEGER FROM zone
+            JOIN expected ON expected.location_id = zone.location_id
+            JOIN counted ON counted.location_id = expected.location_id AND counted.item_id = expected.item_id
+            WHERE zone.user_id = counter.user_id),
+        (SELECT count(*)::INTEGER FROM public.counts count_row
+            WHERE count_row.session_id = p_session_id
+              AND count_row.user_id = counter.user_id
+              AND NOT EXISTS (
+                  SELECT 1 FROM zone
+                  WHERE zone.user_id = counter.user_id AND zone.location_id = count_row.location_id
+              ))
+    FROM counters counter;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.session_zone_locations(UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.set_counter_zone(UUID, UUID, UUID[], UUID[]) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.get_session_zone_progress(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.set_counter_zone(UUID, UUID, UUID[], UUID[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_session_zone_progress(UUID) TO authenticated;
+
+COMMIT;
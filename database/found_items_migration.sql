@@ -0,0 +1,256 @@
+-- =====================================================
+-- Found items
+-- Stock a counter finds at a location although the item is not part of the
+-- session: either an item from the item master or an unknown barcode with a
+-- description. The find is recorded with its quantity as an unplanned count
+-- and waits in an admin review queue, where it is
+--   ACCEPTED  the item joins the session and the count becomes a real count
+--   MAPPED    same, for an admin-chosen SKU (unknown barcodes, wrong picks)
+--   REJECTED  dropped, with a note
+-- Counts created this way point back at the find through found_item_id.
+-- A session cannot be approved while finds are still pending.
+-- Requires session_review_migration.sql and count_duplicates_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.found_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES public.sessions(id) ON DELETE CASCADE,
+    location_id UUID NOT NULL REFERENCES public.locations(id) ON DELETE CASCADE,
+    item_id UUID REFERENCES public.items(id) ON DELETE SET NULL,
+    scanned_code TEXT,
+    description TEXT,
+    counted_qty INTEGER NOT NULL CHECK (counted_qty >= 0),
+    counted_qty_calculation TEXT,
+    client_id UUID NOT NULL UNIQUE,
+    user_id UUID NOT NULL REFERENCES auth.users(id),
+    device TEXT,
+    captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    status TEXT NOT NULL DEFAULT 'PENDING'
+        CHECK (status IN ('PENDING', 'ACCEPTED', 'MAPPED', 'REJECTED')),
+    resolved_item_id UUID REFERENCES public.items(id) ON DELETE SET NULL,
+    count_id UUID REFERENCES public.counts(id) ON DELETE SET NULL,
+    review_note TEXT,
+    resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (item_id IS NOT NULL OR length(trim(coalesce(description, ''))) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_found_items_session ON public.found_items(session_id, status);
+
+ALTER TABLE public.counts
+    ADD COLUMN IF NOT EXISTS found_item_id UUID REFERENCES public.found_items(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN public.counts.found_item_id IS 'Set on unplanned counts that came from an accepted found item';
+
+ALTER TABLE public.found_items ENABLE ROW LEVEL SECURITY;
+
+-- Writes go through the functions below.
+DROP POLICY IF EXISTS found_items_read ON public.found_items;
+CREATE POLICY found_items_read ON public.found_items
+    FOR SELECT TO authenticated USING (user_id = auth.uid() OR public.is_admin());
+
+REVOKE ALL ON public.found_items FROM anon, authenticated;
+GRANT SELECT ON public.found_items TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.record_found_item(
+    p_client_id UUID,
+    p_session_id UUID,
+    p_location_id UUID,
+    p_item_id UUID,
+    p_scanned_code TEXT,
+    p_description TEXT,
+    p_counted_qty INTEGER,
+    p_calculation TEXT,
+    p_captured_at TIMESTAMPTZ,
+    p_device TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    user_id UUID := auth.uid();
+    capture_time TIMESTAMPTZ := least(coalesce(p_captured_at, NOW()), NOW());
+    session_record public.sessions%ROWTYPE;
+    found_record public.found_items%ROWTYPE;
+BEGIN
+    IF user_id IS NULL THEN
+        RAISE EXCEPTION 'CC_NOT_AUTHENTICATED:Login required';
+    END IF;
+    IF p_client_id IS NULL THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Client ID is required';
+    END IF;
+
+    SELECT * INTO found_record FROM public.found_items WHERE client_id = p_client_id;
+    IF FOUND THEN
+        RETURN to_jsonb(found_record) || jsonb_build_object('replayed', true);
+    END IF;
+
+    IF p_counted_qty IS NULL OR p_counted_qty < 0 THEN
+        RAISE EXCEPTION 'CC_INVALID_QUANTITY:Quantity must be zero or more';
+    END IF;
+    IF p_item_id IS NULL AND length(trim(coalesce(p_description, ''))) = 0 THEN
+        RAISE EXCEPTION 'CC_FOUND_ITEM_INCOMPLETE:Pick an item or describe the unknown one';
+    END IF;
+
+    SELECT * INTO session_record FROM public.sessions WHERE id = p_session_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_SESSION_NOT_FOUND:Session no longer exists';
+    END IF;
+    IF NOT public.is_admin() AND NOT EXISTS (
+        SELECT 1 FROM public.session_users su
+        WHERE su.session_id = p_session_id AND su.user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'CC_NOT_ASSIGNED:You are no longer assigned to this session';
+    END IF;
+    IF session_record.status::text <> 'active' THEN
+        RAISE EXCEPTION 'CC_SESSION_CLOSED:Session is %', session_record.status;
+    END IF;
+    IF (session_record.valid_from IS NOT NULL AND capture_time < session_record.valid_from)
+       OR (session_record.valid_until IS NOT NULL AND capture_time > session_record.valid_until) THEN
+        RAISE EXCEPTION 'CC_OUTSIDE_WINDOW:Found item was recorded outside the session time window';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.locations WHERE id = p_location_id AND is_active = true
+    ) THEN
+        RAISE EXCEPTION 'CC_INVALID_LOCATION:Location is no longer active';
+    END IF;
+    IF p_item_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM public.session_items
+        WHERE session_id = p_session_id AND item_id = p_item_id
+    ) THEN
+        RAISE EXCEPTION 'CC_ITEM_IN_SESSION:This item is part of the session; count it from the list';
+    END IF;
+
+    INSERT INTO public.found_items (
+        session_id, location_id, item_id, scanned_code, description, counted_qty,
+        counted_qty_calculation, client_id, user_id, device, captured_at
+    ) VALUES (
+        p_session_id, p_location_id, p_item_id, nullif(upper(trim(p_scanned_code)), ''),
+        nullif(trim(p_description), ''), p_counted_qty, nullif(trim(p_calculation), ''),
+        p_client_id, user_id, left(nullif(trim(p_device), ''), 200), capture_time
+    ) RETURNING * INTO found_record;
+
+    RETURN to_jsonb(found_record) || jsonb_build_object('replayed', false);
+END;
+$$;
+
+-- ACCEPT keeps the counter's item, MAP uses p_item_id; both add the item to
+-- the session and turn the find into a count by the counter who found it.
+CREATE OR REPLACE FUNCTION public.resolve_found_item(
+    p_found_item_id UUID,
+    p_action TEXT,
+    p_item_id UUID DEFAULT NULL,
+    p_note TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    found_record public.found_items%ROWTYPE;
+    target_item_id UUID;
+    new_count_id UUID;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+    IF p_action NOT IN ('ACCEPT', 'MAP', 'REJECT') THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Unknown action %', p_action;
+    END IF;
+
+    SELECT * INTO found_record FROM public.found_items WHERE id = p_found_item_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_FOUND_ITEM_NOT_FOUND:Found item no longer exists';
+    END IF;
+    IF found_record.status <> 'PENDING' THEN
+        RAISE EXCEPTION 'CC_FOUND_ITEM_RESOLVED:Found item was already %', lower(found_record.status);
+    END IF;
+    IF EXISTS (
+        SELECT 1 FROM public.session_reviews
+        WHERE session_id = found_record.session_id AND status = 'APPROVED'
+    ) THEN
+        RAISE EXCEPTION 'CC_REVIEW_APPROVED:Session has already been approved';
+    END IF;
+
+    IF p_action = 'REJECT' THEN
+        UPDATE public.found_items
+        SET status = 'REJECTED', review_note = nullif(trim(p_note), ''),
+            resolved_by = auth.uid(), resolved_at = NOW()
+        WHERE id = p_found_item_id
+        RETURNING * INTO found_record;
+        RETURN to_jsonb(found_record);
+    END IF;
+
+    target_item_id := CASE WHEN p_action = 'MAP' THEN p_item_id ELSE found_record.item_id END;
+    IF target_item_id IS NULL OR NOT EXISTS (SELECT 1 FROM public.items WHERE id = target_item_id) THEN
+        RAISE EXCEPTION 'CC_FOUND_ITEM_UNMAPPED:Choose the SKU this found item is';
+    END IF;
+
+    INSERT INTO public.session_items (session_id, item_id)
+    VALUES (found_record.session_id, target_item_id)
+    ON CONFLICT (session_id, item_id) DO NOTHING;
+
+    -- Read by record_count_history() for the insert below.
+    PERFORM set_config('cycle_count.device', coalesce(found_record.device, ''), true);
+    PERFORM set_config('cycle_count.note', 'Unplanned count from a found item', true);
+
+    INSERT INTO public.counts (
+        session_id, item_id, user_id, location_id, counted_qty,
+        counted_qty_calculation, captured_at, timestamp, found_item_id
+    ) VALUES (
+        found_record.session_id, target_item_id, found_record.user_id, found_record.location_id,
+        found_record.counted_qty, found_record.counted_qty_calculation,
+        found_record.captured_at, found_record.captured_at, found_record.id
+    ) RETURNING id INTO new_count_id;
+
+    PERFORM set_config('cycle_count.note', '', true);
+
+    UPDATE public.found_items
+    SET status = CASE WHEN p_action = 'MAP' THEN 'MAPPED' ELSE 'ACCEPTED' END,
+        resolved_item_id = target_item_id, count_id = new_count_id,
+        review_note = nullif(trim(p_note), ''),
+        resolved_by = auth.uid(), resolved_at = NOW()
+    WHERE id = p_found_item_id
+    RETURNING * INTO found_record;
+
+    RETURN to_jsonb(found_record);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.block_approval_with_pending_finds()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF NEW.status = 'APPROVED' AND OLD.status IS DISTINCT FROM 'APPROVED' AND EXISTS (
+        SELECT 1 FROM public.found_items
+        WHERE session_id = NEW.session_id AND status = 'PENDING'
+    ) THEN
+        RAISE EXCEPTION 'CC_FOUND_ITEMS_PENDING:Review the found items before approving';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_block_approval_with_pending_finds ON public.session_reviews;
+CREATE TRIGGER trg_block_approval_with_pending_finds
+    BEFORE UPDATE OF status ON public.session_reviews
+    FOR EACH ROW EXECUTE FUNCTION public.block_approval_with_pending_finds();
+
+REVOKE ALL ON FUNCTION public.record_found_item(UUID, UUID, UUID, UUID, TEXT, TEXT, INTEGER, TEXT, TIMESTAMPTZ, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.record_found_item(UUID, UUID, UUID, UUID, TEXT, TEXT, INTEGER, TEXT, TIMESTAMPTZ, TEXT) TO authenticated;
+REVOKE ALL ON FUNCTION public.resolve_found_item(UUID, TEXT, UUID, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.resolve_found_item(UUID, TEXT, UUID, TEXT) TO authenticated;
+REVOKE ALL ON FUNCTION public.block_approval_with_pending_finds() FROM PUBLIC;
+
+COMMIT;
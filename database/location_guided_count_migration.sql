@@ -0,0 +1,223 @@
+-- =====================================================
+-- Location-first guided counting
+-- Counters pick a location, count the session items expected there and
+-- mark the location done. Items are expected at a location when an
+-- earlier session counted them there or when a FIFO lot with stock sits
+-- there. Admins follow progress per location.
+-- Requires material_fifo_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.session_location_status (
+    session_id UUID NOT NULL REFERENCES public.sessions(id) ON DELETE CASCADE,
+    location_id UUID NOT NULL REFERENCES public.locations(id) ON DELETE CASCADE,
+    completed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    completed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (session_id, location_id)
+);
+
+COMMENT ON TABLE public.session_location_status IS 'Locations a counter marked done in a session';
+
+ALTER TABLE public.session_location_status ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS session_location_status_read ON public.session_location_status;
+CREATE POLICY session_location_status_read ON public.session_location_status
+    FOR SELECT TO authenticated USING (
+        public.is_admin()
+        OR EXISTS (
+            SELECT 1 FROM public.session_users su
+            WHERE su.session_id = session_location_status.session_id
+              AND su.user_id = auth.uid()
+        )
+    );
+
+REVOKE ALL ON public.session_location_status FROM anon, authenticated;
+GRANT SELECT ON public.session_location_status TO authenticated;
+
+-- Session items expected per active location. Zero counts from earlier
+-- sessions mean the item was looked for and not found, so they do not
+-- make it expected.
+CREATE OR REPLACE FUNCTION public.session_location_expectations(p_session_id UUID)
+RETURNS TABLE (location_id UUID, item_id UUID, from_counts BOOLEAN, from_lots BOOLEAN)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+    WITH previous_counts AS (
+        SELECT DISTINCT count_row.location_id, count_row.item_id
+        FROM public.counts count_row
+        JOIN public.session_items session_item
+            ON session_item.item_id = count_row.item_id AND session_item.session_id = p_session_id
+        WHERE count_row.session_id <> p_session_id
+          AND count_row.counted_qty > 0
+    ),
+    lots AS (
+        SELECT DISTINCT location.id AS location_id, lot.item_id
+        FROM public.material_fifo_lots lot
+        JOIN public.session_items session_item
+            ON session_item.item_id = lot.item_id AND session_item.session_id = p_session_id
+        JOIN public.locations location ON upper(location.name) = upper(lot.location)
+        WHERE lot.remaining_qty > 0
+    )
+    SELECT
+        coalesce(previous_counts.location_id, lots.location_id),
+        coalesce(previous_counts.item_id, lots.item_id),
+        previous_counts.item_id IS NOT NULL,
+        lots.item_id IS NOT NULL
+    FROM previous_counts
+    FULL JOIN lots
+        ON lots.location_id = previous_counts.location_id AND lots.item_id = previous_counts.item_id
+    JOIN public.locations location
+        ON location.id = coalesce(previous_counts.location_id, lots.location_id)
+    WHERE location.is_active = true;
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_access_session(p_session_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+    SELECT public.is_admin() OR EXISTS (
+        SELECT 1 FROM public.session_users su
+        WHERE su.session_id = p_session_id AND su.user_id = auth.uid()
+    );
+$$;
+
+CREATE OR REPLACE FUNCTION public.list_location_expected_items(p_session_id UUID, p_location_id UUID)
+RETURNS TABLE (item_id UUID, from_counts BOOLEAN, from_lots BOOLEAN)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF NOT public.can_access_session(p_session_id) THEN
+        RAISE EXCEPTION 'CC_NOT_ASSIGNED:You are not assigned to this session';
+    END IF;
+
+    RETURN QUERY
+    SELECT expected.item_id, expected.from_counts, expected.from_lots
+    FROM public.session_location_expectations(p_session_id) expected
+    WHERE expected.location_id = p_location_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.set_session_location_done(
+    p_session_id UUID,
+    p_location_id UUID,
+    p_done BOOLEAN
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    session_status TEXT;
+    status_record public.session_location_status%ROWTYPE;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'CC_NOT_AUTHENTICATED:Login required';
+    END IF;
+    SELECT status::text INTO session_status FROM public.sessions WHERE id = p_session_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_SESSION_NOT_FOUND:Session no longer exists';
+    END IF;
+    IF NOT public.can_access_session(p_session_id) THEN
+        RAISE EXCEPTION 'CC_NOT_ASSIGNED:You are not assigned to this session';
+    END IF;
+    IF session_status <> 'active' THEN
+        RAISE EXCEPTION 'CC_SESSION_CLOSED:Session is %', session_status;
+    END IF;
+
+    IF NOT coalesce(p_done, false) THEN
+        DELETE FROM public.session_location_status
+        WHERE session_id = p_session_id AND location_id = p_location_id;
+        RETURN NULL;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM public.locations WHERE id = p_location_id AND is_active = true) THEN
+        RAISE EXCEPTION 'CC_INVALID_LOCATION:Location is no longer active';
+    END IF;
+
+    INSERT INTO public.session_location_status (session_id, location_id, completed_by)
+    VALUES (p_session_id, p_location_id, auth.uid())
+    ON CONFLICT (session_id, location_id) DO UPDATE
+    SET completed_by = EXCLUDED.completed_by,
+        completed_at = NOW()
+    RETURNING * INTO status_record;
+
+    RETURN to_jsonb(status_record);
+END;
+$$;
+
+-- One row per location that has expected items, counts in this session or
+-- a done mark.
+CREATE OR REPLACE FUNCTION public.get_session_location_progress(p_session_id UUID)
+RETURNS TABLE (
+    location_id UUID,
+    location_name TEXT,
+    expected_count INTEGER,
+    expected_counted INTEGER,
+    counted_items INTEGER,
+    completed_by UUID,
+    completed_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+
+    RETURN QUERY
+    WITH expected AS (
+        SELECT * FROM public.session_location_expectations(p_session_id)
+    ),
+    counted AS (
+        SELECT DISTINCT count_row.location_id, count_row.item_id
+        FROM public.counts count_row
+        WHERE count_row.session_id = p_session_id
+    ),
+    touched AS (
+        SELECT expected.location_id FROM expected
+        UNION SELECT counted.location_id FROM counted
+        UNION SELECT status.location_id FROM public.session_location_status status
+            WHERE status.session_id = p_session_id
+    )
+    SELECT
+        location.id,
+        location.name,
+        (SELECT count(*)::INTEGER FROM expected WHERE expected.location_id = location.id),
+        (SELECT count(*)::INTEGER FROM expected
+            JOIN counted ON counted.location_id = expected.location_id AND counted.item_id = expected.item_id
+            WHERE expected.location_id = location.id),
+        (SELECT count(*)::INTEGER FROM counted WHERE counted.location_id = location.id),
+        status.completed_by,
+        status.completed_at
+    FROM touched
+    JOIN public.locations location ON location.id = touched.location_id
+    LEFT JOIN public.session_location_status status
+        ON status.session_id = p_session_id AND status.location_id = location.id
+    ORDER BY location.name;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.session_location_expectations(UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.can_access_session(UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.list_location_expected_items(UUID, UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.set_session_location_done(UUID, UUID, BOOLEAN) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.get_session_location_progress(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.list_location_expected_items(UUID, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.set_session_location_done(UUID, UUID, BOOLEAN) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_session_location_progress(UUID) TO authenticated;
+
+COMMIT;
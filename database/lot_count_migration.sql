@@ -0,0 +1,468 @@
+-- =====================================================
+-- Lot-level counting for Raw Material items
+-- Counting a Raw Material item at a FIFO location lists the open lots
+-- there and the counter confirms or corrects each lot's quantity. The lot
+-- lines are stored with the count; whatever the count holds beyond them is
+-- stock that could not be matched to a lot. On approval the item's FIFO
+-- adjustment is aimed at the lots that were short or over instead of
+-- plain FIFO order.
+-- Requires count_duplicates_migration.sql and session_review_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+-- expected_qty is the lot's remaining quantity when the line was saved.
+CREATE TABLE IF NOT EXISTS public.count_lots (
+    count_id UUID NOT NULL REFERENCES public.counts(id) ON DELETE CASCADE,
+    lot_id UUID NOT NULL REFERENCES public.material_fifo_lots(id) ON DELETE RESTRICT,
+    expected_qty NUMERIC(20,4) NOT NULL CHECK (expected_qty >= 0),
+    counted_qty NUMERIC(20,4) NOT NULL CHECK (counted_qty >= 0),
+    PRIMARY KEY (count_id, lot_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_count_lots_lot ON public.count_lots(lot_id);
+
+COMMENT ON TABLE public.count_lots IS 'Per-lot quantities of a Raw Material count; counts.counted_qty minus their sum is stock without a lot';
+
+ALTER TABLE public.count_lots ENABLE ROW LEVEL SECURITY;
+
+-- Counters read their lines through list_count_lots(), which keeps blind
+-- sessions blind.
+DROP POLICY IF EXISTS count_lots_admin_read ON public.count_lots;
+CREATE POLICY count_lots_admin_read ON public.count_lots
+    FOR SELECT TO authenticated USING (public.is_admin());
+
+REVOKE ALL ON public.count_lots FROM anon, authenticated;
+GRANT SELECT ON public.count_lots TO authenticated;
+
+-- -----------------------------------------------------
+-- Capture
+-- -----------------------------------------------------
+
+-- Open lots of the item at the location, plus lots already on the given
+-- count. Blind sessions hide the expected quantity from counters, and only
+-- the owner of the count (or an admin) sees what was counted per lot.
+CREATE OR REPLACE FUNCTION public.list_count_lots(
+    p_session_id UUID,
+    p_item_id UUID,
+    p_location_id UUID,
+    p_count_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    lot_id UUID,
+    location TEXT,
+    received_date DATE,
+    expected_qty NUMERIC,
+    counted_qty NUMERIC
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    hide_expected BOOLEAN;
+    show_counted BOOLEAN;
+BEGIN
+    IF NOT public.can_access_session(p_session_id) THEN
+        RAISE EXCEPTION 'CC_NOT_ASSIGNED:You are not assigned to this session';
+    END IF;
+    IF NOT public.is_raw_material(p_item_id) THEN
+        RETURN;
+    END IF;
+
+    SELECT coalesce(is_blind, false) AND NOT public.is_admin() INTO hide_expected
+    FROM public.sessions WHERE id = p_session_id;
+    show_counted := p_count_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM public.counts
+        WHERE id = p_count_id AND session_id = p_session_id
+          AND (user_id = auth.uid() OR public.is_admin())
+    );
+
+    RETURN QUERY
+    SELECT
+        lot.id,
+        lot.location,
+        lot.received_date,
+        CASE WHEN hide_expected THEN NULL ELSE coalesce(line.expected_qty, lot.remaining_qty) END,
+        CASE WHEN show_counted THEN line.counted_qty END
+    FROM public.material_fifo_lots lot
+    JOIN public.locations count_location ON count_location.id = p_location_id
+    LEFT JOIN public.count_lots line
+        ON line.lot_id = lot.id AND line.count_id = p_count_id AND show_counted
+    WHERE lot.item_id = p_item_id
+      AND (
+          (upper(lot.location) = upper(count_location.name) AND lot.remaining_qty > 0)
+          OR line.lot_id IS NOT NULL
+      )
+    ORDER BY lot.received_date, lot.created_at, lot.id;
+END;
+$$;
+
+-- Replaces (or, for an ADD merge, adds to) the lot lines of a count.
+-- Every lot must belong to the item and sit at the count's location, and
+-- the lines may not add up to more than the counted quantity.
+CREATE OR REPLACE FUNCTION public.store_count_lots(
+    p_count_id UUID,
+    p_lots JSONB,
+    p_add BOOLEAN DEFAULT false
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    count_record public.counts%ROWTYPE;
+    location_name TEXT;
+    invalid_count INTEGER;
+BEGIN
+    SELECT * INTO count_record FROM public.counts WHERE id = p_count_id;
+    SELECT name INTO location_name FROM public.locations WHERE id = count_record.location_id;
+
+    IF p_lots IS NOT NULL AND jsonb_typeof(p_lots) <> 'array' THEN
+        RAISE EXCEPTION 'CC_INVALID_LOTS:Lot lines must be a list';
+    END IF;
+    IF jsonb_array_length(coalesce(p_lots, '[]'::jsonb)) > 0 AND NOT public.is_raw_material(count_record.item_id) THEN
+        RAISE EXCEPTION 'CC_INVALID_LOTS:Only Raw Material items are counted per lot';
+    END IF;
+
+    SELECT count(*) INTO invalid_count
+    FROM jsonb_array_elements(coalesce(p_lots, '[]'::jsonb)) entry
+    LEFT JOIN public.material_fifo_lots lot ON lot.id = (entry->>'lot_id')::uuid
+    WHERE lot.id IS NULL
+       OR lot.item_id <> count_record.item_id
+       OR upper(lot.location) <> upper(location_name)
+       OR (entry->>'counted_qty') IS NULL
+       OR (entry->>'counted_qty')::numeric < 0;
+    IF invalid_count > 0 THEN
+        RAISE EXCEPTION 'CC_INVALID_LOTS:% lot line(s) do not belong to this item and location', invalid_count;
+    END IF;
+    IF (SELECT count(*) <> count(DISTINCT entry->>'lot_id') FROM jsonb_array_elements(coalesce(p_lots, '[]'::jsonb)) entry) THEN
+        RAISE EXCEPTION 'CC_INVALID_LOTS:A lot is listed twice';
+    END IF;
+
+    IF NOT p_add THEN
+        DELETE FROM public.count_lots WHERE count_id = p_count_id;
+    END IF;
+
+    INSERT INTO public.count_lots (count_id, lot_id, expected_qty, counted_qty)
+    SELECT p_count_id, lot.id, lot.remaining_qty, (entry->>'counted_qty')::numeric
+    FROM jsonb_array_elements(coalesce(p_lots, '[]'::jsonb)) entry
+    JOIN public.material_fifo_lots lot ON lot.id = (entry->>'lot_id')::uuid
+    ON CONFLICT (count_id, lot_id) DO UPDATE
+    SET counted_qty = public.count_lots.counted_qty + EXCLUDED.counted_qty;
+
+    IF (SELECT coalesce(sum(counted_qty), 0) FROM public.count_lots WHERE count_id = p_count_id) > count_record.counted_qty THEN
+        RAISE EXCEPTION 'CC_INVALID_LOTS:Lot quantities add up to more than the count';
+    END IF;
+END;
+$$;
+
+-- Same arguments as the capture in count_duplicates_migration.sql plus the
+-- lot lines, which are saved in the same transaction. No defaults, so calls
+-- without p_lots still reach the 11-argument version (kept for clients that
+-- have not reloaded yet).
+CREATE OR REPLACE FUNCTION public.save_count_capture(
+    p_client_id UUID,
+    p_session_id UUID,
+    p_item_id UUID,
+    p_location_id UUID,
+    p_count_id UUID,
+    p_counted_qty INTEGER,
+    p_calculation TEXT,
+    p_captured_at TIMESTAMPTZ,
+    p_device TEXT,
+    p_breakdown JSONB,
+    p_duplicate_mode TEXT,
+    p_lots JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    result JSONB;
+    saved_count_id UUID;
+BEGIN
+    result := public.save_count_capture(
+        p_client_id, p_session_id, p_item_id, p_location_id, p_count_id,
+        p_counted_qty, p_calculation, p_captured_at, p_device, p_breakdown, p_duplicate_mode
+    );
+    IF coalesce((result->>'replayed')::boolean, false) THEN
+        RETURN result;
+    END IF;
+    saved_count_id := (result->>'id')::uuid;
+
+    IF coalesce((result->>'merged')::boolean, false) AND p_duplicate_mode = 'ADD' THEN
+        -- Without lot lines the added quantity simply has no lot.
+        IF p_lots IS NOT NULL THEN
+            PERFORM public.store_count_lots(saved_count_id, p_lots, true);
+        END IF;
+    ELSIF p_lots IS NOT NULL OR p_count_id IS NULL THEN
+        -- New rows and REPLACE merges get exactly the given lines.
+        PERFORM public.store_count_lots(saved_count_id, p_lots, false);
+    ELSE
+        -- An edit without lot lines (the lots could not be loaded) keeps
+        -- the stored ones while they still fit the quantity.
+        DELETE FROM public.count_lots
+        WHERE count_id = saved_count_id
+          AND (SELECT sum(line.counted_qty) FROM public.count_lots line WHERE line.count_id = saved_count_id) > p_counted_qty;
+    END IF;
+
+    RETURN result || jsonb_build_object('lots', coalesce((
+        SELECT jsonb_agg(jsonb_build_object('lot_id', lot_id, 'counted_qty', counted_qty))
+        FROM public.count_lots WHERE count_id = saved_count_id
+    ), '[]'::jsonb));
+END;
+$$;
+
+-- Lot lines of a count summed into another one move with it.
+CREATE OR REPLACE FUNCTION public.move_merged_count_lots()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF NEW.mode = 'SUM' AND NEW.source_count_id IS NOT NULL THEN
+        INSERT INTO public.count_lots (count_id, lot_id, expected_qty, counted_qty)
+        SELECT NEW.target_count_id, lot_id, expected_qty, counted_qty
+        FROM public.count_lots
+        WHERE count_id = NEW.source_count_id
+        ON CONFLICT (count_id, lot_id) DO UPDATE
+        SET counted_qty = public.count_lots.counted_qty + EXCLUDED.counted_qty;
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_move_merged_count_lots ON public.count_merges;
+CREATE TRIGGER trg_move_merged_count_lots
+    AFTER INSERT ON public.count_merges
+    FOR EACH ROW EXECUTE FUNCTION public.move_merged_count_lots();
+
+-- -----------------------------------------------------
+-- Review and approval
+-- -----------------------------------------------------
+
+-- Per-lot figures of a session. Only the latest count round with lot
+-- lines counts for an item, so a recount replaces the first count. A lot
+-- listed on several rows (separate pallets) is expected once.
+CREATE OR REPLACE FUNCTION public.session_lot_totals(p_session_id UUID)
+RETURNS TABLE (
+    item_id UUID,
+    lot_id UUID,
+    location TEXT,
+    received_date DATE,
+    expected_qty NUMERIC,
+    counted_qty NUMERIC,
+    variance NUMERIC
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+    WITH lines AS (
+        SELECT count_row.item_id, count_row.count_round, line.lot_id, line.expected_qty, line.counted_qty
+        FROM public.counts count_row
+        JOIN public.count_lots line ON line.count_id = count_row.id
+        WHERE count_row.session_id = p_session_id
+    ),
+    latest AS (
+        SELECT lines.item_id, max(lines.count_round) AS count_round
+        FROM lines
+        GROUP BY lines.item_id
+    )
+    SELECT
+        lines.item_id,
+        lines.lot_id,
+        lot.location,
+        lot.received_date,
+        max(lines.expected_qty),
+        sum(lines.counted_qty),
+        sum(lines.counted_qty) - max(lines.expected_qty)
+    FROM lines
+    JOIN latest ON latest.item_id = lines.item_id AND latest.count_round = lines.count_round
+    JOIN public.material_fifo_lots lot ON lot.id = lines.lot_id
+    GROUP BY lines.item_id, lines.lot_id, lot.location, lot.received_date, lot.created_at
+    ORDER BY lines.item_id, lot.received_date, lot.created_at, lines.lot_id;
+$$;
+
+CREATE OR REPLACE FUNCTION public.list_session_lot_variances(p_session_id UUID)
+RETURNS TABLE (
+    item_id UUID,
+    lot_id UUID,
+    location TEXT,
+    received_date DATE,
+    expected_qty NUMERIC,
+    counted_qty NUMERIC,
+    variance NUMERIC
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+    RETURN QUERY SELECT * FROM public.session_lot_totals(p_session_id);
+END;
+$$;
+
+-- Same as session_review_migration.sql, but aimed at the counted lots.
+-- A LOSS first takes the shortfall of each lot that was counted short, in
+-- FIFO order, and only then consumes the remaining lots FIFO. A GAIN
+-- without a chosen location opens its lot where the largest lot surplus
+-- was found, with that lot's received date so it keeps its place in FIFO
+-- order; otherwise it falls back to the most-counted location as before.
+CREATE OR REPLACE FUNCTION public.post_session_adjustment(
+    p_session_id UUID,
+    p_item_id UUID,
+    p_variance NUMERIC,
+    p_reason_code TEXT,
+    p_notes TEXT,
+    p_location TEXT
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    session_name TEXT;
+    item_sku TEXT;
+    transaction_id UUID;
+    stock_before NUMERIC(20,4);
+    adjust_qty NUMERIC(20,4) := abs(p_variance);
+    needed_qty NUMERIC(20,4) := abs(p_variance);
+    take_qty NUMERIC(20,4);
+    gain_location TEXT := p_location;
+    gain_received DATE := CURRENT_DATE;
+    lot_record RECORD;
+BEGIN
+    SELECT name INTO session_name FROM public.sessions WHERE id = p_session_id;
+    SELECT sku INTO item_sku FROM public.items WHERE id = p_item_id;
+
+    PERFORM pg_advisory_xact_lock(hashtextextended(p_item_id::text, 0));
+    stock_before := public.material_fifo_stock(p_item_id);
+
+    IF p_variance < 0 AND stock_before < adjust_qty THEN
+        RAISE EXCEPTION 'CC_ADJUSTMENT_EXCEEDS_STOCK:% has % in FIFO stock but the loss is %',
+            item_sku, stock_before, adjust_qty;
+    END IF;
+
+    IF p_variance > 0 AND gain_location IS NULL THEN
+        SELECT upper(totals.location), totals.received_date INTO gain_location, gain_received
+        FROM public.session_lot_totals(p_session_id) totals
+        WHERE totals.item_id = p_item_id AND totals.variance > 0
+        ORDER BY totals.variance DESC, totals.received_date
+        LIMIT 1;
+        gain_received := coalesce(gain_received, CURRENT_DATE);
+    END IF;
+    IF p_variance > 0 AND gain_location IS NULL THEN
+        SELECT upper(location.name) INTO gain_location
+        FROM public.counts count_row
+        JOIN public.locations location ON location.id = count_row.location_id
+        WHERE count_row.session_id = p_session_id
+          AND count_row.item_id = p_item_id
+          AND location.name ~ '^[A-Za-z]+[0-9]+\.[0-9]+$'
+        GROUP BY upper(location.name)
+        ORDER BY sum(count_row.counted_qty) DESC, upper(location.name)
+        LIMIT 1;
+    END IF;
+    IF p_variance > 0 AND gain_location IS NULL THEN
+        SELECT location INTO gain_location
+        FROM public.material_fifo_lots
+        WHERE item_id = p_item_id
+        ORDER BY received_date DESC, created_at DESC, id DESC
+        LIMIT 1;
+    END IF;
+    IF p_variance > 0 AND gain_location IS NULL THEN
+        RAISE EXCEPTION 'CC_ADJUST_LOCATION_REQUIRED:Choose a FIFO location for the gain of %', item_sku;
+    END IF;
+
+    INSERT INTO public.material_fifo_transactions (
+        request_id, item_id, transaction_type, adjustment_direction, issue_method,
+        quantity, transaction_date, selected_location, stock_before, stock_after,
+        notes, source_session_id, reason_code, created_by
+    ) VALUES (
+        gen_random_uuid(), p_item_id, 'ADJ',
+        CASE WHEN p_variance > 0 THEN 'GAIN' ELSE 'LOSS' END,
+        CASE WHEN p_variance > 0 THEN NULL ELSE 'FIFO' END,
+        adjust_qty, CURRENT_DATE,
+        CASE WHEN p_variance > 0 THEN gain_location ELSE NULL END,
+        stock_before,
+        stock_before + p_variance,
+        concat_ws(' - ', 'Cycle count ' || session_name, p_reason_code, nullif(trim(p_notes), '')),
+        p_session_id, p_reason_code, auth.uid()
+    ) RETURNING id INTO transaction_id;
+
+    IF p_variance > 0 THEN
+        INSERT INTO public.material_fifo_lots (
+            item_id, inbound_transaction_id, location, received_date,
+            initial_qty, remaining_qty, created_by
+        ) VALUES (
+            p_item_id, transaction_id, gain_location, gain_received,
+            adjust_qty, adjust_qty, auth.uid()
+        );
+        RETURN transaction_id;
+    END IF;
+
+    FOR lot_record IN
+        SELECT lot.id, lot.remaining_qty, -totals.variance AS shortfall
+        FROM public.session_lot_totals(p_session_id) totals
+        JOIN public.material_fifo_lots lot ON lot.id = totals.lot_id
+        WHERE totals.item_id = p_item_id AND totals.variance < 0 AND lot.remaining_qty > 0
+        ORDER BY lot.received_date, lot.created_at, lot.id
+        FOR UPDATE OF lot
+    LOOP
+        EXIT WHEN needed_qty <= 0;
+        take_qty := least(needed_qty, lot_record.shortfall, lot_record.remaining_qty);
+        UPDATE public.material_fifo_lots
+        SET remaining_qty = remaining_qty - take_qty, updated_at = now()
+        WHERE id = lot_record.id;
+        INSERT INTO public.material_fifo_allocations(transaction_id, lot_id, quantity)
+        VALUES (transaction_id, lot_record.id, take_qty);
+        needed_qty := needed_qty - take_qty;
+    END LOOP;
+
+    FOR lot_record IN
+        SELECT id, remaining_qty
+        FROM public.material_fifo_lots
+        WHERE item_id = p_item_id AND remaining_qty > 0
+        ORDER BY received_date, created_at, id
+        FOR UPDATE
+    LOOP
+        EXIT WHEN needed_qty <= 0;
+        take_qty := least(needed_qty, lot_record.remaining_qty);
+        UPDATE public.material_fifo_lots
+        SET remaining_qty = remaining_qty - take_qty, updated_at = now()
+        WHERE id = lot_record.id;
+        -- A lot taken from in the first pass gets a second allocation row.
+        INSERT INTO public.material_fifo_allocations(transaction_id, lot_id, quantity)
+        VALUES (transaction_id, lot_record.id, take_qty);
+        needed_qty := needed_qty - take_qty;
+    END LOOP;
+
+    RETURN transaction_id;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.list_count_lots(UUID, UUID, UUID, UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.list_count_lots(UUID, UUID, UUID, UUID) TO authenticated;
+REVOKE ALL ON FUNCTION public.store_count_lots(UUID, JSONB, BOOLEAN) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.save_count_capture(UUID, UUID, UUID, UUID, UUID, INTEGER, TEXT, TIMESTAMPTZ, TEXT, JSONB, TEXT, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.save_count_capture(UUID, UUID, UUID, UUID, UUID, INTEGER, TEXT, TIMESTAMPTZ, TEXT, JSONB, TEXT, JSONB) TO authenticated;
+REVOKE ALL ON FUNCTION public.move_merged_count_lots() FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.session_lot_totals(UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.list_session_lot_variances(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.list_session_lot_variances(UUID) TO authenticated;
+REVOKE ALL ON FUNCTION public.post_session_adjustment(UUID, UUID, NUMERIC, TEXT, TEXT, TEXT) FROM PUBLIC;
+
+COMMIT;
@@ -0,0 +1,142 @@
+-- =====================================================
+-- Offline count capture sync
+-- Counts captured without a connection are queued on the device and
+-- replayed through save_count_capture(). The client ID makes replays
+-- idempotent and captured_at lets the session window be checked against
+-- the moment the counter actually counted, not the moment of the upload.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE public.counts
+    ADD COLUMN IF NOT EXISTS client_id UUID,
+    ADD COLUMN IF NOT EXISTS captured_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.counts.client_id IS 'Device-generated ID of the capture that created this count (idempotent replay key)';
+COMMENT ON COLUMN public.counts.captured_at IS 'When the count was captured on the device; may be earlier than the upload';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_counts_client_id
+    ON public.counts(client_id)
+    WHERE client_id IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION public.save_count_capture(
+    p_client_id UUID,
+    p_session_id UUID,
+    p_item_id UUID,
+    p_location_id UUID,
+    p_count_id UUID,
+    p_counted_qty INTEGER,
+    p_calculation TEXT,
+    p_captured_at TIMESTAMPTZ
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    user_id UUID := auth.uid();
+    -- A device clock running ahead must not open a window that is not open yet.
+    capture_time TIMESTAMPTZ := least(coalesce(p_captured_at, NOW()), NOW());
+    session_record public.sessions%ROWTYPE;
+    count_record public.counts%ROWTYPE;
+BEGIN
+    IF user_id IS NULL THEN
+        RAISE EXCEPTION 'CC_NOT_AUTHENTICATED:Login required';
+    END IF;
+    IF p_client_id IS NULL THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Client ID is required';
+    END IF;
+
+    -- Replaying an insert that already reached the server returns the stored row.
+    SELECT * INTO count_record FROM public.counts WHERE client_id = p_client_id;
+    IF FOUND THEN
+        RETURN to_jsonb(count_record) || jsonb_build_object('replayed', true);
+    END IF;
+
+    IF p_counted_qty IS NULL OR p_counted_qty < 0 THEN
+        RAISE EXCEPTION 'CC_INVALID_QUANTITY:Quantity must be zero or more';
+    END IF;
+
+    SELECT * INTO session_record FROM public.sessions WHERE id = p_session_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_SESSION_NOT_FOUND:Session no longer exists';
+    END IF;
+
+    IF NOT public.is_admin() AND NOT EXISTS (
+        SELECT 1 FROM public.session_users su
+        WHERE su.session_id = p_session_id AND su.user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'CC_NOT_ASSIGNED:You are no longer assigned to this session';
+    END IF;
+
+    -- Sessions closed by auto_close_expired_sessions() still accept captures
+    -- made before valid_until; a manual close rejects everything.
+    IF session_record.status::text IN ('completed', 'cancelled', 'scheduled')
+       OR (session_record.status::text = 'closed' AND (
+            session_record.auto_closed_at IS NULL
+            OR session_record.valid_until IS NULL
+            OR capture_time > session_record.valid_until
+       )) THEN
+        RAISE EXCEPTION 'CC_SESSION_CLOSED:Session was % before this count was synced', session_record.status;
+    END IF;
+
+    IF session_record.valid_from IS NOT NULL AND capture_time < session_record.valid_from THEN
+        RAISE EXCEPTION 'CC_OUTSIDE_WINDOW:Count was captured before the session opened';
+    END IF;
+    IF session_record.valid_until IS NOT NULL AND capture_time > session_record.valid_until THEN
+        RAISE EXCEPTION 'CC_OUTSIDE_WINDOW:Count was captured after the session closed';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.locations WHERE id = p_location_id AND is_active = true
+    ) THEN
+        RAISE EXCEPTION 'CC_INVALID_LOCATION:Location is no longer active';
+    END IF;
+
+    IF p_count_id IS NULL THEN
+        INSERT INTO public.counts (
+            session_id, item_id, user_id, location_id, counted_qty,
+            counted_qty_calculation, client_id, captured_at, timestamp
+        ) VALUES (
+            p_session_id, p_item_id, user_id, p_location_id, p_counted_qty,
+            nullif(trim(p_calculation), ''), p_client_id, capture_time, capture_time
+        ) RETURNING * INTO count_record;
+
+        RETURN to_jsonb(count_record) || jsonb_build_object('replayed', false);
+    END IF;
+
+    SELECT * INTO count_record
+    FROM public.counts
+    WHERE id = p_count_id AND session_id = p_session_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_COUNT_NOT_FOUND:The count being edited was deleted';
+    END IF;
+    IF count_record.user_id <> user_id AND NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_NOT_OWNER:Only the original counter can edit this count';
+    END IF;
+    -- Equal timestamps are a replay of this same edit and simply re-apply it.
+    IF coalesce(count_record.captured_at, count_record.timestamp) > capture_time THEN
+        RAISE EXCEPTION 'CC_STALE_EDIT:The count was changed after this edit was captured';
+    END IF;
+
+    UPDATE public.counts
+    SET counted_qty = p_counted_qty,
+        counted_qty_calculation = nullif(trim(p_calculation), ''),
+        captured_at = capture_time
+    WHERE id = p_count_id
+    RETURNING * INTO count_record;
+
+    RETURN to_jsonb(count_record) || jsonb_build_object('replayed', false);
+END;
+$$;
+
+COMMENT ON FUNCTION public.save_count_capture IS 'Idempotently inserts or updates a count captured (possibly offline) at p_captured_at';
+
+REVOKE ALL ON FUNCTION public.save_count_capture(UUID, UUID, UUID, UUID, UUID, INTEGER, TEXT, TIMESTAMPTZ) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.save_count_capture(UUID, UUID, UUID, UUID, UUID, INTEGER, TEXT, TIMESTAMPTZ) TO authenticated;
+
+COMMIT;
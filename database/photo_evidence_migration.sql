@@ -0,0 +1,159 @@
+-- =====================================================
+-- Photo evidence
+-- Photos of damaged or disputed stock, attached to a count or to a
+-- kritis/over status report. The images live in the private Storage bucket
+-- photo-evidence under <subject_type>/<subject_id>/<uuid>.jpg; this table
+-- records which subject each one belongs to.
+-- Requires count_duplicates_migration.sql and create_report_status_raw_mat_table.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.photo_attachments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subject_type TEXT NOT NULL CHECK (subject_type IN ('count', 'status_report')),
+    subject_id UUID NOT NULL,
+    storage_path TEXT NOT NULL UNIQUE,
+    content_type TEXT NOT NULL DEFAULT 'image/jpeg',
+    size_bytes INTEGER,
+    width INTEGER,
+    height INTEGER,
+    uploaded_by UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_photo_attachments_subject ON public.photo_attachments(subject_type, subject_id);
+
+ALTER TABLE public.photo_attachments ENABLE ROW LEVEL SECURITY;
+
+-- Count photos follow the visibility of their count, so blind sessions stay
+-- blind; status reports are visible to everyone like the reports themselves.
+CREATE OR REPLACE FUNCTION public.can_view_photo_subject(p_subject_type TEXT, p_subject_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = public, auth
+AS $$
+    SELECT CASE p_subject_type
+        WHEN 'count' THEN EXISTS (SELECT 1 FROM public.counts WHERE id = p_subject_id)
+        WHEN 'status_report' THEN EXISTS (SELECT 1 FROM public.report_status_raw_mat WHERE id = p_subject_id)
+        ELSE false
+    END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_attach_photo(p_subject_type TEXT, p_subject_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+    SELECT public.is_admin() OR CASE p_subject_type
+        WHEN 'count' THEN EXISTS (
+            SELECT 1 FROM public.counts WHERE id = p_subject_id AND user_id = auth.uid()
+        )
+        WHEN 'status_report' THEN EXISTS (
+            SELECT 1 FROM public.report_status_raw_mat WHERE id = p_subject_id
+        )
+        ELSE false
+    END;
+$$;
+
+DROP POLICY IF EXISTS photo_attachments_read ON public.photo_attachments;
+CREATE POLICY photo_attachments_read ON public.photo_attachments
+    FOR SELECT TO authenticated USING (
+        public.is_admin() OR public.can_view_photo_subject(subject_type, subject_id)
+    );
+
+DROP POLICY IF EXISTS photo_attachments_insert ON public.photo_attachments;
+CREATE POLICY photo_attachments_insert ON public.photo_attachments
+    FOR INSERT TO authenticated WITH CHECK (
+        uploaded_by = auth.uid() AND public.can_attach_photo(subject_type, subject_id)
+    );
+
+DROP POLICY IF EXISTS photo_attachments_delete ON public.photo_attachments;
+CREATE POLICY photo_attachments_delete ON public.photo_attachments
+    FOR DELETE TO authenticated USING (uploaded_by = auth.uid() OR public.is_admin());
+
+REVOKE ALL ON public.photo_attachments FROM anon, authenticated;
+GRANT SELECT, INSERT, DELETE ON public.photo_attachments TO authenticated;
+
+-- Photos of a count merged into another one move with it.
+CREATE OR REPLACE FUNCTION public.move_merged_count_photos()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF NEW.source_count_id IS NOT NULL THEN
+        UPDATE public.photo_attachments
+        SET subject_id = NEW.target_count_id
+        WHERE subject_type = 'count' AND subject_id = NEW.source_count_id;
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_move_merged_count_photos ON public.count_merges;
+CREATE TRIGGER trg_move_merged_count_photos
+    AFTER INSERT ON public.count_merges
+    FOR EACH ROW EXECUTE FUNCTION public.move_merged_count_photos();
+
+-- Subject of a stored object from its <subject_type>/<subject_id>/ folders;
+-- NULL when the second folder is not a UUID.
+CREATE OR REPLACE FUNCTION public.photo_object_subject_id(p_name TEXT)
+RETURNS UUID
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public, storage
+AS $$
+    SELECT CASE
+        WHEN (storage.foldername(p_name))[2] ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+        THEN (storage.foldername(p_name))[2]::UUID
+    END;
+$$;
+
+-- Storage bucket; reads go through signed URLs.
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('photo-evidence', 'photo-evidence', false, 5242880, ARRAY['image/jpeg', 'image/png', 'image/webp'])
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS photo_evidence_read ON storage.objects;
+-- Signing a URL needs SELECT, so reads follow the subject's visibility
+-- (blind sessions stay blind). A photo moved to another count by a merge
+-- keeps its path; its attachment row, under the same rule, still allows it.
+CREATE POLICY photo_evidence_read ON storage.objects
+    FOR SELECT TO authenticated USING (
+        bucket_id = 'photo-evidence'
+        AND (
+            public.is_admin()
+            OR public.can_view_photo_subject((storage.foldername(name))[1], public.photo_object_subject_id(name))
+            OR EXISTS (SELECT 1 FROM public.photo_attachments attachment WHERE attachment.storage_path = name)
+        )
+    );
+
+DROP POLICY IF EXISTS photo_evidence_insert ON storage.objects;
+CREATE POLICY photo_evidence_insert ON storage.objects
+    FOR INSERT TO authenticated WITH CHECK (
+        bucket_id = 'photo-evidence'
+        AND public.can_attach_photo((storage.foldername(name))[1], public.photo_object_subject_id(name))
+    );
+
+DROP POLICY IF EXISTS photo_evidence_delete ON storage.objects;
+CREATE POLICY photo_evidence_delete ON storage.objects
+    FOR DELETE TO authenticated USING (
+        bucket_id = 'photo-evidence' AND (owner = auth.uid() OR public.is_admin())
+    );
+
+REVOKE ALL ON FUNCTION public.can_view_photo_subject(TEXT, UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.can_view_photo_subject(TEXT, UUID) TO authenticated;
+REVOKE ALL ON FUNCTION public.can_attach_photo(TEXT, UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.can_attach_photo(TEXT, UUID) TO authenticated;
+REVOKE ALL ON FUNCTION public.move_merged_count_photos() FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.photo_object_subject_id(TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.photo_object_subject_id(TEXT) TO authenticated;
+
+COMMIT;
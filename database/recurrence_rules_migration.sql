@@ -0,0 +1,289 @@
+-- =====================================================
+-- Recurrence rules and holiday calendar
+-- recurring_config gains:
+--   interval      every N days / weeks / months (default 1)
+--   start_date    day the intervals count from (default: template creation)
+--   type 'monthly_weekday'      with week (1-4, -1 = last) and weekday (0-6)
+--   type 'monthly_working_day'  with working_day (1-5, -1 = last)
+--   working_days  weekdays (0-6) the plant works; missing = every day
+--   holidays      'skip' | 'previous' | 'next': what an occurrence on a
+--                 non-working day does (default 'skip')
+-- Admins keep public holidays and plant shutdowns in holiday_calendar;
+-- generate_recurring_sessions() skips or moves occurrences that fall on
+-- them. recurring_session_logs gains occurrence_date, the rule date a
+-- generated session stands for, so an occurrence a holiday moved is not
+-- generated again once the holiday is removed. The rules mirror src/features/cycle-count/lib/recurrence.js, which
+-- previews them in the session editor.
+-- Requires session_calendar_migration.sql; replaces
+-- abc_occurrences_per_year() from abc_planning_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.holiday_calendar (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+    kind TEXT NOT NULL DEFAULT 'public_holiday'
+        CHECK (kind IN ('public_holiday', 'shutdown', 'other')),
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL,
+    created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT holiday_calendar_range_check CHECK (ends_on >= starts_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_holiday_calendar_range ON public.holiday_calendar(starts_on, ends_on);
+
+COMMENT ON TABLE public.holiday_calendar IS 'Public holidays and plant shutdowns recurring sessions are not generated on';
+COMMENT ON COLUMN public.sessions.recurring_config IS 'JSON config: {type: "daily"|"weekly"|"monthly"|"monthly_weekday"|"monthly_working_day", interval, start_date, days: [0-6], dates: [1-31], week, weekday, working_day, working_days: [0-6], holidays: "skip"|"previous"|"next"}';
+
+ALTER TABLE public.holiday_calendar ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS holiday_calendar_read ON public.holiday_calendar;
+CREATE POLICY holiday_calendar_read ON public.holiday_calendar
+    FOR SELECT TO authenticated USING (true);
+DROP POLICY IF EXISTS holiday_calendar_admin_write ON public.holiday_calendar;
+CREATE POLICY holiday_calendar_admin_write ON public.holiday_calendar
+    FOR ALL TO authenticated USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+REVOKE ALL ON public.holiday_calendar FROM anon, authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.holiday_calendar TO authenticated;
+
+-- The occurrence a generated session stands for; differs from scheduled_date
+-- when a holiday moved it. NULL for sessions generated before this migration.
+ALTER TABLE public.recurring_session_logs
+    ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_recurring_logs_occurrence
+    ON public.recurring_session_logs(master_session_id, occurrence_date);
+
+-- Holidays and shutdowns, plus the weekdays outside the template's working_days.
+CREATE OR REPLACE FUNCTION public.is_non_working_day(p_config JSONB, p_day DATE)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SET search_path = public, auth
+AS $$
+    -- coalesce: without working_days the array test is NULL, and callers
+    -- negate the result
+    SELECT coalesce(
+        jsonb_typeof(p_config->'working_days') = 'array'
+        AND NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements_text(p_config->'working_days') AS working_day
+            WHERE working_day::INTEGER = EXTRACT(DOW FROM p_day)::INTEGER
+        ),
+        false
+    ) OR EXISTS (
+        SELECT 1 FROM public.holiday_calendar holiday
+        WHERE p_day BETWEEN holiday.starts_on AND holiday.ends_on
+    );
+$$;
+
+-- Whether the rule falls on the day, before holidays are applied.
+CREATE OR REPLACE FUNCTION public.recurrence_rule_matches(p_config JSONB, p_anchor DATE, p_day DATE)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SET search_path = public, auth
+AS $$
+DECLARE
+    v_every INTEGER := greatest(coalesce((p_config->>'interval')::INTEGER, 1), 1);
+    v_base DATE := coalesce(p_anchor, p_day);
+    v_month_due BOOLEAN;
+    v_month_start DATE := date_trunc('month', p_day)::DATE;
+    v_month_end DATE := (date_trunc('month', p_day) + INTERVAL '1 month - 1 day')::DATE;
+    v_position INTEGER;
+BEGIN
+    IF p_anchor IS NOT NULL AND p_day < p_anchor THEN
+        RETURN false;
+    END IF;
+    v_month_due := ((EXTRACT(YEAR FROM p_day) * 12 + EXTRACT(MONTH FROM p_day))
+                - (EXTRACT(YEAR FROM v_base) * 12 + EXTRACT(MONTH FROM v_base)))::INTEGER % v_every = 0;
+
+    CASE p_config->>'type'
+        WHEN 'daily' THEN
+            RETURN (p_day - v_base) % v_every = 0;
+
+        WHEN 'weekly' THEN
+            RETURN EXISTS (
+                    SELECT 1 FROM jsonb_array_elements_text(coalesce(p_config->'days', '[]'::JSONB)) AS day_value
+                    WHERE day_value::INTEGER = EXTRACT(DOW FROM p_day)::INTEGER
+                )
+                AND (((p_day - EXTRACT(DOW FROM p_day)::INTEGER) - (v_base - EXTRACT(DOW FROM v_base)::INTEGER)) / 7) % v_every = 0;
+
+        WHEN 'monthly' THEN
+            RETURN v_month_due AND EXISTS (
+                SELECT 1 FROM jsonb_array_elements_text(coalesce(p_config->'dates', '[]'::JSONB)) AS date_value
+                WHERE date_value::INTEGER = EXTRACT(DAY FROM p_day)::INTEGER
+            );
+
+        WHEN 'monthly_weekday' THEN
+            IF NOT v_month_due OR EXTRACT(DOW FROM p_day)::INTEGER <> (p_config->>'weekday')::INTEGER THEN
+                RETURN false;
+            END IF;
+            IF (p_config->>'week')::INTEGER = -1 THEN
+                RETURN p_day + 7 > v_month_end;
+            END IF;
+            RETURN (EXTRACT(DAY FROM p_day)::INTEGER - 1) / 7 + 1 = (p_config->>'week')::INTEGER;
+
+        WHEN 'monthly_working_day' THEN
+            IF NOT v_month_due OR public.is_non_working_day(p_config, p_day) THEN
+                RETURN false;
+            END IF;
+            IF (p_config->>'working_day')::INTEGER = -1 THEN
+                RETURN NOT EXISTS (
+                    SELECT 1 FROM generate_series(p_day + 1, v_month_end, INTERVAL '1 day') AS later_day
+                    WHERE NOT public.is_non_working_day(p_config, later_day::DATE)
+                );
+            END IF;
+            SELECT count(*) INTO v_position
+            FROM generate_series(v_month_start, p_day, INTERVAL '1 day') AS earlier_day
+            WHERE NOT public.is_non_working_day(p_config, earlier_day::DATE);
+            RETURN v_position = (p_config->>'working_day')::INTEGER;
+
+        ELSE
+            RAISE EXCEPTION 'Invalid recurrence type: %', p_config->>'type';
+    END CASE;
+END;
+$$;
+
+-- Days from p_from to p_to the rule generates a session on. Occurrences on
+-- a non-working day are skipped or moved up to 31 days to the nearest
+-- working day; two occurrences landing on one day generate one session.
+CREATE OR REPLACE FUNCTION public.recurrence_dates(p_config JSONB, p_anchor DATE, p_from DATE, p_to DATE)
+RETURNS TABLE (occurrence_date DATE, scheduled_date DATE)
+LANGUAGE plpgsql
+STABLE
+SET search_path = public, auth
+AS $$
+DECLARE
+    v_holiday_rule TEXT := coalesce(p_config->>'holidays', 'skip');
+    v_candidate DATE := p_from - 31;
+    v_target DATE;
+    v_step INTEGER;
+    v_offset INTEGER;
+    v_taken DATE[] := ARRAY[]::DATE[];
+BEGIN
+    WHILE v_candidate <= p_to + 31 LOOP
+        IF public.recurrence_rule_matches(p_config, p_anchor, v_candidate) THEN
+            v_target := v_candidate;
+            IF public.is_non_working_day(p_config, v_candidate) THEN
+                v_target := NULL;
+                IF v_holiday_rule IN ('previous', 'next') THEN
+                    v_step := CASE v_holiday_rule WHEN 'previous' THEN -1 ELSE 1 END;
+                    FOR v_offset IN 1..31 LOOP
+                        IF NOT public.is_non_working_day(p_config, v_candidate + v_step * v_offset) THEN
+                            v_target := v_candidate + v_step * v_offset;
+                            EXIT;
+                        END IF;
+                    END LOOP;
+                END IF;
+            END IF;
+
+            IF v_target BETWEEN p_from AND p_to AND NOT v_target = ANY(v_taken) THEN
+                v_taken := array_append(v_taken, v_target);
+                occurrence_date := v_candidate;
+                scheduled_date := v_target;
+                RETURN NEXT;
+            END IF;
+        END IF;
+        v_candidate := v_candidate + 1;
+    END LOOP;
+END;
+$$;
+
+-- Same as in session_calendar_migration.sql, except that the days come
+-- from recurrence_dates() so the richer rules and holidays apply.
+CREATE OR REPLACE FUNCTION public.generate_recurring_sessions(
+    p_master_session_id UUID,
+    p_days_ahead INTEGER DEFAULT 30
+)
+RETURNS TABLE(generated_count INTEGER, dates_generated DATE[]) AS $$
+DECLARE
+    v_master_session RECORD;
+    v_anchor DATE;
+    v_dates RECORD;
+    v_day DATE;
+    v_new_session_id UUID;
+    v_valid_from TIMESTAMPTZ;
+    v_valid_until TIMESTAMPTZ;
+    v_count INTEGER := 0;
+    v_generated_dates DATE[] := ARRAY[]::DATE[];
+BEGIN
+    -- Get master session
+    SELECT * INTO v_master_session
+    FROM sessions
+    WHERE id = p_master_session_id AND is_recurring_template = true;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Master session not found or not a recurring template';
+    END IF;
+
+    v_anchor := coalesce((v_master_session.recurring_config->>'start_date')::DATE, v_master_session.created_date::DATE);
+
+    FOR v_dates IN
+        SELECT dates.occurrence_date, dates.scheduled_date
+        FROM public.recurrence_dates(v_master_session.recurring_config, v_anchor, CURRENT_DATE, CURRENT_DATE + p_days_ahead) dates
+        ORDER BY dates.scheduled_date
+    LOOP
+        v_day := v_dates.scheduled_date;
+
+        -- Only generate dates and occurrences the template has not generated
+        -- yet, wherever that session or a holiday has moved it since
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM recurring_session_logs
+            WHERE master_session_id = p_master_session_id
+                AND (scheduled_date = v_day OR occurrence_date = v_dates.occurrence_date)
+        );
+
+        -- Keep the template's times on the generated day
+        v_valid_from := v_day::TIMESTAMP + (v_master_session.valid_from::TIME);
+        v_valid_until := v_day::TIMESTAMP + (v_master_session.valid_until::TIME);
+
+        v_new_session_id := create_session_from_template(
+            p_master_session_id,
+            v_day,
+            v_valid_from,
+            v_valid_until
+        );
+
+        UPDATE recurring_session_logs
+        SET occurrence_date = v_dates.occurrence_date
+        WHERE generated_session_id = v_new_session_id;
+
+        v_count := v_count + 1;
+        v_generated_dates := array_append(v_generated_dates, v_day);
+    END LOOP;
+
+    RETURN QUERY SELECT v_count, v_generated_dates;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Sessions a recurring template generates in a year, before holidays.
+-- Mirrors occurrencesPerYear() in src/features/cycle-count/lib/recurrence.js.
+CREATE OR REPLACE FUNCTION public.abc_occurrences_per_year(p_config JSONB)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public, auth
+AS $$
+    SELECT round(
+        CASE p_config->>'type'
+            WHEN 'daily' THEN 365
+            WHEN 'weekly' THEN 52 * coalesce(jsonb_array_length(p_config->'days'), 0)
+            WHEN 'monthly' THEN 12 * coalesce(jsonb_array_length(p_config->'dates'), 0)
+            WHEN 'monthly_weekday' THEN 12
+            WHEN 'monthly_working_day' THEN 12
+            ELSE 0
+        END::NUMERIC / greatest(coalesce((p_config->>'interval')::INTEGER, 1), 1)
+    )::INTEGER;
+$$;
+
+REVOKE ALL ON FUNCTION public.abc_occurrences_per_year(JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.is_non_working_day(JSONB, DATE) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.recurrence_rule_matches(JSONB, DATE, DATE) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.recurrence_dates(JSONB, DATE, DATE, DATE) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.generate_recurring_sessions TO authenticated;
+
+COMMIT;
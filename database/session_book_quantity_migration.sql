@@ -0,0 +1,220 @@
+-- =====================================================
+-- Session book quantity snapshot
+-- Stores the system ("book") quantity each session item is expected to
+-- have, so counts can be compared against it. Raw Material items are
+-- snapshotted from the material FIFO lots when the session becomes active
+-- (or when the item is added to an already active session); other items
+-- get their book quantity from an uploaded system stock file.
+-- Requires material_fifo_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.session_book_quantities (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES public.sessions(id) ON DELETE CASCADE,
+    item_id UUID NOT NULL REFERENCES public.items(id) ON DELETE CASCADE,
+    -- NULL means the book quantity is only known for the item as a whole.
+    location_name TEXT,
+    book_qty NUMERIC(20,4) NOT NULL CHECK (book_qty >= 0),
+    source TEXT NOT NULL CHECK (source IN ('MATERIAL_FIFO', 'UPLOAD')),
+    captured_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_session_book_quantities_unique
+    ON public.session_book_quantities(session_id, item_id, coalesce(location_name, ''));
+CREATE INDEX IF NOT EXISTS idx_session_book_quantities_session
+    ON public.session_book_quantities(session_id);
+
+COMMENT ON TABLE public.session_book_quantities IS 'System stock per session item (and location) used to calculate count variance';
+
+ALTER TABLE public.session_book_quantities ENABLE ROW LEVEL SECURITY;
+
+-- Book quantities are only readable by admins; writes go through the functions below.
+DROP POLICY IF EXISTS session_book_quantities_admin_read ON public.session_book_quantities;
+CREATE POLICY session_book_quantities_admin_read ON public.session_book_quantities
+    FOR SELECT TO authenticated USING (public.is_admin());
+
+GRANT SELECT ON public.session_book_quantities TO authenticated;
+
+-- Copies the FIFO stock of the session's Raw Material items into the
+-- snapshot. Items that already have a snapshot are left untouched, so the
+-- book quantity stays frozen at the moment counting started.
+CREATE OR REPLACE FUNCTION public.snapshot_session_book_quantities(
+    p_session_id UUID,
+    p_item_id UUID DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    inserted_count INTEGER;
+BEGIN
+    WITH targets AS (
+        SELECT si.item_id
+        FROM public.session_items si
+        WHERE si.session_id = p_session_id
+          AND (p_item_id IS NULL OR si.item_id = p_item_id)
+          AND public.is_raw_material(si.item_id)
+          AND NOT EXISTS (
+              SELECT 1 FROM public.session_book_quantities book
+              WHERE book.session_id = p_session_id AND book.item_id = si.item_id
+          )
+    ),
+    stock AS (
+        SELECT target.item_id, lot.location AS location_name, sum(lot.remaining_qty) AS book_qty
+        FROM targets target
+        JOIN public.material_fifo_lots lot
+          ON lot.item_id = target.item_id AND lot.remaining_qty > 0
+        GROUP BY target.item_id, lot.location
+        UNION ALL
+        -- Items without stock still need a zero book quantity.
+        SELECT target.item_id, NULL, 0
+        FROM targets target
+        WHERE NOT EXISTS (
+            SELECT 1 FROM public.material_fifo_lots lot
+            WHERE lot.item_id = target.item_id AND lot.remaining_qty > 0
+        )
+    )
+    INSERT INTO public.session_book_quantities (
+        session_id, item_id, location_name, book_qty, source, captured_by
+    )
+    SELECT p_session_id, stock.item_id, stock.location_name, stock.book_qty, 'MATERIAL_FIFO', auth.uid()
+    FROM stock
+    ON CONFLICT DO NOTHING;
+
+    GET DIAGNOSTICS inserted_count = ROW_COUNT;
+    RETURN inserted_count;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.take_session_book_snapshot(p_session_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM public.sessions WHERE id = p_session_id) THEN
+        RAISE EXCEPTION 'CC_SESSION_NOT_FOUND:Session no longer exists';
+    END IF;
+    RETURN public.snapshot_session_book_quantities(p_session_id);
+END;
+$$;
+
+-- Replaces the uploaded book quantities of a session. Rows are
+-- [{ "item_id": uuid, "location_name": text|null, "book_qty": number }].
+CREATE OR REPLACE FUNCTION public.upload_session_book_quantities(
+    p_session_id UUID,
+    p_rows JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    row_data JSONB;
+    row_item_id UUID;
+    row_qty NUMERIC;
+    inserted_count INTEGER := 0;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM public.sessions WHERE id = p_session_id) THEN
+        RAISE EXCEPTION 'CC_SESSION_NOT_FOUND:Session no longer exists';
+    END IF;
+    IF p_rows IS NULL OR jsonb_typeof(p_rows) <> 'array' THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Rows must be a JSON array';
+    END IF;
+
+    DELETE FROM public.session_book_quantities
+    WHERE session_id = p_session_id AND source = 'UPLOAD';
+
+    FOR row_data IN SELECT value FROM jsonb_array_elements(p_rows) LOOP
+        row_item_id := (row_data->>'item_id')::UUID;
+        row_qty := (row_data->>'book_qty')::NUMERIC;
+
+        IF NOT EXISTS (
+            SELECT 1 FROM public.session_items
+            WHERE session_id = p_session_id AND item_id = row_item_id
+        ) THEN
+            RAISE EXCEPTION 'CC_ITEM_NOT_IN_SESSION:Item % is not part of this session', row_item_id;
+        END IF;
+        IF public.is_raw_material(row_item_id) THEN
+            RAISE EXCEPTION 'CC_BOOK_SOURCE_MANAGED:Raw Material book quantities come from the FIFO stock';
+        END IF;
+        IF row_qty IS NULL OR row_qty < 0 THEN
+            RAISE EXCEPTION 'CC_INVALID_QUANTITY:Book quantity must be zero or more';
+        END IF;
+
+        INSERT INTO public.session_book_quantities (
+            session_id, item_id, location_name, book_qty, source, captured_by
+        ) VALUES (
+            p_session_id, row_item_id, nullif(trim(row_data->>'location_name'), ''),
+            row_qty, 'UPLOAD', auth.uid()
+        );
+        inserted_count := inserted_count + 1;
+    END LOOP;
+
+    RETURN jsonb_build_object('inserted', inserted_count);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.snapshot_book_on_session_activate()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF NEW.status::text = 'active'
+       AND (TG_OP = 'INSERT' OR OLD.status::text IS DISTINCT FROM 'active') THEN
+        PERFORM public.snapshot_session_book_quantities(NEW.id);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.snapshot_book_on_session_item_added()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM public.sessions
+        WHERE id = NEW.session_id AND status::text = 'active'
+    ) THEN
+        PERFORM public.snapshot_session_book_quantities(NEW.session_id, NEW.item_id);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_sessions_book_snapshot ON public.sessions;
+CREATE TRIGGER trg_sessions_book_snapshot
+    AFTER INSERT OR UPDATE OF status ON public.sessions
+    FOR EACH ROW EXECUTE FUNCTION public.snapshot_book_on_session_activate();
+
+DROP TRIGGER IF EXISTS trg_session_items_book_snapshot ON public.session_items;
+CREATE TRIGGER trg_session_items_book_snapshot
+    AFTER INSERT ON public.session_items
+    FOR EACH ROW EXECUTE FUNCTION public.snapshot_book_on_session_item_added();
+
+REVOKE ALL ON FUNCTION public.snapshot_session_book_quantities(UUID, UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.take_session_book_snapshot(UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.upload_session_book_quantities(UUID, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.take_session_book_snapshot(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.upload_session_book_quantities(UUID, JSONB) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,179 @@
+-- =====================================================
+-- Session calendar
+-- Admins move draft and scheduled sessions to another day from the
+-- sessions calendar. The time window moves with the session, and a
+-- generated session keeps its template's date in its name in step.
+-- generate_recurring_sessions() now skips the dates its log already has,
+-- so a generated session moved to another day is not generated again on
+-- its original date. Deleting a generated session still frees its date.
+-- Requires recurring_sessions_migration_fixed.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+CREATE OR REPLACE FUNCTION public.reschedule_session(p_session_id UUID, p_scheduled_date DATE)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    session_record public.sessions%ROWTYPE;
+    current_date_of_session DATE;
+    shift INTERVAL;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+    IF p_scheduled_date IS NULL OR p_scheduled_date < CURRENT_DATE THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Sessions can only be moved to today or later';
+    END IF;
+
+    SELECT * INTO session_record FROM public.sessions WHERE id = p_session_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_SESSION_NOT_FOUND:Session no longer exists';
+    END IF;
+    IF coalesce(session_record.is_recurring_template, false)
+       OR session_record.status::text NOT IN ('draft', 'scheduled') THEN
+        RAISE EXCEPTION 'CC_SESSION_STARTED:Only draft and scheduled sessions can be moved';
+    END IF;
+
+    current_date_of_session := coalesce(session_record.scheduled_date, session_record.valid_from::DATE, p_scheduled_date);
+    shift := make_interval(days => p_scheduled_date - current_date_of_session);
+
+    UPDATE public.sessions
+    SET scheduled_date = p_scheduled_date,
+        is_scheduled = true,
+        valid_from = valid_from + shift,
+        valid_until = valid_until + shift,
+        name = CASE
+            WHEN parent_session_id IS NOT NULL AND session_record.scheduled_date IS NOT NULL
+                THEN replace(name, to_char(session_record.scheduled_date, 'DD/MM/YYYY'), to_char(p_scheduled_date, 'DD/MM/YYYY'))
+            ELSE name
+        END,
+        updated_at = NOW()
+    WHERE id = p_session_id
+    RETURNING * INTO session_record;
+
+    RETURN to_jsonb(session_record);
+END;
+$$;
+
+-- Same as in recurring_sessions_migration_fixed.sql, except that a date
+-- counts as done when the template's log has it rather than when a
+-- session is scheduled on it.
+CREATE OR REPLACE FUNCTION public.generate_recurring_sessions(
+    p_master_session_id UUID,
+    p_days_ahead INTEGER DEFAULT 30
+)
+RETURNS TABLE(generated_count INTEGER, dates_generated DATE[]) AS $$
+DECLARE
+    v_master_session RECORD;
+    v_current_date DATE;
+    v_end_date DATE;
+    v_config JSONB;
+    v_recurrence_type TEXT;
+    v_days INTEGER[];
+    v_dates INTEGER[];
+    v_day_of_week INTEGER;
+    v_day_of_month INTEGER;
+    v_should_generate BOOLEAN;
+    v_new_session_id UUID;
+    v_valid_from TIMESTAMPTZ;
+    v_valid_until TIMESTAMPTZ;
+    v_count INTEGER := 0;
+    v_generated_dates DATE[] := ARRAY[]::DATE[];
+BEGIN
+    -- Get master session
+    SELECT * INTO v_master_session
+    FROM sessions
+    WHERE id = p_master_session_id AND is_recurring_template = true;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Master session not found or not a recurring template';
+    END IF;
+
+    -- Get recurring config
+    v_config := v_master_session.recurring_config;
+    v_recurrence_type := v_config->>'type';
+
+    -- Parse days/dates from config
+    IF v_config ? 'days' THEN
+        v_days := ARRAY(SELECT jsonb_array_elements_text(v_config->'days')::INTEGER);
+    END IF;
+
+    IF v_config ? 'dates' THEN
+        v_dates := ARRAY(SELECT jsonb_array_elements_text(v_config->'dates')::INTEGER);
+    END IF;
+
+    -- Set date range
+    v_current_date := CURRENT_DATE;
+    v_end_date := CURRENT_DATE + p_days_ahead;
+
+    -- Loop through dates
+    WHILE v_current_date <= v_end_date LOOP
+        v_should_generate := false;
+
+        -- Only generate dates the template has not generated yet, wherever
+        -- that session was moved to since
+        IF NOT EXISTS (
+            SELECT 1 FROM recurring_session_logs
+            WHERE master_session_id = p_master_session_id
+                AND scheduled_date = v_current_date
+        ) THEN
+            -- Determine if we should generate based on recurrence type
+            CASE v_recurrence_type
+                WHEN 'daily' THEN
+                    v_should_generate := true;
+
+                WHEN 'weekly' THEN
+                    v_day_of_week := EXTRACT(DOW FROM v_current_date)::INTEGER; -- 0=Sunday, 6=Saturday
+                    IF v_days IS NOT NULL AND v_day_of_week = ANY(v_days) THEN
+                        v_should_generate := true;
+                    END IF;
+
+                WHEN 'monthly' THEN
+                    v_day_of_month := EXTRACT(DAY FROM v_current_date)::INTEGER;
+                    IF v_dates IS NOT NULL AND v_day_of_month = ANY(v_dates) THEN
+                        v_should_generate := true;
+                    END IF;
+
+                ELSE
+                    RAISE EXCEPTION 'Invalid recurrence type: %', v_recurrence_type;
+            END CASE;
+
+            -- Generate session if criteria met
+            IF v_should_generate THEN
+                -- Calculate valid_from and valid_until for the scheduled date
+                -- Extract time from master session's valid_from/valid_until
+                v_valid_from := v_current_date::TIMESTAMP + (v_master_session.valid_from::TIME);
+                v_valid_until := v_current_date::TIMESTAMP + (v_master_session.valid_until::TIME);
+
+                -- Create session from template
+                v_new_session_id := create_session_from_template(
+                    p_master_session_id,
+                    v_current_date,
+                    v_valid_from,
+                    v_valid_until
+                );
+
+                v_count := v_count + 1;
+                v_generated_dates := array_append(v_generated_dates, v_current_date);
+            END IF;
+        END IF;
+
+        -- Move to next day
+        v_current_date := v_current_date + 1;
+    END LOOP;
+
+    -- Return results
+    RETURN QUERY SELECT v_count, v_generated_dates;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION public.reschedule_session(UUID, DATE) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.reschedule_session(UUID, DATE) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.generate_recurring_sessions TO authenticated;
+
+COMMIT;
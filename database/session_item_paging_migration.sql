@@ -0,0 +1,126 @@
+-- =====================================================
+-- Paged session items
+-- Large sessions no longer load every session item and count into the
+-- counter's phone. The item list asks for one page at a time, with the
+-- search and the counted / uncounted / recount filter applied here, and
+-- counts are fetched only for the rows on screen.
+--   session_item_summary  item total and categories (for the location list)
+--   list_session_items    one filtered page of items plus the match total
+-- Blind sessions judge "counted" by the caller's own counts, like the
+-- counts RLS does. Requires session_recount_migration.sql and
+-- unit_conversion_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_counts_session_item ON public.counts(session_id, item_id);
+
+CREATE OR REPLACE FUNCTION public.session_item_summary(p_session_id UUID)
+RETURNS TABLE (item_count BIGINT, categories TEXT[])
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF NOT public.is_admin() AND NOT EXISTS (
+        SELECT 1 FROM public.session_users su
+        WHERE su.session_id = p_session_id AND su.user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'CC_NOT_ASSIGNED:You are no longer assigned to this session';
+    END IF;
+
+    RETURN QUERY
+    SELECT count(*), coalesce(array_agg(DISTINCT item.category) FILTER (WHERE item.category IS NOT NULL), '{}')
+    FROM public.session_items si
+    JOIN public.items item ON item.id = si.item_id
+    WHERE si.session_id = p_session_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.list_session_items(
+    p_session_id UUID,
+    p_search TEXT DEFAULT NULL,
+    p_filter TEXT DEFAULT 'all',
+    p_limit INTEGER DEFAULT 100,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    id UUID,
+    sku TEXT,
+    item_code TEXT,
+    item_name TEXT,
+    uom TEXT,
+    category TEXT,
+    tags TEXT[],
+    internal_product_code TEXT,
+    unit_conversions JSONB,
+    total_count BIGINT
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    own_counts_only BOOLEAN;
+    term TEXT := lower(trim(coalesce(p_search, '')));
+BEGIN
+    IF p_filter NOT IN ('all', 'counted', 'uncounted', 'recount') THEN
+        RAISE EXCEPTION 'CC_INVALID_FILTER:Unknown item filter %', p_filter;
+    END IF;
+    IF NOT public.is_admin() AND NOT EXISTS (
+        SELECT 1 FROM public.session_users su
+        WHERE su.session_id = p_session_id AND su.user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'CC_NOT_ASSIGNED:You are no longer assigned to this session';
+    END IF;
+
+    SELECT coalesce(session_record.is_blind, false) AND NOT public.is_admin()
+    INTO own_counts_only
+    FROM public.sessions session_record
+    WHERE session_record.id = p_session_id;
+
+    RETURN QUERY
+    WITH matches AS (
+        SELECT item.*
+        FROM public.session_items si
+        JOIN public.items item ON item.id = si.item_id
+        WHERE si.session_id = p_session_id
+          AND (term = ''
+               OR position(term IN lower(item.sku)) > 0
+               OR position(term IN lower(item.item_name)) > 0
+               OR position(term IN lower(item.item_code)) > 0
+               OR position(term IN lower(coalesce(item.internal_product_code, ''))) > 0)
+          AND CASE p_filter
+              WHEN 'all' THEN true
+              WHEN 'recount' THEN EXISTS (
+                  SELECT 1 FROM public.session_recounts recount
+                  WHERE recount.session_id = p_session_id
+                    AND recount.item_id = item.id
+                    AND recount.status <> 'RESOLVED'
+                    AND (recount.assigned_to = auth.uid() OR public.is_admin()))
+              ELSE EXISTS (
+                  SELECT 1 FROM public.counts count_row
+                  WHERE count_row.session_id = p_session_id
+                    AND count_row.item_id = item.id
+                    AND (NOT own_counts_only OR count_row.user_id = auth.uid())) = (p_filter = 'counted')
+          END
+    )
+    SELECT m.id, m.sku, m.item_code, m.item_name, m.uom, m.category, m.tags,
+           -- items.internal_product_code is VARCHAR(20); RETURN QUERY needs TEXT
+           m.internal_product_code::TEXT, m.unit_conversions, count(*) OVER ()
+    FROM matches m
+    ORDER BY m.sku, m.id
+    LIMIT greatest(least(coalesce(p_limit, 100), 500), 1)
+    OFFSET greatest(coalesce(p_offset, 0), 0);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.session_item_summary(UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.list_session_items(UUID, TEXT, TEXT, INTEGER, INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.session_item_summary(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.list_session_items(UUID, TEXT, TEXT, INTEGER, INTEGER) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,188 @@
+\set ON_ERROR_STOP on
+
+-- Exercises list_session_items() and session_item_summary()
+-- (session_item_paging_migration.sql) as an assigned counter.
+-- Everything runs in one transaction and is rolled back.
+
+BEGIN;
+
+CREATE OR REPLACE FUNCTION pg_temp.assert_true(condition boolean, message text)
+RETURNS void LANGUAGE plpgsql AS $$
+BEGIN
+    IF NOT condition THEN
+        RAISE EXCEPTION 'ASSERTION FAILED: %', message;
+    END IF;
+END;
+$$;
+
+CREATE TEMP TABLE paging_test_context AS
+SELECT
+    gen_random_uuid() AS counter_id,
+    gen_random_uuid() AS outsider_id,
+    gen_random_uuid() AS category_id,
+    gen_random_uuid() AS location_id,
+    gen_random_uuid() AS session_id,
+    gen_random_uuid() AS counted_item_id,
+    gen_random_uuid() AS uncounted_item_id,
+    gen_random_uuid() AS other_item_id;
+
+GRANT SELECT ON paging_test_context TO authenticated;
+
+INSERT INTO auth.users (
+    id, instance_id, aud, role, email, encrypted_password,
+    email_confirmed_at, raw_app_meta_data, raw_user_meta_data,
+    created_at, updated_at
+)
+SELECT counter_id, '00000000-0000-0000-0000-000000000000',
+       'authenticated', 'authenticated', 'paging-counter@example.test',
+       crypt('test-password', gen_salt('bf')), now(),
+       '{"provider":"email","providers":["email"]}'::jsonb,
+       '{}'::jsonb, now(), now()
+FROM paging_test_context
+UNION ALL
+SELECT outsider_id, '00000000-0000-0000-0000-000000000000',
+       'authenticated', 'authenticated', 'paging-outsider@example.test',
+       crypt('test-password', gen_salt('bf')), now(),
+       '{"provider":"email","providers":["email"]}'::jsonb,
+       '{}'::jsonb, now(), now()
+FROM paging_test_context;
+
+INSERT INTO public.profiles (id, name, username, role, status)
+SELECT counter_id, 'Paging Counter Test', 'paging_counter_test', 'user', 'active'
+FROM paging_test_context
+UNION ALL
+SELECT outsider_id, 'Paging Outsider Test', 'paging_outsider_test', 'user', 'active'
+FROM paging_test_context;
+
+INSERT INTO public.categories (id, name)
+SELECT category_id, 'Paging Test Category' FROM paging_test_context;
+
+INSERT INTO public.locations (id, name, category_id)
+SELECT location_id, 'PAGING-LOC', category_id FROM paging_test_context;
+
+INSERT INTO public.items (
+    id, sku, item_code, item_name, category, uom,
+    internal_product_code, created_by
+)
+SELECT counted_item_id, 'PG-TEST-001', 'PG-CODE-1', 'Paging Counted',
+       'Paging Test Category', 'PCS', 'PG-INT-001', counter_id
+FROM paging_test_context
+UNION ALL
+SELECT uncounted_item_id, 'PG-TEST-002', 'PG-CODE-2', 'Paging Uncounted',
+       'Paging Test Category', 'PCS', 'PG-INT-002', counter_id
+FROM paging_test_context
+UNION ALL
+SELECT other_item_id, 'PG-TEST-003', 'PG-CODE-3', 'Not In Session',
+       'Paging Test Category', 'PCS', 'PG-INT-003', counter_id
+FROM paging_test_context;
+
+INSERT INTO public.sessions (id, name, status, created_by)
+SELECT session_id, 'Paging Test Session', 'active', counter_id FROM paging_test_context;
+
+INSERT INTO public.session_items (session_id, item_id)
+SELECT session_id, counted_item_id FROM paging_test_context
+UNION ALL
+SELECT session_id, uncounted_item_id FROM paging_test_context;
+
+INSERT INTO public.session_users (session_id, user_id)
+SELECT session_id, counter_id FROM paging_test_context;
+
+SELECT set_config('request.jwt.claim.sub', counter_id::text, true),
+       set_config(
+           'request.jwt.claims',
+           jsonb_build_object('sub', counter_id, 'role', 'authenticated')::text,
+           true
+       )
+FROM paging_test_context;
+
+INSERT INTO public.counts (session_id, item_id, user_id, location_id, counted_qty)
+SELECT session_id, counted_item_id, counter_id, location_id, 5 FROM paging_test_context;
+
+SET LOCAL ROLE authenticated;
+
+SELECT pg_temp.assert_true(
+    (SELECT item_count FROM public.session_item_summary((SELECT session_id FROM paging_test_context))) = 2,
+    'summary must count the session items only'
+);
+
+SELECT pg_temp.assert_true(
+    (SELECT count(*) FROM public.list_session_items((SELECT session_id FROM paging_test_context))) = 2
+    AND (SELECT min(total_count) FROM public.list_session_items((SELECT session_id FROM paging_test_context))) = 2,
+    'first page must return both items and the match total'
+);
+
+SELECT pg_temp.assert_true(
+    (SELECT internal_product_code FROM public.list_session_items(
+        (SELECT session_id FROM paging_test_context), 'pg-int-002'
+    )) = 'PG-INT-002',
+    'search must match the internal product code and return it'
+);
+
+SELECT pg_temp.assert_true(
+    (SELECT id FROM public.list_session_items(
+        (SELECT session_id FROM paging_test_context), NULL, 'counted'
+    )) = (SELECT counted_item_id FROM paging_test_context),
+    'counted filter must return the counted item'
+);
+
+SELECT pg_temp.assert_true(
+    (SELECT id FROM public.list_session_items(
+        (SELECT session_id FROM paging_test_context), NULL, 'uncounted'
+    )) = (SELECT uncounted_item_id FROM paging_test_context),
+    'uncounted filter must return the uncounted item'
+);
+
+SELECT pg_temp.assert_true(
+    (SELECT sku FROM public.list_session_items(
+        (SELECT session_id FROM paging_test_context), NULL, 'all', 1, 1
+    )) = 'PG-TEST-002'
+    AND (SELECT total_count FROM public.list_session_items(
+        (SELECT session_id FROM paging_test_context), NULL, 'all', 1, 1
+    )) = 2,
+    'second page of one must return the second item by SKU with the full total'
+);
+
+DO $$
+DECLARE error_message text;
+BEGIN
+    BEGIN
+        PERFORM public.list_session_items((SELECT session_id FROM paging_test_context), NULL, 'bogus');
+        RAISE EXCEPTION 'expected invalid filter failure';
+    EXCEPTION WHEN OTHERS THEN
+        GET STACKED DIAGNOSTICS error_message = MESSAGE_TEXT;
+        PERFORM pg_temp.assert_true(
+            position('CC_INVALID_FILTER:' in error_message) = 1,
+            'unknown filter must return CC_INVALID_FILTER'
+        );
+    END;
+END;
+$$;
+
+RESET ROLE;
+
+SELECT set_config('request.jwt.claim.sub', outsider_id::text, true),
+       set_config(
+           'request.jwt.claims',
+           jsonb_build_object('sub', outsider_id, 'role', 'authenticated')::text,
+           true
+       )
+FROM paging_test_context;
+SET LOCAL ROLE authenticated;
+DO $$
+DECLARE error_message text;
+BEGIN
+    BEGIN
+        PERFORM public.list_session_items((SELECT session_id FROM paging_test_context));
+        RAISE EXCEPTION 'expected unassigned user failure';
+    EXCEPTION WHEN OTHERS THEN
+        GET STACKED DIAGNOSTICS error_message = MESSAGE_TEXT;
+        PERFORM pg_temp.assert_true(
+            position('CC_NOT_ASSIGNED:' in error_message) = 1,
+            'unassigned user must return CC_NOT_ASSIGNED'
+        );
+    END;
+END;
+$$;
+RESET ROLE;
+
+ROLLBACK;
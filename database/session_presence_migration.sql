@@ -0,0 +1,56 @@
+-- =====================================================
+-- Session presence
+-- Counters join the private realtime channel presence:<session_id> and
+-- publish which item and location they have open. Only the session's
+-- counters and admins may join. Presence carries no quantities, so blind
+-- sessions use it too.
+-- Requires blind_count_migration.sql and location_guided_count_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+CREATE OR REPLACE FUNCTION public.can_join_session_presence(p_topic TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    topic_session_id UUID;
+BEGIN
+    IF p_topic IS NULL OR split_part(p_topic, ':', 1) <> 'presence' THEN
+        RETURN false;
+    END IF;
+    BEGIN
+        topic_session_id := split_part(p_topic, ':', 2)::UUID;
+    EXCEPTION WHEN invalid_text_representation THEN
+        RETURN false;
+    END;
+
+    RETURN public.can_access_session(topic_session_id);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.can_join_session_presence(TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.can_join_session_presence(TEXT) TO authenticated;
+
+-- The calculator policies admit every topic that is not calc:*, so the
+-- presence check is restrictive and narrows them down for presence:*.
+DO $$
+BEGIN
+    IF to_regclass('realtime.messages') IS NOT NULL THEN
+        EXECUTE 'DROP POLICY IF EXISTS presence_channel_read ON realtime.messages';
+        EXECUTE 'CREATE POLICY presence_channel_read ON realtime.messages
+            AS RESTRICTIVE FOR SELECT TO authenticated
+            USING (realtime.topic() NOT LIKE ''presence:%'' OR public.can_join_session_presence(realtime.topic()))';
+        EXECUTE 'DROP POLICY IF EXISTS presence_channel_write ON realtime.messages';
+        EXECUTE 'CREATE POLICY presence_channel_write ON realtime.messages
+            AS RESTRICTIVE FOR INSERT TO authenticated
+            WITH CHECK (realtime.topic() NOT LIKE ''presence:%'' OR public.can_join_session_presence(realtime.topic()))';
+    END IF;
+END;
+$$;
+
+COMMIT;
@@ -0,0 +1,428 @@
+-- =====================================================
+-- Recount workflow
+-- Items whose first-round counted total deviates from the book quantity
+-- beyond the session tolerance are flagged for recount and assigned to a
+-- session counter who did not count them. Counts entered by that counter
+-- are recorded as round 2; an admin then picks the final quantity
+-- (first count, recount or a manual value) used by exports and
+-- adjustments.
+-- Requires session_book_quantity_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE public.sessions
+    ADD COLUMN IF NOT EXISTS recount_tolerance_pct NUMERIC(7,2)
+        CHECK (recount_tolerance_pct IS NULL OR recount_tolerance_pct >= 0),
+    ADD COLUMN IF NOT EXISTS recount_tolerance_qty NUMERIC(20,4) NOT NULL DEFAULT 0
+        CHECK (recount_tolerance_qty >= 0);
+
+COMMENT ON COLUMN public.sessions.recount_tolerance_pct IS 'Variance percentage above which an item is recounted; NULL disables recounts';
+COMMENT ON COLUMN public.sessions.recount_tolerance_qty IS 'Absolute variance that must also be exceeded before an item is recounted';
+
+ALTER TABLE public.counts
+    ADD COLUMN IF NOT EXISTS count_round SMALLINT NOT NULL DEFAULT 1
+        CHECK (count_round IN (1, 2));
+
+COMMENT ON COLUMN public.counts.count_round IS '1 = first count, 2 = recount by the assigned recount counter';
+
+CREATE TABLE IF NOT EXISTS public.session_recounts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES public.sessions(id) ON DELETE CASCADE,
+    item_id UUID NOT NULL REFERENCES public.items(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'REQUESTED'
+        CHECK (status IN ('REQUESTED', 'COUNTED', 'RESOLVED')),
+    book_qty NUMERIC(20,4) NOT NULL,
+    first_count_qty NUMERIC(20,4) NOT NULL,
+    first_counter_ids UUID[] NOT NULL DEFAULT '{}',
+    assigned_to UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    recount_qty NUMERIC(20,4),
+    final_source TEXT CHECK (final_source IN ('FIRST', 'RECOUNT', 'MANUAL')),
+    final_qty NUMERIC(20,4) CHECK (final_qty IS NULL OR final_qty >= 0),
+    resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (session_id, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_recounts_assigned
+    ON public.session_recounts(assigned_to)
+    WHERE status <> 'RESOLVED';
+
+ALTER TABLE public.session_recounts ENABLE ROW LEVEL SECURITY;
+
+-- Counters must not see the first count or book quantity; they use
+-- list_my_session_recounts() instead.
+DROP POLICY IF EXISTS session_recounts_admin_read ON public.session_recounts;
+CREATE POLICY session_recounts_admin_read ON public.session_recounts
+    FOR SELECT TO authenticated USING (public.is_admin());
+
+GRANT SELECT ON public.session_recounts TO authenticated;
+
+-- Picks the session counter with the fewest open recounts, skipping the
+-- users who made the first count.
+CREATE OR REPLACE FUNCTION public.pick_recount_counter(p_session_id UUID, p_exclude UUID[])
+RETURNS UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+    SELECT su.user_id
+    FROM public.session_users su
+    JOIN public.profiles profile ON profile.id = su.user_id
+    WHERE su.session_id = p_session_id
+      AND NOT (su.user_id = ANY (coalesce(p_exclude, '{}')))
+      AND coalesce(profile.status, 'active') = 'active'
+    ORDER BY (
+        SELECT count(*) FROM public.session_recounts recount
+        WHERE recount.session_id = p_session_id
+          AND recount.assigned_to = su.user_id
+          AND recount.status <> 'RESOLVED'
+    ), random()
+    LIMIT 1;
+$$;
+
+-- Flags, updates or withdraws the recount of one item from its first-round
+-- counts. Recounts that already have round-2 counts are left alone.
+CREATE OR REPLACE FUNCTION public.evaluate_item_recount(p_session_id UUID, p_item_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    session_record public.sessions%ROWTYPE;
+    recount_record public.session_recounts%ROWTYPE;
+    counted NUMERIC;
+    counters UUID[];
+    book NUMERIC;
+    variance NUMERIC;
+    exceeds BOOLEAN := false;
+BEGIN
+    SELECT * INTO session_record FROM public.sessions WHERE id = p_session_id;
+    IF NOT FOUND OR session_record.recount_tolerance_pct IS NULL THEN
+        RETURN;
+    END IF;
+
+    SELECT * INTO recount_record
+    FROM public.session_recounts
+    WHERE session_id = p_session_id AND item_id = p_item_id
+    FOR UPDATE;
+    IF recount_record.id IS NOT NULL AND recount_record.status <> 'REQUESTED' THEN
+        RETURN;
+    END IF;
+
+    SELECT coalesce(sum(counted_qty), 0), array_agg(DISTINCT user_id)
+    INTO counted, counters
+    FROM public.counts
+    WHERE session_id = p_session_id AND item_id = p_item_id AND count_round = 1;
+
+    SELECT sum(book_qty) INTO book
+    FROM public.session_book_quantities
+    WHERE session_id = p_session_id AND item_id = p_item_id;
+
+    IF book IS NOT NULL AND counters IS NOT NULL THEN
+        variance := abs(counted - book);
+        exceeds := variance > session_record.recount_tolerance_qty
+            AND (book = 0 OR variance / book * 100 > session_record.recount_tolerance_pct);
+    END IF;
+
+    IF NOT exceeds THEN
+        IF recount_record.id IS NOT NULL THEN
+            DELETE FROM public.session_recounts WHERE id = recount_record.id;
+        END IF;
+        RETURN;
+    END IF;
+
+    IF recount_record.id IS NULL THEN
+        INSERT INTO public.session_recounts (
+            session_id, item_id, book_qty, first_count_qty, first_counter_ids, assigned_to
+        ) VALUES (
+            p_session_id, p_item_id, book, counted, counters,
+            public.pick_recount_counter(p_session_id, counters)
+        );
+        RETURN;
+    END IF;
+
+    UPDATE public.session_recounts
+    SET book_qty = book,
+        first_count_qty = counted,
+        first_counter_ids = counters,
+        -- The assignee may have since counted the item in the first round.
+        assigned_to = CASE
+            WHEN assigned_to IS NULL OR assigned_to = ANY (counters)
+                THEN public.pick_recount_counter(p_session_id, counters)
+            ELSE assigned_to
+        END,
+        updated_at = NOW()
+    WHERE id = recount_record.id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.evaluate_session_recounts(p_session_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    session_item RECORD;
+BEGIN
+    FOR session_item IN
+        SELECT item_id FROM public.session_items WHERE session_id = p_session_id
+    LOOP
+        PERFORM public.evaluate_item_recount(p_session_id, session_item.item_id);
+    END LOOP;
+END;
+$$;
+
+-- Counts by the counter a recount is assigned to belong to round 2.
+CREATE OR REPLACE FUNCTION public.set_count_round()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    NEW.count_round := CASE WHEN EXISTS (
+        SELECT 1 FROM public.session_recounts recount
+        WHERE recount.session_id = NEW.session_id
+          AND recount.item_id = NEW.item_id
+          AND recount.assigned_to = NEW.user_id
+          AND recount.status <> 'RESOLVED'
+    ) THEN 2 ELSE 1 END;
+    RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.recount_on_count_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    changed public.counts%ROWTYPE;
+    recount_total NUMERIC;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        changed := OLD;
+    ELSE
+        changed := NEW;
+    END IF;
+
+    IF changed.count_round = 1 THEN
+        PERFORM public.evaluate_item_recount(changed.session_id, changed.item_id);
+        RETURN NULL;
+    END IF;
+
+    SELECT sum(counted_qty) INTO recount_total
+    FROM public.counts
+    WHERE session_id = changed.session_id AND item_id = changed.item_id AND count_round = 2;
+
+    UPDATE public.session_recounts
+    SET recount_qty = recount_total,
+        status = CASE WHEN recount_total IS NULL THEN 'REQUESTED' ELSE 'COUNTED' END,
+        updated_at = NOW()
+    WHERE session_id = changed.session_id
+      AND item_id = changed.item_id
+      AND status <> 'RESOLVED';
+    RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.recount_on_book_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        PERFORM public.evaluate_item_recount(OLD.session_id, OLD.item_id);
+    ELSE
+        PERFORM public.evaluate_item_recount(NEW.session_id, NEW.item_id);
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.recount_on_tolerance_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    PERFORM public.evaluate_session_recounts(NEW.id);
+    RETURN NULL;
+END;
+$$;
+
+-- Generated sessions inherit the tolerance of their recurring template.
+CREATE OR REPLACE FUNCTION public.inherit_session_recount_tolerance()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    parent_record public.sessions%ROWTYPE;
+BEGIN
+    IF NEW.parent_session_id IS NOT NULL THEN
+        SELECT * INTO parent_record FROM public.sessions WHERE id = NEW.parent_session_id;
+        IF FOUND THEN
+            NEW.recount_tolerance_pct := parent_record.recount_tolerance_pct;
+            NEW.recount_tolerance_qty := parent_record.recount_tolerance_qty;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_counts_set_round ON public.counts;
+CREATE TRIGGER trg_counts_set_round
+    BEFORE INSERT ON public.counts
+    FOR EACH ROW EXECUTE FUNCTION public.set_count_round();
+
+DROP TRIGGER IF EXISTS trg_counts_recount ON public.counts;
+CREATE TRIGGER trg_counts_recount
+    AFTER INSERT OR UPDATE OF counted_qty OR DELETE ON public.counts
+    FOR EACH ROW EXECUTE FUNCTION public.recount_on_count_change();
+
+DROP TRIGGER IF EXISTS trg_book_quantities_recount ON public.session_book_quantities;
+CREATE TRIGGER trg_book_quantities_recount
+    AFTER INSERT OR UPDATE OR DELETE ON public.session_book_quantities
+    FOR EACH ROW EXECUTE FUNCTION public.recount_on_book_change();
+
+DROP TRIGGER IF EXISTS trg_sessions_recount_tolerance ON public.sessions;
+CREATE TRIGGER trg_sessions_recount_tolerance
+    AFTER UPDATE OF recount_tolerance_pct, recount_tolerance_qty ON public.sessions
+    FOR EACH ROW EXECUTE FUNCTION public.recount_on_tolerance_change();
+
+DROP TRIGGER IF EXISTS trg_sessions_inherit_recount_tolerance ON public.sessions;
+CREATE TRIGGER trg_sessions_inherit_recount_tolerance
+    BEFORE INSERT ON public.sessions
+    FOR EACH ROW EXECUTE FUNCTION public.inherit_session_recount_tolerance();
+
+-- Open recounts visible to the caller: their own assignments, or all of
+-- them for admins. Quantities are left out so recounts stay blind.
+CREATE OR REPLACE FUNCTION public.list_my_session_recounts(p_session_id UUID)
+RETURNS TABLE (recount_id UUID, item_id UUID, status TEXT, assigned_to UUID)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+    SELECT recount.id, recount.item_id, recount.status, recount.assigned_to
+    FROM public.session_recounts recount
+    WHERE recount.session_id = p_session_id
+      AND recount.status <> 'RESOLVED'
+      AND (recount.assigned_to = auth.uid() OR public.is_admin());
+$$;
+
+CREATE OR REPLACE FUNCTION public.assign_session_recount(p_recount_id UUID, p_user_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    recount_record public.session_recounts%ROWTYPE;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+
+    SELECT * INTO recount_record FROM public.session_recounts WHERE id = p_recount_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_RECOUNT_NOT_FOUND:Recount no longer exists';
+    END IF;
+    IF recount_record.status <> 'REQUESTED' THEN
+        RAISE EXCEPTION 'CC_RECOUNT_STARTED:The recount has already been counted';
+    END IF;
+    IF p_user_id IS NOT NULL AND (
+        p_user_id = ANY (recount_record.first_counter_ids)
+        OR NOT EXISTS (
+            SELECT 1 FROM public.session_users
+            WHERE session_id = recount_record.session_id AND user_id = p_user_id
+        )
+    ) THEN
+        RAISE EXCEPTION 'CC_RECOUNT_ASSIGNEE_INVALID:Recount must go to a session counter who did not count the item';
+    END IF;
+
+    UPDATE public.session_recounts
+    SET assigned_to = p_user_id, updated_at = NOW()
+    WHERE id = p_recount_id
+    RETURNING * INTO recount_record;
+
+    RETURN to_jsonb(recount_record);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.resolve_session_recount(
+    p_recount_id UUID,
+    p_final_source TEXT,
+    p_final_qty NUMERIC
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    recount_record public.session_recounts%ROWTYPE;
+    resolved_qty NUMERIC;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+
+    SELECT * INTO recount_record FROM public.session_recounts WHERE id = p_recount_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_RECOUNT_NOT_FOUND:Recount no longer exists';
+    END IF;
+
+    IF p_final_source IS NULL OR p_final_source NOT IN ('FIRST', 'RECOUNT', 'MANUAL') THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Unknown final value source';
+    END IF;
+    resolved_qty := CASE p_final_source
+        WHEN 'FIRST' THEN recount_record.first_count_qty
+        WHEN 'RECOUNT' THEN recount_record.recount_qty
+        ELSE p_final_qty
+    END;
+    IF p_final_source = 'RECOUNT' AND resolved_qty IS NULL THEN
+        RAISE EXCEPTION 'CC_RECOUNT_NOT_COUNTED:The item has not been recounted yet';
+    END IF;
+    IF resolved_qty IS NULL OR resolved_qty < 0 THEN
+        RAISE EXCEPTION 'CC_INVALID_QUANTITY:Final quantity must be zero or more';
+    END IF;
+
+    UPDATE public.session_recounts
+    SET status = 'RESOLVED',
+        final_source = p_final_source,
+        final_qty = resolved_qty,
+        resolved_by = auth.uid(),
+        resolved_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_recount_id
+    RETURNING * INTO recount_record;
+
+    RETURN to_jsonb(recount_record);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.pick_recount_counter(UUID, UUID[]) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.evaluate_item_recount(UUID, UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.evaluate_session_recounts(UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.list_my_session_recounts(UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.assign_session_recount(UUID, UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.resolve_session_recount(UUID, TEXT, NUMERIC) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.list_my_session_recounts(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.assign_session_recount(UUID, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.resolve_session_recount(UUID, TEXT, NUMERIC) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,447 @@
+-- =====================================================
+-- Session review and approval
+-- After counting, an admin reviews each item's variance, records a reason
+-- code for every difference and approves the session. Approval freezes the
+-- reviewed figures, completes the session and posts the differences of Raw
+-- Material items to the Material FIFO ledger as ADJ transactions that point
+-- back to the session.
+-- Requires material_fifo_migration.sql and session_recount_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+-- -----------------------------------------------------
+-- Ledger: adjustment transactions
+-- -----------------------------------------------------
+
+ALTER TABLE public.material_fifo_transactions
+    ADD COLUMN IF NOT EXISTS adjustment_direction TEXT
+        CHECK (adjustment_direction IS NULL OR adjustment_direction IN ('GAIN', 'LOSS')),
+    ADD COLUMN IF NOT EXISTS source_session_id UUID
+        REFERENCES public.sessions(id) ON DELETE RESTRICT,
+    ADD COLUMN IF NOT EXISTS reason_code TEXT;
+
+ALTER TABLE public.material_fifo_transactions
+    DROP CONSTRAINT IF EXISTS material_fifo_transactions_transaction_type_check;
+ALTER TABLE public.material_fifo_transactions
+    ADD CONSTRAINT material_fifo_transactions_transaction_type_check
+        CHECK (transaction_type IN ('IN', 'OUT', 'ADJ'));
+
+ALTER TABLE public.material_fifo_transactions
+    DROP CONSTRAINT IF EXISTS material_fifo_transactions_adjustment_check;
+ALTER TABLE public.material_fifo_transactions
+    ADD CONSTRAINT material_fifo_transactions_adjustment_check
+        CHECK ((transaction_type = 'ADJ') = (adjustment_direction IS NOT NULL AND source_session_id IS NOT NULL));
+
+COMMENT ON COLUMN public.material_fifo_transactions.adjustment_direction IS 'ADJ only: GAIN adds a lot, LOSS consumes lots in FIFO order';
+COMMENT ON COLUMN public.material_fifo_transactions.source_session_id IS 'Cycle count session whose approval posted this adjustment';
+
+-- One adjustment per item per session, so an approval can never post twice.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_material_fifo_transactions_session_adjustment
+    ON public.material_fifo_transactions(source_session_id, item_id)
+    WHERE transaction_type = 'ADJ';
+
+-- -----------------------------------------------------
+-- Review tables
+-- -----------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.session_reviews (
+    session_id UUID PRIMARY KEY REFERENCES public.sessions(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'IN_REVIEW'
+        CHECK (status IN ('IN_REVIEW', 'APPROVED')),
+    notes TEXT,
+    reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    approved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- counted_qty, book_qty and variance are frozen when the session is
+-- approved; before that the live figures come from the variance report.
+CREATE TABLE IF NOT EXISTS public.session_review_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES public.session_reviews(session_id) ON DELETE CASCADE,
+    item_id UUID NOT NULL REFERENCES public.items(id) ON DELETE CASCADE,
+    reason_code TEXT CHECK (reason_code IS NULL OR reason_code IN (
+        'COUNTING_ERROR', 'DAMAGED', 'EXPIRED', 'MISPLACED',
+        'UNRECORDED_RECEIPT', 'UNRECORDED_ISSUE', 'THEFT', 'OTHER'
+    )),
+    notes TEXT,
+    adjust_location TEXT CHECK (adjust_location IS NULL OR adjust_location ~ '^[A-Z]+[0-9]+\.[0-9]+$'),
+    counted_qty NUMERIC(20,4),
+    book_qty NUMERIC(20,4),
+    variance NUMERIC(20,4),
+    fifo_transaction_id UUID REFERENCES public.material_fifo_transactions(id) ON DELETE RESTRICT,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (session_id, item_id)
+);
+
+ALTER TABLE public.session_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.session_review_lines ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS session_reviews_admin_read ON public.session_reviews;
+CREATE POLICY session_reviews_admin_read ON public.session_reviews
+    FOR SELECT TO authenticated USING (public.is_admin());
+
+DROP POLICY IF EXISTS session_review_lines_admin_read ON public.session_review_lines;
+CREATE POLICY session_review_lines_admin_read ON public.session_review_lines
+    FOR SELECT TO authenticated USING (public.is_admin());
+
+GRANT SELECT ON public.session_reviews TO authenticated;
+GRANT SELECT ON public.session_review_lines TO authenticated;
+
+-- -----------------------------------------------------
+-- Functions
+-- -----------------------------------------------------
+
+-- Per-item figures used for approval. Mirrors resolveCountedQty() in
+-- src/features/cycle-count/lib/variance.js: the resolved recount value,
+-- otherwise the first-round total. Items nobody counted are not adjusted.
+CREATE OR REPLACE FUNCTION public.session_review_totals(p_session_id UUID)
+RETURNS TABLE (item_id UUID, is_counted BOOLEAN, counted_qty NUMERIC, book_qty NUMERIC, variance NUMERIC)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+    SELECT
+        session_item.item_id,
+        first_round.total IS NOT NULL OR coalesce(recount.status = 'RESOLVED', false),
+        final.qty,
+        book.total,
+        final.qty - book.total
+    FROM public.session_items session_item
+    LEFT JOIN public.session_recounts recount
+        ON recount.session_id = session_item.session_id AND recount.item_id = session_item.item_id
+    LEFT JOIN LATERAL (
+        SELECT sum(count_row.counted_qty) AS total
+        FROM public.counts count_row
+        WHERE count_row.session_id = session_item.session_id
+          AND count_row.item_id = session_item.item_id
+          AND count_row.count_round = 1
+    ) first_round ON true
+    LEFT JOIN LATERAL (
+        SELECT sum(book_row.book_qty) AS total
+        FROM public.session_book_quantities book_row
+        WHERE book_row.session_id = session_item.session_id
+          AND book_row.item_id = session_item.item_id
+    ) book ON true
+    CROSS JOIN LATERAL (
+        SELECT CASE WHEN recount.status = 'RESOLVED' THEN recount.final_qty
+                    ELSE coalesce(first_round.total, 0) END AS qty
+    ) final
+    WHERE session_item.session_id = p_session_id;
+$$;
+
+-- Upserts the review header and the reason codes of the given lines.
+CREATE OR REPLACE FUNCTION public.store_session_review(
+    p_session_id UUID,
+    p_lines JSONB,
+    p_notes TEXT
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    review_status TEXT;
+    line JSONB;
+    line_item_id UUID;
+    line_reason TEXT;
+    line_location TEXT;
+BEGIN
+    SELECT status INTO review_status
+    FROM public.session_reviews
+    WHERE session_id = p_session_id
+    FOR UPDATE;
+    IF review_status = 'APPROVED' THEN
+        RAISE EXCEPTION 'CC_REVIEW_APPROVED:This session has already been approved';
+    END IF;
+
+    INSERT INTO public.session_reviews (session_id, notes, reviewed_by)
+    VALUES (p_session_id, nullif(trim(p_notes), ''), auth.uid())
+    ON CONFLICT (session_id) DO UPDATE
+    SET notes = EXCLUDED.notes,
+        reviewed_by = EXCLUDED.reviewed_by,
+        updated_at = NOW();
+
+    FOR line IN SELECT * FROM jsonb_array_elements(coalesce(p_lines, '[]'::jsonb))
+    LOOP
+        line_item_id := (line->>'item_id')::UUID;
+        line_reason := nullif(upper(trim(line->>'reason_code')), '');
+        line_location := nullif(upper(trim(line->>'adjust_location')), '');
+
+        IF NOT EXISTS (
+            SELECT 1 FROM public.session_items
+            WHERE session_id = p_session_id AND item_id = line_item_id
+        ) THEN
+            RAISE EXCEPTION 'CC_ITEM_NOT_IN_SESSION:Item is not part of this session';
+        END IF;
+        IF line_reason IS NOT NULL AND line_reason NOT IN (
+            'COUNTING_ERROR', 'DAMAGED', 'EXPIRED', 'MISPLACED',
+            'UNRECORDED_RECEIPT', 'UNRECORDED_ISSUE', 'THEFT', 'OTHER'
+        ) THEN
+            RAISE EXCEPTION 'CC_INVALID_REASON:Unknown reason code %', line_reason;
+        END IF;
+        IF line_location IS NOT NULL AND line_location !~ '^[A-Z]+[0-9]+\.[0-9]+$' THEN
+            RAISE EXCEPTION 'CC_INVALID_ADJUST_LOCATION:Use a FIFO location such as A1.1';
+        END IF;
+
+        INSERT INTO public.session_review_lines (session_id, item_id, reason_code, notes, adjust_location)
+        VALUES (p_session_id, line_item_id, line_reason, nullif(trim(line->>'notes'), ''), line_location)
+        ON CONFLICT (session_id, item_id) DO UPDATE
+        SET reason_code = EXCLUDED.reason_code,
+            notes = EXCLUDED.notes,
+            adjust_location = EXCLUDED.adjust_location,
+            updated_at = NOW();
+    END LOOP;
+END;
+$$;
+
+-- Posts one ADJ transaction for a Raw Material item under the same
+-- per-item lock as receive/issue. A LOSS consumes lots in FIFO order; a
+-- GAIN opens a lot at the chosen location, else the most-counted FIFO
+-- location of the session, else the location of the newest lot.
+CREATE OR REPLACE FUNCTION public.post_session_adjustment(
+    p_session_id UUID,
+    p_item_id UUID,
+    p_variance NUMERIC,
+    p_reason_code TEXT,
+    p_notes TEXT,
+    p_location TEXT
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    session_name TEXT;
+    item_sku TEXT;
+    transaction_id UUID;
+    stock_before NUMERIC(20,4);
+    adjust_qty NUMERIC(20,4) := abs(p_variance);
+    needed_qty NUMERIC(20,4) := abs(p_variance);
+    take_qty NUMERIC(20,4);
+    gain_location TEXT := p_location;
+    lot_record RECORD;
+BEGIN
+    SELECT name INTO session_name FROM public.sessions WHERE id = p_session_id;
+    SELECT sku INTO item_sku FROM public.items WHERE id = p_item_id;
+
+    PERFORM pg_advisory_xact_lock(hashtextextended(p_item_id::text, 0));
+    stock_before := public.material_fifo_stock(p_item_id);
+
+    IF p_variance < 0 AND stock_before < adjust_qty THEN
+        RAISE EXCEPTION 'CC_ADJUSTMENT_EXCEEDS_STOCK:% has % in FIFO stock but the loss is %',
+            item_sku, stock_before, adjust_qty;
+    END IF;
+
+    IF p_variance > 0 AND gain_location IS NULL THEN
+        SELECT upper(location.name) INTO gain_location
+        FROM public.counts count_row
+        JOIN public.locations location ON location.id = count_row.location_id
+        WHERE count_row.session_id = p_session_id
+          AND count_row.item_id = p_item_id
+          AND location.name ~ '^[A-Za-z]+[0-9]+\.[0-9]+$'
+        GROUP BY upper(location.name)
+        ORDER BY sum(count_row.counted_qty) DESC, upper(location.name)
+        LIMIT 1;
+    END IF;
+    IF p_variance > 0 AND gain_location IS NULL THEN
+        SELECT location INTO gain_location
+        FROM public.material_fifo_lots
+        WHERE item_id = p_item_id
+        ORDER BY received_date DESC, created_at DESC, id DESC
+        LIMIT 1;
+    END IF;
+    IF p_variance > 0 AND gain_location IS NULL THEN
+        RAISE EXCEPTION 'CC_ADJUST_LOCATION_REQUIRED:Choose a FIFO location for the gain of %', item_sku;
+    END IF;
+
+    INSERT INTO public.material_fifo_transactions (
+        request_id, item_id, transaction_type, adjustment_direction, issue_method,
+        quantity, transaction_date, selected_location, stock_before, stock_after,
+        notes, source_session_id, reason_code, created_by
+    ) VALUES (
+        gen_random_uuid(), p_item_id, 'ADJ',
+        CASE WHEN p_variance > 0 THEN 'GAIN' ELSE 'LOSS' END,
+        CASE WHEN p_variance > 0 THEN NULL ELSE 'FIFO' END,
+        adjust_qty, CURRENT_DATE,
+        CASE WHEN p_variance > 0 THEN gain_location ELSE NULL END,
+        stock_before,
+        stock_before + p_variance,
+        concat_ws(' - ', 'Cycle count ' || session_name, p_reason_code, nullif(trim(p_notes), '')),
+        p_session_id, p_reason_code, auth.uid()
+    ) RETURNING id INTO transaction_id;
+
+    IF p_variance > 0 THEN
+        INSERT INTO public.material_fifo_lots (
+            item_id, inbound_transaction_id, location, received_date,
+            initial_qty, remaining_qty, created_by
+        ) VALUES (
+            p_item_id, transaction_id, gain_location, CURRENT_DATE,
+            adjust_qty, adjust_qty, auth.uid()
+        );
+        RETURN transaction_id;
+    END IF;
+
+    FOR lot_record IN
+        SELECT id, remaining_qty
+        FROM public.material_fifo_lots
+        WHERE item_id = p_item_id AND remaining_qty > 0
+        ORDER BY received_date, created_at, id
+        FOR UPDATE
+    LOOP
+        EXIT WHEN needed_qty <= 0;
+        take_qty := least(needed_qty, lot_record.remaining_qty);
+        UPDATE public.material_fifo_lots
+        SET remaining_qty = remaining_qty - take_qty, updated_at = now()
+        WHERE id = lot_record.id;
+        INSERT INTO public.material_fifo_allocations(transaction_id, lot_id, quantity)
+        VALUES (transaction_id, lot_record.id, take_qty);
+        needed_qty := needed_qty - take_qty;
+    END LOOP;
+
+    RETURN transaction_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.save_session_review(
+    p_session_id UUID,
+    p_lines JSONB,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    review_record public.session_reviews%ROWTYPE;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM public.sessions WHERE id = p_session_id) THEN
+        RAISE EXCEPTION 'CC_SESSION_NOT_FOUND:Session no longer exists';
+    END IF;
+
+    PERFORM public.store_session_review(p_session_id, p_lines, p_notes);
+
+    SELECT * INTO review_record FROM public.session_reviews WHERE session_id = p_session_id;
+    RETURN to_jsonb(review_record);
+END;
+$$;
+
+-- Saves the given lines, then approves: every counted item with a variance
+-- needs a reason code, all recounts must be resolved and Raw Material
+-- items must have a FIFO book quantity.
+CREATE OR REPLACE FUNCTION public.approve_session_review(
+    p_session_id UUID,
+    p_lines JSONB,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    review_record public.session_reviews%ROWTYPE;
+    missing_count INTEGER;
+    posted_count INTEGER := 0;
+    line_record RECORD;
+    transaction_id UUID;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_FORBIDDEN:Admin access required';
+    END IF;
+    PERFORM 1 FROM public.sessions WHERE id = p_session_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_SESSION_NOT_FOUND:Session no longer exists';
+    END IF;
+
+    PERFORM public.store_session_review(p_session_id, p_lines, p_notes);
+
+    IF EXISTS (
+        SELECT 1 FROM public.session_recounts
+        WHERE session_id = p_session_id AND status <> 'RESOLVED'
+    ) THEN
+        RAISE EXCEPTION 'CC_REVIEW_RECOUNTS_OPEN:Resolve all recounts before approving';
+    END IF;
+
+    SELECT count(*) INTO missing_count
+    FROM public.session_review_totals(p_session_id) totals
+    WHERE totals.is_counted AND totals.book_qty IS NULL
+      AND public.is_raw_material(totals.item_id);
+    IF missing_count > 0 THEN
+        RAISE EXCEPTION 'CC_REVIEW_BOOK_MISSING:% Raw Material item(s) have no FIFO snapshot', missing_count;
+    END IF;
+
+    SELECT count(*) INTO missing_count
+    FROM public.session_review_totals(p_session_id) totals
+    LEFT JOIN public.session_review_lines line
+        ON line.session_id = p_session_id AND line.item_id = totals.item_id
+    WHERE totals.is_counted AND totals.variance <> 0 AND line.reason_code IS NULL;
+    IF missing_count > 0 THEN
+        RAISE EXCEPTION 'CC_REVIEW_REASON_REQUIRED:% item(s) with a variance need a reason code', missing_count;
+    END IF;
+
+    INSERT INTO public.session_review_lines (session_id, item_id)
+    SELECT p_session_id, item_id FROM public.session_items WHERE session_id = p_session_id
+    ON CONFLICT (session_id, item_id) DO NOTHING;
+
+    UPDATE public.session_review_lines line
+    SET counted_qty = CASE WHEN totals.is_counted THEN totals.counted_qty END,
+        book_qty = totals.book_qty,
+        variance = CASE WHEN totals.is_counted THEN totals.variance END,
+        updated_at = NOW()
+    FROM public.session_review_totals(p_session_id) totals
+    WHERE line.session_id = p_session_id AND line.item_id = totals.item_id;
+
+    -- Item order keeps the advisory locks in a stable sequence.
+    FOR line_record IN
+        SELECT line.item_id, line.variance, line.reason_code, line.notes, line.adjust_location
+        FROM public.session_review_lines line
+        WHERE line.session_id = p_session_id
+          AND line.variance IS NOT NULL AND line.variance <> 0
+          AND public.is_raw_material(line.item_id)
+        ORDER BY line.item_id
+    LOOP
+        transaction_id := public.post_session_adjustment(
+            p_session_id, line_record.item_id, line_record.variance,
+            line_record.reason_code, line_record.notes, line_record.adjust_location
+        );
+        UPDATE public.session_review_lines
+        SET fifo_transaction_id = transaction_id
+        WHERE session_id = p_session_id AND item_id = line_record.item_id;
+        posted_count := posted_count + 1;
+    END LOOP;
+
+    UPDATE public.session_reviews
+    SET status = 'APPROVED',
+        approved_by = auth.uid(),
+        approved_at = NOW(),
+        updated_at = NOW()
+    WHERE session_id = p_session_id
+    RETURNING * INTO review_record;
+
+    UPDATE public.sessions SET status = 'completed' WHERE id = p_session_id;
+
+    RETURN to_jsonb(review_record) || jsonb_build_object('posted_count', posted_count);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.session_review_totals(UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.store_session_review(UUID, JSONB, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.post_session_adjustment(UUID, UUID, NUMERIC, TEXT, TEXT, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.save_session_review(UUID, JSONB, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.approve_session_review(UUID, JSONB, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.save_session_review(UUID, JSONB, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.approve_session_review(UUID, JSONB, TEXT) TO authenticated;
+
+COMMIT;
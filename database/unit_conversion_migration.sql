@@ -0,0 +1,189 @@
+-- =====================================================
+-- Pack-size and UOM conversion
+-- Items carry alternate units (sack, box, pallet...) with a factor to the
+-- base UOM. Counters may enter a count per unit; the converted total is
+-- stored in counted_qty and the per-unit breakdown next to
+-- counted_qty_calculation.
+-- Requires count_history_migration.sql.
+-- Safe to run repeatedly in Supabase SQL Editor.
+-- =====================================================
+
+BEGIN;
+
+-- [{"unit": "PALLET", "factor": 40}, ...]; the base UOM is not listed.
+ALTER TABLE public.items
+    ADD COLUMN IF NOT EXISTS unit_conversions JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE public.items DROP CONSTRAINT IF EXISTS items_unit_conversions_check;
+ALTER TABLE public.items ADD CONSTRAINT items_unit_conversions_check
+    CHECK (jsonb_typeof(unit_conversions) = 'array');
+
+COMMENT ON COLUMN public.items.unit_conversions IS 'Alternate units as [{unit, factor}], factor = base UOM per unit';
+
+-- [{"unit": "PALLET", "qty": 3, "factor": 40}, {"unit": "PCS", "qty": 7, "factor": 1}]
+-- The factor is copied at capture time so later changes to the item do not
+-- rewrite how an old count was made up.
+ALTER TABLE public.counts
+    ADD COLUMN IF NOT EXISTS counted_qty_breakdown JSONB;
+
+COMMENT ON COLUMN public.counts.counted_qty_breakdown IS 'Per-unit entry the count was converted from, NULL for plain entries';
+
+CREATE OR REPLACE FUNCTION public.count_breakdown_total(p_breakdown JSONB)
+RETURNS NUMERIC
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    entry JSONB;
+    total NUMERIC := 0;
+BEGIN
+    IF jsonb_typeof(p_breakdown) <> 'array' OR jsonb_array_length(p_breakdown) = 0 THEN
+        RAISE EXCEPTION 'CC_INVALID_BREAKDOWN:Unit breakdown must list at least one unit';
+    END IF;
+    FOR entry IN SELECT value FROM jsonb_array_elements(p_breakdown) LOOP
+        IF nullif(trim(entry->>'unit'), '') IS NULL
+           OR jsonb_typeof(entry->'qty') <> 'number'
+           OR jsonb_typeof(entry->'factor') <> 'number'
+           OR (entry->>'qty')::NUMERIC < 0
+           OR (entry->>'factor')::NUMERIC <= 0 THEN
+            RAISE EXCEPTION 'CC_INVALID_BREAKDOWN:Unit breakdown entry % is not valid', entry;
+        END IF;
+        total := total + (entry->>'qty')::NUMERIC * (entry->>'factor')::NUMERIC;
+    END LOOP;
+    RETURN total;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS public.save_count_capture(UUID, UUID, UUID, UUID, UUID, INTEGER, TEXT, TIMESTAMPTZ, TEXT);
+
+CREATE OR REPLACE FUNCTION public.save_count_capture(
+    p_client_id UUID,
+    p_session_id UUID,
+    p_item_id UUID,
+    p_location_id UUID,
+    p_count_id UUID,
+    p_counted_qty INTEGER,
+    p_calculation TEXT,
+    p_captured_at TIMESTAMPTZ,
+    p_device TEXT DEFAULT NULL,
+    p_breakdown JSONB DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+    user_id UUID := auth.uid();
+    -- A device clock running ahead must not open a window that is not open yet.
+    capture_time TIMESTAMPTZ := least(coalesce(p_captured_at, NOW()), NOW());
+    session_record public.sessions%ROWTYPE;
+    count_record public.counts%ROWTYPE;
+BEGIN
+    IF user_id IS NULL THEN
+        RAISE EXCEPTION 'CC_NOT_AUTHENTICATED:Login required';
+    END IF;
+    IF p_client_id IS NULL THEN
+        RAISE EXCEPTION 'CC_INVALID_REQUEST:Client ID is required';
+    END IF;
+
+    -- Replaying an insert that already reached the server returns the stored row.
+    SELECT * INTO count_record FROM public.counts WHERE client_id = p_client_id;
+    IF FOUND THEN
+        RETURN to_jsonb(count_record) || jsonb_build_object('replayed', true);
+    END IF;
+
+    IF p_counted_qty IS NULL OR p_counted_qty < 0 THEN
+        RAISE EXCEPTION 'CC_INVALID_QUANTITY:Quantity must be zero or more';
+    END IF;
+    IF p_breakdown IS NOT NULL AND public.count_breakdown_total(p_breakdown) <> p_counted_qty THEN
+        RAISE EXCEPTION 'CC_INVALID_BREAKDOWN:Unit breakdown does not add up to the quantity';
+    END IF;
+
+    SELECT * INTO session_record FROM public.sessions WHERE id = p_session_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_SESSION_NOT_FOUND:Session no longer exists';
+    END IF;
+
+    IF NOT public.is_admin() AND NOT EXISTS (
+        SELECT 1 FROM public.session_users su
+        WHERE su.session_id = p_session_id AND su.user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'CC_NOT_ASSIGNED:You are no longer assigned to this session';
+    END IF;
+
+    -- Sessions closed by auto_close_expired_sessions() still accept captures
+    -- made before valid_until; a manual close rejects everything.
+    IF session_record.status::text IN ('completed', 'cancelled', 'scheduled')
+       OR (session_record.status::text = 'closed' AND (
+            session_record.auto_closed_at IS NULL
+            OR session_record.valid_until IS NULL
+            OR capture_time > session_record.valid_until
+       )) THEN
+        RAISE EXCEPTION 'CC_SESSION_CLOSED:Session was % before this count was synced', session_record.status;
+    END IF;
+
+    IF session_record.valid_from IS NOT NULL AND capture_time < session_record.valid_from THEN
+        RAISE EXCEPTION 'CC_OUTSIDE_WINDOW:Count was captured before the session opened';
+    END IF;
+    IF session_record.valid_until IS NOT NULL AND capture_time > session_record.valid_until THEN
+        RAISE EXCEPTION 'CC_OUTSIDE_WINDOW:Count was captured after the session closed';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.locations WHERE id = p_location_id AND is_active = true
+    ) THEN
+        RAISE EXCEPTION 'CC_INVALID_LOCATION:Location is no longer active';
+    END IF;
+
+    -- Read by record_count_history() for the write below.
+    PERFORM set_config('cycle_count.device', left(coalesce(trim(p_device), ''), 200), true);
+
+    IF p_count_id IS NULL THEN
+        INSERT INTO public.counts (
+            session_id, item_id, user_id, location_id, counted_qty,
+            counted_qty_calculation, counted_qty_breakdown, client_id, captured_at, timestamp
+        ) VALUES (
+            p_session_id, p_item_id, user_id, p_location_id, p_counted_qty,
+            nullif(trim(p_calculation), ''), p_breakdown, p_client_id, capture_time, capture_time
+        ) RETURNING * INTO count_record;
+
+        RETURN to_jsonb(count_record) || jsonb_build_object('replayed', false);
+    END IF;
+
+    SELECT * INTO count_record
+    FROM public.counts
+    WHERE id = p_count_id AND session_id = p_session_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CC_COUNT_NOT_FOUND:The count being edited was deleted';
+    END IF;
+    IF count_record.user_id <> user_id AND NOT public.is_admin() THEN
+        RAISE EXCEPTION 'CC_NOT_OWNER:Only the original counter can edit this count';
+    END IF;
+    -- Equal timestamps are a replay of this same edit and simply re-apply it.
+    IF coalesce(count_record.captured_at, count_record.timestamp) > capture_time THEN
+        RAISE EXCEPTION 'CC_STALE_EDIT:The count was changed after this edit was captured';
+    END IF;
+
+    UPDATE public.counts
+    SET counted_qty = p_counted_qty,
+        counted_qty_calculation = nullif(trim(p_calculation), ''),
+        counted_qty_breakdown = p_breakdown,
+        captured_at = capture_time
+    WHERE id = p_count_id
+    RETURNING * INTO count_record;
+
+    RETURN to_jsonb(count_record) || jsonb_build_object('replayed', false);
+END;
+$$;
+
+COMMENT ON FUNCTION public.save_count_capture IS 'Idempotently inserts or updates a count captured (possibly offline) at p_captured_at on p_device, with an optional per-unit breakdown';
+
+REVOKE ALL ON FUNCTION public.count_breakdown_total(JSONB) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.save_count_capture(UUID, UUID, UUID, UUID, UUID, INTEGER, TEXT, TIMESTAMPTZ, TEXT, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.save_count_capture(UUID, UUID, UUID, UUID, UUID, INTEGER, TEXT, TIMESTAMPTZ, TEXT, JSONB) TO authenticated;
+
+COMMIT;
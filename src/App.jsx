@@ -11,6 +11,7 @@ import ReportStatus from './components/ReportStatus';
 import HistoryPage from './components/HistoryPage';
 import BacklogReport from './components/BacklogReport';
 import MaterialFifoPage from './features/material-fifo/MaterialFifoPage';
+import SessionDashboardPage from './features/cycle-count/SessionDashboardPage';
 
 // Protected Route component for authenticated users
 const ProtectedRoute = ({ children, requireAdmin = false }) => {
@@ -84,6 +85,16 @@ const App = () => {
             }
           />
 
+          {/* Live progress of one session, also shown on the office TV */}
+          <Route
+            path="/dashboard/:sessionId"
+            element={
+              <ProtectedRoute requireAdmin={true}>
+                <SessionDashboardPage />
+              </ProtectedRoute>
+            }
+          />
+
           {/* Session selection for non-admin users */}
           <Route
             path="/sessions"
@@ -26,10 +26,42 @@ import {
   Code,
   Folder,
   Home,
-  Layers
+  Layers,
+  Scale,
+  ClipboardCheck,
+  History,
+  MapPin,
+  Copy,
+  MonitorPlay,
+  ScanLine,
+  PackagePlus,
+  BarChart3,
+  CopyPlus,
+  CalendarOff
 } from 'lucide-react';
 import { supabase, checkCategoryUsage, checkLocationUsage, softDeleteLocation, reactivateLocation } from '../lib/supabase';
 import TagManagement from './TagManagement';
+import SessionVarianceModal from '../features/cycle-count/components/SessionVarianceModal';
+import SessionReviewModal from '../features/cycle-count/components/SessionReviewModal';
+import LocationProgressModal from '../features/cycle-count/components/LocationProgressModal';
+import DuplicateCountsModal from '../features/cycle-count/components/DuplicateCountsModal';
+import FoundItemsModal from '../features/cycle-count/components/FoundItemsModal';
+import CloneSessionModal from '../features/cycle-count/components/CloneSessionModal';
+import SessionCalendar from '../features/cycle-count/components/SessionCalendar';
+import HolidayCalendarManager from '../features/cycle-count/components/HolidayCalendarManager';
+import RecurrenceRuleFields from '../features/cycle-count/components/RecurrenceRuleFields';
+import CounterZoneEditor from '../features/cycle-count/components/CounterZoneEditor';
+import BarcodeRulesManager from '../features/barcode-rules/components/BarcodeRulesManager';
+import AbcPlanningManager from '../features/abc-planning/components/AbcPlanningManager';
+import { fetchPendingFoundItems, fetchSessionCountHistory, fetchSessionRecounts, fetchSessionZones } from '../features/cycle-count/api/cycleCountApi';
+import { finalQtyByItem } from '../features/cycle-count/lib/variance';
+import { countPendingBySession } from '../features/cycle-count/lib/foundItems';
+import { toCountHistoryExportRows } from '../features/cycle-count/lib/countHistory';
+import { PHOTO_SUBJECT, fetchPhotoLinks } from '../features/photo-evidence/api/photoApi';
+import { describeZone } from '../features/cycle-count/lib/counterZones';
+import { formatUnitConversionText, parseUnitConversionText } from '../features/cycle-count/lib/unitConversion';
+import { buildRecurrenceConfig, describeRecurrence, normalizeRecurrence, validateRecurrence } from '../features/cycle-count/lib/recurrence';
+import { localDateOf } from '../features/cycle-count/lib/sessionClone';
 import * as XLSX from 'xlsx';
 
 const AdminDashboard = ({ user, signOut }) => {
@@ -107,7 +139,7 @@ const AdminDashboard = ({ user, signOut }) => {
       while (hasMoreItems) {
         const { data: itemsChunk, error: itemsChunkError } = await supabase
           .from('items')
-          .select('id, sku, item_code, item_name, category, uom, internal_product_code, tags, created_by, created_at, updated_at')
+          .select('id, sku, item_code, item_name, category, uom, unit_conversions, internal_product_code, tags, created_by, created_at, updated_at')
           .order('item_name')
           .range(itemsStart, itemsStart + itemsPageSize - 1);
 
@@ -240,6 +272,9 @@ const AdminDashboard = ({ user, signOut }) => {
     { id: 'tags', label: 'Tags', icon: Tag, path: '/admin/tags' },
     { id: 'users', label: 'Users', icon: Users, path: '/admin/users' },
     { id: 'categories', label: 'Categories & Locations', icon: Building, path: '/admin/categories' },
+    { id: 'barcode-rules', label: 'Barcode Rules', icon: ScanLine, path: '/admin/barcode-rules' },
+    { id: 'abc', label: 'ABC Planning', icon: BarChart3, path: '/admin/abc' },
+    { id: 'holidays', label: 'Holidays', icon: CalendarOff, path: '/admin/holidays' },
   ];
 
   const handleSignOut = async () => {
@@ -264,7 +299,7 @@ const AdminDashboard = ({ user, signOut }) => {
       while (hasMoreItems) {
         const { data: itemsChunk, error: itemsChunkError } = await supabase
           .from('items')
-          .select('id, sku, item_code, item_name, category, uom, internal_product_code, tags, created_by, created_at, updated_at')
+          .select('id, sku, item_code, item_name, category, uom, unit_conversions, internal_product_code, tags, created_by, created_at, updated_at')
           .order('item_name')
           .range(itemsStart, itemsStart + itemsPageSize - 1);
 
@@ -399,6 +434,9 @@ const AdminDashboard = ({ user, signOut }) => {
             } />
             <Route path="users" element={<UsersManager users={users} setUsers={setUsers} onDataChange={fetchAllData} />} />
             <Route path="categories" element={<CategoriesManager items={items} categories={categories} setCategories={setCategories} locations={locations} setLocations={setLocations} onDataChange={fetchAllData} />} />
+            <Route path="barcode-rules" element={<BarcodeRulesManager items={items} />} />
+            <Route path="abc" element={<AbcPlanningManager items={items} sessions={sessions} />} />
+            <Route path="holidays" element={<HolidayCalendarManager />} />
             {/* Default redirect to sessions */}
             <Route path="*" element={<Navigate to="sessions" replace />} />
           </Routes>
@@ -410,12 +448,34 @@ const AdminDashboard = ({ user, signOut }) => {
 
 // Sessions Manager Component
 const SessionsManager = React.memo(({ sessions, setSessions, onDataChange }) => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
   const [showEditor, setShowEditor] = useState(false);
   const [editingSession, setEditingSession] = useState(null);
   const [showUserAssignment, setShowUserAssignment] = useState(false);
   const [showItemSelection, setShowItemSelection] = useState(false);
   const [selectedSessionForAssignment, setSelectedSessionForAssignment] = useState(null);
   const [selectedSessionForItems, setSelectedSessionForItems] = useState(null);
+  const [varianceSession, setVarianceSession] = useState(null);
+  const [reviewSession, setReviewSession] = useState(null);
+  const [progressSession, setProgressSession] = useState(null);
+  const [duplicatesSession, setDuplicatesSession] = useState(null);
+  const [foundItemsSession, setFoundItemsSession] = useState(null);
+  const [cloningSession, setCloningSession] = useState(null);
+  const [sessionView, setSessionView] = useState('list');
+  const [pendingFinds, setPendingFinds] = useState({});
+
+  const refreshPendingFinds = useCallback(async () => {
+    try {
+      setPendingFinds(countPendingBySession(await fetchPendingFoundItems()));
+    } catch (err) {
+      console.error('Error loading pending found items:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshPendingFinds();
+  }, [refreshPendingFinds, sessions]);
 
   // Refresh only sessions data (not all dashboard data)
   const refreshSessions = async () => {
@@ -468,6 +528,13 @@ const SessionsManager = React.memo(({ sessions, setSessions, onDataChange }) =>
     setShowEditor(true);
   };
 
+  // Open the new draft in the editor so its name and settings get a review
+  const handleSessionCloned = async (copy) => {
+    setCloningSession(null);
+    await refreshSessions();
+    handleEditSession(copy);
+  };
+
   const handleDeleteSession = async (sessionId) => {
     if (!window.confirm('Are you sure you want to delete this session? All count data will be lost.')) {
       return;
@@ -558,7 +625,12 @@ const SessionsManager = React.memo(({ sessions, setSessions, onDataChange }) =>
         profileMap[profile.id] = profile.name;
       });
 
-      const csvContent = "data:text/csv;charset=utf-8,Session,SKU,Item Name,Internal Product Code,Location,Counted Qty,User,Timestamp\n";
+      const photoLinks = await fetchPhotoLinks(PHOTO_SUBJECT.COUNT, countsData.map(c => c.id));
+
+      // The item's final quantity: the resolved recount value, otherwise the first-round total
+      const finalQty = finalQtyByItem(countsData, await fetchSessionRecounts(session.id));
+
+      const csvContent = "data:text/csv;charset=utf-8,Session,SKU,Item Name,Internal Product Code,Location,Counted Qty,Round,Item Final Qty,User,Timestamp,Photos\n";
 
       const reportData = countsData.map(count => ({
         sessionName: session.name,
@@ -567,12 +639,15 @@ const SessionsManager = React.memo(({ sessions, setSessions, onDataChange }) =>
         internalProductCode: count.items?.internal_product_code || '',
         location: count.locations?.name || '',
         quantity: count.counted_qty,
+        round: count.count_round === 2 ? 'Recount' : 'First',
+        finalQty: finalQty[count.item_id],
         userName: profileMap[count.user_id] || '',
-        timestamp: formatDate(count.timestamp)
+        timestamp: formatDate(count.timestamp),
+        photos: (photoLinks[count.id] || []).join(' ')
       }));
 
       const csvRows = reportData.map(row =>
-        `${row.sessionName},"${row.sku}","${row.itemName}","${row.internalProductCode}",${row.location},${row.quantity},"${row.userName}","${row.timestamp}"`
+        `${row.sessionName},"${row.sku}","${row.itemName}","${row.internalProductCode}",${row.location},${row.quantity},${row.round},${row.finalQty},"${row.userName}","${row.timestamp}","${row.photos}"`
       ).join('\n');
 
       const finalContent = csvContent + csvRows;
@@ -590,10 +665,26 @@ const SessionsManager = React.memo(({ sessions, setSessions, onDataChange }) =>
     }
   };
 
+  const exportAuditTrail = async (session) => {
+    try {
+      const history = await fetchSessionCountHistory(session.id);
+      if (history.length === 0) {
+        alert('No count history for this session yet.');
+        return;
+      }
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(toCountHistoryExportRows(history)), 'Count History');
+      XLSX.writeFile(workbook, `${session.name}_audit_trail.xlsx`);
+    } catch (err) {
+      console.error('Error exporting audit trail:', err);
+      alert('Error exporting audit trail: ' + err.message);
+    }
+  };
+
 
   return (
     <div>
-      <div className="mb-6">
+      <div className="mb-6 flex flex-wrap items-center justify-between gap-3">
         <button
           onClick={handleCreateSession}
           className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 flex items-center space-x-2"
@@ -601,117 +692,197 @@ const SessionsManager = React.memo(({ sessions, setSessions, onDataChange }) =>
           <Plus className="h-4 w-4" />
           <span>Create Session</span>
         </button>
+        <div className="flex rounded-md border overflow-hidden text-sm">
+          {[
+            { id: 'list', label: 'List', icon: ClipboardList },
+            { id: 'calendar', label: 'Calendar', icon: Calendar },
+          ].map(({ id, label, icon: Icon }) => (
+            <button
+              key={id}
+              onClick={() => setSessionView(id)}
+              className={`px-3 py-2 flex items-center gap-1 ${sessionView === id ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              <Icon className="h-4 w-4" />
+              {label}
+            </button>
+          ))}
+        </div>
       </div>
 
-      <div className="bg-white shadow overflow-hidden sm:rounded-md">
-        <ul className="divide-y divide-gray-200">
-          {sessions.map((session) => (
-            <li key={session.id} className="px-6 py-4">
-              <div className="flex items-center justify-between">
-                <div className="flex-1">
-                  <div className="flex items-center gap-2">
-                    <h3 className="text-lg font-medium text-gray-900">
-                      {session.name}
-                    </h3>
-                    {session.is_recurring_template && (
-                      <span className="px-2 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
-                        RECURRING TEMPLATE
-                      </span>
-                    )}
-                    {session.is_scheduled && (
-                      <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs font-semibold rounded-full">
-                        SCHEDULED
+      {sessionView === 'calendar' ? (
+        <SessionCalendar sessions={sessions} onOpenSession={handleEditSession} onRescheduled={refreshSessions} />
+      ) : (
+        <div className="bg-white shadow overflow-hidden sm:rounded-md">
+          <ul className="divide-y divide-gray-200">
+            {sessions.map((session) => (
+              <li key={session.id} className="px-6 py-4">
+                <div className="flex items-center justify-between">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-2">
+                      <h3 className="text-lg font-medium text-gray-900">
+                        {session.name}
+                      </h3>
+                      {session.is_recurring_template && (
+                        <span className="px-2 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
+                          RECURRING TEMPLATE
+                        </span>
+                      )}
+                      {session.is_scheduled && (
+                        <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs font-semibold rounded-full">
+                          SCHEDULED
+                        </span>
+                      )}
+                      {session.parent_session_id && (
+                        <span className="px-2 py-1 bg-gray-100 text-gray-700 text-xs font-semibold rounded-full">
+                          AUTO-GENERATED
+                        </span>
+                      )}
+                      {session.is_blind && (
+                        <span className="px-2 py-1 bg-gray-800 text-white text-xs font-semibold rounded-full">
+                          BLIND
+                        </span>
+                      )}
+                    </div>
+                    <div className="mt-1 flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-gray-500">
+                      <span className="flex items-center">
+                        <ClipboardList className="h-4 w-4 mr-1" />
+                        {session.type}
                       </span>
-                    )}
-                    {session.parent_session_id && (
-                      <span className="px-2 py-1 bg-gray-100 text-gray-700 text-xs font-semibold rounded-full">
-                        AUTO-GENERATED
+                      <span className="flex items-center">
+                        <Users className="h-4 w-4 mr-1" />
+                        {session.session_users?.length || 0} Counter(s)
                       </span>
-                    )}
-                  </div>
-                  <div className="mt-1 flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-gray-500">
-                    <span className="flex items-center">
-                      <ClipboardList className="h-4 w-4 mr-1" />
-                      {session.type}
-                    </span>
-                    <span className="flex items-center">
-                      <Users className="h-4 w-4 mr-1" />
-                      {session.session_users?.length || 0} Counter(s)
-                    </span>
-                    <span className="flex items-center">
-                      <Calendar className="h-4 w-4 mr-1" />
-                      {session.scheduled_date ? new Date(session.scheduled_date).toLocaleDateString() : new Date(session.created_date).toLocaleDateString()}
-                    </span>
-                    {session.valid_from && session.valid_until && (
                       <span className="flex items-center">
-                        <Clock className="h-4 w-4 mr-1" />
-                        {new Date(session.valid_from).toLocaleTimeString('en-US', {hour: '2-digit', minute: '2-digit'})} - {new Date(session.valid_until).toLocaleTimeString('en-US', {hour: '2-digit', minute: '2-digit'})}
+                        <Calendar className="h-4 w-4 mr-1" />
+                        {session.scheduled_date ? new Date(session.scheduled_date).toLocaleDateString() : new Date(session.created_date).toLocaleDateString()}
+                      </span>
+                      {session.valid_from && session.valid_until && (
+                        <span className="flex items-center">
+                          <Clock className="h-4 w-4 mr-1" />
+                          {new Date(session.valid_from).toLocaleTimeString('en-US', {hour: '2-digit', minute: '2-digit'})} - {new Date(session.valid_until).toLocaleTimeString('en-US', {hour: '2-digit', minute: '2-digit'})}
+                        </span>
+                      )}
+                      <span className={`px-2 py-1 rounded-full text-xs ${
+                        session.status === 'active' ? 'bg-green-100 text-green-800' :
+                        session.status === 'completed' ? 'bg-blue-100 text-blue-800' :
+                        session.status === 'closed' ? 'bg-red-100 text-red-800' :
+                        session.status === 'scheduled' ? 'bg-yellow-100 text-yellow-800' :
+                        'bg-gray-100 text-gray-800'
+                      }`}>
+                        {session.status}
                       </span>
+                    </div>
+                    {session.recurring_config && (
+                      <div className="mt-2 text-xs text-gray-600">
+                        <strong>Recurrence:</strong> {describeRecurrence(session.recurring_config)}
+                        {session.recurring_config.abc_plan && <span> · ABC planned</span>}
+                      </div>
                     )}
-                    <span className={`px-2 py-1 rounded-full text-xs ${
-                      session.status === 'active' ? 'bg-green-100 text-green-800' :
-                      session.status === 'completed' ? 'bg-blue-100 text-blue-800' :
-                      session.status === 'closed' ? 'bg-red-100 text-red-800' :
-                      session.status === 'scheduled' ? 'bg-yellow-100 text-yellow-800' :
-                      'bg-gray-100 text-gray-800'
-                    }`}>
-                      {session.status}
-                    </span>
                   </div>
-                  {session.recurring_config && (
-                    <div className="mt-2 text-xs text-gray-600">
-                      <strong>Recurrence:</strong> {session.recurring_config.type}
-                      {session.recurring_config.type === 'weekly' && session.recurring_config.days && (
-                        <span> (Days: {session.recurring_config.days.map(d => ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][d]).join(', ')})</span>
-                      )}
-                      {session.recurring_config.type === 'monthly' && session.recurring_config.dates && (
-                        <span> (Dates: {session.recurring_config.dates.join(', ')})</span>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => handleManageUsers(session)}
+                      className="text-blue-600 hover:text-blue-800 p-2"
+                      title="Manage Users"
+                    >
+                      <Users className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => handleManageItems(session)}
+                      className="text-green-600 hover:text-green-800 p-2"
+                      title="Manage Items"
+                    >
+                      <Package className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => handleEditSession(session)}
+                      className="text-indigo-600 hover:text-indigo-800 p-2"
+                      title="Edit Session"
+                    >
+                      <Edit className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => setCloningSession(session)}
+                      className="text-indigo-600 hover:text-indigo-800 p-2"
+                      title="Duplicate Session"
+                    >
+                      <CopyPlus className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => navigate(`/dashboard/${session.id}`)}
+                      className="text-sky-600 hover:text-sky-800 p-2"
+                      title="Live Dashboard"
+                    >
+                      <MonitorPlay className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => setProgressSession(session)}
+                      className="text-cyan-600 hover:text-cyan-800 p-2"
+                      title="Location Progress"
+                    >
+                      <MapPin className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => setDuplicatesSession(session)}
+                      className="text-amber-600 hover:text-amber-800 p-2"
+                      title="Duplicate Counts"
+                    >
+                      <Copy className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => setFoundItemsSession(session)}
+                      className="relative text-orange-600 hover:text-orange-800 p-2"
+                      title="Found Items"
+                    >
+                      <PackagePlus className="h-5 w-5" />
+                      {pendingFinds[session.id] > 0 && (
+                        <span className="absolute -top-0.5 -right-0.5 bg-orange-600 text-white text-[10px] leading-4 min-w-[1rem] px-1 rounded-full">
+                          {pendingFinds[session.id]}
+                        </span>
                       )}
-                    </div>
-                  )}
-                </div>
-                <div className="flex items-center space-x-2">
-                  <button
-                    onClick={() => handleManageUsers(session)}
-                    className="text-blue-600 hover:text-blue-800 p-2"
-                    title="Manage Users"
-                  >
-                    <Users className="h-5 w-5" />
-                  </button>
-                  <button
-                    onClick={() => handleManageItems(session)}
-                    className="text-green-600 hover:text-green-800 p-2"
-                    title="Manage Items"
-                  >
-                    <Package className="h-5 w-5" />
-                  </button>
-                  <button
-                    onClick={() => handleEditSession(session)}
-                    className="text-indigo-600 hover:text-indigo-800 p-2"
-                    title="Edit Session"
-                  >
-                    <Edit className="h-5 w-5" />
-                  </button>
-                  <button
-                    onClick={() => exportReport(session)}
-                    className="text-green-600 hover:text-green-800 p-2"
-                    title="Export Report"
-                  >
-                    <Download className="h-5 w-5" />
-                  </button>
-                  <button
-                    onClick={() => handleDeleteSession(session.id)}
-                    className="text-red-600 hover:text-red-800 p-2"
-                    title="Delete Session"
-                  >
-                    <Trash2 className="h-5 w-5" />
-                  </button>
+                    </button>
+                    <button
+                      onClick={() => setVarianceSession(session)}
+                      className="text-purple-600 hover:text-purple-800 p-2"
+                      title="Variance"
+                    >
+                      <Scale className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => setReviewSession(session)}
+                      className="text-teal-600 hover:text-teal-800 p-2"
+                      title="Review & Approve"
+                    >
+                      <ClipboardCheck className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => exportReport(session)}
+                      className="text-green-600 hover:text-green-800 p-2"
+                      title="Export Report"
+                    >
+                      <Download className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => exportAuditTrail(session)}
+                      className="text-gray-600 hover:text-gray-800 p-2"
+                      title="Export Audit Trail"
+                    >
+                      <History className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteSession(session.id)}
+                      className="text-red-600 hover:text-red-800 p-2"
+                      title="Delete Session"
+                    >
+                      <Trash2 className="h-5 w-5" />
+                    </button>
+                  </div>
                 </div>
-              </div>
-            </li>
-          ))}
-        </ul>
-      </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
 
       {showEditor && (
         <SessionEditor
@@ -724,6 +895,8 @@ const SessionsManager = React.memo(({ sessions, setSessions, onDataChange }) =>
       {showUserAssignment && (
         <UserAssignmentModal
           session={selectedSessionForAssignment}
+          locations={locations}
+          categories={categories}
           onClose={() => {
             setShowUserAssignment(false);
             setSelectedSessionForAssignment(null);
@@ -745,6 +918,52 @@ const SessionsManager = React.memo(({ sessions, setSessions, onDataChange }) =>
           onDataChange={refreshSessions} // Only refresh sessions, not all data
         />
       )}
+
+      {varianceSession && (
+        <SessionVarianceModal
+          session={varianceSession}
+          onClose={() => setVarianceSession(null)}
+        />
+      )}
+
+      {progressSession && (
+        <LocationProgressModal
+          session={progressSession}
+          userId={user?.id}
+          onClose={() => setProgressSession(null)}
+        />
+      )}
+
+      {duplicatesSession && (
+        <DuplicateCountsModal
+          session={duplicatesSession}
+          onClose={() => setDuplicatesSession(null)}
+        />
+      )}
+
+      {cloningSession && (
+        <CloneSessionModal
+          session={cloningSession}
+          onClose={() => setCloningSession(null)}
+          onCloned={handleSessionCloned}
+        />
+      )}
+
+      {foundItemsSession && (
+        <FoundItemsModal
+          session={foundItemsSession}
+          onClose={() => setFoundItemsSession(null)}
+          onChange={refreshPendingFinds}
+        />
+      )}
+
+      {reviewSession && (
+        <SessionReviewModal
+          session={reviewSession}
+          onClose={() => setReviewSession(null)}
+          onApproved={refreshSessions}
+        />
+      )}
     </div>
   );
 });
@@ -2347,9 +2566,11 @@ const LocationForm = ({ categories, onSubmit }) => {
 };
 
 // User Assignment Modal Component
-const UserAssignmentModal = React.memo(({ session, onClose, onSave }) => {
+const UserAssignmentModal = React.memo(({ session, locations, categories, onClose, onSave }) => {
   const [availableUsers, setAvailableUsers] = useState([]);
   const [assignedUsers, setAssignedUsers] = useState([]);
+  const [zones, setZones] = useState([]);
+  const [zoneUserId, setZoneUserId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [assigning, setAssigning] = useState(false);
 
@@ -2387,6 +2608,7 @@ const UserAssignmentModal = React.memo(({ session, onClose, onSave }) => {
 
       setAvailableUsers(available);
       setAssignedUsers(assignedList);
+      setZones(await fetchSessionZones(session.id));
     } catch (err) {
       console.error('Error fetching users:', err);
     } finally {
@@ -2394,6 +2616,15 @@ const UserAssignmentModal = React.memo(({ session, onClose, onSave }) => {
     }
   };
 
+  const refreshZones = async () => {
+    try {
+      setZones(await fetchSessionZones(session.id));
+      setZoneUserId(null);
+    } catch (err) {
+      console.error('Error fetching zones:', err);
+    }
+  };
+
   const handleAssignUser = async (userId) => {
     try {
       setAssigning(true);
@@ -2427,7 +2658,9 @@ const UserAssignmentModal = React.memo(({ session, onClose, onSave }) => {
 
       if (error) throw error;
 
-      // Update state incrementally instead of full re-fetch
+      // Update state incrementally instead of full re-fetch; the zone goes
+      // with the assignment
+      setZones(prev => prev.filter(zone => zone.user_id !== userId));
       const userToMove = assignedUsers.find(user => user.id === userId);
       if (userToMove) {
         setAssignedUsers(prev => prev.filter(user => user.id !== userId));
@@ -2493,22 +2726,47 @@ const UserAssignmentModal = React.memo(({ session, onClose, onSave }) => {
                   {assignedUsers.length === 0 ? (
                     <p className="text-gray-500 text-sm">No users assigned</p>
                   ) : (
-                    assignedUsers.map(user => (
-                      <div key={user.id} className="flex items-center justify-between p-3 bg-blue-50 rounded-lg">
-                        <div>
-                          <p className="font-medium text-gray-900">{user.name}</p>
-                          <p className="text-sm text-gray-500">@{user.username}</p>
+                    assignedUsers.map(user => {
+                      const zoneLabel = describeZone(zones, user.id, { locations, categories });
+                      return (
+                        <div key={user.id} className="p-3 bg-blue-50 rounded-lg">
+                          <div className="flex items-center justify-between">
+                            <div>
+                              <p className="font-medium text-gray-900">{user.name}</p>
+                              <p className="text-sm text-gray-500">@{user.username}</p>
+                              <p className="text-xs text-gray-600 mt-1">Zone: {zoneLabel || 'Anywhere'}</p>
+                            </div>
+                            <div className="flex items-center gap-2">
+                              <button
+                                onClick={() => setZoneUserId(zoneUserId === user.id ? null : user.id)}
+                                className="text-cyan-600 hover:text-cyan-800"
+                                title="Edit Zone"
+                              >
+                                <MapPin className="h-5 w-5" />
+                              </button>
+                              <button
+                                onClick={() => handleUnassignUser(user.id)}
+                                disabled={assigning}
+                                className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                                title="Unassign User"
+                              >
+                                <UserMinus className="h-5 w-5" />
+                              </button>
+                            </div>
+                          </div>
+                          {zoneUserId === user.id && (
+                            <CounterZoneEditor
+                              sessionId={session.id}
+                              userId={user.id}
+                              zones={zones}
+                              locations={locations}
+                              categories={categories}
+                              onSaved={refreshZones}
+                            />
+                          )}
                         </div>
-                        <button
-                          onClick={() => handleUnassignUser(user.id)}
-                          disabled={assigning}
-                          className="text-red-600 hover:text-red-800 disabled:opacity-50"
-                          title="Unassign User"
-                        >
-                          <UserMinus className="h-5 w-5" />
-                        </button>
-                      </div>
-                    ))
+                      );
+                    })
                   )}
                 </div>
               </div>
@@ -3781,6 +4039,9 @@ const SessionEditor = React.memo(({ session, onClose, onSave }) => {
   const [formData, setFormData] = useState({
     name: session?.name || '',
     status: session?.status || 'draft',
+    isBlind: session?.is_blind || false,
+    recountTolerancePct: session?.recount_tolerance_pct ?? '',
+    recountToleranceQty: session?.recount_tolerance_qty ?? 0,
     sessionType: session?.is_recurring_template ? 'recurring' : session?.is_scheduled ? 'scheduled' : 'regular',
     // Time fields
     validFromTime: session?.valid_from ? new Date(session.valid_from).toTimeString().slice(0, 5) : '08:00',
@@ -3788,22 +4049,29 @@ const SessionEditor = React.memo(({ session, onClose, onSave }) => {
     // Scheduled session
     scheduledDate: session?.scheduled_date || '',
     // Recurring config
-    recurrenceType: session?.recurring_config?.type || 'daily',
-    weeklyDays: session?.recurring_config?.days || [],
-    monthlyDates: session?.recurring_config?.dates || []
+    recurrence: normalizeRecurrence(session?.recurring_config, localDateOf(session?.created_date ?? new Date())),
+    abcPlan: session?.recurring_config?.abc_plan || false
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    const recurrenceProblem = formData.sessionType === 'recurring' && validateRecurrence(buildRecurrenceConfig(formData.recurrence));
+    if (recurrenceProblem) {
+      setError(recurrenceProblem);
+      return;
+    }
     setLoading(true);
     setError('');
 
     try {
       const sessionData = {
         name: formData.name,
-        status: formData.status
+        status: formData.status,
+        is_blind: formData.isBlind,
+        recount_tolerance_pct: formData.recountTolerancePct === '' ? null : Number(formData.recountTolerancePct),
+        recount_tolerance_qty: Number(formData.recountToleranceQty) || 0
       };
 
       // Add recurring/scheduled fields
@@ -3812,11 +4080,9 @@ const SessionEditor = React.memo(({ session, onClose, onSave }) => {
         sessionData.is_scheduled = false;
 
         // Build recurring config
-        const config = { type: formData.recurrenceType };
-        if (formData.recurrenceType === 'weekly') {
-          config.days = formData.weeklyDays;
-        } else if (formData.recurrenceType === 'monthly') {
-          config.dates = formData.monthlyDates;
+        const config = buildRecurrenceConfig(formData.recurrence);
+        if (formData.abcPlan) {
+          config.abc_plan = true;
         }
         sessionData.recurring_config = config;
 
@@ -3903,34 +4169,6 @@ const SessionEditor = React.memo(({ session, onClose, onSave }) => {
     setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
   };
 
-  const handleWeeklyDayToggle = (day) => {
-    setFormData(prev => ({
-      ...prev,
-      weeklyDays: prev.weeklyDays.includes(day)
-        ? prev.weeklyDays.filter(d => d !== day)
-        : [...prev.weeklyDays, day].sort()
-    }));
-  };
-
-  const handleMonthlyDateToggle = (date) => {
-    setFormData(prev => ({
-      ...prev,
-      monthlyDates: prev.monthlyDates.includes(date)
-        ? prev.monthlyDates.filter(d => d !== date)
-        : [...prev.monthlyDates, date].sort((a, b) => a - b)
-    }));
-  };
-
-  const weekDays = [
-    { value: 0, label: 'Sun' },
-    { value: 1, label: 'Mon' },
-    { value: 2, label: 'Tue' },
-    { value: 3, label: 'Wed' },
-    { value: 4, label: 'Thu' },
-    { value: 5, label: 'Fri' },
-    { value: 6, label: 'Sat' }
-  ];
-
   return (
     <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4 overflow-y-auto">
       <div className="bg-white rounded-lg w-full max-w-2xl flex flex-col my-8">
@@ -4032,77 +4270,24 @@ const SessionEditor = React.memo(({ session, onClose, onSave }) => {
               <div className="p-4 bg-purple-50 rounded-lg space-y-3">
                 <h4 className="font-medium text-sm text-purple-900">Recurring Template Settings</h4>
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Recurrence Pattern *
-                  </label>
-                  <select
-                    name="recurrenceType"
-                    value={formData.recurrenceType}
-                    onChange={handleChange}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  >
-                    <option value="daily">Daily</option>
-                    <option value="weekly">Weekly</option>
-                    <option value="monthly">Monthly</option>
-                  </select>
-                </div>
-
-                {/* Weekly: Select Days */}
-                {formData.recurrenceType === 'weekly' && (
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Select Days *
-                    </label>
-                    <div className="flex flex-wrap gap-2">
-                      {weekDays.map(day => (
-                        <button
-                          key={day.value}
-                          type="button"
-                          onClick={() => handleWeeklyDayToggle(day.value)}
-                          className={`px-3 py-2 rounded-md text-sm font-medium ${
-                            formData.weeklyDays.includes(day.value)
-                              ? 'bg-purple-600 text-white'
-                              : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
-                          }`}
-                        >
-                          {day.label}
-                        </button>
-                      ))}
-                    </div>
-                    {formData.weeklyDays.length === 0 && (
-                      <p className="text-xs text-red-600 mt-1">Please select at least one day</p>
-                    )}
-                  </div>
-                )}
+                <RecurrenceRuleFields
+                  value={formData.recurrence}
+                  onChange={(recurrence) => setFormData(prev => ({ ...prev, recurrence }))}
+                />
 
-                {/* Monthly: Select Dates */}
-                {formData.recurrenceType === 'monthly' && (
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Select Dates *
-                    </label>
-                    <div className="grid grid-cols-7 gap-1">
-                      {Array.from({ length: 31 }, (_, i) => i + 1).map(date => (
-                        <button
-                          key={date}
-                          type="button"
-                          onClick={() => handleMonthlyDateToggle(date)}
-                          className={`px-2 py-2 rounded text-sm font-medium ${
-                            formData.monthlyDates.includes(date)
-                              ? 'bg-purple-600 text-white'
-                              : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
-                          }`}
-                        >
-                          {date}
-                        </button>
-                      ))}
-                    </div>
-                    {formData.monthlyDates.length === 0 && (
-                      <p className="text-xs text-red-600 mt-1">Please select at least one date</p>
-                    )}
-                  </div>
-                )}
+                <label className="flex items-start">
+                  <input
+                    type="checkbox"
+                    name="abcPlan"
+                    checked={formData.abcPlan}
+                    onChange={handleChange}
+                    className="mr-2 mt-1"
+                  />
+                  <span className="text-sm">
+                    <span className="font-medium text-gray-700">Plan items by ABC class</span>
+                    <span className="block text-gray-500">Each generated session gets only the template items due for counting, following the class frequencies under ABC Planning.</span>
+                  </span>
+                </label>
               </div>
             )}
 
@@ -4163,6 +4348,58 @@ const SessionEditor = React.memo(({ session, onClose, onSave }) => {
               </select>
             </div>
 
+            <label className="flex items-start">
+              <input
+                type="checkbox"
+                name="isBlind"
+                checked={formData.isBlind}
+                onChange={handleChange}
+                className="mr-2 mt-1"
+              />
+              <span className="text-sm">
+                <span className="font-medium text-gray-700">Blind count</span>
+                <span className="block text-gray-500">Counters only see their own counts and the calculator is not shared. Admins still see everything.</span>
+              </span>
+            </label>
+
+            <div className="p-4 bg-orange-50 rounded-lg space-y-3">
+              <h4 className="font-medium text-sm text-orange-900">Recount Tolerance</h4>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Variance (%)
+                  </label>
+                  <input
+                    type="number"
+                    name="recountTolerancePct"
+                    value={formData.recountTolerancePct}
+                    onChange={handleChange}
+                    min="0"
+                    step="any"
+                    placeholder="Off"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Minimum difference (qty)
+                  </label>
+                  <input
+                    type="number"
+                    name="recountToleranceQty"
+                    value={formData.recountToleranceQty}
+                    onChange={handleChange}
+                    min="0"
+                    step="any"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-600">
+                Items whose counted total differs from the book quantity by more than both values are sent to another counter for recount. Leave the percentage empty to turn recounts off.
+              </p>
+            </div>
+
             <div className="text-sm text-gray-600 bg-gray-50 p-3 rounded">
               <p><strong>Note:</strong> User assignments and item selections for this session are managed separately after creation.</p>
               {formData.sessionType === 'recurring' && (
@@ -4202,6 +4439,7 @@ const ItemEditor = React.memo(({ item, categories, onClose, onSave }) => {
     item_name: item?.item_name || '',
     category: item?.category || '',
     uom: item?.uom || '',
+    unit_conversions: formatUnitConversionText(item?.unit_conversions),
     internal_product_code: item?.internal_product_code || '',
     tags: item?.tags?.join(', ') || ''
   });
@@ -4214,12 +4452,16 @@ const ItemEditor = React.memo(({ item, categories, onClose, onSave }) => {
     setError('');
 
     try {
+      const { conversions, error: conversionError } = parseUnitConversionText(formData.unit_conversions, formData.uom);
+      if (conversionError) throw new Error(`Pack sizes: ${conversionError}`);
+
       const itemData = {
         sku: formData.sku,
         item_code: formData.item_code,
         item_name: formData.item_name,
         category: formData.category,
         uom: formData.uom,
+        unit_conversions: conversions,
         internal_product_code: formData.internal_product_code,
         tags: formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag)
       };
@@ -4342,6 +4584,23 @@ const ItemEditor = React.memo(({ item, categories, onClose, onSave }) => {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Pack Sizes
+            </label>
+            <input
+              type="text"
+              name="unit_conversions"
+              value={formData.unit_conversions}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="e.g., PALLET=40, BOX=10"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Units counters can enter, with how many {formData.uom || 'base UOM'} each holds (optional)
+            </p>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Internal Product Code
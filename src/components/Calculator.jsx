@@ -1,12 +1,17 @@
 import React from 'react';
-import { Delete, Divide, Minus, Plus, X } from 'lucide-react';
+import { Delete, Divide, Equal, Minus, Plus, X } from 'lucide-react';
+import { evaluateExpression } from '../lib/expression';
 
-const Calculator = ({ value, onChange }) => {
+const Calculator = ({ value, onChange, multipliers }) => {
   const handleButtonClick = (buttonValue) => {
     if (buttonValue === 'clear') {
       onChange('');
     } else if (buttonValue === 'backspace') {
       onChange(value.slice(0, -1));
+    } else if (buttonValue === '=') {
+      // Collapse the expression to its result; invalid input is left for the user to fix
+      const result = evaluateExpression(value, { multipliers, ignoreTrailingOperator: true });
+      if (!result.error && result.value !== null) onChange(String(result.value));
     } else {
       onChange(value + buttonValue);
     }
@@ -17,7 +22,7 @@ const Calculator = ({ value, onChange }) => {
     ['4', '5', '6', '+'],
     ['1', '2', '3', '-'],
     ['0', '.', '*', '/'],
-    ['clear']
+    ['(', ')', '=', 'clear']
   ];
 
   const getButtonIcon = (buttonValue) => {
@@ -32,6 +37,8 @@ const Calculator = ({ value, onChange }) => {
         return <X className="h-4 w-4" />;
       case '/':
         return <Divide className="h-4 w-4" />;
+      case '=':
+        return <Equal className="h-4 w-4" />;
       default:
         return buttonValue;
     }
@@ -41,10 +48,10 @@ const Calculator = ({ value, onChange }) => {
     const baseClass = "p-3 m-1 rounded-md transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500";
 
     if (buttonValue === 'clear') {
-      return `${baseClass} bg-red-500 text-white hover:bg-red-600 col-span-4 font-bold text-base`;
+      return `${baseClass} bg-red-500 text-white hover:bg-red-600 font-bold text-base`;
     }
 
-    if (['+', '-', '*', '/'].includes(buttonValue)) {
+    if (['+', '-', '*', '/', '='].includes(buttonValue)) {
       return `${baseClass} bg-blue-500 text-white hover:bg-blue-600 font-bold text-xl`;
     }
 
@@ -18,19 +18,92 @@ import {
   ChevronUp,
   Tag,
   Calculator,
-  Bookmark
+  Bookmark,
+  CloudOff,
+  AlertTriangle,
+  History,
+  PackagePlus
 } from 'lucide-react';
 import { supabase } from '../lib/supabase';
-import { isMobileDevice } from '../lib/deviceDetection';
+import { evaluateExpression as evaluateCountExpression } from '../lib/expression';
 import CalculatorComponent from './Calculator';
-import ScanModal from './ScanModal';
+import CountSyncReviewModal from '../features/cycle-count/components/CountSyncReviewModal';
+import { useOfflineCountQueue } from '../features/cycle-count/hooks/useOfflineCountQueue';
+import { mergePendingCounts } from '../features/cycle-count/lib/offlineCountQueue';
+import { getCaptureBlockReason } from '../features/cycle-count/lib/sessionWindow';
+import { canShareCalculator, isBlindFor, isHiddenCount, restrictToOwnCounts } from '../features/cycle-count/lib/blindCount';
+import {
+  fetchSessionCountsAtLocation,
+  fetchSessionCountsForItems,
+  fetchSessionItemPage,
+  fetchSessionItemSummary,
+  fetchSessionItems,
+  fetchSessionZones,
+  findSessionItemByCandidates,
+  listCountLots,
+  listMySessionRecounts
+} from '../features/cycle-count/api/cycleCountApi';
+import { ITEM_PAGE_SIZE, groupCountsByItem, isLargeSession, missingCountItemIds, shouldLoadMore } from '../features/cycle-count/lib/itemWindow';
+import { useWindowedList } from '../features/cycle-count/hooks/useWindowedList';
+import { getZoneLocationNames, isOutsideZone } from '../features/cycle-count/lib/counterZones';
+import { getDeviceLabel } from '../features/cycle-count/lib/deviceLabel';
+import CountHistoryDrawer from '../features/cycle-count/components/CountHistoryDrawer';
+import GuidedLocationPanel from '../features/cycle-count/components/GuidedLocationPanel';
+import UnitEntryPanel from '../features/cycle-count/components/UnitEntryPanel';
+import LotCountPanel from '../features/cycle-count/components/LotCountPanel';
+import ScanCountPanel from '../features/cycle-count/components/ScanCountPanel';
+import { useScanTally } from '../features/cycle-count/hooks/useScanTally';
+import { SCAN_STEP } from '../features/cycle-count/lib/scanTally';
+import { signalScan } from '../features/cycle-count/lib/scanFeedback';
+import ScannerModal from '../features/scanner/components/ScannerModal';
+import { useKeyboardWedge } from '../features/scanner/hooks/useKeyboardWedge';
+import FoundItemModal from '../features/cycle-count/components/FoundItemModal';
+import { useBarcodeRules } from '../features/barcode-rules/hooks/useBarcodeRules';
+import { parseScannedCode, resolveScannedCode } from '../features/barcode-rules/lib/barcodeRules';
+import PresenceAvatars from '../features/cycle-count/components/PresenceAvatars';
+import DuplicateCountDialog from '../features/cycle-count/components/DuplicateCountDialog';
+import { duplicateModesFor, isDuplicateCountError } from '../features/cycle-count/lib/duplicateCounts';
+import { buildLotEntry, initialLotQuantities, isRawMaterialItem } from '../features/cycle-count/lib/lotCounts';
+import PhotoPicker from '../features/photo-evidence/components/PhotoPicker';
+import { PhotoAttachmentList } from '../features/photo-evidence/components/PhotoAttachments';
+import { usePhotoAttachments } from '../features/photo-evidence/hooks/usePhotoAttachments';
+import { PHOTO_SUBJECT, uploadPhotos } from '../features/photo-evidence/api/photoApi';
+import { useSessionPresence } from '../features/cycle-count/hooks/useSessionPresence';
+import { findCountConflicts, getItemViewers } from '../features/cycle-count/lib/sessionPresence';
+import {
+  breakdownToQuantities,
+  buildUnitBreakdown,
+  formatBreakdown,
+  getItemUnits,
+  hasUnitConversions
+} from '../features/cycle-count/lib/unitConversion';
+
+// Insert or replace a count in an item's list; realtime echoes of our own
+// writes arrive after the local update and must not duplicate it.
+const upsertCount = (list = [], count) => (
+  list.some(existing => existing.id === count.id)
+    ? list.map(existing => (existing.id === count.id ? { ...existing, ...count } : existing))
+    : [...list, count]
+);
 
 const ItemsList = () => {
-  const { user } = useAuth();
+  const { user, profile, isAdmin } = useAuth();
   const { sessionId } = useParams();
   const navigate = useNavigate();
   const [session, setSession] = useState(null);
   const [items, setItems] = useState([]);
+  // Large sessions page their item list from the server and load counts
+  // only for the rows on screen; items holds the full list only once a
+  // mode that needs it (guided, scan) is opened
+  const [largeSession, setLargeSession] = useState(false);
+  const [sessionItemTotal, setSessionItemTotal] = useState(0);
+  const [itemPage, setItemPage] = useState({ rows: [], total: 0, loading: false });
+  const [pageSearch, setPageSearch] = useState('');
+  const largeSessionRef = useRef(false);
+  const allItemsLoadedRef = useRef(false);
+  const allItemsRequestedRef = useRef(false);
+  const loadedCountItemIdsRef = useRef(new Set());
+  const guidedLocationIdRef = useRef(null);
   const [counts, setCounts] = useState({});
   const [locations, setLocations] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -42,7 +115,10 @@ const ItemsList = () => {
   const [countLocation, setCountLocation] = useState('');
   const [countQuantity, setCountQuantity] = useState('');
   const [submitting, setSubmitting] = useState(false);
+  const [duplicatePrompt, setDuplicatePrompt] = useState(null);
+  const [countPhotos, setCountPhotos] = useState([]);
   const [expandedItems, setExpandedItems] = useState(new Set());
+  const [historyCountId, setHistoryCountId] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
   const [selectedCountId, setSelectedCountId] = useState(null);
   const [lastSelectedLocation, setLastSelectedLocation] = useState('');
@@ -52,6 +128,21 @@ const ItemsList = () => {
   const [errorPosition, setErrorPosition] = useState(null);
   const [calcConn, setCalcConn] = useState('idle');
   const [showScanModal, setShowScanModal] = useState(false);
+  const [scanNotice, setScanNotice] = useState(null);
+  const [showFoundItem, setShowFoundItem] = useState(false);
+  const [showSyncReview, setShowSyncReview] = useState(false);
+  const [recounts, setRecounts] = useState([]);
+  const [countMode, setCountMode] = useState('item');
+  const [guidedLocation, setGuidedLocation] = useState('');
+  const [zones, setZones] = useState([]);
+  const [unitQuantities, setUnitQuantities] = useState({});
+  const [lotRows, setLotRows] = useState([]);
+  const [lotQuantities, setLotQuantities] = useState({});
+  const [unlistedLotQty, setUnlistedLotQty] = useState('');
+  const [lotsLoading, setLotsLoading] = useState(false);
+  const [scanStep, setScanStep] = useState(SCAN_STEP.EACH);
+  const [scanFeedback, setScanFeedback] = useState(null);
+  const [committingScans, setCommittingScans] = useState(false);
 
   const calcChannelRef = useRef(null);
   const lastSenderRef = useRef(null);
@@ -59,6 +150,94 @@ const ItemsList = () => {
   const isCalcInputFocusedRef = useRef(false);
   const lastInputTsRef = useRef(0);
 
+  // Open recounts: the user's own assignments, or all of them for admins
+  const refreshRecounts = useCallback(async () => {
+    if (!sessionId) return;
+    try {
+      setRecounts(await listMySessionRecounts(sessionId));
+    } catch (err) {
+      console.error('Error loading recounts:', err);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (!sessionId) return;
+    fetchSessionZones(sessionId)
+      .then(setZones)
+      .catch(err => console.error('Error loading zones:', err));
+  }, [sessionId]);
+
+  // Locations assigned to this counter; empty when they may count anywhere
+  const myZoneLocations = useMemo(
+    () => getZoneLocationNames(zones, user?.id, locations),
+    [zones, user, locations]
+  );
+
+  const presence = useSessionPresence({
+    sessionId,
+    userId: user?.id,
+    name: profile?.name || profile?.username || user?.email || null
+  });
+
+  const recountItemIds = useMemo(() => new Set(recounts.map(recount => recount.item_id)), [recounts]);
+  const myRecountItemIds = useMemo(
+    () => new Set(recounts.filter(recount => recount.assigned_to === user?.id).map(recount => recount.item_id)),
+    [recounts, user]
+  );
+
+  const handleCaptureSynced = useCallback((entry, row) => {
+    setCounts(prevCounts => ({
+      ...prevCounts,
+      [row.item_id]: upsertCount(prevCounts[row.item_id], {
+        location: entry.locationName,
+        countedQty: row.counted_qty,
+        calculation: row.counted_qty_calculation,
+        breakdown: row.counted_qty_breakdown,
+        timestamp: row.timestamp,
+        id: row.id,
+        userId: row.user_id
+      })
+    }));
+    refreshRecounts();
+  }, [refreshRecounts]);
+
+  const countQueue = useOfflineCountQueue({
+    sessionId,
+    userId: user?.id,
+    onSynced: handleCaptureSynced
+  });
+
+  const { rules: barcodeRules } = useBarcodeRules();
+  const scanTally = useScanTally({ sessionId, userId: user?.id, items, rules: barcodeRules });
+
+  // Server counts with this device's unsynced captures layered on top. Items
+  // the user is recounting only show their own counts so the recount stays independent.
+  const displayCounts = useMemo(() => {
+    const merged = mergePendingCounts(counts, countQueue.pending);
+    myRecountItemIds.forEach(itemId => {
+      if (merged[itemId]) {
+        merged[itemId] = merged[itemId].filter(count => count.pending || count.userId === user?.id);
+      }
+    });
+    return merged;
+  }, [counts, countQueue.pending, myRecountItemIds, user]);
+
+  // Photos of every saved count under the expanded items, loaded together
+  const expandedCountIds = useMemo(
+    () => [...expandedItems].flatMap(itemId => (displayCounts[itemId] || [])
+      .filter(count => count.id && !count.pending)
+      .map(count => count.id)),
+    [expandedItems, displayCounts]
+  );
+  const expandedCountPhotos = usePhotoAttachments(PHOTO_SUBJECT.COUNT, expandedCountIds);
+
+  const isRecountingSelected = !!selectedItem && myRecountItemIds.has(selectedItem.id);
+
+  // Blind sessions hide other counters' work; admins still see everything
+  const isBlind = isBlindFor(session, isAdmin);
+  const isBlindRef = useRef(isBlind);
+  isBlindRef.current = isBlind;
+
   const getCalcChannelName = (itm) => {
     if (!session || !itm) return null;
     return `calc:${session.id}:${itm.id}`;
@@ -89,143 +268,137 @@ const ItemsList = () => {
     }
   }, [selectedItem, countLocation, user]);
 
-  // Format number with thousand separators for display
-  const formatNumber = (num) => {
-    if (num === 0) return '0';
-    return num.toLocaleString('en-US');
-  };
-
-  // Enhanced mathematical expression evaluator with error detection
-  const evaluateExpression = (expression) => {
-    // Clear any previous errors
-    setCalculationError(null);
-    setErrorPosition(null);
-
-    if (!expression || expression.trim() === '' || expression.trim() === '+') {
-      setCalculatedResult(0);
-      return 0;
-    }
-
-    try {
-      // Remove any potentially dangerous characters and validate
-      let sanitized = expression.replace(/[^0-9+\-*/.() ]/g, '');
+  // Per-unit entry for items with pack sizes; it writes the equivalent
+  // expression into the quantity calculation
+  const itemUnits = useMemo(() => getItemUnits(selectedItem), [selectedItem]);
+  const unitEntry = useMemo(() => buildUnitBreakdown(itemUnits, unitQuantities), [itemUnits, unitQuantities]);
+  // The breakdown only describes the count while the calculation still matches it
+  const unitBreakdownApplies = Boolean(unitEntry.breakdown)
+    && countQuantity.trim().replace(/\+$/, '') === unitEntry.expression;
+
+  // Raw Material items are counted per FIFO lot wherever the location has
+  // open lots; the lot quantities write the quantity calculation
+  const lotEntry = useMemo(
+    () => buildLotEntry(lotRows, lotQuantities, unlistedLotQty),
+    [lotRows, lotQuantities, unlistedLotQty]
+  );
+  const lotEntryApplies = Boolean(lotEntry.lines)
+    && countQuantity.trim().replace(/\+$/, '') === lotEntry.expression;
+  const countLocationId = locations.find(loc => loc.name === countLocation)?.id ?? null;
 
-      // Handle trailing operators by removing them for calculation
-      sanitized = sanitized.replace(/[+\-*/.]+$/, '').trim();
+  useEffect(() => {
+    setLotRows([]);
+    setLotQuantities({});
+    setUnlistedLotQty('');
+    setLotsLoading(false);
+    if (!selectedItem || !countLocationId || !isRawMaterialItem(selectedItem)) return;
+
+    const editedCount = isEditing
+      ? (displayCounts[selectedItem.id] || []).find(count => count.id === selectedCountId && !count.pending)
+      : null;
+    let cancelled = false;
+    setLotsLoading(true);
+    listCountLots(sessionId, selectedItem.id, countLocationId, editedCount?.id ?? null)
+      .then(rows => {
+        if (cancelled) return;
+        const quantities = initialLotQuantities(rows, { editing: Boolean(editedCount) });
+        const lotTotal = rows.reduce((sum, row) => sum + Number(row.counted_qty ?? 0), 0);
+        const unlisted = editedCount && rows.some(row => row.counted_qty != null)
+          ? String(Math.max(0, editedCount.countedQty - lotTotal))
+          : '';
+        setLotRows(rows);
+        setLotQuantities(quantities);
+        setUnlistedLotQty(unlisted === '0' ? '' : unlisted);
+        const entry = buildLotEntry(rows, quantities, unlisted);
+        if (entry.expression) handleCountQuantityChange(entry.expression);
+      })
+      .catch(err => console.error('Error loading lots:', err))
+      .finally(() => {
+        if (!cancelled) setLotsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, selectedItem, countLocationId, isEditing, selectedCountId]);
 
-      // If nothing left after removing trailing operators, return 0
-      if (!sanitized) {
-        setCalculatedResult(0);
-        return 0;
-      }
+  const handleLotQuantitiesChange = (nextQuantities, nextUnlisted = unlistedLotQty) => {
+    setLotQuantities(nextQuantities);
+    setUnlistedLotQty(nextUnlisted);
+    const nextEntry = buildLotEntry(lotRows, nextQuantities, nextUnlisted);
+    if (!nextEntry.error) handleCountQuantityChange(nextEntry.expression || '+');
+  };
 
-      // Check for common error patterns and identify their positions
-      const errorPatterns = [
-        // Invalid operator combinations (same or different operators except ++)
-        { pattern: /\d+\s*[\*\/]\s*[\+\-\*\/]\s*\d+/, message: 'Invalid operator combination', type: 'invalid_combination' },
-        { pattern: /\d+\s*[\+\-]\s*[\*\/]\s*\d+/, message: 'Invalid operator combination', type: 'invalid_combination' },
-
-        // Double operators (except ++)
-        { pattern: /\d+\s*\*\s*\*\s*\d+/, message: 'Double multiplication operator', type: 'double_operator' },
-        { pattern: /\d+\s*\/\s*\/\s*\d+/, message: 'Double division operator', type: 'double_operator' },
-        { pattern: /\d+\s*\-\s*\-\s*\d+/, message: 'Double minus operator', type: 'double_operator' },
-
-        // Multiple trailing operators (real errors)
-        { pattern: /\d+\s*\*{2,}$/, message: 'Multiple trailing multiplication operators', type: 'trailing_operator' },
-        { pattern: /\d+\s*\/+$/, message: 'Trailing division operator', type: 'trailing_operator' },
-        { pattern: /\d+\s*\-{2,}$/, message: 'Multiple trailing minus operators', type: 'trailing_operator' },
-
-        // Leading operators (except +)
-        { pattern: /^\s*\*/, message: 'Leading multiplication operator', type: 'leading_operator' },
-        { pattern: /^\s*\//, message: 'Leading division operator', type: 'leading_operator' },
-
-        // Other errors
-        { pattern: /\(\s*\)/, message: 'Empty parentheses', type: 'empty_parentheses' },
-        { pattern: /\d+\s*\(\s*\d+/, message: 'Missing operator before parentheses', type: 'missing_operator' },
-        { pattern: /\d+\s*\)\s*\d+/, message: 'Missing operator after parentheses', type: 'missing_operator' }
-      ];
-
-      for (const { pattern, message, type } of errorPatterns) {
-        const match = pattern.exec(expression);
-        if (match) {
-          setCalculationError({
-            message: `Calculation error: ${message}`,
-            position: match.index,
-            length: match[0].length,
-            type: type
-          });
-          setCalculatedResult(0);
-          return 0;
-        }
-      }
+  // Tell the session what this counter has open
+  useEffect(() => {
+    presence.update({
+      itemId: selectedItem?.id ?? null,
+      itemLabel: selectedItem?.sku ?? null,
+      location: (selectedItem
+        ? countLocation
+        : (countMode === 'location' && guidedLocation) || (countMode === 'scan' && scanTally.location)) || null
+    });
+  }, [presence.update, selectedItem, countLocation, countMode, guidedLocation, scanTally.location]);
 
-      // Basic validation - ensure we have a valid mathematical expression
-      if (!/^[0-9+\-*/.() ]+$/.test(sanitized)) {
-        setCalculationError({
-          message: 'Invalid characters in expression',
-          position: expression.search(/[^0-9+\-*/.() ]/),
-          length: 1,
-          type: 'invalid_character'
-        });
-        setCalculatedResult(0);
-        return 0;
-      }
+  const countConflicts = useMemo(
+    () => findCountConflicts(presence.peers, { itemId: selectedItem?.id, location: countLocation, userId: user?.id }),
+    [presence.peers, selectedItem, countLocation, user]
+  );
 
-      // Use Function constructor for safer evaluation than eval()
-      const result = new Function('return ' + sanitized)();
+  const handleUnitQuantitiesChange = (nextQuantities) => {
+    setUnitQuantities(nextQuantities);
+    const nextEntry = buildUnitBreakdown(itemUnits, nextQuantities);
+    if (!nextEntry.error) handleCountQuantityChange(nextEntry.expression || '+');
+  };
 
-      // Ensure result is a valid number
-      if (typeof result !== 'number' || isNaN(result) || !isFinite(result)) {
-        setCalculationError({
-          message: 'Invalid calculation result',
-          position: 0,
-          length: expression.length,
-          type: 'calculation_error'
-        });
-        setCalculatedResult(0);
-        return 0;
-      }
+  // Format number with thousand separators for display
+  const formatNumber = (num) => {
+    if (num === 0) return '0';
+    return num.toLocaleString('en-US');
+  };
 
-      setCalculatedResult(Math.max(0, Math.floor(result))); // Ensure non-negative integer
-      return Math.max(0, Math.floor(result));
-    } catch (error) {
-      
+  // Units of the selected item can be typed by name, e.g. "3 pallet + 7"
+  const unitMultipliers = useMemo(
+    () => Object.fromEntries(itemUnits.map(({ unit, factor }) => [unit, factor])),
+    [itemUnits]
+  );
 
-      // Try to identify the error position
-      let errorPos = 0;
-      if (expression) {
-        // Look for common error indicators
-        const operators = ['+', '-', '*', '/'];
-        for (let i = 0; i < expression.length; i++) {
-          if (operators.includes(expression[i])) {
-            // Check if operator is in invalid position
-            if (i === 0 || operators.includes(expression[i-1]) || i === expression.length - 1) {
-              errorPos = i;
-              break;
-            }
-          }
-        }
-      }
+  const evaluateExpression = (expression) => {
+    // The editor keeps a trailing "+" ready for the next term
+    const { value, error } = evaluateCountExpression(expression, {
+      multipliers: unitMultipliers,
+      ignoreTrailingOperator: true
+    });
 
-      setCalculationError({
-        message: 'Syntax error in expression',
-        position: errorPos,
-        length: 1,
-        type: 'syntax_error'
-      });
-      setCalculatedResult(0);
-      return 0;
+    let failure = error && {
+      message: `Calculation error: ${error.message} at position ${error.position + 1}`,
+      position: error.position,
+      length: error.length,
+      type: error.code
+    };
+    if (!failure && value !== null && (value < 0 || !Number.isInteger(value))) {
+      failure = {
+        message: value < 0 ? 'Count cannot be negative' : `Count must be a whole number (got ${value})`,
+        position: 0,
+        length: expression.length,
+        type: 'INVALID_COUNT'
+      };
     }
+
+    setCalculationError(failure || null);
+    setErrorPosition(failure ? failure.position : null);
+    setCalculatedResult(failure ? 0 : value ?? 0);
+    return failure ? 0 : value ?? 0;
   };
 
   // Update calculated result whenever countQuantity changes
   useEffect(() => {
     evaluateExpression(countQuantity);
-  }, [countQuantity]);
+  }, [countQuantity, unitMultipliers]);
 
   useEffect(() => {
     if (!sessionId) return;
     fetchSessionData();
+    refreshRecounts();
     const unsubscribe = subscribeToCounts();
     return () => {
       if (typeof unsubscribe === 'function') unsubscribe();
@@ -242,29 +415,38 @@ const ItemsList = () => {
     }
   }, [sessionId, user]);
 
+  // Photos picked in the count editor belong to that editing session only
+  useEffect(() => {
+    if (!selectedItem) setCountPhotos([]);
+  }, [selectedItem]);
+
   // Update editing state when location changes
   useEffect(() => {
     if (selectedItem && countLocation) {
-      const itemCounts = counts[selectedItem.id] || [];
-      const existingCount = itemCounts.find(c => c.location === countLocation);
+      const itemCounts = displayCounts[selectedItem.id] || [];
+      // Another counter's row is not editable here; saving over it asks how to handle the duplicate
+      const existingCount = itemCounts.find(c => c.location === countLocation
+        && (c.pending || isAdmin || c.userId === user?.id));
       if (existingCount) {
         setIsEditing(true);
         setSelectedCountId(existingCount.id);
         // Show the stored calculation expression if available, otherwise show the result with + suffix
         const calculationExpr = existingCount.calculation || existingCount.countedQty.toString();
         setCountQuantity(calculationExpr.endsWith('+') ? calculationExpr : calculationExpr + '+');
+        setUnitQuantities(breakdownToQuantities(existingCount.breakdown));
       } else {
         setIsEditing(false);
         setSelectedCountId(null);
         setCountQuantity('+');
+        setUnitQuantities({});
       }
     }
-  }, [countLocation, selectedItem, counts]);
+  }, [countLocation, selectedItem, displayCounts, isAdmin, user]);
 
   // Realtime sync for calculation input (per item across session)
   useEffect(() => {
     const isEditorOpen = !!selectedItem;
-    if (!isEditorOpen) {
+    if (!isEditorOpen || !canShareCalculator({ blind: isBlind, recounting: isRecountingSelected })) {
       if (calcChannelRef.current) {
         try { supabase.removeChannel(calcChannelRef.current); } catch {}
         calcChannelRef.current = null;
@@ -278,8 +460,9 @@ const ItemsList = () => {
 
     setCalcConn('connecting');
 
+    // Private so realtime authorization can refuse blind sessions server-side
     const ch = supabase.channel(channelName, {
-      config: { broadcast: { ack: true }, presence: { key: clientIdRef.current } }
+      config: { private: true, broadcast: { ack: true }, presence: { key: clientIdRef.current } }
     });
 
     ch.on('broadcast', { event: 'calc_update' }, ({ payload }) => {
@@ -315,7 +498,7 @@ const ItemsList = () => {
       calcChannelRef.current = null;
       setCalcConn('idle');
     };
-  }, [selectedItem, session, user]);
+  }, [selectedItem, session, user, isBlind, isRecountingSelected]);
 
   const fetchSessionData = async () => {
     try {
@@ -331,64 +514,41 @@ const ItemsList = () => {
       if (sessionError) throw sessionError;
       setSession(sessionData);
 
-      // Fetch session items with item details
-      const { data: sessionItems, error: sessionItemsError } = await supabase
-        .from('session_items')
-        .select(`
-          items (
-            id,
-            sku,
-            item_code,
-            item_name,
-            uom,
-            category,
-            tags,
-            internal_product_code
-          )
-        `)
-        .eq('session_id', sessionId);
-
-      if (sessionItemsError) throw sessionItemsError;
-
-      const itemsData = sessionItems.map(si => si.items).filter(Boolean);
-      setItems(itemsData);
+      const summary = await fetchSessionItemSummary(sessionId);
+      const large = isLargeSession(summary.itemCount);
+      largeSessionRef.current = large;
+      setLargeSession(large);
+      setSessionItemTotal(summary.itemCount);
+      const itemCategories = summary.categories;
 
-      // Get unique categories from items
-      const itemCategories = [...new Set(itemsData.map(item => item.category).filter(Boolean))];
+      if (!large) {
+        const itemsData = await fetchSessionItems(sessionId);
+        setItems(itemsData);
+        allItemsLoadedRef.current = true;
 
-      // Fetch existing counts for this session
-      const { data: countsData, error: countsError } = await supabase
-        .from('counts')
-        .select(`
-          *,
-          items (
-            id,
-            item_name,
-            sku
-          ),
-          locations (
-            name
-          )
-        `)
-        .eq('session_id', sessionId);
-
-      if (countsError) throw countsError;
-
-      // Group counts by item_id
-      const countsByItem = {};
-      countsData.forEach(count => {
-        if (!countsByItem[count.item_id]) {
-          countsByItem[count.item_id] = [];
-        }
-        countsByItem[count.item_id].push({
-          location: count.locations?.name || 'Unknown',
-          countedQty: count.counted_qty,
-          calculation: count.counted_qty_calculation,
-          timestamp: count.timestamp,
-          id: count.id
-        });
-      });
-      setCounts(countsByItem);
+        // Fetch existing counts for this session (RLS limits blind sessions to own counts)
+        let countsQuery = supabase
+          .from('counts')
+          .select(`
+            *,
+            items (
+              id,
+              item_name,
+              sku
+            ),
+            locations (
+              name
+            )
+          `)
+          .eq('session_id', sessionId);
+        countsQuery = restrictToOwnCounts(countsQuery, isBlindFor(sessionData, isAdmin), user.id);
+        const { data: countsData, error: countsError } = await countsQuery;
+
+        if (countsError) throw countsError;
+
+        setCounts(groupCountsByItem(countsData));
+        loadedCountItemIdsRef.current = new Set(itemsData.map(item => item.id));
+      }
 
       // Fetch locations filtered by item categories
       if (itemCategories.length > 0) {
@@ -431,7 +591,7 @@ const ItemsList = () => {
   // Fetch latest counts for a specific item from DB and update local state
   const refreshCountsForItem = async (itemId) => {
     try {
-      const { data: countsData, error } = await supabase
+      let countsQuery = supabase
         .from('counts')
         .select(`
           *,
@@ -439,6 +599,9 @@ const ItemsList = () => {
         `)
         .eq('session_id', session.id)
         .eq('item_id', itemId);
+      countsQuery = restrictToOwnCounts(countsQuery, isBlind, user.id);
+      loadedCountItemIdsRef.current.add(itemId);
+      const { data: countsData, error } = await countsQuery;
 
       if (error) throw error;
 
@@ -446,8 +609,10 @@ const ItemsList = () => {
         location: count.locations?.name || 'Unknown',
         countedQty: count.counted_qty,
         calculation: count.counted_qty_calculation,
+        breakdown: count.counted_qty_breakdown,
         timestamp: count.timestamp,
         id: count.id,
+        userId: count.user_id,
       }));
 
       setCounts((prev) => ({
@@ -492,6 +657,22 @@ const ItemsList = () => {
   const handleRealtimeCountChange = async (payload) => {
     const { eventType, new: newRecord, old: oldRecord } = payload;
 
+    // Any count change can flag or withdraw a recount
+    refreshRecounts();
+
+    // RLS already filters these; never surface another counter's row in a blind session
+    if (isHiddenCount(newRecord, isBlindRef.current, user?.id)) {
+      return;
+    }
+
+    // Large sessions only follow items whose counts are loaded; the rest
+    // are fetched fresh when they scroll into view
+    if (eventType === 'INSERT' && largeSessionRef.current && newRecord
+      && !loadedCountItemIdsRef.current.has(newRecord.item_id)
+      && newRecord.location_id !== guidedLocationIdRef.current) {
+      return;
+    }
+
     if (eventType === 'INSERT' && newRecord) {
       // Add new count from another user
       try {
@@ -507,19 +688,17 @@ const ItemsList = () => {
             const updatedCounts = { ...prevCounts };
             const itemId = newRecord.item_id;
 
-            if (!updatedCounts[itemId]) {
-              updatedCounts[itemId] = [];
-            }
-
             const newCount = {
               location: locationData.name,
               countedQty: newRecord.counted_qty,
               calculation: newRecord.counted_qty_calculation,
+              breakdown: newRecord.counted_qty_breakdown,
               timestamp: newRecord.timestamp,
-              id: newRecord.id
+              id: newRecord.id,
+              userId: newRecord.user_id
             };
 
-            updatedCounts[itemId] = [...updatedCounts[itemId], newCount];
+            updatedCounts[itemId] = upsertCount(updatedCounts[itemId], newCount);
             return updatedCounts;
           });
         }
@@ -535,7 +714,7 @@ const ItemsList = () => {
         if (updatedCounts[itemId]) {
           updatedCounts[itemId] = updatedCounts[itemId].map(count =>
             count.id === newRecord.id
-              ? { ...count, countedQty: newRecord.counted_qty, calculation: newRecord.counted_qty_calculation, timestamp: newRecord.timestamp }
+              ? { ...count, countedQty: newRecord.counted_qty, calculation: newRecord.counted_qty_calculation, breakdown: newRecord.counted_qty_breakdown, timestamp: newRecord.timestamp }
               : count
           );
         }
@@ -568,28 +747,156 @@ const ItemsList = () => {
         item.item_code.toLowerCase().includes(searchTerm.toLowerCase()) ||
         (item.internal_product_code && item.internal_product_code.toLowerCase().includes(searchTerm.toLowerCase()));
 
-      const itemCounts = counts[item.id] || [];
+      const itemCounts = displayCounts[item.id] || [];
       const isCounted = itemCounts.length > 0;
 
       if (filterStatus === 'counted') return matchesSearch && isCounted;
       if (filterStatus === 'uncounted') return matchesSearch && !isCounted;
+      if (filterStatus === 'recount') return matchesSearch && recountItemIds.has(item.id);
       return matchesSearch;
     });
-  }, [items, searchTerm, filterStatus, counts]);
+  }, [items, searchTerm, filterStatus, displayCounts, recountItemIds]);
 
-  const handleItemSelect = async (item) => {
-    setSelectedItem(item);
+  useEffect(() => {
+    const timeout = setTimeout(() => setPageSearch(searchTerm), 300);
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
+
+  const pageKey = `${pageSearch}|${filterStatus}`;
+  const pageKeyRef = useRef(pageKey);
+  pageKeyRef.current = pageKey;
+
+  const loadItemPage = useCallback(async (offset) => {
+    const key = `${pageSearch}|${filterStatus}`;
+    setItemPage(prev => ({ ...prev, loading: true }));
+    try {
+      const page = await fetchSessionItemPage(sessionId, { search: pageSearch, filter: filterStatus, offset, limit: ITEM_PAGE_SIZE });
+      if (pageKeyRef.current !== key) return;
+      setItemPage(prev => ({ rows: offset === 0 ? page.rows : [...prev.rows, ...page.rows], total: page.total, loading: false }));
+    } catch (err) {
+      console.error('Error loading items:', err);
+      if (pageKeyRef.current === key) setItemPage(prev => ({ ...prev, loading: false }));
+    }
+  }, [sessionId, pageSearch, filterStatus]);
+
+  useEffect(() => {
+    if (!largeSession) return;
+    setItemPage({ rows: [], total: 0, loading: true });
+    loadItemPage(0);
+  }, [largeSession, loadItemPage]);
+
+  // The server filtered the page; loaded rows are re-checked so a fresh
+  // count moves an item out of the uncounted list straight away
+  const listItems = useMemo(() => {
+    if (!largeSession) return filteredItems;
+    if (filterStatus !== 'counted' && filterStatus !== 'uncounted') return itemPage.rows;
+    return itemPage.rows.filter(item => !loadedCountItemIdsRef.current.has(item.id)
+      || ((displayCounts[item.id] || []).length > 0) === (filterStatus === 'counted'));
+  }, [largeSession, filteredItems, filterStatus, itemPage.rows, displayCounts]);
+
+  const itemWindow = useWindowedList(listItems, { gap: 16 });
+  const visibleItems = listItems.slice(itemWindow.start, itemWindow.end);
+
+  useEffect(() => {
+    if (!largeSession || countMode !== 'item' || itemPage.loading) return;
+    const unloaded = itemPage.total - itemPage.rows.length;
+    if (shouldLoadMore({ end: itemWindow.end, loaded: listItems.length, total: listItems.length + unloaded })) {
+      loadItemPage(itemPage.rows.length);
+    }
+  }, [largeSession, countMode, itemPage, listItems.length, itemWindow.end, loadItemPage]);
+
+  const visibleItemIds = largeSession ? visibleItems.map(item => item.id).join(',') : '';
+  useEffect(() => {
+    if (!visibleItemIds) return;
+    const missing = missingCountItemIds(visibleItemIds.split(','), loadedCountItemIdsRef.current);
+    if (missing.length === 0) return;
+    missing.forEach(itemId => loadedCountItemIdsRef.current.add(itemId));
+    fetchSessionCountsForItems(sessionId, missing, { ownOnly: isBlindRef.current, userId: user?.id })
+      .then(rows => {
+        const grouped = groupCountsByItem(rows);
+        setCounts(prevCounts => {
+          const updatedCounts = { ...prevCounts };
+          missing.forEach(itemId => {
+            const merged = (grouped[itemId] || []).reduce(upsertCount, prevCounts[itemId]);
+            if (merged.length > 0) updatedCounts[itemId] = merged;
+          });
+          return updatedCounts;
+        });
+      })
+      .catch(err => {
+        missing.forEach(itemId => loadedCountItemIdsRef.current.delete(itemId));
+        console.error('Error loading counts:', err);
+      });
+  }, [visibleItemIds, sessionId, user]);
+
+  // Guided and scan modes work from the full item list. Scans keep using the
+  // server lookup until it has arrived.
+  useEffect(() => {
+    if (!largeSession || countMode === 'item' || allItemsLoadedRef.current || allItemsRequestedRef.current) return;
+    allItemsRequestedRef.current = true;
+    fetchSessionItems(sessionId)
+      .then(rows => {
+        setItems(rows);
+        allItemsLoadedRef.current = true;
+      })
+      .catch(err => console.error('Error loading session items:', err))
+      .finally(() => {
+        allItemsRequestedRef.current = false;
+      });
+  }, [largeSession, countMode, sessionId]);
+
+  const guidedLocationId = largeSession && countMode === 'location'
+    ? locations.find(loc => loc.name === guidedLocation)?.id ?? null
+    : null;
+  guidedLocationIdRef.current = guidedLocationId;
+
+  useEffect(() => {
+    if (!guidedLocationId) return;
+    fetchSessionCountsAtLocation(sessionId, guidedLocationId, { ownOnly: isBlindRef.current, userId: user?.id })
+      .then(rows => {
+        const grouped = groupCountsByItem(rows);
+        setCounts(prevCounts => Object.entries(grouped).reduce(
+          (updatedCounts, [itemId, list]) => ({ ...updatedCounts, [itemId]: list.reduce(upsertCount, updatedCounts[itemId]) }),
+          prevCounts
+        ));
+      })
+      .catch(err => console.error('Error loading location counts:', err));
+  }, [guidedLocationId, sessionId, user]);
+
+  // Items known on this device, for labels outside the list
+  const knownItems = useMemo(() => {
+    if (!largeSession) return items;
+    const byId = new Map(itemPage.rows.map(item => [item.id, item]));
+    items.forEach(item => byId.set(item.id, item));
+    return [...byId.values()];
+  }, [largeSession, items, itemPage.rows]);
+
+  // Guided mode counts at the chosen location; otherwise use the last one
+  // the counter picked if it suits the item's category and their zone.
+  const getDefaultLocation = (item) => {
+    if (countMode === 'location' && guidedLocation) return guidedLocation;
 
-    // Get filtered locations for this item
     const itemCategory = categories.find(cat => cat.name === item.category);
     const filteredLocations = itemCategory ? locations.filter(loc => loc.category_id === itemCategory.id) : [];
+    const zoneLocations = filteredLocations.filter(loc => !isOutsideZone(myZoneLocations, loc.name));
+    const candidates = zoneLocations.length > 0 ? zoneLocations : filteredLocations;
 
-    // Set default location: use last selected location if it's in filtered, or fallback to first available
-    const defaultLocation = lastSelectedLocation && filteredLocations.some(loc => loc.name === lastSelectedLocation)
+    return lastSelectedLocation && candidates.some(loc => loc.name === lastSelectedLocation)
       ? lastSelectedLocation
-      : filteredLocations[0]?.name || '';
+      : candidates[0]?.name || '';
+  };
 
-    setCountLocation(defaultLocation);
+  const handleCountModeChange = (mode) => {
+    setCountMode(mode);
+    setScanNotice(null);
+    if (mode === 'location' && !guidedLocation && myZoneLocations.length > 0) {
+      setGuidedLocation(myZoneLocations[0]);
+    }
+  };
+
+  const handleItemSelect = async (item) => {
+    setSelectedItem(item);
+    setCountLocation(getDefaultLocation(item));
 
     // Open modal first, then request fresh counts for this item from DB
     setShowCountModal(true);
@@ -608,17 +915,7 @@ const ItemsList = () => {
 
   const handleItemClick = async (item) => {
     setSelectedItem(item);
-
-    // Get filtered locations for this item
-    const itemCategory = categories.find(cat => cat.name === item.category);
-    const filteredLocations = itemCategory ? locations.filter(loc => loc.category_id === itemCategory.id) : [];
-
-    // Set default location: use last selected location if it's in filtered, or fallback to first available
-    const defaultLocation = lastSelectedLocation && filteredLocations.some(loc => loc.name === lastSelectedLocation)
-      ? lastSelectedLocation
-      : filteredLocations[0]?.name || '';
-
-    setCountLocation(defaultLocation);
+    setCountLocation(getDefaultLocation(item));
 
     // Open popup first, then request fresh counts for this item from DB
     setShowCalculationPopup(true);
@@ -636,123 +933,79 @@ const ItemsList = () => {
     setExpandedItems(newExpanded);
   };
 
-  const handleSaveCount = async () => {
-    if (!selectedItem || !countLocation || !countQuantity || calculationError) {
+  // duplicateMode answers a CC_DUPLICATE_COUNT rejection of the previous attempt
+  const handleSaveCount = async (duplicateMode = null) => {
+    if (!selectedItem || !countLocation || !countQuantity || calculationError || lotEntry.error) {
       return;
     }
 
-    // Validate session time window and status
-    if (session) {
-      const now = new Date();
+    // Validate against the capture time; a queued count keeps this timestamp
+    // when it syncs later, so it is judged by when it was counted.
+    const capturedAt = new Date();
+    const blockReason = getCaptureBlockReason(session, capturedAt);
+    if (blockReason) {
+      alert(blockReason);
+      return;
+    }
 
-      // Check if session is closed
-      if (session.status === 'closed' || session.status === 'completed' || session.status === 'cancelled') {
-        alert(`Cannot save count. Session is ${session.status}.`);
-        return;
-      }
+    const location = locations.find(loc => loc.name === countLocation);
+    if (!location) {
+      alert('Error saving count: Location is no longer active.');
+      return;
+    }
+    if (!duplicateMode && isOutsideZone(myZoneLocations, countLocation)
+      && !window.confirm(`${countLocation} is outside your zone. Another counter may be covering it. Save anyway?`)) {
+      return;
+    }
 
-      // Check if session is still scheduled (not yet active)
-      if (session.status === 'scheduled') {
-        alert('Cannot save count. Session is not yet active.');
-        return;
-      }
+    // Editing a count that has not synced yet updates its queued capture
+    const editedCount = isEditing
+      ? (displayCounts[selectedItem.id] || []).find(count => count.id === selectedCountId)
+      : null;
 
-      // Check if session has time window restrictions
-      if (session.valid_from && session.valid_until) {
-        const validFrom = new Date(session.valid_from);
-        const validUntil = new Date(session.valid_until);
+    try {
+      setSubmitting(true);
 
-        if (now < validFrom) {
-          alert(`Session has not started yet. It will open at ${validFrom.toLocaleString()}`);
-          return;
-        }
+      const result = await countQueue.capture({
+        clientId: editedCount?.clientId,
+        countId: editedCount?.clientId ? undefined : selectedCountId,
+        itemId: selectedItem.id,
+        locationId: location.id,
+        locationName: countLocation,
+        countedQty: calculatedResult,
+        calculation: countQuantity.trim(),
+        capturedAt: capturedAt.toISOString(),
+        device: getDeviceLabel(),
+        breakdown: unitBreakdownApplies ? unitEntry.breakdown : null,
+        lots: lotEntryApplies ? lotEntry.lines : null,
+        duplicateMode
+      });
 
-        if (now > validUntil) {
-          alert(`Session has expired. It closed at ${validUntil.toLocaleString()}`);
+      if (result.status === 'conflict') {
+        // Rejected while the user is still here; report it like a failed save
+        await countQueue.discard(result.entry.clientId);
+        if (isDuplicateCountError(result.error)) {
+          setDuplicatePrompt({ message: result.error.message, modes: duplicateModesFor(result.error) });
           return;
         }
+        throw result.error;
       }
-    }
-
-    try {
-      setSubmitting(true);
-
-      if (isEditing) {
-        // Update existing count
-        const { error: countError } = await supabase
-          .from('counts')
-          .update({
-            counted_qty: calculatedResult,
-            counted_qty_calculation: countQuantity.trim()
-          })
-          .eq('id', selectedCountId);
-
-        if (countError) throw countError;
 
-        // Update local state immediately
-        setCounts(prevCounts => {
-          const updatedCounts = { ...prevCounts };
-          const itemId = selectedItem.id;
-          if (updatedCounts[itemId]) {
-            updatedCounts[itemId] = updatedCounts[itemId].map(count =>
-              count.id === selectedCountId
-                ? { ...count, countedQty: calculatedResult, calculation: countQuantity.trim() }
-                : count
-            );
+      if (countPhotos.length > 0) {
+        if (result.status === 'synced') {
+          try {
+            await uploadPhotos(PHOTO_SUBJECT.COUNT, result.row.id, countPhotos);
+          } catch (photoError) {
+            alert('Count saved, but the photos could not be uploaded: ' + photoError.message);
           }
-          return updatedCounts;
-        });
-      } else {
-        // Get location ID (only active locations)
-        const { data: locationData, error: locationError } = await supabase
-          .from('locations')
-          .select('id')
-          .eq('name', countLocation)
-          .eq('is_active', true)
-          .single();
-
-        if (locationError) throw locationError;
-
-        // Insert new count
-        const { data: newCount, error: countError } = await supabase
-          .from('counts')
-          .insert({
-            session_id: session.id,
-            item_id: selectedItem.id,
-            user_id: user.id,
-            location_id: locationData.id,
-            counted_qty: calculatedResult,
-            counted_qty_calculation: countQuantity.trim()
-          })
-          .select()
-          .single();
-
-        if (countError) throw countError;
-
-        // Update local state immediately with the new count
-        if (newCount) {
-          setCounts(prevCounts => {
-            const updatedCounts = { ...prevCounts };
-            const itemId = selectedItem.id;
-            if (!updatedCounts[itemId]) {
-              updatedCounts[itemId] = [];
-            }
-
-            const newCountData = {
-              location: countLocation,
-              countedQty: newCount.counted_qty,
-              calculation: newCount.counted_qty_calculation,
-              timestamp: newCount.timestamp,
-              id: newCount.id
-            };
-
-            updatedCounts[itemId] = [...updatedCounts[itemId], newCountData];
-            return updatedCounts;
-          });
+        } else {
+          alert('Count saved on this device. Attach the photos from the count row once it has synced.');
         }
       }
 
+      setDuplicatePrompt(null);
       setShowCountModal(false);
+      setShowCalculationPopup(false);
       setCountQuantity('');
       setSelectedItem(null);
       setIsEditing(false);
@@ -767,14 +1020,148 @@ const ItemsList = () => {
     }
   };
 
-  const handleScanSuccess = (parsedCode, originalScan) => {
-    // Set the parsed code to search term to filter items
-    setSearchTerm(parsedCode);
+  // Shows a rejected tally scan in the panel and returns it for the scanner
+  const rejectTallyScan = (message) => {
+    signalScan(false);
+    setScanFeedback({ ok: false, message });
+    return message;
+  };
 
-    // Find the item with matching internal_product_code
-    const matchingItem = items.find(item =>
-      item.internal_product_code === parsedCode
-    );
+  // Continuous mode: a scan adds to the tally and the camera stays open
+  // Returns the message the scanner shows for a rejected code
+  const handleTallyCode = (code) => {
+    if (!scanTally.location) return rejectTallyScan('Select a location first');
+    if (largeSession && !allItemsLoadedRef.current) {
+      return rejectTallyScan('The item list is still loading. Scan again in a moment.');
+    }
+    const result = scanTally.scan(code, scanStep);
+    if (result.status === 'unknown') {
+      return rejectTallyScan(`${String(code).trim()} is not an item in this session`);
+    }
+    signalScan(true);
+    setScanFeedback({ ok: true, message: `+${result.scan.factor} ${result.scan.unit} ${result.item.sku}` });
+  };
+
+  const handleUndoScan = () => {
+    const last = scanTally.lastScan;
+    if (!last) return;
+    scanTally.undo();
+    const item = items.find(candidate => candidate.id === last.itemId);
+    setScanFeedback({ ok: true, message: `Undid ${last.factor} ${last.unit} ${item?.sku ?? ''}`.trim() });
+  };
+
+  const handleClearScans = () => {
+    if (!window.confirm('Discard all scans that have not been saved?')) return;
+    scanTally.clear();
+    setScanFeedback(null);
+  };
+
+  // Writes the tally as one capture per item, added to any count already at the location
+  const handleCommitScans = async () => {
+    const location = locations.find(loc => loc.name === scanTally.location);
+    if (!location) {
+      alert('Error saving counts: Location is no longer active.');
+      return;
+    }
+    const capturedAt = new Date();
+    const blockReason = getCaptureBlockReason(session, capturedAt);
+    if (blockReason) {
+      alert(blockReason);
+      return;
+    }
+    const invalid = scanTally.lines.filter(line => !line.item || line.entry.error);
+    if (invalid.length > 0) {
+      alert(`${invalid.length} item(s) cannot be saved: ${invalid.map(line => line.entry.error || 'item is no longer in the session').join('; ')}`);
+      return;
+    }
+    if (isOutsideZone(myZoneLocations, location.name)
+      && !window.confirm(`${location.name} is outside your zone. Another counter may be covering it. Save anyway?`)) {
+      return;
+    }
+
+    const saved = [];
+    const failed = [];
+    try {
+      setCommittingScans(true);
+      for (const line of scanTally.lines) {
+        try {
+          const result = await countQueue.capture({
+            itemId: line.itemId,
+            locationId: location.id,
+            locationName: location.name,
+            countedQty: line.entry.total,
+            calculation: line.entry.expression,
+            capturedAt: capturedAt.toISOString(),
+            device: getDeviceLabel(),
+            breakdown: line.entry.breakdown,
+            duplicateMode: 'ADD'
+          });
+          if (result.status === 'conflict') {
+            await countQueue.discard(result.entry.clientId);
+            failed.push(`${line.item.sku}: ${result.error.message}`);
+          } else {
+            saved.push(line.itemId);
+          }
+        } catch (err) {
+          failed.push(`${line.item.sku}: ${err.message}`);
+        }
+      }
+    } finally {
+      scanTally.removeItems(saved);
+      setCommittingScans(false);
+    }
+
+    if (failed.length > 0) {
+      alert(`Saved ${saved.length} item(s). These stay in the tally:\n${failed.join('\n')}`);
+    }
+    setScanFeedback(saved.length > 0 ? { ok: true, message: `Saved counts for ${saved.length} item(s) at ${location.name}` } : null);
+  };
+
+  // A scanned location label picks where to count, in every mode
+  const handleLocationScan = (locationName) => {
+    if (countMode === 'scan') {
+      if (scanTally.lines.length > 0) return rejectTallyScan('Save or clear the tally before moving to another location');
+      scanTally.setLocation(locationName);
+      signalScan(true);
+      setScanFeedback({ ok: true, message: `Counting at ${locationName}` });
+      return null;
+    }
+    if (countMode === 'location') {
+      setGuidedLocation(locationName);
+    } else {
+      handleLocationChange(locationName);
+      setScanNotice({ ok: true, message: `Counting at ${locationName}. Scan an item to count it there.` });
+    }
+    setShowScanModal(false);
+    return null;
+  };
+
+  const handleScan = (code) => {
+    const scannedLocation = locations.find(loc => loc.name.toLowerCase() === code.trim().toLowerCase());
+    if (scannedLocation) {
+      return handleLocationScan(scannedLocation.name);
+    }
+
+    if (countMode === 'scan') {
+      return handleTallyCode(code);
+    }
+
+    // Large sessions hold only a page of items; find the scanned one on the server
+    if (largeSession && !allItemsLoadedRef.current) {
+      const candidates = parseScannedCode(code, barcodeRules);
+      return findSessionItemByCandidates(sessionId, candidates)
+        .then(match => {
+          setSearchTerm(match?.candidate.code ?? candidates[0]?.code ?? code);
+          if (match) handleItemSelect(match.item);
+          setShowScanModal(false);
+          return null;
+        })
+        .catch(err => err.message);
+    }
+
+    // Resolve the scan with the barcode rules; the extracted code filters the list
+    const { candidate, item: matchingItem } = resolveScannedCode(code, items, barcodeRules);
+    setSearchTerm(candidate?.code ?? code);
 
     if (matchingItem) {
       // If item found and it's unique (only one match), open count modal directly
@@ -782,18 +1169,28 @@ const ItemsList = () => {
     } else {
       // If no item found or multiple matches, just show in search results
       // User can then select the appropriate item manually
-      console.log('Scanned code not found in items:', parsedCode);
+      console.log('Scanned code not found in items:', code);
     }
 
     // Close scan modal
     setShowScanModal(false);
+    return null;
   };
 
-  const handleScanError = (error) => {
-    console.error('Scan error:', error);
-    // Error is already handled in ScanModal component
-  };
-
+  // Handheld and ring scanners work anywhere on the page without opening
+  // the scanner first; dialogs and form fields keep their own input
+  useKeyboardWedge((code) => {
+    Promise.resolve(handleScan(code)).then((message) => {
+      // Scan mode rejections are already shown in the panel
+      if (!message || countMode === 'scan') return;
+      signalScan(false);
+      setScanNotice({ ok: false, message });
+    });
+  }, {
+    enabled: !loading && !showScanModal && !showCountModal && !showCalculationPopup
+      && !showFoundItem && !showSyncReview && !duplicatePrompt,
+    ignoreEditable: true
+  });
 
   if (loading) {
     return (
@@ -845,11 +1242,34 @@ const ItemsList = () => {
                   {session?.name || 'Session'}
                 </h1>
                 <p className="text-gray-600 text-sm">
-                  Items: {filteredItems.length} of {items.length}
+                  Items: {largeSession ? itemPage.total : filteredItems.length} of {largeSession ? sessionItemTotal : items.length}
+                  {isBlind && (
+                    <span className="ml-2 px-2 py-0.5 bg-gray-800 text-white text-xs font-semibold rounded-full" title="Only your own counts are shown">
+                      BLIND COUNT
+                    </span>
+                  )}
                 </p>
               </div>
             </div>
             <div className="flex items-center space-x-2">
+              {(!countQueue.online || countQueue.pending.length > 0 || countQueue.conflicts.length > 0) && (
+                <button
+                  onClick={() => setShowSyncReview(true)}
+                  className={`flex items-center space-x-1 px-2 py-1 rounded-md text-sm ${
+                    countQueue.conflicts.length > 0
+                      ? 'bg-red-100 text-red-700 hover:bg-red-200'
+                      : 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200'
+                  }`}
+                  title="Counts waiting to sync"
+                >
+                  {countQueue.conflicts.length > 0 ? (
+                    <AlertTriangle className="h-4 w-4" />
+                  ) : (
+                    <CloudOff className="h-4 w-4" />
+                  )}
+                  <span>{countQueue.pending.length + countQueue.conflicts.length}</span>
+                </button>
+              )}
               <button
                 onClick={() => navigate('/home')}
                 className="text-blue-600 hover:text-blue-800 p-2"
@@ -863,39 +1283,108 @@ const ItemsList = () => {
       </div>
 
       <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
-        {/* Search and Filter Bar */}
-        <div className="bg-white p-4 rounded-lg shadow mb-6">
-          <div className="flex flex-col sm:flex-row gap-4">
-            <div className="flex-1 relative">
-              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4 z-10" />
-              <input
-                type="text"
-                placeholder="Search SKU, name, or code..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="w-full pl-10 pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-              {searchTerm && (
-                <button
-                  onClick={() => setSearchTerm('')}
-                  className="absolute right-2 top-1/2 transform -translate-y-1/2 bg-gray-500 text-white p-1 rounded-md hover:bg-gray-600 flex items-center justify-center"
-                  title="Clear search"
-                >
-                  <X className="h-3 w-3" />
-                </button>
-              )}
-            </div>
-            <div className="flex gap-2">
-              <select
-                value={filterStatus}
-                onChange={(e) => setFilterStatus(e.target.value)}
-                className="px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        {/* Counting mode */}
+        <div className="flex justify-end mb-4 px-4 sm:px-0">
+          <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm bg-white">
+            {[
+              ['item', 'By Item'],
+              ['location', 'By Location'],
+              ['scan', 'Scan to Count'],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => handleCountModeChange(value)}
+                className={`px-3 py-1.5 ${countMode === value ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
               >
-                <option value="all">All Items</option>
-                <option value="counted">Counted</option>
-                <option value="uncounted">Uncounted</option>
-              </select>
-              {isMobileDevice() && (
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Scan notices from the page-wide scanner, shown in every mode */}
+        {scanNotice && (
+          <div
+            role="status"
+            className={`mb-4 px-4 py-2 rounded-md text-sm flex justify-between items-center ${
+              scanNotice.ok ? 'bg-blue-50 text-blue-800' : 'bg-red-50 text-red-700'
+            }`}
+          >
+            <span>{scanNotice.message}</span>
+            <button onClick={() => setScanNotice(null)} className="p-1 opacity-70 hover:opacity-100" title="Dismiss">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        )}
+
+        {countMode === 'location' ? (
+          <GuidedLocationPanel
+            sessionId={sessionId}
+            locations={locations}
+            categories={categories}
+            items={items}
+            counts={displayCounts}
+            locationName={guidedLocation}
+            zoneLocationNames={myZoneLocations}
+            onLocationChange={setGuidedLocation}
+            onCountItem={handleItemClick}
+            presencePeers={presence.peers}
+            onScan={() => setShowScanModal(true)}
+          />
+        ) : countMode === 'scan' ? (
+          <ScanCountPanel
+            locations={locations}
+            location={scanTally.location}
+            onLocationChange={scanTally.setLocation}
+            zoneLocationNames={myZoneLocations}
+            step={scanStep}
+            onStepChange={setScanStep}
+            lines={scanTally.lines}
+            lastScan={scanTally.lastScan}
+            feedback={scanFeedback}
+            onCode={handleTallyCode}
+            onUndo={handleUndoScan}
+            onClear={handleClearScans}
+            onCommit={handleCommitScans}
+            onOpenCamera={() => setShowScanModal(true)}
+            committing={committingScans}
+          />
+        ) : (
+          <>
+          {/* Search and Filter Bar */}
+          <div className="bg-white p-4 rounded-lg shadow mb-6">
+            <div className="flex flex-col sm:flex-row gap-4">
+              <div className="flex-1 relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4 z-10" />
+                <input
+                  type="text"
+                  placeholder="Search SKU, name, or code..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  data-wedge-scan
+                  className="w-full pl-10 pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                {searchTerm && (
+                  <button
+                    onClick={() => setSearchTerm('')}
+                    className="absolute right-2 top-1/2 transform -translate-y-1/2 bg-gray-500 text-white p-1 rounded-md hover:bg-gray-600 flex items-center justify-center"
+                    title="Clear search"
+                  >
+                    <X className="h-3 w-3" />
+                  </button>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <select
+                  value={filterStatus}
+                  onChange={(e) => setFilterStatus(e.target.value)}
+                  className="px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="all">All Items</option>
+                  <option value="counted">Counted</option>
+                  <option value="uncounted">Uncounted</option>
+                  <option value="recount">Recount ({recounts.length})</option>
+                </select>
                 <button
                   onClick={() => setShowScanModal(true)}
                   className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 flex items-center space-x-2"
@@ -903,104 +1392,166 @@ const ItemsList = () => {
                   <QrCode className="h-4 w-4" />
                   <span>Scan</span>
                 </button>
-              )}
+                <button
+                  onClick={() => setShowFoundItem(true)}
+                  className="border border-orange-300 text-orange-700 px-3 py-2 rounded-md hover:bg-orange-50 flex items-center space-x-2"
+                  title="Record stock that is not on this session's list"
+                >
+                  <PackagePlus className="h-4 w-4" />
+                  <span className="hidden sm:inline">Add found item</span>
+                </button>
+              </div>
             </div>
           </div>
-        </div>
 
-        {/* Items Grid */}
-        <div className="grid gap-4">
-          {filteredItems.map((item) => {
-            const itemCounts = counts[item.id] || [];
-            const isCounted = itemCounts.length > 0;
-            const totalCounted = itemCounts.reduce((acc, curr) => acc + curr.countedQty, 0);
-
-            return (
-              <div
-                key={item.id}
-                className={`bg-white rounded-lg shadow hover:shadow-md transition-all ${
-                  isCounted ? 'border-l-4 border-green-500' : 'border-l-4 border-gray-300'
-                }`}
-              >
+          {/* Items Grid */}
+          <div
+            ref={itemWindow.listRef}
+            className="grid gap-4"
+            style={{ paddingTop: itemWindow.before, paddingBottom: itemWindow.after }}
+          >
+            {visibleItems.map((item) => {
+              const itemCounts = displayCounts[item.id] || [];
+              const isCounted = itemCounts.length > 0;
+              const totalCounted = itemCounts.reduce((acc, curr) => acc + curr.countedQty, 0);
+
+              return (
                 <div
-                  onClick={() => handleItemClick(item)}
-                  className="p-3 hover:bg-gray-50 cursor-pointer flex justify-between items-start"
+                  key={item.id}
+                  ref={itemWindow.measure(item.id)}
+                  className={`bg-white rounded-lg shadow hover:shadow-md transition-all ${
+                    isCounted ? 'border-l-4 border-green-500' : 'border-l-4 border-gray-300'
+                  }`}
                 >
-                  <div className="flex-1">
-                    <div className="flex items-center space-x-2 mb-1">
-                      <span className="font-semibold text-gray-900">{item.sku}</span>
-                      <span className="text-gray-500">|</span>
-                      <span className="text-gray-600">{item.item_code}</span>
-                      {isCounted ? (
-                        <CheckCircle className="h-5 w-5 text-green-500" />
+                  <div
+                    onClick={() => handleItemClick(item)}
+                    className="p-3 hover:bg-gray-50 cursor-pointer flex justify-between items-start"
+                  >
+                    <div className="flex-1">
+                      <div className="flex items-center space-x-2 mb-1">
+                        <span className="font-semibold text-gray-900">{item.sku}</span>
+                        <span className="text-gray-500">|</span>
+                        <span className="text-gray-600">{item.item_code}</span>
+                        {isCounted ? (
+                          <CheckCircle className="h-5 w-5 text-green-500" />
+                        ) : (
+                          <XCircle className="h-5 w-5 text-gray-400" />
+                        )}
+                        {recountItemIds.has(item.id) && (
+                          <span className="px-1.5 py-0.5 bg-orange-100 text-orange-800 text-xs font-semibold rounded">
+                            RECOUNT
+                          </span>
+                        )}
+                        <PresenceAvatars users={getItemViewers(presence.peers, item.id)} />
+                      </div>
+                      <h3 className="text-lg font-medium text-gray-900 mb-1">
+                        {item.item_name}
+                      </h3>
+                      <div className="flex items-center space-x-4 text-sm text-gray-500 mb-2">
+                         <div className="flex items-center space-x-1">
+                           <Package className="h-4 w-4" />
+                           <span>{item.uom}</span>
+                         </div>
+                         <div className="flex items-center space-x-1">
+                           <Bookmark className="h-4 w-4" />
+                           <span>{item.category}</span>
+                         </div>
+                         {isCounted && (
+                           <span className="font-semibold text-green-600">
+                             Total: {totalCounted} {item.uom}
+                           </span>
+                         )}
+                       </div>
+
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      {expandedItems.has(item.id) ? (
+                        <ChevronUp
+                          className="h-5 w-5 text-gray-500 cursor-pointer hover:text-gray-700"
+                          onClick={(e) => handleChevronClick(e, item.id)}
+                        />
                       ) : (
-                        <XCircle className="h-5 w-5 text-gray-400" />
+                        <ChevronDown
+                          className="h-5 w-5 text-gray-500 cursor-pointer hover:text-gray-700"
+                          onClick={(e) => handleChevronClick(e, item.id)}
+                        />
                       )}
                     </div>
-                    <h3 className="text-lg font-medium text-gray-900 mb-1">
-                      {item.item_name}
-                    </h3>
-                    <div className="flex items-center space-x-4 text-sm text-gray-500 mb-2">
-                       <div className="flex items-center space-x-1">
-                         <Package className="h-4 w-4" />
-                         <span>{item.uom}</span>
-                       </div>
-                       <div className="flex items-center space-x-1">
-                         <Bookmark className="h-4 w-4" />
-                         <span>{item.category}</span>
-                       </div>
-                       {isCounted && (
-                         <span className="font-semibold text-green-600">
-                           Total: {totalCounted} {item.uom}
-                         </span>
-                       )}
-                     </div>
-
-                  </div>
-                  <div className="flex items-center space-x-2">
-                    {expandedItems.has(item.id) ? (
-                      <ChevronUp
-                        className="h-5 w-5 text-gray-500 cursor-pointer hover:text-gray-700"
-                        onClick={(e) => handleChevronClick(e, item.id)}
-                      />
-                    ) : (
-                      <ChevronDown
-                        className="h-5 w-5 text-gray-500 cursor-pointer hover:text-gray-700"
-                        onClick={(e) => handleChevronClick(e, item.id)}
-                      />
-                    )}
                   </div>
-                </div>
-                {expandedItems.has(item.id) && (
-                  <div className="p-3 border-t">
-                    {isCounted && (
-                      <div>
-                        <div className="flex justify-between items-center mb-1">
-                          <h4 className="font-semibold text-sm text-gray-700">
-                            Total Counted: {totalCounted} {item.uom}
-                          </h4>
+                  {expandedItems.has(item.id) && (
+                    <div className="p-3 border-t">
+                      {isCounted && (
+                        <div>
+                          <div className="flex justify-between items-center mb-1">
+                            <h4 className="font-semibold text-sm text-gray-700">
+                              Total Counted: {totalCounted} {item.uom}
+                            </h4>
+                          </div>
+                          <ul className="space-y-0.5 text-sm">
+                            {itemCounts.map((count, index) => (
+                              <li key={index}>
+                                <div className="flex items-center bg-gray-50 p-1.5 rounded">
+                                  <MapPin className="h-4 w-4 text-gray-500 mr-2" />
+                                  <span className="font-medium text-gray-600">
+                                    {count.location}:
+                                  </span>
+                                  <span className="ml-2 text-green-700 font-bold">
+                                    {count.countedQty}
+                                  </span>
+                                  {count.breakdown?.length > 0 && (
+                                    <span className="ml-2 text-xs text-gray-500">
+                                      ({formatBreakdown(count.breakdown)})
+                                    </span>
+                                  )}
+                                  {count.pending && (
+                                    <span className="ml-2 px-1.5 py-0.5 text-xs rounded bg-yellow-100 text-yellow-800">
+                                      pending
+                                    </span>
+                                  )}
+                                  {count.id && !count.pending && (
+                                    <button
+                                      onClick={() => setHistoryCountId(historyCountId === count.id ? null : count.id)}
+                                      className={`ml-auto p-1 rounded ${historyCountId === count.id ? 'text-blue-600 bg-blue-50' : 'text-gray-400 hover:text-gray-600'}`}
+                                      title="Edit history"
+                                    >
+                                      <History className="h-4 w-4" />
+                                    </button>
+                                  )}
+                                </div>
+                                {count.id && !count.pending && (
+                                  <div className="ml-6">
+                                    <PhotoAttachmentList
+                                      subjectType={PHOTO_SUBJECT.COUNT}
+                                      subjectId={count.id}
+                                      photos={expandedCountPhotos.photosFor(count.id)}
+                                      urls={expandedCountPhotos.urls}
+                                      loading={expandedCountPhotos.loading}
+                                      canAdd={isAdmin || count.userId === user?.id}
+                                      onChange={expandedCountPhotos.reload}
+                                    />
+                                  </div>
+                                )}
+                                {historyCountId === count.id && count.id && (
+                                  <CountHistoryDrawer key={`${count.countedQty}-${count.calculation}`} countId={count.id} />
+                                )}
+                              </li>
+                            ))}
+                          </ul>
                         </div>
-                        <ul className="space-y-0.5 text-sm">
-                          {itemCounts.map((count, index) => (
-                            <li key={index} className="flex items-center bg-gray-50 p-1.5 rounded">
-                              <MapPin className="h-4 w-4 text-gray-500 mr-2" />
-                              <span className="font-medium text-gray-600">
-                                {count.location}:
-                              </span>
-                              <span className="ml-2 text-green-700 font-bold">
-                                {count.countedQty}
-                              </span>
-                            </li>
-                          ))}
-                        </ul>
-                      </div>
-                    )}
-                  </div>
-                )}
-              </div>
-            );
-          })}
-        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          {largeSession && itemPage.loading && (
+            <div className="flex items-center justify-center py-4">
+              <div className="spinner"></div>
+            </div>
+          )}
+          </>
+        )}
       </main>
 
       {/* Count Modal */}
@@ -1042,7 +1593,11 @@ const ItemsList = () => {
                   <option value="">Select Location</option>
                   {(() => {
                     const itemCategory = categories.find(cat => cat.name === selectedItem.category);
-                    const filteredLocations = itemCategory ? locations.filter(loc => loc.category_id === itemCategory.id) : [];
+                    // Guided mode may count an item at a location outside its category
+                    const filteredLocations = locations.filter(loc =>
+                      (itemCategory && loc.category_id === itemCategory.id)
+                      || (countMode === 'location' && loc.name === guidedLocation)
+                    );
                     return filteredLocations.map(loc => (
                       <option key={loc.id} value={loc.name}>
                         {loc.name}
@@ -1050,8 +1605,53 @@ const ItemsList = () => {
                     ));
                   })()}
                 </select>
+                {isOutsideZone(myZoneLocations, countLocation) && (
+                  <p className="mt-1 text-xs text-orange-600">Outside your zone</p>
+                )}
+                {countConflicts.length > 0 && (
+                  <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-yellow-800 flex items-start">
+                    <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                    <span>
+                      {countConflicts.map(peer => peer.name || 'Another counter').join(', ')} {countConflicts.length > 1 ? 'are' : 'is'} already
+                      counting this item at {countLocation}. Agree who counts it before saving.
+                    </span>
+                  </div>
+                )}
               </div>
 
+              {(lotsLoading || lotRows.length > 0) && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Count by Lot
+                  </label>
+                  <LotCountPanel
+                    lots={lotRows}
+                    quantities={lotQuantities}
+                    unlisted={unlistedLotQty}
+                    onChange={(next) => handleLotQuantitiesChange(next)}
+                    onUnlistedChange={(next) => handleLotQuantitiesChange(lotQuantities, next)}
+                    loading={lotsLoading}
+                    error={lotEntry.error}
+                    stale={Boolean(lotEntry.lines) && !lotEntryApplies}
+                  />
+                </div>
+              )}
+
+              {hasUnitConversions(selectedItem) && lotRows.length === 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Count by Unit
+                  </label>
+                  <UnitEntryPanel
+                    units={itemUnits}
+                    quantities={unitQuantities}
+                    onChange={handleUnitQuantitiesChange}
+                    error={unitEntry.error}
+                    stale={Boolean(unitEntry.breakdown) && !unitBreakdownApplies}
+                  />
+                </div>
+              )}
+
               <div>
                 <label className="block text-sm font-medium text-gray-700">
                   Quantity Calculation
@@ -1163,11 +1763,19 @@ const ItemsList = () => {
                   <CalculatorComponent
                     value={countQuantity}
                     onChange={handleCountQuantityChange}
+                    multipliers={unitMultipliers}
                   />
                 </div>
               </div>
             </div>
 
+            <div className="mt-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Photos <span className="text-gray-500">(Optional, for damaged or disputed stock)</span>
+              </label>
+              <PhotoPicker files={countPhotos} onChange={setCountPhotos} disabled={submitting} />
+            </div>
+
             <div className="flex justify-end space-x-2 mt-6">
               <button
                 onClick={() => {
@@ -1185,8 +1793,8 @@ const ItemsList = () => {
                 Cancel
               </button>
               <button
-                onClick={handleSaveCount}
-                disabled={!countLocation || !countQuantity || submitting || calculationError}
+                onClick={() => handleSaveCount()}
+                disabled={!countLocation || !countQuantity || submitting || calculationError || lotEntry.error}
                 className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-300 flex items-center space-x-2"
               >
                 {submitting ? (
@@ -1242,7 +1850,11 @@ const ItemsList = () => {
                   <option value="">Select Location</option>
                   {(() => {
                     const itemCategory = categories.find(cat => cat.name === selectedItem.category);
-                    const filteredLocations = itemCategory ? locations.filter(loc => loc.category_id === itemCategory.id) : [];
+                    // Guided mode may count an item at a location outside its category
+                    const filteredLocations = locations.filter(loc =>
+                      (itemCategory && loc.category_id === itemCategory.id)
+                      || (countMode === 'location' && loc.name === guidedLocation)
+                    );
                     return filteredLocations.map(loc => (
                       <option key={loc.id} value={loc.name}>
                         {loc.name}
@@ -1250,8 +1862,53 @@ const ItemsList = () => {
                     ));
                   })()}
                 </select>
+                {isOutsideZone(myZoneLocations, countLocation) && (
+                  <p className="mt-1 text-xs text-orange-600">Outside your zone</p>
+                )}
+                {countConflicts.length > 0 && (
+                  <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-yellow-800 flex items-start">
+                    <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                    <span>
+                      {countConflicts.map(peer => peer.name || 'Another counter').join(', ')} {countConflicts.length > 1 ? 'are' : 'is'} already
+                      counting this item at {countLocation}. Agree who counts it before saving.
+                    </span>
+                  </div>
+                )}
               </div>
 
+              {(lotsLoading || lotRows.length > 0) && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Count by Lot
+                  </label>
+                  <LotCountPanel
+                    lots={lotRows}
+                    quantities={lotQuantities}
+                    unlisted={unlistedLotQty}
+                    onChange={(next) => handleLotQuantitiesChange(next)}
+                    onUnlistedChange={(next) => handleLotQuantitiesChange(lotQuantities, next)}
+                    loading={lotsLoading}
+                    error={lotEntry.error}
+                    stale={Boolean(lotEntry.lines) && !lotEntryApplies}
+                  />
+                </div>
+              )}
+
+              {hasUnitConversions(selectedItem) && lotRows.length === 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Count by Unit
+                  </label>
+                  <UnitEntryPanel
+                    units={itemUnits}
+                    quantities={unitQuantities}
+                    onChange={handleUnitQuantitiesChange}
+                    error={unitEntry.error}
+                    stale={Boolean(unitEntry.breakdown) && !unitBreakdownApplies}
+                  />
+                </div>
+              )}
+
               <div>
                 <label className="block text-sm font-medium text-gray-700">
                   Quantity Calculation
@@ -1363,11 +2020,19 @@ const ItemsList = () => {
                   <CalculatorComponent
                     value={countQuantity}
                     onChange={handleCountQuantityChange}
+                    multipliers={unitMultipliers}
                   />
                 </div>
               </div>
             </div>
 
+            <div className="mt-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Photos <span className="text-gray-500">(Optional, for damaged or disputed stock)</span>
+              </label>
+              <PhotoPicker files={countPhotos} onChange={setCountPhotos} disabled={submitting} />
+            </div>
+
             <div className="flex justify-end space-x-2 mt-6">
               <button
                 onClick={() => {
@@ -1387,102 +2052,8 @@ const ItemsList = () => {
                 Close
               </button>
               <button
-                onClick={async () => {
-                  if (!selectedItem || !countLocation || !countQuantity || calculationError) {
-                    return;
-                  }
-
-                  try {
-                    setSubmitting(true);
-
-                    if (isEditing) {
-                      // Update existing count
-                      const { error: countError } = await supabase
-                        .from('counts')
-                        .update({
-                          counted_qty: calculatedResult,
-                          counted_qty_calculation: countQuantity.trim()
-                        })
-                        .eq('id', selectedCountId);
-
-                      if (countError) throw countError;
-
-                      // Update local state immediately
-                      setCounts(prevCounts => {
-                        const updatedCounts = { ...prevCounts };
-                        const itemId = selectedItem.id;
-                        if (updatedCounts[itemId]) {
-                          updatedCounts[itemId] = updatedCounts[itemId].map(count =>
-                            count.id === selectedCountId
-                              ? { ...count, countedQty: calculatedResult, calculation: countQuantity.trim() }
-                              : count
-                          );
-                        }
-                        return updatedCounts;
-                      });
-                    } else {
-                      // Get location ID (only active locations)
-                      const { data: locationData, error: locationError } = await supabase
-                        .from('locations')
-                        .select('id')
-                        .eq('name', countLocation)
-                        .eq('is_active', true)
-                        .single();
-
-                      if (locationError) throw locationError;
-
-                      // Insert new count
-                      const { data: newCount, error: countError } = await supabase
-                        .from('counts')
-                        .insert({
-                          session_id: session.id,
-                          item_id: selectedItem.id,
-                          user_id: user.id,
-                          location_id: locationData.id,
-                          counted_qty: calculatedResult,
-                          counted_qty_calculation: countQuantity.trim()
-                        })
-                        .select()
-                        .single();
-
-                      if (countError) throw countError;
-
-                      // Update local state immediately with the new count
-                      if (newCount) {
-                        setCounts(prevCounts => {
-                          const updatedCounts = { ...prevCounts };
-                          const itemId = selectedItem.id;
-                          if (!updatedCounts[itemId]) {
-                            updatedCounts[itemId] = [];
-                          }
-
-                          const newCountData = {
-                            location: countLocation,
-                            countedQty: newCount.counted_qty,
-                            calculation: newCount.counted_qty_calculation,
-                            timestamp: newCount.timestamp,
-                            id: newCount.id
-                          };
-
-                          updatedCounts[itemId] = [...updatedCounts[itemId], newCountData];
-                          return updatedCounts;
-                        });
-                      }
-                    }
-
-                    setShowCalculationPopup(false);
-                    setCountQuantity('');
-                    setSelectedItem(null);
-                    setIsEditing(false);
-                    setSelectedCountId(null);
-                  } catch (err) {
-                    
-                    alert('Error saving count: ' + err.message);
-                  } finally {
-                    setSubmitting(false);
-                  }
-                }}
-                disabled={!countLocation || !countQuantity || submitting || calculationError}
+                onClick={() => handleSaveCount()}
+                disabled={!countLocation || !countQuantity || submitting || calculationError || lotEntry.error}
                 className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-300 flex items-center space-x-2"
               >
                 {submitting ? (
@@ -1497,13 +2068,54 @@ const ItemsList = () => {
         </div>
       )}
 
-      {/* Scan Modal */}
-      <ScanModal
-        isOpen={showScanModal}
-        onClose={() => setShowScanModal(false)}
-        onScanSuccess={handleScanSuccess}
-        onScanError={handleScanError}
-      />
+      {duplicatePrompt && selectedItem && (
+        <DuplicateCountDialog
+          message={duplicatePrompt.message}
+          modes={duplicatePrompt.modes}
+          quantity={calculatedResult}
+          uom={selectedItem.uom}
+          location={countLocation}
+          submitting={submitting}
+          onChoose={(mode) => handleSaveCount(mode)}
+          onCancel={() => setDuplicatePrompt(null)}
+        />
+      )}
+
+      {showSyncReview && (
+        <CountSyncReviewModal
+          items={knownItems}
+          pending={countQueue.pending}
+          conflicts={countQueue.conflicts}
+          syncing={countQueue.syncing}
+          online={countQueue.online}
+          onRetry={countQueue.retry}
+          onDiscard={countQueue.discard}
+          onSyncNow={countQueue.flush}
+          onClose={() => setShowSyncReview(false)}
+        />
+      )}
+
+      {/* Scanner: camera, handheld scanner or manual code */}
+      {showScanModal && (
+        <ScannerModal
+          onScan={handleScan}
+          onClose={() => setShowScanModal(false)}
+          continuous={countMode === 'scan'}
+        />
+      )}
+
+      {showFoundItem && (
+        <FoundItemModal
+          sessionId={sessionId}
+          locations={locations}
+          defaultLocation={lastSelectedLocation}
+          onCountSessionItem={(item) => {
+            setShowFoundItem(false);
+            handleItemSelect(item);
+          }}
+          onClose={() => setShowFoundItem(false)}
+        />
+      )}
     </div>
   );
 };
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { X, AlertTriangle, TrendingUp, Clock, CheckCircle, Edit } from 'lucide-react';
 import FollowUpModal from './FollowUpModal';
+import PhotoAttachments from '../features/photo-evidence/components/PhotoAttachments';
+import { PHOTO_SUBJECT } from '../features/photo-evidence/api/photoApi';
 
 const KanbanCardModal = ({ isOpen, onClose, item, onStatusUpdate, getStatusIcon, getFollowUpIcon }) => {
   const [isFollowUpModalOpen, setIsFollowUpModalOpen] = useState(false);
@@ -110,6 +112,12 @@ const KanbanCardModal = ({ isOpen, onClose, item, onStatusUpdate, getStatusIcon,
               </div>
             )}
 
+            {/* Photos */}
+            <div className="mt-6">
+              <h4 className="font-medium text-gray-900 mb-2">Photos</h4>
+              <PhotoAttachments key={item.id} subjectType={PHOTO_SUBJECT.STATUS_REPORT} subjectId={item.id} canAdd />
+            </div>
+
             {/* Timestamps */}
             <div className="mt-6 pt-4 border-t">
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
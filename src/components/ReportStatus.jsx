@@ -6,10 +6,14 @@ import StatusModal from './StatusModal';
 import StatusList from './StatusList';
 import BulkFollowUpModal from './BulkFollowUpModal';
 import KanbanBoard from './KanbanBoard';
-import ScanModal from './ScanModal';
+import ScannerModal from '../features/scanner/components/ScannerModal';
+import { useKeyboardWedge } from '../features/scanner/hooks/useKeyboardWedge';
+import { useBarcodeRules } from '../features/barcode-rules/hooks/useBarcodeRules';
+import { parseScannedCode } from '../features/barcode-rules/lib/barcodeRules';
+import { lookupScannedItem } from '../features/barcode-rules/api/barcodeRulesApi';
 import { supabase } from '../lib/supabase';
-import { isMobileDevice } from '../lib/deviceDetection';
 import writeXlsxFile from 'write-excel-file';
+import { PHOTO_SUBJECT, fetchPhotoLinks, uploadPhotos } from '../features/photo-evidence/api/photoApi';
 
 const ReportStatus = () => {
   const { user } = useAuth();
@@ -27,6 +31,7 @@ const ReportStatus = () => {
   const [scannedItem, setScannedItem] = useState(null);
   const [toast, setToast] = useState({ show: false, message: '', type: '' }); // type: 'success' | 'error' | 'warning'
   const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const { rules: barcodeRules } = useBarcodeRules();
 
   // Refs to store subscriptions
   const reportStatusSubscription = useRef(null);
@@ -244,20 +249,22 @@ const ReportStatus = () => {
     setIsStatusModalOpen(true);
   };
 
-  const handleScanSuccess = async (parsedCode, originalScan, showError) => {
+  // Resolves to the message the scanner shows when the code is rejected
+  const handleScan = async (code) => {
     try {
-      // Find item from database by internal_product_code
-      const { data: itemData, error } = await supabase
-        .from('items')
-        .select('id, sku, item_code, item_name, internal_product_code')
-        .eq('internal_product_code', parsedCode)
-        .single();
-
-      if (error || !itemData) {
-        console.log('Scanned code not found in items:', parsedCode);
-        // Show error in scan modal instead of closing it
-        showError(`Item dengan kode ${parsedCode} tidak ditemukan di database`);
-        return;
+      // Find the item in the database with the codes the barcode rules extract
+      const candidates = parseScannedCode(code, barcodeRules);
+      if (candidates.length === 0) return 'Format QR code tidak valid';
+      const match = await lookupScannedItem(
+        candidates,
+        'id, sku, item_code, item_name, internal_product_code'
+      );
+      const itemData = match?.item;
+
+      if (!itemData) {
+        console.log('Scanned code not found in items:', code);
+        // Keep the scanner open and show the error there
+        return `Item dengan kode ${candidates[0].code} tidak ditemukan di database`;
       }
 
       // Check if SKU is already active
@@ -276,9 +283,7 @@ const ReportStatus = () => {
       const scannedSku = (itemData.sku || '').toString().trim().toLowerCase();
 
       if (normalizedActiveSkus.includes(scannedSku)) {
-        // Show error in scan modal instead of closing it
-        showError(`SKU ${itemData.sku} sudah ada dalam status Open/On Progress`);
-        return;
+        return `SKU ${itemData.sku} sudah ada dalam status Open/On Progress`;
       }
 
       // Set scanned item and close scan modal
@@ -289,17 +294,21 @@ const ReportStatus = () => {
       // For now, we'll default to kritis, but user can change in modal
       setStatusType('kritis');
       setIsStatusModalOpen(true);
+      return null;
     } catch (error) {
       console.error('Error fetching scanned item:', error);
-      // Show error in scan modal instead of closing it
-      showError('Terjadi kesalahan saat memproses scan');
+      return 'Terjadi kesalahan saat memproses scan';
     }
   };
 
-  const handleScanError = (error) => {
-    console.error('Scan error:', error);
-    // Error is already handled in ScanModal component
-  };
+  // Handheld and ring scanners open the status form straight from the page
+  useKeyboardWedge(async (code) => {
+    const message = await handleScan(code);
+    if (message) showToast(message, 'error');
+  }, {
+    enabled: !showScanModal && !isStatusModalOpen && !isBulkStatusModalOpen,
+    ignoreEditable: true
+  });
 
   const handleStatusSubmit = async (formData) => {
     console.log('handleStatusSubmit called with:', formData);
@@ -308,12 +317,13 @@ const ReportStatus = () => {
     const wasScannedItem = scannedItem !== null;
     const itemName = formData.item_name;
     const statusType = formData.inventory_status;
+    const { photos = [], ...reportData } = formData;
 
     try {
       const { data, error } = await supabase
         .from('report_status_raw_mat')
         .insert([{
-          ...formData,
+          ...reportData,
           user_report: user.id,
           date_input: filterDate // Use the selected filter date
           // inventory_status is already included in formData from StatusModal
@@ -328,11 +338,28 @@ const ReportStatus = () => {
 
       console.log('Insert successful:', data);
 
+      let photoError = null;
+      if (photos.length > 0 && data?.[0]?.id) {
+        try {
+          await uploadPhotos(PHOTO_SUBJECT.STATUS_REPORT, data[0].id, photos);
+        } catch (uploadError) {
+          console.error('Error uploading report photos:', uploadError);
+          photoError = uploadError;
+        }
+      }
+
       // Show success toast
-      showToast(
-        `Report ${statusType?.toUpperCase()} berhasil ditambahkan: ${itemName}`,
-        'success'
-      );
+      if (photoError) {
+        showToast(
+          `Report ${statusType?.toUpperCase()} tersimpan, tetapi foto gagal diunggah: ${photoError.message}`,
+          'warning'
+        );
+      } else {
+        showToast(
+          `Report ${statusType?.toUpperCase()} berhasil ditambahkan: ${itemName}`,
+          'success'
+        );
+      }
 
       // Refresh reports
       fetchReports();
@@ -438,6 +465,8 @@ const ReportStatus = () => {
         r => r.date_input !== filterDate && (r.follow_up_status === 'open' || r.follow_up_status === 'on_progress')
       ).length;
 
+      const photoLinks = await fetchPhotoLinks(PHOTO_SUBJECT.STATUS_REPORT, reports.map(r => r.id));
+
       const schema = [
         { column: 'Date', type: String, value: r => r.date_input, width: 12 },
         { column: 'SKU', type: String, value: r => r.sku, width: 8 },
@@ -452,6 +481,7 @@ const ReportStatus = () => {
         { column: 'Updated By', type: String, value: r => (r.user_follow_up_name || ''), width: 14 },
         { column: 'Created At', type: String, value: r => new Date(r.created_at).toLocaleString('id-ID', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' }), width: 22 },
         { column: 'Updated At', type: String, value: r => new Date(r.updated_at).toLocaleString('id-ID', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' }), width: 22 },
+        { column: 'Photos', type: String, value: r => (photoLinks[r.id] || []).join('\n'), width: 60, wrap: true },
       ];
 
       // Generate filename that reflects the data content
@@ -588,16 +618,14 @@ const ReportStatus = () => {
               Over
             </button>
 
-            {isMobileDevice() && (
-              <button
-                onClick={() => setShowScanModal(true)}
-                className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 flex items-center gap-2"
-                title="Scan QR Code"
-              >
-                <QrCode className="h-4 w-4" />
-                <span>Scan</span>
-              </button>
-            )}
+            <button
+              onClick={() => setShowScanModal(true)}
+              className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 flex items-center gap-2"
+              title="Scan QR / barcode, or type a code"
+            >
+              <QrCode className="h-4 w-4" />
+              <span>Scan</span>
+            </button>
 
             {/* Hamburger Menu */}
             <div className="relative" ref={menuRef}>
@@ -829,13 +857,13 @@ const ReportStatus = () => {
         reports={reports}
       />
 
-      {/* Scan Modal */}
-      <ScanModal
-        isOpen={showScanModal}
-        onClose={() => setShowScanModal(false)}
-        onScanSuccess={handleScanSuccess}
-        onScanError={handleScanError}
-      />
+      {/* Scanner: camera, handheld scanner or manual code */}
+      {showScanModal && (
+        <ScannerModal
+          onScan={handleScan}
+          onClose={() => setShowScanModal(false)}
+        />
+      )}
 
       {/* Toast Notification */}
       {toast.show && (
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { X, Search, AlertTriangle, TrendingUp } from 'lucide-react';
 import { supabase } from '../lib/supabase';
+import PhotoPicker from '../features/photo-evidence/components/PhotoPicker';
 
 const StatusModal = ({ isOpen, onClose, onSubmit, statusType, activeSkus = [], scannedItem = null }) => {
   const [formData, setFormData] = useState({
@@ -21,6 +22,7 @@ const StatusModal = ({ isOpen, onClose, onSubmit, statusType, activeSkus = [], s
   const [selectedStatusType, setSelectedStatusType] = useState(statusType);
   const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('');
+  const [photos, setPhotos] = useState([]);
 
   // Load category from localStorage on mount
   useEffect(() => {
@@ -265,7 +267,8 @@ const StatusModal = ({ isOpen, onClose, onSubmit, statusType, activeSkus = [], s
       const submitData = {
         ...formData,
         qty: formData.qty !== '' ? parseInt(formData.qty) : null,
-        inventory_status: selectedStatusType // Include the selected status type
+        inventory_status: selectedStatusType, // Include the selected status type
+        photos // Uploaded by the parent once the report row exists
       };
 
       console.log('Submitting data:', submitData);
@@ -293,6 +296,7 @@ const StatusModal = ({ isOpen, onClose, onSubmit, statusType, activeSkus = [], s
     setSearchTerm('');
     setItems([]);
     setFilteredItems([]);
+    setPhotos([]);
 
     // Reset to not loading after a brief moment
     setTimeout(() => {
@@ -311,6 +315,7 @@ const StatusModal = ({ isOpen, onClose, onSubmit, statusType, activeSkus = [], s
     setSelectedItem(null);
     setSearchTerm('');
     setErrors({});
+    setPhotos([]);
     onClose();
   };
 
@@ -566,6 +571,14 @@ const StatusModal = ({ isOpen, onClose, onSubmit, statusType, activeSkus = [], s
             />
           </div>
 
+          {/* Photos */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Photos <span className="text-gray-500">(Optional)</span>
+            </label>
+            <PhotoPicker files={photos} onChange={setPhotos} disabled={loading} />
+          </div>
+
           {/* Buttons */}
           <div className="flex justify-end gap-3 pt-4">
             <button
@@ -0,0 +1,89 @@
+import { supabase } from '../../../lib/supabase';
+
+const POLICY_COLUMNS = 'abc_class, cumulative_pct, counts_per_year, updated_at';
+const CLASS_COLUMNS = 'item_id, computed_class, override_class, unit_cost, basis, usage, cumulative_pct, period_from, period_to, classified_at';
+const PAGE_SIZE = 1000;
+
+function throwIfError(error) {
+  if (error) throw new Error(error.message || 'ABC planning operation failed.');
+}
+
+// Reads every row of a query past the API's 1000-row cap.
+async function fetchAllPages(buildQuery) {
+  let rows = [];
+  for (let start = 0; ; start += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(start, start + PAGE_SIZE - 1);
+    throwIfError(error);
+    rows = rows.concat(data ?? []);
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+export async function fetchAbcPolicies() {
+  const { data, error } = await supabase.from('abc_class_policies').select(POLICY_COLUMNS).order('abc_class');
+  throwIfError(error);
+  return data ?? [];
+}
+
+export async function saveAbcPolicies(policies) {
+  for (const policy of policies) {
+    const { error } = await supabase
+      .from('abc_class_policies')
+      .update({
+        cumulative_pct: Number(policy.cumulative_pct),
+        counts_per_year: Number(policy.counts_per_year),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('abc_class', policy.abc_class);
+    throwIfError(error);
+  }
+}
+
+/** Quantity issued per item between two dates: [{ item_id, out_qty }]. */
+export async function fetchItemConsumption(from, to) {
+  const { data, error } = await supabase.rpc('get_item_consumption', { p_from: from, p_to: to });
+  throwIfError(error);
+  return data ?? [];
+}
+
+/** Saved classification keyed by item id. */
+export async function fetchItemAbcClasses() {
+  const rows = await fetchAllPages(() => supabase.from('item_abc_classes').select(CLASS_COLUMNS).order('item_id'));
+  return Object.fromEntries(rows.map((row) => [row.item_id, row]));
+}
+
+export async function saveAbcClassification({ basis, from, to, rows }) {
+  const { data, error } = await supabase.rpc('save_abc_classification', {
+    p_basis: basis,
+    p_from: from,
+    p_to: to,
+    p_rows: rows.map((row) => ({
+      item_id: row.item_id,
+      computed_class: row.computed_class,
+      override_class: row.override_class || null,
+      unit_cost: row.unit_cost === '' || row.unit_cost == null ? null : Number(row.unit_cost),
+      usage: row.usage,
+      cumulative_pct: row.cumulative_pct,
+    })),
+  });
+  throwIfError(error);
+  return data;
+}
+
+export async function fetchTemplateItemIds(templateId) {
+  const rows = await fetchAllPages(() => supabase
+    .from('session_items')
+    .select('item_id')
+    .eq('session_id', templateId)
+    .order('item_id'));
+  return rows.map((row) => row.item_id);
+}
+
+/** Rebuilds the items of the template's future scheduled and active sessions. */
+export async function replanFutureSessions(templateId) {
+  const { data, error } = await supabase.rpc('update_future_sessions_from_template', {
+    p_master_session_id: templateId,
+  });
+  throwIfError(error);
+  return data?.[0]?.updated_count ?? 0;
+}
@@ -0,0 +1,463 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { AlertCircle, CheckCircle, Play, RefreshCw, Save, Search } from 'lucide-react';
+import {
+  fetchAbcPolicies,
+  fetchItemAbcClasses,
+  fetchItemConsumption,
+  fetchTemplateItemIds,
+  replanFutureSessions,
+  saveAbcClassification,
+  saveAbcPolicies,
+} from '../api/abcApi';
+import {
+  ABC_BASIS,
+  ABC_BASIS_LABELS,
+  ABC_CLASSES,
+  ABC_CLASS_STYLES,
+  DEFAULT_ABC_POLICIES,
+  classifyItems,
+  countByClass,
+  effectiveClass,
+  occurrencesPerYear,
+  planAbcQuotas,
+  validateAbcPolicies,
+} from '../lib/abcClassification';
+
+const PREVIEW_LIMIT = 200;
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const isoDate = (date) => date.toISOString().split('T')[0];
+const defaultPeriod = () => {
+  const to = new Date();
+  const from = new Date(to);
+  from.setFullYear(from.getFullYear() - 1);
+  return { from: isoDate(from), to: isoDate(to) };
+};
+
+const ClassBadge = ({ abcClass }) => (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${ABC_CLASS_STYLES[abcClass] ?? ''}`}>{abcClass}</span>
+);
+
+const PoliciesPanel = ({ policies, usingDefaults, onSaved }) => {
+  const [draft, setDraft] = useState(policies);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const problem = validateAbcPolicies(draft);
+
+  useEffect(() => {
+    setDraft(policies);
+  }, [policies]);
+
+  const set = (abcClass, field) => (e) => setDraft((current) => current.map((policy) => (
+    policy.abc_class === abcClass ? { ...policy, [field]: e.target.value } : policy
+  )));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      await saveAbcPolicies(draft);
+      await onSaved();
+      setMessage({ type: 'success', text: 'Class policies saved.' });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 space-y-3">
+      <h4 className="font-semibold">Class Policies</h4>
+      <p className="text-sm text-gray-600">
+        Items are ranked by usage; a class takes the items that make up usage up to its cumulative share.
+      </p>
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            {['Class', 'Cumulative share (%)', 'Counts per year'].map((heading) => (
+              <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{heading}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {draft.map((policy) => (
+            <tr key={policy.abc_class}>
+              <td className="px-3 py-2"><ClassBadge abcClass={policy.abc_class} /></td>
+              <td className="px-3 py-2">
+                <input type="number" min="1" max="100" step="0.01" value={policy.cumulative_pct} onChange={set(policy.abc_class, 'cumulative_pct')} className={`${inputClass} w-28`} />
+              </td>
+              <td className="px-3 py-2">
+                <input type="number" min="1" max="365" value={policy.counts_per_year} onChange={set(policy.abc_class, 'counts_per_year')} className={`${inputClass} w-28`} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {problem && <p className="text-sm text-red-600">{problem}</p>}
+      {usingDefaults && (
+        <p className="text-sm text-yellow-700">The policy table is not available, so the built-in policies are shown. Run database/abc_planning_migration.sql first.</p>
+      )}
+      {message && (
+        <p className={`text-sm ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+      )}
+      <button
+        onClick={handleSave}
+        disabled={!!problem || saving || usingDefaults}
+        className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+      >
+        <Save className="h-4 w-4" />
+        {saving ? 'Saving...' : 'Save Policies'}
+      </button>
+    </div>
+  );
+};
+
+const ClassifyPanel = ({ items, policies, savedClasses, onSaved }) => {
+  const [basis, setBasis] = useState(savedClasses.basis ?? ABC_BASIS.VALUE);
+  const [period, setPeriod] = useState(defaultPeriod);
+  const [consumption, setConsumption] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [search, setSearch] = useState('');
+  const [running, setRunning] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const classified = useMemo(() => {
+    if (!consumption) return [];
+    const rows = items.map((item) => {
+      const saved = savedClasses.byItem[item.id];
+      const edit = edits[item.id] ?? {};
+      return {
+        item_id: item.id,
+        sku: item.sku,
+        item_name: item.item_name,
+        out_qty: consumption[item.id] ?? 0,
+        unit_cost: edit.unit_cost ?? saved?.unit_cost ?? '',
+        override_class: edit.override_class ?? saved?.override_class ?? '',
+      };
+    });
+    return classifyItems(rows, policies, basis);
+  }, [items, consumption, edits, savedClasses, policies, basis]);
+
+  const totals = useMemo(() => classified.reduce((counts, row) => {
+    const abcClass = effectiveClass(row);
+    counts[abcClass] = (counts[abcClass] ?? 0) + 1;
+    return counts;
+  }, {}), [classified]);
+
+  const visibleRows = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    const rows = term
+      ? classified.filter((row) => `${row.sku} ${row.item_name}`.toLowerCase().includes(term))
+      : classified;
+    return rows.slice(0, PREVIEW_LIMIT);
+  }, [classified, search]);
+
+  const handleRun = async () => {
+    setRunning(true);
+    setMessage(null);
+    try {
+      const rows = await fetchItemConsumption(period.from, period.to);
+      setConsumption(Object.fromEntries(rows.map((row) => [row.item_id, Number(row.out_qty) || 0])));
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const saved = await saveAbcClassification({ basis, from: period.from, to: period.to, rows: classified });
+      setEdits({});
+      await onSaved();
+      setMessage({ type: 'success', text: `Saved the class of ${saved} items.` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setEdit = (itemId, field) => (e) => setEdits((current) => ({
+    ...current,
+    [itemId]: { ...current[itemId], [field]: e.target.value },
+  }));
+
+  const missingCosts = basis === ABC_BASIS.VALUE && classified.some((row) => row.out_qty > 0 && !(Number(row.unit_cost) > 0));
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 space-y-3">
+      <h4 className="font-semibold">Classify Items</h4>
+      <p className="text-sm text-gray-600">
+        Usage comes from FIFO outbound transactions in the period. Overrides win over the computed class.
+        {savedClasses.classifiedAt && ` Last saved ${new Date(savedClasses.classifiedAt).toLocaleString()}.`}
+      </p>
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700">Basis</label>
+          <select value={basis} onChange={(e) => setBasis(e.target.value)} className={`${inputClass} mt-1`}>
+            {Object.values(ABC_BASIS).map((value) => <option key={value} value={value}>{ABC_BASIS_LABELS[value]}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">From</label>
+          <input type="date" value={period.from} onChange={(e) => setPeriod((current) => ({ ...current, from: e.target.value }))} className={`${inputClass} mt-1`} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">To</label>
+          <input type="date" value={period.to} onChange={(e) => setPeriod((current) => ({ ...current, to: e.target.value }))} className={`${inputClass} mt-1`} />
+        </div>
+        <button
+          onClick={handleRun}
+          disabled={running || !period.from || !period.to || period.from > period.to}
+          className="bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800 disabled:opacity-50 flex items-center gap-2"
+        >
+          <Play className="h-4 w-4" />
+          {running ? 'Loading usage...' : 'Load Usage'}
+        </button>
+      </div>
+
+      {message && (
+        <div className={`flex items-center p-2 rounded text-sm ${message.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+          {message.type === 'error' ? <AlertCircle className="h-4 w-4 mr-2" /> : <CheckCircle className="h-4 w-4 mr-2" />}
+          {message.text}
+        </div>
+      )}
+
+      {consumption && (
+        <>
+          <div className="flex flex-wrap items-center gap-4 text-sm">
+            {ABC_CLASSES.map((abcClass) => (
+              <span key={abcClass} className="flex items-center gap-1">
+                <ClassBadge abcClass={abcClass} /> {totals[abcClass] ?? 0} items
+              </span>
+            ))}
+          </div>
+          {missingCosts && (
+            <p className="text-sm text-yellow-700">Some items with usage have no unit cost and count as zero value. Enter their cost or switch to volume.</p>
+          )}
+          <div className="relative">
+            <Search className="h-4 w-4 absolute left-2 top-2.5 text-gray-400" />
+            <input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search SKU or name" className={`${inputClass} pl-8 py-2 w-full`} />
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['SKU', 'Item', 'Qty out', 'Unit cost', 'Usage', 'Cum. %', 'Computed', 'Override'].map((heading) => (
+                    <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{heading}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {visibleRows.map((row) => (
+                  <tr key={row.item_id}>
+                    <td className="px-3 py-2 font-mono">{row.sku}</td>
+                    <td className="px-3 py-2">{row.item_name}</td>
+                    <td className="px-3 py-2 text-right">{row.out_qty}</td>
+                    <td className="px-3 py-2">
+                      <input type="number" min="0" step="any" value={row.unit_cost ?? ''} onChange={setEdit(row.item_id, 'unit_cost')} className={`${inputClass} w-24`} />
+                    </td>
+                    <td className="px-3 py-2 text-right">{row.usage.toLocaleString()}</td>
+                    <td className="px-3 py-2 text-right">{row.cumulative_pct.toFixed(1)}</td>
+                    <td className="px-3 py-2"><ClassBadge abcClass={row.computed_class} /></td>
+                    <td className="px-3 py-2">
+                      <select value={row.override_class ?? ''} onChange={setEdit(row.item_id, 'override_class')} className={inputClass}>
+                        <option value="">—</option>
+                        {ABC_CLASSES.map((abcClass) => <option key={abcClass} value={abcClass}>{abcClass}</option>)}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {classified.length > visibleRows.length && (
+            <p className="text-xs text-gray-500">Showing {visibleRows.length} of {classified.length} items; search to find the rest.</p>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={saving || classified.length === 0}
+            className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+          >
+            <Save className="h-4 w-4" />
+            {saving ? 'Saving...' : 'Save Classification'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+const TemplatesPanel = ({ templates, policies, classesById }) => {
+  const [templateId, setTemplateId] = useState(templates[0]?.id ?? '');
+  const [itemIds, setItemIds] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const template = templates.find((session) => session.id === templateId);
+
+  useEffect(() => {
+    if (!templateId) return;
+    let cancelled = false;
+    setItemIds(null);
+    setMessage(null);
+    fetchTemplateItemIds(templateId)
+      .then((ids) => { if (!cancelled) setItemIds(ids); })
+      .catch((err) => { if (!cancelled) setMessage({ type: 'error', text: err.message }); });
+    return () => { cancelled = true; };
+  }, [templateId]);
+
+  const perYear = occurrencesPerYear(template?.recurring_config);
+  const quotas = useMemo(() => (itemIds
+    ? planAbcQuotas({ classCounts: countByClass(itemIds, classesById), policies, occurrencesPerYear: perYear })
+    : []), [itemIds, classesById, policies, perYear]);
+
+  const handleReplan = async () => {
+    if (!window.confirm(`Rebuild the item lists of all future sessions of "${template.name}"?`)) return;
+    setBusy(true);
+    setMessage(null);
+    try {
+      const updated = await replanFutureSessions(template.id);
+      setMessage({ type: 'success', text: `Re-planned ${updated} future session(s).` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 space-y-3">
+      <h4 className="font-semibold">Recurring Templates</h4>
+      {templates.length === 0 ? (
+        <p className="text-sm text-gray-500">No recurring templates yet. Create one under Sessions and tick "Plan items by ABC class".</p>
+      ) : (
+        <>
+          <select value={templateId} onChange={(e) => setTemplateId(e.target.value)} className={`${inputClass} py-2`}>
+            {templates.map((session) => (
+              <option key={session.id} value={session.id}>
+                {session.name}{session.recurring_config?.abc_plan ? ' (ABC planned)' : ''}
+              </option>
+            ))}
+          </select>
+          {template && !template.recurring_config?.abc_plan && (
+            <p className="text-sm text-yellow-700">This template copies all of its items into every session. Tick "Plan items by ABC class" in its settings to plan by class.</p>
+          )}
+          <p className="text-sm text-gray-600">{perYear} session(s) per year.</p>
+          {!itemIds && !message ? (
+            <div className="flex items-center justify-center py-4"><div className="spinner"></div></div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Class', 'Items in template', 'Counts per year', 'Items per session', 'Sessions per full cycle'].map((heading) => (
+                    <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{heading}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {quotas.map((quota) => (
+                  <tr key={quota.abc_class}>
+                    <td className="px-3 py-2"><ClassBadge abcClass={quota.abc_class} /></td>
+                    <td className="px-3 py-2">{quota.pool}</td>
+                    <td className="px-3 py-2">{quota.counts_per_year}</td>
+                    <td className="px-3 py-2">{quota.perSession}</td>
+                    <td className="px-3 py-2">{quota.cycleSessions}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {message && (
+            <p className={`text-sm ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+          )}
+          <button
+            onClick={handleReplan}
+            disabled={busy || !template?.recurring_config?.abc_plan}
+            className="bg-purple-600 text-white px-4 py-2 rounded-md hover:bg-purple-700 disabled:opacity-50 flex items-center gap-2"
+          >
+            <RefreshCw className={`h-4 w-4 ${busy ? 'animate-spin' : ''}`} />
+            Re-plan Future Sessions
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Admin page for ABC classification: class policies, classifying items by
+ * FIFO consumption, and how recurring templates spread their items by class.
+ */
+const AbcPlanningManager = ({ items = [], sessions = [] }) => {
+  const [policies, setPolicies] = useState(DEFAULT_ABC_POLICIES);
+  const [usingDefaults, setUsingDefaults] = useState(false);
+  const [classesById, setClassesById] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const load = async () => {
+    try {
+      setError('');
+      const [savedPolicies, savedClasses] = await Promise.all([fetchAbcPolicies(), fetchItemAbcClasses()]);
+      setUsingDefaults(savedPolicies.length === 0);
+      setPolicies(savedPolicies.length ? savedPolicies : DEFAULT_ABC_POLICIES);
+      setClassesById(savedClasses);
+    } catch (err) {
+      setUsingDefaults(true);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const savedClasses = useMemo(() => {
+    const rows = Object.values(classesById);
+    const latest = rows.reduce((last, row) => (!last || row.classified_at > last.classified_at ? row : last), null);
+    return { byItem: classesById, basis: latest?.basis, classifiedAt: latest?.classified_at };
+  }, [classesById]);
+
+  const templates = useMemo(() => sessions.filter((session) => session.is_recurring_template), [sessions]);
+  const classified = Object.values(classesById).length;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-xl font-semibold">ABC Planning</h3>
+        <p className="text-gray-600 text-sm mt-1">
+          Classify items by consumption and count each class at its own frequency. {classified} of {items.length} items
+          are classified; the rest count as class {effectiveClass(null)}.
+        </p>
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          <AlertCircle className="h-4 w-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <>
+          <PoliciesPanel policies={policies} usingDefaults={usingDefaults} onSaved={load} />
+          <ClassifyPanel items={items} policies={policies} savedClasses={savedClasses} onSaved={load} />
+          <TemplatesPanel templates={templates} policies={policies} classesById={classesById} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AbcPlanningManager;
@@ -0,0 +1,115 @@
+// Sessions per year of a recurring config, as the planner counts them.
+export { occurrencesPerYear } from '../../cycle-count/lib/recurrence';
+
+export const ABC_CLASSES = Object.freeze(['A', 'B', 'C']);
+
+export const ABC_BASIS = Object.freeze({
+  VALUE: 'value',
+  VOLUME: 'volume',
+});
+
+export const ABC_BASIS_LABELS = Object.freeze({
+  value: 'Consumption value (qty × unit cost)',
+  volume: 'Consumption volume (qty)',
+});
+
+export const ABC_CLASS_STYLES = Object.freeze({
+  A: 'bg-red-100 text-red-800',
+  B: 'bg-yellow-100 text-yellow-800',
+  C: 'bg-gray-100 text-gray-800',
+});
+
+/**
+ * Used while the abc_class_policies table is missing. Mirrors the seed in
+ * database/abc_planning_migration.sql.
+ */
+export const DEFAULT_ABC_POLICIES = Object.freeze([
+  { abc_class: 'A', cumulative_pct: 80, counts_per_year: 12 },
+  { abc_class: 'B', cumulative_pct: 95, counts_per_year: 4 },
+  { abc_class: 'C', cumulative_pct: 100, counts_per_year: 1 },
+]);
+
+const byClass = (policies) => [...policies].sort((a, b) => a.abc_class.localeCompare(b.abc_class));
+
+/** Reason the policies cannot be saved, or null. */
+export function validateAbcPolicies(policies = []) {
+  const sorted = byClass(policies);
+  if (sorted.map((policy) => policy.abc_class).join() !== ABC_CLASSES.join()) return 'Policies must cover classes A, B and C';
+  let previous = 0;
+  for (const policy of sorted) {
+    const pct = Number(policy.cumulative_pct);
+    const perYear = Number(policy.counts_per_year);
+    if (!Number.isFinite(pct) || pct <= previous || pct > 100) return `Class ${policy.abc_class} share must be above ${previous}% and at most 100%`;
+    if (!Number.isInteger(perYear) || perYear < 1 || perYear > 365) return `Class ${policy.abc_class} counts per year must be a whole number from 1 to 365`;
+    previous = pct;
+  }
+  if (Number(sorted[sorted.length - 1].cumulative_pct) !== 100) return 'Class C share must be 100%';
+  return null;
+}
+
+/** Usage of a consumption row on the chosen basis; value needs a unit cost. */
+export function itemUsage(row, basis) {
+  const qty = Math.max(0, Number(row.out_qty) || 0);
+  if (basis === ABC_BASIS.VOLUME) return qty;
+  const cost = Number(row.unit_cost);
+  return Number.isFinite(cost) && cost > 0 ? qty * cost : 0;
+}
+
+/**
+ * Pareto split of items by usage. Rows are { item_id, out_qty, unit_cost };
+ * each item takes the first class whose cumulative share covers the share of
+ * total usage taken by the items ranked above it, so the item that crosses a
+ * boundary stays in the higher class. Items without usage are class C.
+ * Returns the rows ranked by usage with usage, cumulative_pct and
+ * computed_class added.
+ */
+export function classifyItems(rows = [], policies = DEFAULT_ABC_POLICIES, basis = ABC_BASIS.VALUE) {
+  const sorted = byClass(policies);
+  const ranked = rows
+    .map((row) => ({ ...row, usage: itemUsage(row, basis) }))
+    .sort((a, b) => b.usage - a.usage || String(a.sku ?? '').localeCompare(String(b.sku ?? '')));
+  const total = ranked.reduce((sum, row) => sum + row.usage, 0);
+
+  let running = 0;
+  return ranked.map((row) => {
+    const before = total > 0 ? (running / total) * 100 : 100;
+    running += row.usage;
+    const cumulative = total > 0 ? (running / total) * 100 : 0;
+    const computed = row.usage > 0
+      ? (sorted.find((policy) => before < Number(policy.cumulative_pct)) ?? sorted[sorted.length - 1]).abc_class
+      : 'C';
+    return { ...row, cumulative_pct: Math.round(cumulative * 10000) / 10000, computed_class: computed };
+  });
+}
+
+export const effectiveClass = (row) => row?.override_class || row?.computed_class || 'C';
+
+/**
+ * Items each generated session gets per class, as public.plan_abc_session_items
+ * plans them. classCounts is { A: n, ... } for the template's item pool.
+ * Returns [{ abc_class, pool, perSession, cycleSessions }] where cycleSessions
+ * is how many sessions it takes to count the whole class once.
+ */
+export function planAbcQuotas({ classCounts = {}, policies = DEFAULT_ABC_POLICIES, occurrencesPerYear: perYear }) {
+  return byClass(policies).map((policy) => {
+    const pool = classCounts[policy.abc_class] ?? 0;
+    const perSession = perYear > 0
+      ? Math.min(pool, Math.ceil((pool * policy.counts_per_year) / perYear))
+      : pool;
+    return {
+      abc_class: policy.abc_class,
+      counts_per_year: policy.counts_per_year,
+      pool,
+      perSession,
+      cycleSessions: perSession > 0 ? Math.ceil(pool / perSession) : 0,
+    };
+  });
+}
+
+export function countByClass(itemIds = [], classesById = {}) {
+  return itemIds.reduce((counts, id) => {
+    const abcClass = effectiveClass(classesById[id]);
+    counts[abcClass] = (counts[abcClass] ?? 0) + 1;
+    return counts;
+  }, {});
+}
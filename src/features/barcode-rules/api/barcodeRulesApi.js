@@ -0,0 +1,57 @@
+import { supabase } from '../../../lib/supabase';
+import { buildCandidateFilter, matchScannedItem } from '../lib/barcodeRules';
+
+const RULE_COLUMNS = 'id, name, pattern, capture_group, item_field, priority, enabled, updated_at';
+
+function throwIfError(error) {
+  if (error) throw new Error(error.message || 'Barcode rule operation failed.');
+}
+
+export async function fetchBarcodeRules() {
+  const { data, error } = await supabase
+    .from('barcode_rules')
+    .select(RULE_COLUMNS)
+    .order('priority')
+    .order('name');
+  throwIfError(error);
+  return data ?? [];
+}
+
+export async function saveBarcodeRule(rule) {
+  const values = {
+    name: rule.name.trim(),
+    pattern: rule.pattern,
+    capture_group: Number(rule.capture_group),
+    item_field: rule.item_field,
+    priority: Number(rule.priority),
+    enabled: rule.enabled,
+  };
+  const query = rule.id
+    ? supabase.from('barcode_rules').update(values).eq('id', rule.id)
+    : supabase.from('barcode_rules').insert(values);
+  const { data, error } = await query.select(RULE_COLUMNS).single();
+  throwIfError(error);
+  return data;
+}
+
+export async function deleteBarcodeRule(id) {
+  const { error } = await supabase.from('barcode_rules').delete().eq('id', id);
+  throwIfError(error);
+}
+
+/**
+ * Looks the parsed candidates up in the items table in one query, for screens
+ * that do not have the item list loaded. Codes match regardless of case and
+ * the first candidate in order wins. `columns` must include the code fields.
+ * Resolves to { candidate, item } or null.
+ */
+export async function lookupScannedItem(candidates, columns = '*') {
+  if (candidates.length === 0) return null;
+  const { data, error } = await supabase
+    .from('items')
+    .select(columns)
+    .or(buildCandidateFilter(candidates));
+  throwIfError(error);
+  const match = matchScannedItem(candidates, data ?? []);
+  return match ? { candidate: match.candidate, item: match.item } : null;
+}
@@ -0,0 +1,348 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { AlertCircle, CheckCircle, Edit, Plus, Save, ScanLine, Trash2, X } from 'lucide-react';
+import { deleteBarcodeRule, fetchBarcodeRules, saveBarcodeRule } from '../api/barcodeRulesApi';
+import { useBarcodeRules } from '../hooks/useBarcodeRules';
+import {
+  BARCODE_ITEM_FIELD,
+  BARCODE_ITEM_FIELD_LABELS,
+  DEFAULT_BARCODE_RULES,
+  evaluateBarcodeRules,
+  resolveScannedCode,
+  sortBarcodeRules,
+  validateBarcodeRule,
+} from '../lib/barcodeRules';
+
+const EMPTY_RULE = { name: '', pattern: '', capture_group: 1, item_field: BARCODE_ITEM_FIELD.ANY, priority: 100, enabled: true };
+
+const RuleForm = ({ rule, onSave, onClose }) => {
+  const [draft, setDraft] = useState(rule);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const problem = validateBarcodeRule(draft);
+  const set = (field) => (e) => setDraft((current) => ({ ...current, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (problem) return;
+    setSaving(true);
+    setError('');
+    try {
+      await onSave(draft);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg w-full max-w-lg p-6 space-y-4">
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-bold">{rule.id ? 'Edit Barcode Rule' : 'New Barcode Rule'}</h3>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Name</label>
+          <input
+            value={draft.name}
+            onChange={set('name')}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Pattern (JavaScript regular expression)</label>
+          <input
+            value={draft.pattern}
+            onChange={set('pattern')}
+            placeholder="^\d{8}([A-Z0-9-]+)$"
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-xs text-gray-500 mt-1">Applied to the trimmed, upper-cased scan.</p>
+        </div>
+        <div className="grid grid-cols-3 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Capture group</label>
+            <input
+              type="number"
+              min="0"
+              value={draft.capture_group}
+              onChange={set('capture_group')}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Item field</label>
+            <select
+              value={draft.item_field}
+              onChange={set('item_field')}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(BARCODE_ITEM_FIELD_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Priority</label>
+            <input
+              type="number"
+              value={draft.priority}
+              onChange={set('priority')}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={draft.enabled}
+            onChange={(e) => setDraft((current) => ({ ...current, enabled: e.target.checked }))}
+          />
+          Enabled
+        </label>
+        {(problem || error) && (
+          <p className="text-sm text-red-600 flex items-center gap-1">
+            <AlertCircle className="h-4 w-4" />
+            {error || problem}
+          </p>
+        )}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 border rounded-md text-gray-700 hover:bg-gray-50">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={Boolean(problem) || saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+          >
+            <Save className="h-4 w-4" />
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+/** Shows how each rule reads a pasted scan and which item it resolves to. */
+const RuleTestPanel = ({ rules, items }) => {
+  const [raw, setRaw] = useState('');
+  const evaluations = useMemo(() => evaluateBarcodeRules(raw, rules), [raw, rules]);
+  const result = useMemo(() => resolveScannedCode(raw, items, rules), [raw, items, rules]);
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow space-y-3">
+      <h4 className="font-semibold text-gray-800 flex items-center gap-2">
+        <ScanLine className="h-4 w-4" />
+        Test a Scan
+      </h4>
+      <input
+        value={raw}
+        onChange={(e) => setRaw(e.target.value)}
+        placeholder="Paste or scan a raw code"
+        className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      {raw.trim() && (
+        <>
+          {result.item ? (
+            <div className="p-3 rounded-md bg-green-50 text-green-800 text-sm flex items-start gap-2">
+              <CheckCircle className="h-4 w-4 mt-0.5" />
+              <div>
+                <p className="font-medium">{result.item.sku} — {result.item.item_name}</p>
+                <p>
+                  Rule "{result.candidate.rule.name}" extracted <span className="font-mono">{result.candidate.code}</span>,
+                  matched on {BARCODE_ITEM_FIELD_LABELS[result.field]}
+                </p>
+              </div>
+            </div>
+          ) : (
+            <div className="p-3 rounded-md bg-red-50 text-red-700 text-sm flex items-center gap-2">
+              <AlertCircle className="h-4 w-4" />
+              {result.candidates.length > 0
+                ? `No item has the extracted code(s): ${[...new Set(result.candidates.map((candidate) => candidate.code))].join(', ')}`
+                : 'No enabled rule matches this scan'}
+            </div>
+          )}
+          <ul className="divide-y divide-gray-200 text-sm">
+            {evaluations.map(({ rule, code, error }) => {
+              const resolved = result.item && result.candidate.rule === rule;
+              return (
+                <li key={rule.id ?? rule.name} className={`py-2 flex justify-between gap-4 ${resolved ? 'font-medium text-green-700' : ''}`}>
+                  <span className={rule.enabled ? '' : 'text-gray-400'}>{rule.priority}. {rule.name}</span>
+                  <span className="font-mono text-right">
+                    {!rule.enabled ? 'disabled' : error ? error : code ?? 'no match'}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Admin list of the barcode rules the scanners apply, with a test panel.
+ */
+const BarcodeRulesManager = ({ items = [] }) => {
+  const { reload } = useBarcodeRules();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null);
+
+  const load = async () => {
+    try {
+      setError('');
+      setRules(await fetchBarcodeRules());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const afterChange = async () => {
+    await load();
+    await reload();
+  };
+
+  const handleSave = async (rule) => {
+    await saveBarcodeRule(rule);
+    setEditing(null);
+    await afterChange();
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await saveBarcodeRule({ ...rule, enabled: !rule.enabled });
+      await afterChange();
+    } catch (err) {
+      alert('Error updating rule: ' + err.message);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the barcode rule "${rule.name}"?`)) return;
+    try {
+      await deleteBarcodeRule(rule.id);
+      await afterChange();
+    } catch (err) {
+      alert('Error deleting rule: ' + err.message);
+    }
+  };
+
+  const handleSaveDefaults = async () => {
+    try {
+      for (const rule of DEFAULT_BARCODE_RULES) {
+        const { id, ...values } = rule;
+        await saveBarcodeRule(values);
+      }
+      await afterChange();
+    } catch (err) {
+      alert('Error saving rules: ' + err.message);
+    }
+  };
+
+  const usingDefaults = !loading && rules.length === 0;
+  const activeRules = usingDefaults ? DEFAULT_BARCODE_RULES : rules;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-start gap-4">
+        <div>
+          <h3 className="text-xl font-semibold">Barcode Rules</h3>
+          <p className="text-gray-600 text-sm mt-1">
+            How every scanner turns a raw scan into an item code. Rules are tried by priority;
+            the first code that belongs to an item wins.
+          </p>
+        </div>
+        <button
+          onClick={() => setEditing(EMPTY_RULE)}
+          className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 flex items-center gap-2"
+        >
+          <Plus className="h-4 w-4" />
+          Add Rule
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          <AlertCircle className="h-4 w-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {usingDefaults && !error && (
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-yellow-800 flex flex-wrap justify-between items-center gap-2">
+          <span>No rules are saved yet, so the scanners use the built-in rules below.</span>
+          <button onClick={handleSaveDefaults} className="px-3 py-1.5 bg-yellow-600 text-white rounded-md hover:bg-yellow-700">
+            Save built-in rules
+          </button>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="spinner"></div>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Priority', 'Name', 'Pattern', 'Group', 'Item field', 'Enabled', ''].map((heading) => (
+                  <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {sortBarcodeRules(activeRules).map((rule) => (
+                <tr key={rule.id} className={rule.enabled ? '' : 'bg-gray-50 text-gray-400'}>
+                  <td className="px-4 py-2">{rule.priority}</td>
+                  <td className="px-4 py-2 font-medium">{rule.name}</td>
+                  <td className="px-4 py-2 font-mono">{rule.pattern}</td>
+                  <td className="px-4 py-2">{rule.capture_group}</td>
+                  <td className="px-4 py-2">{BARCODE_ITEM_FIELD_LABELS[rule.item_field] ?? rule.item_field}</td>
+                  <td className="px-4 py-2">
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled}
+                      disabled={usingDefaults}
+                      onChange={() => handleToggle(rule)}
+                    />
+                  </td>
+                  <td className="px-4 py-2">
+                    {!usingDefaults && (
+                      <div className="flex space-x-2 justify-end">
+                        <button onClick={() => setEditing(rule)} className="text-blue-500 hover:text-blue-700" title="Edit Rule">
+                          <Edit className="h-4 w-4" />
+                        </button>
+                        <button onClick={() => handleDelete(rule)} className="text-red-500 hover:text-red-700" title="Delete Rule">
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <RuleTestPanel rules={activeRules} items={items} />
+
+      {editing && <RuleForm rule={editing} onSave={handleSave} onClose={() => setEditing(null)} />}
+    </div>
+  );
+};
+
+export default BarcodeRulesManager;
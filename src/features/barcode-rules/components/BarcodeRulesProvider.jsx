@@ -0,0 +1,39 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../../../contexts/AuthContext';
+import { fetchBarcodeRules } from '../api/barcodeRulesApi';
+import { BarcodeRulesContext } from '../hooks/useBarcodeRules';
+import { DEFAULT_BARCODE_RULES } from '../lib/barcodeRules';
+
+/**
+ * Loads the barcode rules once per signed-in user. A missing or empty table
+ * and a failed load all leave the scanners on the built-in rules.
+ */
+const BarcodeRulesProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [rules, setRules] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      const loaded = await fetchBarcodeRules();
+      setRules(loaded.length > 0 ? loaded : null);
+    } catch (err) {
+      console.error('Error loading barcode rules:', err);
+      setRules(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user?.id) reload();
+    else setRules(null);
+  }, [user?.id, reload]);
+
+  const value = useMemo(() => ({
+    rules: rules ?? DEFAULT_BARCODE_RULES,
+    usingDefaults: !rules,
+    reload,
+  }), [rules, reload]);
+
+  return <BarcodeRulesContext.Provider value={value}>{children}</BarcodeRulesContext.Provider>;
+};
+
+export default BarcodeRulesProvider;
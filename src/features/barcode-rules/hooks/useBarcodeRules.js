@@ -0,0 +1,16 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_BARCODE_RULES } from '../lib/barcodeRules';
+
+export const BarcodeRulesContext = createContext({
+  rules: DEFAULT_BARCODE_RULES,
+  usingDefaults: true,
+  reload: async () => {},
+});
+
+/**
+ * The barcode rules every scanner applies. Without a BarcodeRulesProvider
+ * (e.g. in isolated component tests) this is the built-in default set.
+ */
+export function useBarcodeRules() {
+  return useContext(BarcodeRulesContext);
+}
@@ -0,0 +1,133 @@
+export const BARCODE_ITEM_FIELD = Object.freeze({
+  ANY: 'any',
+  INTERNAL_PRODUCT_CODE: 'internal_product_code',
+  SKU: 'sku',
+  ITEM_CODE: 'item_code',
+});
+
+export const BARCODE_ITEM_FIELD_LABELS = Object.freeze({
+  any: 'Any code',
+  internal_product_code: 'Internal product code',
+  sku: 'SKU',
+  item_code: 'Item code',
+});
+
+// Order an 'any' rule looks the code up in.
+const ANY_FIELDS = [BARCODE_ITEM_FIELD.INTERNAL_PRODUCT_CODE, BARCODE_ITEM_FIELD.SKU, BARCODE_ITEM_FIELD.ITEM_CODE];
+
+/**
+ * Used while the barcode_rules table is missing or empty. Mirrors the seed in
+ * database/barcode_rules_migration.sql.
+ */
+export const DEFAULT_BARCODE_RULES = Object.freeze([
+  { id: 'default-whole', name: 'Whole code', pattern: '^(.+)$', capture_group: 1, item_field: 'any', priority: 10, enabled: true },
+  { id: 'default-date-prefix', name: '8-digit date prefix + internal code', pattern: '^\\d{8}([A-Z0-9-]+)$', capture_group: 1, item_field: 'internal_product_code', priority: 20, enabled: true },
+  { id: 'default-numeric-prefix', name: 'Legacy numeric prefix', pattern: '^\\d+(\\D.*)$', capture_group: 1, item_field: 'any', priority: 30, enabled: true },
+]);
+
+export function normalizeScannedCode(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+export function compileBarcodePattern(pattern) {
+  try {
+    return new RegExp(pattern);
+  } catch {
+    return null;
+  }
+}
+
+const countGroups = (regex) => new RegExp(`${regex.source}|`).exec('').length - 1;
+
+export const getRuleFields = (rule) => (rule.item_field === BARCODE_ITEM_FIELD.ANY ? ANY_FIELDS : [rule.item_field]);
+
+/** Reason the rule cannot be saved, or null. */
+export function validateBarcodeRule(rule) {
+  if (!String(rule.name ?? '').trim()) return 'Name is required';
+  if (!rule.pattern) return 'Pattern is required';
+  const regex = compileBarcodePattern(rule.pattern);
+  if (!regex) return 'Pattern is not a valid regular expression';
+  const group = Number(rule.capture_group);
+  if (!Number.isInteger(group) || group < 0) return 'Capture group must be 0 or a positive whole number';
+  const groups = countGroups(regex);
+  if (group > groups) return `Pattern has only ${groups} capture group(s)`;
+  if (!Object.values(BARCODE_ITEM_FIELD).includes(rule.item_field)) return 'Choose which item field the code maps to';
+  if (!Number.isInteger(Number(rule.priority))) return 'Priority must be a whole number';
+  return null;
+}
+
+export function sortBarcodeRules(rules = []) {
+  return [...rules].sort((a, b) => a.priority - b.priority || String(a.name).localeCompare(String(b.name)));
+}
+
+/**
+ * How every rule, enabled or not, reads the raw scan: the extracted code or
+ * why it did not match. Patterns run against the trimmed, upper-cased scan.
+ */
+export function evaluateBarcodeRules(raw, rules = DEFAULT_BARCODE_RULES) {
+  const scan = normalizeScannedCode(raw);
+  return sortBarcodeRules(rules).map((rule) => {
+    const regex = compileBarcodePattern(rule.pattern);
+    if (!regex) return { rule, code: null, error: 'Invalid pattern' };
+    const match = scan ? scan.match(regex) : null;
+    const code = normalizeScannedCode(match?.[Number(rule.capture_group)]);
+    return { rule, code: code || null, error: null };
+  });
+}
+
+/** Codes the enabled rules extract from the scan, best first, without repeats. */
+export function parseScannedCode(raw, rules = DEFAULT_BARCODE_RULES) {
+  const seen = new Set();
+  return evaluateBarcodeRules(raw, rules)
+    .filter(({ rule, code }) => rule.enabled && code)
+    .map(({ rule, code }) => ({ rule, code, fields: getRuleFields(rule) }))
+    .filter(({ code, fields }) => {
+      const key = `${fields.join(',')}:${code}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/** First candidate whose code belongs to one of the items, with that item. */
+export function matchScannedItem(candidates, items = []) {
+  for (const candidate of candidates) {
+    for (const field of candidate.fields) {
+      const item = items.find((entry) => normalizeScannedCode(entry[field]) === candidate.code);
+      if (item) return { candidate, field, item };
+    }
+  }
+  return null;
+}
+
+// LIKE wildcards are escaped so the code matches literally, then the value is
+// quoted for the PostgREST filter, where commas and parentheses are syntax.
+const likeLiteral = (code) => `"${code.replace(/[\\%_]/g, '\\$&').replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * PostgREST or() filter that finds every item one of the candidates could
+ * mean, ignoring case. Pick the winner with matchScannedItem(), which keeps
+ * the candidate order.
+ */
+export function buildCandidateFilter(candidates = []) {
+  const conditions = new Set();
+  candidates.forEach(({ code, fields }) => {
+    fields.forEach((field) => conditions.add(`${field}.ilike.${likeLiteral(code)}`));
+  });
+  return [...conditions].join(',');
+}
+
+/**
+ * Resolves a raw scan against the items. `candidate` is the rule and code that
+ * found the item, or the best-ranked extraction when none did.
+ */
+export function resolveScannedCode(raw, items = [], rules = DEFAULT_BARCODE_RULES) {
+  const candidates = parseScannedCode(raw, rules);
+  const match = matchScannedItem(candidates, items);
+  return {
+    candidates,
+    candidate: match?.candidate ?? candidates[0] ?? null,
+    field: match?.field ?? null,
+    item: match?.item ?? null,
+  };
+}
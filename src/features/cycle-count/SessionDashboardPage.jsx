@@ -0,0 +1,251 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, Maximize, Minimize, RefreshCw } from 'lucide-react';
+import { Bar, BarChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { useSessionDashboard } from './hooks/useSessionDashboard';
+import {
+  countsPerHour,
+  listUncountedItems,
+  progressByCategory,
+  progressByCounter,
+  summarizeSessionProgress,
+} from './lib/sessionDashboard';
+import { LOCATION_PROGRESS, getLocationProgressStatus, summarizeLocationProgress } from './lib/locationGuide';
+
+const UNCOUNTED_LIMIT = 50;
+
+const LOCATION_BAR = {
+  [LOCATION_PROGRESS.DONE]: 'bg-green-500',
+  [LOCATION_PROGRESS.IN_PROGRESS]: 'bg-blue-500',
+  [LOCATION_PROGRESS.NOT_STARTED]: 'bg-gray-300',
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '-');
+
+const ProgressBar = ({ percent, color = 'bg-blue-600', tall }) => (
+  <div className={`w-full bg-gray-200 rounded-full ${tall ? 'h-4' : 'h-2'}`}>
+    <div className={`${color} rounded-full ${tall ? 'h-4' : 'h-2'}`} style={{ width: `${Math.min(100, percent)}%` }} />
+  </div>
+);
+
+const Panel = ({ title, children, className = '' }) => (
+  <section className={`bg-white rounded-lg shadow p-4 flex flex-col min-h-0 ${className}`}>
+    <h2 className="font-semibold text-gray-700 mb-3">{title}</h2>
+    {children}
+  </section>
+);
+
+const SessionDashboardPage = () => {
+  const { sessionId } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const dashboard = useSessionDashboard(sessionId);
+  const containerRef = useRef(null);
+  const [fullscreen, setFullscreen] = useState(false);
+  const [now, setNow] = useState(() => new Date());
+  // ?tv=1 keeps the large layout on screens that cannot be put in fullscreen remotely
+  const tvMode = fullscreen || searchParams.get('tv') === '1';
+
+  useEffect(() => {
+    const tick = setInterval(() => setNow(new Date()), 60 * 1000);
+    const handleFullscreenChange = () => setFullscreen(Boolean(document.fullscreenElement));
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    return () => {
+      clearInterval(tick);
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+    };
+  }, []);
+
+  const toggleFullscreen = async () => {
+    try {
+      if (document.fullscreenElement) await document.exitFullscreen();
+      else await containerRef.current?.requestFullscreen?.();
+    } catch (err) {
+      console.error('Fullscreen not available:', err);
+    }
+  };
+
+  const { items, counts, counters, locationRows } = dashboard;
+  const summary = useMemo(() => summarizeSessionProgress(items, counts), [items, counts]);
+  const categories = useMemo(() => progressByCategory(items, counts), [items, counts]);
+  const counterRows = useMemo(() => progressByCounter(counters, counts), [counters, counts]);
+  const hourly = useMemo(() => countsPerHour(counts, { now }), [counts, now]);
+  const uncounted = useMemo(() => listUncountedItems(items, counts), [items, counts]);
+  const locationSummary = useMemo(() => summarizeLocationProgress(locationRows), [locationRows]);
+
+  if (dashboard.loading && !dashboard.session) return <LoadingSpinner />;
+
+  if (dashboard.error && !dashboard.session) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-4 p-4">
+        <p className="text-red-600">Error loading dashboard: {dashboard.error.message}</p>
+        <button onClick={() => navigate('/admin/sessions')} className="px-4 py-2 border rounded-md hover:bg-gray-50">
+          Back to Sessions
+        </button>
+      </div>
+    );
+  }
+
+  const text = tvMode ? 'text-lg' : 'text-sm';
+
+  return (
+    <div ref={containerRef} className={`min-h-screen bg-gray-100 ${tvMode ? 'p-6' : 'p-4'} flex flex-col gap-4 overflow-auto`}>
+      <header className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-3 min-w-0">
+          {!tvMode && (
+            <button onClick={() => navigate('/admin/sessions')} className="p-2 text-gray-600 hover:text-gray-900" title="Back to Sessions">
+              <ArrowLeft className="h-5 w-5" />
+            </button>
+          )}
+          <div className="min-w-0">
+            <h1 className={`font-bold text-gray-900 truncate ${tvMode ? 'text-4xl' : 'text-2xl'}`}>{dashboard.session?.name}</h1>
+            <p className={`text-gray-500 flex items-center gap-2 ${text}`}>
+              <span className="inline-block h-2.5 w-2.5 rounded-full bg-green-500 animate-pulse" />
+              Live · updated {dashboard.lastUpdated ? dashboard.lastUpdated.toLocaleTimeString() : '-'}
+              {dashboard.session?.valid_until && <> · closes {new Date(dashboard.session.valid_until).toLocaleString()}</>}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={() => dashboard.refresh()} className="p-2 text-gray-600 hover:text-gray-900" title="Refresh">
+            <RefreshCw className={`h-5 w-5 ${dashboard.loading ? 'animate-spin' : ''}`} />
+          </button>
+          <button
+            onClick={toggleFullscreen}
+            className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center gap-2"
+          >
+            {fullscreen ? <Minimize className="h-4 w-4" /> : <Maximize className="h-4 w-4" />}
+            <span>{fullscreen ? 'Exit Full Screen' : 'Full Screen'}</span>
+          </button>
+        </div>
+      </header>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <div className="bg-white rounded-lg shadow p-4 col-span-2">
+          <p className={`text-gray-500 ${text}`}>Items counted</p>
+          <p className={`font-bold text-gray-900 ${tvMode ? 'text-6xl' : 'text-4xl'}`}>
+            {summary.percent}%
+            <span className={`ml-3 font-normal text-gray-500 ${tvMode ? 'text-2xl' : 'text-lg'}`}>
+              {summary.countedItems} / {summary.totalItems}
+            </span>
+          </p>
+          <div className="mt-3">
+            <ProgressBar percent={summary.percent} tall={tvMode} />
+          </div>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className={`text-gray-500 ${text}`}>Remaining items</p>
+          <p className={`font-bold text-orange-600 ${tvMode ? 'text-6xl' : 'text-4xl'}`}>{summary.remainingItems}</p>
+          <p className={`text-gray-500 ${text}`}>{summary.countRows} count rows</p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className={`text-gray-500 ${text}`}>Locations done</p>
+          <p className={`font-bold text-green-600 ${tvMode ? 'text-6xl' : 'text-4xl'}`}>
+            {locationSummary.done}<span className="text-gray-400 font-normal"> / {locationSummary.total}</span>
+          </p>
+          <p className={`text-gray-500 ${text}`}>{locationSummary.inProgress} in progress</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <Panel title="By Category">
+          <ul className={`space-y-3 ${text}`}>
+            {categories.map((row) => (
+              <li key={row.category}>
+                <div className="flex justify-between mb-1">
+                  <span className="font-medium text-gray-800">{row.category}</span>
+                  <span className="text-gray-600">{row.counted} / {row.total} ({row.percent}%)</span>
+                </div>
+                <ProgressBar percent={row.percent} color="bg-indigo-500" tall={tvMode} />
+              </li>
+            ))}
+          </ul>
+        </Panel>
+
+        <Panel title="Counts per Hour" className="lg:col-span-2">
+          <div className={tvMode ? 'h-72' : 'h-56'}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={hourly}>
+                <XAxis dataKey="label" tick={{ fontSize: tvMode ? 16 : 12 }} />
+                <YAxis allowDecimals={false} tick={{ fontSize: tvMode ? 16 : 12 }} width={40} />
+                <Tooltip />
+                <Bar dataKey="count" name="Counts" fill="#2563eb" radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </Panel>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <Panel title="By Counter">
+          <table className={`min-w-full ${text}`}>
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="pb-2">Counter</th>
+                <th className="pb-2 text-right">Items</th>
+                <th className="pb-2 text-right">Rows</th>
+                <th className="pb-2 text-right">Last</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {counterRows.map((row) => (
+                <tr key={row.userId}>
+                  <td className="py-1.5 font-medium text-gray-800">{row.name}</td>
+                  <td className="py-1.5 text-right">{row.itemCount}</td>
+                  <td className="py-1.5 text-right">{row.countRows}</td>
+                  <td className="py-1.5 text-right text-gray-500">{formatTime(row.lastCountAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Panel>
+
+        <Panel title="By Location">
+          {locationRows.length === 0 ? (
+            <p className={`text-gray-500 ${text}`}>No locations expected in this session.</p>
+          ) : (
+            <ul className={`space-y-2 overflow-y-auto ${tvMode ? 'max-h-[28rem]' : 'max-h-80'} ${text}`}>
+              {locationRows.map((row) => {
+                const percent = row.expected_count > 0
+                  ? Math.round((row.expected_counted / row.expected_count) * 100)
+                  : (row.completed_at ? 100 : 0);
+                return (
+                  <li key={row.location_id}>
+                    <div className="flex justify-between mb-1">
+                      <span className="font-medium text-gray-800">{row.location_name}</span>
+                      <span className="text-gray-600">
+                        {row.completed_at ? 'Done' : `${row.expected_counted} / ${row.expected_count}`}
+                      </span>
+                    </div>
+                    <ProgressBar percent={percent} color={LOCATION_BAR[getLocationProgressStatus(row)]} tall={tvMode} />
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </Panel>
+
+        <Panel title={`Uncounted Items (${uncounted.length})`}>
+          {uncounted.length === 0 ? (
+            <p className={`text-green-700 font-medium ${text}`}>Every item has been counted.</p>
+          ) : (
+            <ul className={`divide-y divide-gray-100 overflow-y-auto ${tvMode ? 'max-h-[28rem]' : 'max-h-80'} ${text}`}>
+              {uncounted.slice(0, UNCOUNTED_LIMIT).map((item) => (
+                <li key={item.id} className="py-1.5">
+                  <span className="font-medium text-gray-800">{item.sku}</span>
+                  <span className="text-gray-600"> | {item.item_name}</span>
+                </li>
+              ))}
+              {uncounted.length > UNCOUNTED_LIMIT && (
+                <li className="py-1.5 text-gray-500">and {uncounted.length - UNCOUNTED_LIMIT} more</li>
+              )}
+            </ul>
+          )}
+        </Panel>
+      </div>
+    </div>
+  );
+};
+
+export default SessionDashboardPage;
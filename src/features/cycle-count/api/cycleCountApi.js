@@ -0,0 +1,544 @@
+import { supabase } from '../../../lib/supabase';
+import { FOUND_ITEM_STATUS, sanitizeItemSearch } from '../lib/foundItems';
+import { buildCandidateFilter, matchScannedItem } from '../../barcode-rules/lib/barcodeRules';
+import { restrictToOwnCounts } from '../lib/blindCount';
+
+const ERROR_COPY = {
+  CC_NOT_AUTHENTICATED: 'Please log in again.',
+  CC_SESSION_NOT_FOUND: 'Session no longer exists.',
+  CC_NOT_ASSIGNED: 'You are not assigned to this session.',
+  CC_SESSION_CLOSED: 'Session is closed.',
+  CC_OUTSIDE_WINDOW: 'Count was captured outside the session time window.',
+  CC_INVALID_LOCATION: 'Location is no longer active.',
+  CC_INVALID_QUANTITY: 'Quantity is not valid.',
+  CC_COUNT_NOT_FOUND: 'The count being edited was deleted.',
+  CC_NOT_OWNER: 'Only the original counter can edit this count.',
+  CC_STALE_EDIT: 'The count was changed after this edit was captured.',
+  CC_FORBIDDEN: 'Admin access required.',
+  CC_ITEM_NOT_IN_SESSION: 'Item is not part of this session.',
+  CC_BOOK_SOURCE_MANAGED: 'Raw Material book quantities come from the FIFO stock.',
+  CC_RECOUNT_NOT_FOUND: 'Recount no longer exists.',
+  CC_RECOUNT_STARTED: 'The recount has already been counted.',
+  CC_RECOUNT_ASSIGNEE_INVALID: 'Recount must go to a session counter who did not count the item.',
+  CC_RECOUNT_NOT_COUNTED: 'The item has not been recounted yet.',
+  CC_REVIEW_APPROVED: 'This session has already been approved.',
+  CC_REVIEW_RECOUNTS_OPEN: 'Resolve all recounts before approving.',
+  CC_REVIEW_BOOK_MISSING: 'Take a FIFO snapshot before approving.',
+  CC_REVIEW_REASON_REQUIRED: 'Every item with a variance needs a reason code.',
+  CC_INVALID_REASON: 'Reason code is not valid.',
+  CC_INVALID_ADJUST_LOCATION: 'Use a FIFO location such as A1.1.',
+  CC_ADJUSTMENT_EXCEEDS_STOCK: 'The loss is larger than the FIFO stock.',
+  CC_ADJUST_LOCATION_REQUIRED: 'Choose a FIFO location for the gain.',
+  CC_INVALID_BREAKDOWN: 'The unit breakdown does not match the quantity.',
+  CC_ZONE_USER_NOT_ASSIGNED: 'Assign the counter to the session before giving them a zone.',
+  CC_DUPLICATE_COUNT: 'This item was already counted at this location.',
+  CC_DUPLICATE_OTHER_COUNT: 'Another counter already counted this item at this location.',
+  CC_MERGE_MISMATCH: 'Only counts of the same item and location can be merged.',
+  CC_INVALID_LOTS: 'The lot quantities do not match this item and location.',
+  CC_FOUND_ITEM_INCOMPLETE: 'Pick an item or describe the unknown one.',
+  CC_ITEM_IN_SESSION: 'This item is part of the session; count it from the list.',
+  CC_FOUND_ITEM_NOT_FOUND: 'Found item no longer exists.',
+  CC_FOUND_ITEM_RESOLVED: 'This found item was already reviewed.',
+  CC_FOUND_ITEM_UNMAPPED: 'Choose the SKU this found item is.',
+  CC_FOUND_ITEMS_PENDING: 'Review the found items before approving.',
+  CC_NO_VARIANCE_ITEMS: 'No item of this session has a variance to recount.',
+  CC_SESSION_STARTED: 'Only draft and scheduled sessions can be moved.',
+};
+
+export class CycleCountError extends Error {
+  constructor(code, message, cause) {
+    super(message || ERROR_COPY[code] || 'Cycle count operation failed.');
+    this.name = 'CycleCountError';
+    this.code = code || 'CC_UNKNOWN';
+    this.cause = cause;
+  }
+}
+
+// supabase-js reports a dropped connection as an error without a Postgres code.
+export function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  const cause = error?.cause ?? error;
+  if (cause?.code) return false;
+  return /failed to fetch|network|load failed|fetch failed/i.test(String(cause?.message ?? cause ?? ''));
+}
+
+function throwIfError(error) {
+  if (!error) return;
+  const rawMessage = String(error.message || '');
+  const match = rawMessage.match(/(CC_[A-Z_]+):\s*(.*)/);
+  throw new CycleCountError(match?.[1] || error.code, match?.[2] || ERROR_COPY[match?.[1]] || rawMessage, error);
+}
+
+async function callRpc(name, parameters) {
+  const { data, error } = await supabase.rpc(name, parameters);
+  throwIfError(error);
+  return data;
+}
+
+export const saveCountCapture = (capture) => callRpc('save_count_capture', {
+  p_client_id: capture.clientId,
+  p_session_id: capture.sessionId,
+  p_item_id: capture.itemId,
+  p_location_id: capture.locationId,
+  p_count_id: capture.countId ?? null,
+  p_counted_qty: capture.countedQty,
+  p_calculation: capture.calculation ?? '',
+  p_captured_at: capture.capturedAt,
+  p_device: capture.device ?? null,
+  p_breakdown: capture.breakdown ?? null,
+  p_duplicate_mode: capture.duplicateMode ?? null,
+  p_lots: capture.lots ?? null,
+});
+
+export async function fetchSessionBookQuantities(sessionId) {
+  const { data, error } = await supabase
+    .from('session_book_quantities')
+    .select('item_id, location_name, book_qty, source, captured_at')
+    .eq('session_id', sessionId);
+  throwIfError(error);
+  return data ?? [];
+}
+
+export const takeSessionBookSnapshot = (sessionId) => callRpc('take_session_book_snapshot', {
+  p_session_id: sessionId,
+});
+
+export const uploadSessionBookQuantities = (sessionId, rows) => callRpc('upload_session_book_quantities', {
+  p_session_id: sessionId,
+  p_rows: rows.map((row) => ({
+    item_id: row.item.id,
+    location_name: row.location || null,
+    book_qty: row.bookQty,
+  })),
+});
+
+export async function fetchSessionRecounts(sessionId) {
+  const { data, error } = await supabase
+    .from('session_recounts')
+    .select('*')
+    .eq('session_id', sessionId);
+  throwIfError(error);
+  return data ?? [];
+}
+
+async function fetchProfileNames(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+  const { data, error } = await supabase.from('profiles').select('id, name, username').in('id', ids);
+  throwIfError(error);
+  return Object.fromEntries((data ?? []).map((profile) => [profile.id, profile.name || profile.username]));
+}
+
+async function fetchSessionCounters(sessionId) {
+  const { data, error } = await supabase
+    .from('session_users')
+    .select('user_id')
+    .eq('session_id', sessionId);
+  throwIfError(error);
+  const userIds = (data ?? []).map((row) => row.user_id);
+  if (userIds.length === 0) return [];
+  const { data: profiles, error: profilesError } = await supabase
+    .from('profiles')
+    .select('id, name, username')
+    .in('id', userIds);
+  throwIfError(profilesError);
+  return profiles ?? [];
+}
+
+export async function fetchSessionCountSummary(sessionId) {
+  const [sessionItems, counts, bookQuantities, recounts, counters] = await Promise.all([
+    supabase
+      .from('session_items')
+      .select('items (id, sku, item_code, item_name, internal_product_code, category, uom)')
+      .eq('session_id', sessionId),
+    supabase
+      .from('counts')
+      .select('id, item_id, user_id, counted_qty, count_round, timestamp, locations (name)')
+      .eq('session_id', sessionId),
+    fetchSessionBookQuantities(sessionId),
+    fetchSessionRecounts(sessionId),
+    fetchSessionCounters(sessionId),
+  ]);
+  throwIfError(sessionItems.error);
+  throwIfError(counts.error);
+  return {
+    items: (sessionItems.data ?? []).map((row) => row.items).filter(Boolean),
+    counts: (counts.data ?? []).map((count) => ({ ...count, location_name: count.locations?.name ?? '' })),
+    bookQuantities,
+    recounts,
+    counters,
+  };
+}
+
+export const listMySessionRecounts = (sessionId) => callRpc('list_my_session_recounts', {
+  p_session_id: sessionId,
+}).then((rows) => rows ?? []);
+
+export const assignSessionRecount = (recountId, userId) => callRpc('assign_session_recount', {
+  p_recount_id: recountId,
+  p_user_id: userId || null,
+});
+
+export const resolveSessionRecount = (recountId, finalSource, finalQty = null) => callRpc('resolve_session_recount', {
+  p_recount_id: recountId,
+  p_final_source: finalSource,
+  p_final_qty: finalQty,
+});
+
+export async function fetchSessionReview(sessionId) {
+  const [review, lines] = await Promise.all([
+    supabase.from('session_reviews').select('*').eq('session_id', sessionId).maybeSingle(),
+    supabase.from('session_review_lines').select('*').eq('session_id', sessionId),
+  ]);
+  throwIfError(review.error);
+  throwIfError(lines.error);
+  return { review: review.data ?? null, lines: lines.data ?? [] };
+}
+
+export const saveSessionReview = (sessionId, lines, notes) => callRpc('save_session_review', {
+  p_session_id: sessionId,
+  p_lines: lines,
+  p_notes: notes || null,
+});
+
+export const approveSessionReview = (sessionId, lines, notes) => callRpc('approve_session_review', {
+  p_session_id: sessionId,
+  p_lines: lines,
+  p_notes: notes || null,
+});
+
+export async function fetchCountHistory(countId) {
+  const { data, error } = await supabase
+    .from('count_history')
+    .select('*')
+    .eq('count_id', countId)
+    .order('changed_at', { ascending: false });
+  throwIfError(error);
+  const names = await fetchProfileNames((data ?? []).map((row) => row.changed_by));
+  return (data ?? []).map((row) => ({ ...row, changed_by_name: names[row.changed_by] ?? null }));
+}
+
+// History has no foreign keys (it outlives deleted counts), so items,
+// locations and users are looked up separately.
+export async function fetchSessionCountHistory(sessionId) {
+  const { data, error } = await supabase
+    .from('count_history')
+    .select('*')
+    .eq('session_id', sessionId)
+    .order('changed_at', { ascending: true });
+  throwIfError(error);
+  const rows = data ?? [];
+  const itemIds = [...new Set(rows.map((row) => row.item_id))];
+  const locationIds = [...new Set(rows.map((row) => row.location_id).filter(Boolean))];
+  const [items, locations, names] = await Promise.all([
+    itemIds.length ? supabase.from('items').select('id, sku, item_name').in('id', itemIds) : { data: [] },
+    locationIds.length ? supabase.from('locations').select('id, name').in('id', locationIds) : { data: [] },
+    fetchProfileNames(rows.flatMap((row) => [row.changed_by, row.count_user_id])),
+  ]);
+  throwIfError(items.error);
+  throwIfError(locations.error);
+  return rows.map((row) => ({
+    ...row,
+    item: (items.data ?? []).find((item) => item.id === row.item_id) ?? null,
+    location_name: (locations.data ?? []).find((location) => location.id === row.location_id)?.name ?? null,
+    changed_by_name: names[row.changed_by] ?? null,
+    count_user_name: names[row.count_user_id] ?? null,
+  }));
+}
+
+export const listLocationExpectedItems = (sessionId, locationId) => callRpc('list_location_expected_items', {
+  p_session_id: sessionId,
+  p_location_id: locationId,
+}).then((rows) => rows ?? []);
+
+export async function fetchSessionLocationStatus(sessionId) {
+  const { data, error } = await supabase
+    .from('session_location_status')
+    .select('location_id, completed_by, completed_at')
+    .eq('session_id', sessionId);
+  throwIfError(error);
+  return data ?? [];
+}
+
+export const setSessionLocationDone = (sessionId, locationId, done) => callRpc('set_session_location_done', {
+  p_session_id: sessionId,
+  p_location_id: locationId,
+  p_done: done,
+});
+
+export async function fetchSessionLocationProgress(sessionId) {
+  const rows = (await callRpc('get_session_location_progress', { p_session_id: sessionId })) ?? [];
+  const names = await fetchProfileNames(rows.map((row) => row.completed_by));
+  return rows.map((row) => ({ ...row, completed_by_name: names[row.completed_by] ?? null }));
+}
+
+export async function fetchSessionZones(sessionId) {
+  const { data, error } = await supabase
+    .from('session_user_zones')
+    .select('user_id, location_id, category_id')
+    .eq('session_id', sessionId);
+  throwIfError(error);
+  return data ?? [];
+}
+
+export const setCounterZone = (sessionId, userId, { locationIds = [], categoryIds = [] }) => callRpc('set_counter_zone', {
+  p_session_id: sessionId,
+  p_user_id: userId,
+  p_location_ids: locationIds,
+  p_category_ids: categoryIds,
+});
+
+export async function fetchSessionZoneProgress(sessionId) {
+  const rows = (await callRpc('get_session_zone_progress', { p_session_id: sessionId })) ?? [];
+  const names = await fetchProfileNames(rows.map((row) => row.user_id));
+  return rows.map((row) => ({ ...row, user_name: names[row.user_id] ?? null }));
+}
+
+export async function fetchSessionDuplicateCounts(sessionId) {
+  const rows = (await callRpc('list_session_duplicate_counts', { p_session_id: sessionId })) ?? [];
+  const itemIds = [...new Set(rows.map((row) => row.item_id))];
+  const [items, names] = await Promise.all([
+    itemIds.length ? supabase.from('items').select('id, sku, item_name, uom').in('id', itemIds) : { data: [] },
+    fetchProfileNames(rows.map((row) => row.user_id)),
+  ]);
+  throwIfError(items.error);
+  return rows.map((row) => ({
+    ...row,
+    item: (items.data ?? []).find((item) => item.id === row.item_id) ?? null,
+    user_name: names[row.user_id] ?? null,
+  }));
+}
+
+export const mergeSessionCounts = (keepCountId, mergeCountIds, mode) => callRpc('merge_session_counts', {
+  p_keep_count_id: keepCountId,
+  p_merge_count_ids: mergeCountIds,
+  p_mode: mode,
+});
+
+export const markCountsSeparate = (countIds) => callRpc('mark_counts_separate', {
+  p_count_ids: countIds,
+});
+
+export const listCountLots = (sessionId, itemId, locationId, countId = null) => callRpc('list_count_lots', {
+  p_session_id: sessionId,
+  p_item_id: itemId,
+  p_location_id: locationId,
+  p_count_id: countId,
+}).then((rows) => rows ?? []);
+
+export const fetchSessionLotVariances = (sessionId) => callRpc('list_session_lot_variances', {
+  p_session_id: sessionId,
+}).then((rows) => rows ?? []);
+
+const ITEM_MASTER_COLUMNS = 'id, sku, item_code, item_name, uom, category, internal_product_code';
+
+/** Item master rows whose SKU, name or codes contain the term. */
+export async function searchItemMaster(term, limit = 20) {
+  const query = sanitizeItemSearch(term);
+  if (!query) return [];
+  const { data, error } = await supabase
+    .from('items')
+    .select(ITEM_MASTER_COLUMNS)
+    .or(['sku', 'item_name', 'item_code', 'internal_product_code'].map((field) => `${field}.ilike.*${query}*`).join(','))
+    .order('sku')
+    .limit(limit);
+  throwIfError(error);
+  return data ?? [];
+}
+
+export const recordFoundItem = (capture) => callRpc('record_found_item', {
+  p_client_id: capture.clientId,
+  p_session_id: capture.sessionId,
+  p_location_id: capture.locationId,
+  p_item_id: capture.itemId ?? null,
+  p_scanned_code: capture.scannedCode ?? null,
+  p_description: capture.description ?? null,
+  p_counted_qty: capture.countedQty,
+  p_calculation: capture.calculation ?? '',
+  p_captured_at: capture.capturedAt,
+  p_device: capture.device ?? null,
+});
+
+/** Finds of the session with item, location and counter; counters only get their own. */
+export async function fetchSessionFoundItems(sessionId) {
+  const { data, error } = await supabase
+    .from('found_items')
+    .select(`*, item:items!found_items_item_id_fkey(${ITEM_MASTER_COLUMNS}),
+      resolved_item:items!found_items_resolved_item_id_fkey(${ITEM_MASTER_COLUMNS}),
+      location:locations(name)`)
+    .eq('session_id', sessionId)
+    .order('captured_at');
+  throwIfError(error);
+  const names = await fetchProfileNames((data ?? []).map((row) => row.user_id));
+  return (data ?? []).map((row) => ({ ...row, user_name: names[row.user_id] ?? null }));
+}
+
+/** Pending finds of every session, as rows of { session_id }. */
+export async function fetchPendingFoundItems() {
+  const { data, error } = await supabase
+    .from('found_items')
+    .select('session_id')
+    .eq('status', FOUND_ITEM_STATUS.PENDING);
+  throwIfError(error);
+  return data ?? [];
+}
+
+export const resolveFoundItem = (foundItemId, action, { itemId = null, note = null } = {}) => callRpc('resolve_found_item', {
+  p_found_item_id: foundItemId,
+  p_action: action,
+  p_item_id: itemId,
+  p_note: note,
+});
+
+// Columns ItemsList works with; list_session_items returns the same set.
+const SESSION_ITEM_COLUMNS = 'id, sku, item_code, item_name, uom, category, tags, internal_product_code, unit_conversions';
+const COUNT_ID_CHUNK = 200;
+
+export async function fetchSessionItems(sessionId) {
+  const { data, error } = await supabase
+    .from('session_items')
+    .select(`items (${SESSION_ITEM_COLUMNS})`)
+    .eq('session_id', sessionId);
+  throwIfError(error);
+  return (data ?? []).map((row) => row.items).filter(Boolean);
+}
+
+/** The item if it is part of the session, otherwise null. */
+export async function fetchSessionItem(sessionId, itemId) {
+  const { data, error } = await supabase
+    .from('session_items')
+    .select(`items (${SESSION_ITEM_COLUMNS})`)
+    .eq('session_id', sessionId)
+    .eq('item_id', itemId)
+    .maybeSingle();
+  throwIfError(error);
+  return data?.items ?? null;
+}
+
+export async function fetchSessionItemSummary(sessionId) {
+  const rows = (await callRpc('session_item_summary', { p_session_id: sessionId })) ?? [];
+  return { itemCount: Number(rows[0]?.item_count ?? 0), categories: rows[0]?.categories ?? [] };
+}
+
+/** One page of the session's items with the search and status filter applied on the server. */
+export async function fetchSessionItemPage(sessionId, { search = '', filter = 'all', offset = 0, limit = 100 } = {}) {
+  const rows = (await callRpc('list_session_items', {
+    p_session_id: sessionId,
+    p_search: search.trim() || null,
+    p_filter: filter,
+    p_limit: limit,
+    p_offset: offset,
+  })) ?? [];
+  return {
+    rows: rows.map(({ total_count: _total, ...item }) => item),
+    total: Number(rows[0]?.total_count ?? (offset > 0 ? offset : 0)),
+  };
+}
+
+/** Count rows of the given items, in chunks to keep the request URL short. ownOnly limits them to userId's counts. */
+export async function fetchSessionCountsForItems(sessionId, itemIds, { ownOnly = false, userId = null } = {}) {
+  const rows = [];
+  for (let start = 0; start < itemIds.length; start += COUNT_ID_CHUNK) {
+    let query = supabase
+      .from('counts')
+      .select('*, locations ( name )')
+      .eq('session_id', sessionId)
+      .in('item_id', itemIds.slice(start, start + COUNT_ID_CHUNK));
+    query = restrictToOwnCounts(query, ownOnly, userId);
+    const { data, error } = await query;
+    throwIfError(error);
+    rows.push(...(data ?? []));
+  }
+  return rows;
+}
+
+export async function fetchSessionCountsAtLocation(sessionId, locationId, { ownOnly = false, userId = null } = {}) {
+  let query = supabase
+    .from('counts')
+    .select('*, locations ( name )')
+    .eq('session_id', sessionId)
+    .eq('location_id', locationId);
+  query = restrictToOwnCounts(query, ownOnly, userId);
+  const { data, error } = await query;
+  throwIfError(error);
+  return data ?? [];
+}
+
+/**
+ * Finds the session item a scan refers to without the item list loaded:
+ * one query fetches the session's items any candidate could mean, ignoring
+ * case, and the first candidate in order wins.
+ * Resolves to { candidate, item } or null.
+ */
+export async function findSessionItemByCandidates(sessionId, candidates) {
+  if (candidates.length === 0) return null;
+  const { data, error } = await supabase
+    .from('session_items')
+    .select(`items!inner (${SESSION_ITEM_COLUMNS})`)
+    .eq('session_id', sessionId)
+    .or(buildCandidateFilter(candidates), { referencedTable: 'items' });
+  throwIfError(error);
+  const match = matchScannedItem(candidates, (data ?? []).map((row) => row.items).filter(Boolean));
+  return match ? { candidate: match.candidate, item: match.item } : null;
+}
+
+/** Copies a session as a new draft and resolves to the new session row. */
+export async function cloneSession(sourceSessionId, { name, scheduledDate = null, validFrom = null, validUntil = null, varianceOnly = false }) {
+  const sessionId = await callRpc('clone_session', {
+    p_source_session_id: sourceSessionId,
+    p_name: name,
+    p_scheduled_date: scheduledDate,
+    p_valid_from: validFrom,
+    p_valid_until: validUntil,
+    p_variance_only: varianceOnly,
+  });
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('*, session_users (user_id)')
+    .eq('id', sessionId)
+    .single();
+  throwIfError(error);
+  return data;
+}
+
+/** Moves a draft or scheduled session and its time window to another day. */
+export const rescheduleSession = (sessionId, scheduledDate) => callRpc('reschedule_session', {
+  p_session_id: sessionId,
+  p_scheduled_date: scheduledDate,
+});
+
+/** Days the template has already generated a session for. */
+export async function fetchTemplateGeneratedDates(templateId) {
+  const { data, error } = await supabase
+    .from('recurring_session_logs')
+    .select('scheduled_date')
+    .eq('master_session_id', templateId);
+  throwIfError(error);
+  return (data ?? []).map((row) => row.scheduled_date);
+}
+
+/** Holidays and shutdowns in date order; from limits them to those ending on or after it. */
+export async function fetchHolidays({ from = null } = {}) {
+  let query = supabase
+    .from('holiday_calendar')
+    .select('*')
+    .order('starts_on', { ascending: true });
+  if (from) query = query.gte('ends_on', from);
+  const { data, error } = await query;
+  throwIfError(error);
+  return data ?? [];
+}
+
+export async function saveHoliday({ id = null, name, kind, startsOn, endsOn }) {
+  const row = { name: name.trim(), kind, starts_on: startsOn, ends_on: endsOn || startsOn };
+  const { data, error } = id
+    ? await supabase.from('holiday_calendar').update(row).eq('id', id).select().single()
+    : await supabase.from('holiday_calendar').insert(row).select().single();
+  throwIfError(error);
+  return data;
+}
+
+export async function deleteHoliday(holidayId) {
+  const { error } = await supabase.from('holiday_calendar').delete().eq('id', holidayId);
+  throwIfError(error);
+}
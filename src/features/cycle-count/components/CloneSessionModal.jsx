@@ -0,0 +1,143 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { AlertCircle, CopyPlus, X } from 'lucide-react';
+import { cloneSession, fetchSessionItemSummary } from '../api/cycleCountApi';
+import { addMonths, sessionDate, shiftSessionWindow, suggestCloneName } from '../lib/sessionClone';
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Copies a session with its counters, zones and items into a new draft.
+ * Sessions with a time window move it to the chosen day; the copy is then
+ * handed to onCloned so the admin can review it.
+ */
+const CloneSessionModal = ({ session, onClose, onCloned }) => {
+  const fromDate = sessionDate(session);
+  const hasWindow = Boolean(session.valid_from && session.valid_until);
+  const [countDate, setCountDate] = useState(fromDate ? addMonths(fromDate, 1) : '');
+  const [name, setName] = useState(() => suggestCloneName(session.name, fromDate, fromDate ? addMonths(fromDate, 1) : null));
+  const [nameEdited, setNameEdited] = useState(false);
+  const [varianceOnly, setVarianceOnly] = useState(false);
+  const [itemCount, setItemCount] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchSessionItemSummary(session.id)
+      .then((summary) => { if (!cancelled) setItemCount(summary.itemCount); })
+      .catch(() => { if (!cancelled) setItemCount(null); });
+    return () => { cancelled = true; };
+  }, [session.id]);
+
+  useEffect(() => {
+    if (!nameEdited) setName(suggestCloneName(session.name, fromDate, countDate || null));
+  }, [countDate, nameEdited, session.name, fromDate]);
+
+  const timeWindow = useMemo(() => (hasWindow ? shiftSessionWindow(session, countDate) : null), [hasWindow, session, countDate]);
+  const userCount = session.session_users?.length ?? 0;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const copy = await cloneSession(session.id, {
+        name: name.trim(),
+        scheduledDate: session.is_scheduled ? countDate || null : null,
+        validFrom: timeWindow?.validFrom ?? null,
+        validUntil: timeWindow?.validUntil ?? null,
+        varianceOnly,
+      });
+      onCloned(copy);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg w-full max-w-lg p-6 space-y-4">
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-bold">Duplicate Session</h3>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600">
+          Copies <span className="font-medium">{session.name}</span> as a draft with its settings,
+          {` ${userCount} counter(s)`} and their zones, and {itemCount == null ? 'its items' : `${itemCount} item(s)`}.
+          Counts are not copied.
+        </p>
+
+        {error && (
+          <div className="flex items-center p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+            <AlertCircle className="h-4 w-4 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {hasWindow && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Count date</label>
+            <input
+              type="date"
+              value={countDate}
+              onChange={(e) => setCountDate(e.target.value)}
+              required
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {timeWindow?.validFrom && (
+              <p className="text-xs text-gray-500 mt-1">
+                Open {new Date(timeWindow.validFrom).toLocaleDateString()} {formatTime(timeWindow.validFrom)} – {new Date(timeWindow.validUntil).toLocaleDateString()} {formatTime(timeWindow.validUntil)}
+              </p>
+            )}
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Name</label>
+          <input
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+              setNameEdited(true);
+            }}
+            required
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <label className="flex items-start">
+          <input
+            type="checkbox"
+            checked={varianceOnly}
+            onChange={(e) => setVarianceOnly(e.target.checked)}
+            className="mr-2 mt-1"
+          />
+          <span className="text-sm">
+            <span className="font-medium text-gray-700">Only items with a variance</span>
+            <span className="block text-gray-500">Carry over only the counted items whose final count differed from book in this session.</span>
+          </span>
+        </label>
+
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-gray-600 border rounded-md hover:bg-gray-50">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || !name.trim() || (hasWindow && !countDate)}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+          >
+            <CopyPlus className="h-4 w-4" />
+            {saving ? 'Duplicating...' : 'Duplicate as Draft'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CloneSessionModal;
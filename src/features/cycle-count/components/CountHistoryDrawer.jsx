@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import { fetchCountHistory } from '../api/cycleCountApi';
+import { describeHistoryChange } from '../lib/countHistory';
+
+const CountHistoryDrawer = ({ countId }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchCountHistory(countId)
+      .then((rows) => {
+        if (!cancelled) setHistory(rows);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [countId]);
+
+  if (loading) return <p className="px-2 py-1 text-xs text-gray-500">Loading history...</p>;
+  if (error) return <p className="px-2 py-1 text-xs text-red-600">Error loading history: {error}</p>;
+  if (history.length === 0) return <p className="px-2 py-1 text-xs text-gray-500">No history recorded</p>;
+
+  return (
+    <ol className="ml-6 border-l border-gray-200 pl-3 py-1 space-y-1 text-xs">
+      {history.map((entry) => (
+        <li key={entry.id}>
+          <p className="font-medium text-gray-800">
+            {describeHistoryChange(entry)}
+            {entry.new_calculation && entry.action !== 'DELETE' && (
+              <span className="ml-1 font-normal text-gray-500">({entry.new_calculation})</span>
+            )}
+          </p>
+          <p className="text-gray-500">
+            {new Date(entry.changed_at).toLocaleString()}
+            {' · '}{entry.changed_by_name || 'System'}
+            {entry.device && <> · {entry.device}</>}
+          </p>
+          {entry.note && <p className="text-gray-600 italic">{entry.note}</p>}
+          {entry.captured_at && Math.abs(new Date(entry.changed_at) - new Date(entry.captured_at)) > 60000 && (
+            <p className="text-gray-400">Captured offline at {new Date(entry.captured_at).toLocaleString()}</p>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default CountHistoryDrawer;
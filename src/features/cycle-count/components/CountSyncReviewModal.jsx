@@ -0,0 +1,131 @@
+import React from 'react';
+import { AlertTriangle, CloudOff, MapPin, RefreshCw, Trash2, X } from 'lucide-react';
+import { DUPLICATE_MODE, duplicateModesFor, isDuplicateCountError } from '../lib/duplicateCounts';
+
+const DUPLICATE_ACTIONS = [
+  [DUPLICATE_MODE.ADD, 'Add to existing'],
+  [DUPLICATE_MODE.REPLACE, 'Replace'],
+  [DUPLICATE_MODE.SEPARATE, 'Separate pallet'],
+];
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+const CountSyncReviewModal = ({ items, pending, conflicts, syncing, online, onRetry, onDiscard, onSyncNow, onClose }) => {
+  const itemById = Object.fromEntries(items.map((item) => [item.id, item]));
+
+  const renderEntry = (entry, isConflict) => {
+    const item = itemById[entry.itemId];
+    return (
+      <li key={entry.clientId} className={`p-3 rounded-md border ${isConflict ? 'border-red-200 bg-red-50' : 'border-yellow-200 bg-yellow-50'}`}>
+        <div className="flex justify-between items-start gap-2">
+          <div className="min-w-0">
+            <p className="font-semibold text-gray-900 truncate">{item ? `${item.sku} | ${item.item_name}` : entry.itemId}</p>
+            <p className="text-sm text-gray-600 flex items-center gap-1">
+              <MapPin className="h-3.5 w-3.5" />
+              {entry.locationName}: <span className="font-bold">{entry.countedQty}</span>
+              {entry.countId ? ' (edit)' : ''}
+            </p>
+            <p className="text-xs text-gray-500">Captured {formatTime(entry.capturedAt)}</p>
+            {isConflict && entry.error && (
+              <p className="text-xs text-red-700 mt-1">{entry.error.message}</p>
+            )}
+            {isConflict && isDuplicateCountError(entry.error) && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {DUPLICATE_ACTIONS.filter(([mode]) => duplicateModesFor(entry.error).includes(mode)).map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    onClick={() => onRetry(entry.clientId, { duplicateMode: mode })}
+                    disabled={syncing || !online}
+                    className="px-2 py-1 text-xs border border-blue-300 text-blue-700 rounded hover:bg-blue-50 disabled:opacity-50"
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          {isConflict && (
+            <div className="flex items-center gap-1 shrink-0">
+              <button
+                onClick={() => onRetry(entry.clientId)}
+                disabled={syncing || !online}
+                className="p-2 text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                title="Retry"
+              >
+                <RefreshCw className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => {
+                  if (window.confirm('Discard this count? It will not be saved.')) onDiscard(entry.clientId);
+                }}
+                className="p-2 text-red-600 hover:text-red-800"
+                title="Discard"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div role="dialog" aria-modal="true" aria-label="Count sync review" className="bg-white p-6 rounded-lg w-full max-w-md max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold">Count Sync</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        {!online && (
+          <div className="mb-3 p-2 bg-gray-100 rounded-md text-sm text-gray-700 flex items-center gap-2">
+            <CloudOff className="h-4 w-4" />
+            Offline. Counts are kept on this device and sync when the connection returns.
+          </div>
+        )}
+
+        <div className="overflow-y-auto space-y-4">
+          <section>
+            <h4 className="font-semibold text-sm text-red-700 mb-2 flex items-center gap-1">
+              <AlertTriangle className="h-4 w-4" />
+              Needs review ({conflicts.length})
+            </h4>
+            {conflicts.length === 0 ? (
+              <p className="text-sm text-gray-500">No rejected counts.</p>
+            ) : (
+              <ul className="space-y-2">{conflicts.map((entry) => renderEntry(entry, true))}</ul>
+            )}
+          </section>
+
+          <section>
+            <h4 className="font-semibold text-sm text-yellow-700 mb-2">Waiting to sync ({pending.length})</h4>
+            {pending.length === 0 ? (
+              <p className="text-sm text-gray-500">All counts are synced.</p>
+            ) : (
+              <ul className="space-y-2">{pending.map((entry) => renderEntry(entry, false))}</ul>
+            )}
+          </section>
+        </div>
+
+        <div className="flex justify-end space-x-2 mt-6">
+          <button onClick={onClose} className="px-4 py-2 text-gray-600 border rounded-md hover:bg-gray-50">
+            Close
+          </button>
+          <button
+            onClick={onSyncNow}
+            disabled={syncing || !online || pending.length === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-300 flex items-center space-x-2"
+          >
+            <RefreshCw className={`h-4 w-4 ${syncing ? 'animate-spin' : ''}`} />
+            <span>Sync now</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CountSyncReviewModal;
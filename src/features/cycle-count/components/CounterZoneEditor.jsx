@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { Save } from 'lucide-react';
+import { setCounterZone } from '../api/cycleCountApi';
+
+/**
+ * Picks the categories and locations one counter is responsible for.
+ * Selecting a whole category covers its locations, including ones added
+ * later.
+ */
+const CounterZoneEditor = ({ sessionId, userId, zones, locations, categories, onSaved }) => {
+  const ownZones = zones.filter((zone) => zone.user_id === userId);
+  const [categoryIds, setCategoryIds] = useState(() => ownZones.map((zone) => zone.category_id).filter(Boolean));
+  const [locationIds, setLocationIds] = useState(() => ownZones.map((zone) => zone.location_id).filter(Boolean));
+  const [saving, setSaving] = useState(false);
+  const activeLocations = locations.filter((location) => location.is_active !== false);
+
+  const toggle = (setter, id) => {
+    setter((current) => (current.includes(id) ? current.filter((value) => value !== id) : [...current, id]));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      // Locations already covered by a selected category are redundant
+      const explicitLocations = locationIds.filter((id) => {
+        const location = locations.find((row) => row.id === id);
+        return location && !categoryIds.includes(location.category_id);
+      });
+      await setCounterZone(sessionId, userId, { locationIds: explicitLocations, categoryIds });
+      onSaved?.();
+    } catch (err) {
+      alert('Error saving zone: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-2 p-3 bg-white border border-blue-100 rounded-md space-y-3 text-sm">
+      {categories.map((category) => {
+        const categoryLocations = activeLocations.filter((location) => location.category_id === category.id);
+        const wholeCategory = categoryIds.includes(category.id);
+        if (categoryLocations.length === 0) return null;
+        return (
+          <div key={category.id}>
+            <label className="flex items-center gap-2 font-medium text-gray-800">
+              <input
+                type="checkbox"
+                checked={wholeCategory}
+                onChange={() => toggle(setCategoryIds, category.id)}
+              />
+              {category.name} (all locations)
+            </label>
+            <div className="mt-1 ml-6 flex flex-wrap gap-x-4 gap-y-1">
+              {categoryLocations.map((location) => (
+                <label key={location.id} className={`flex items-center gap-1 ${wholeCategory ? 'text-gray-400' : 'text-gray-700'}`}>
+                  <input
+                    type="checkbox"
+                    checked={wholeCategory || locationIds.includes(location.id)}
+                    disabled={wholeCategory}
+                    onChange={() => toggle(setLocationIds, location.id)}
+                  />
+                  {location.name}
+                </label>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+      <div className="flex justify-between items-center">
+        <p className="text-xs text-gray-500">Leave everything unchecked to let this counter count anywhere.</p>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center space-x-1"
+        >
+          <Save className="h-4 w-4" />
+          <span>Save Zone</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CounterZoneEditor;
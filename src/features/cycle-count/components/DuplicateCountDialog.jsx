@@ -0,0 +1,64 @@
+import React from 'react';
+import { Copy, Layers, Plus, RefreshCw } from 'lucide-react';
+import { DUPLICATE_MODE } from '../lib/duplicateCounts';
+
+const CHOICES = [
+  {
+    mode: DUPLICATE_MODE.ADD,
+    icon: Plus,
+    label: 'Add to existing',
+    description: 'Both counts are part of the stock; add this quantity to the existing count.',
+  },
+  {
+    mode: DUPLICATE_MODE.REPLACE,
+    icon: RefreshCw,
+    label: 'Replace existing',
+    description: 'The existing count was wrong; this quantity becomes the count.',
+  },
+  {
+    mode: DUPLICATE_MODE.SEPARATE,
+    icon: Layers,
+    label: 'Separate pallet',
+    description: 'This is a different pallet at the same location; keep both counts.',
+  },
+];
+
+const DuplicateCountDialog = ({ message, modes = Object.values(DUPLICATE_MODE), quantity, uom, location, submitting, onChoose, onCancel }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60] p-4">
+    <div role="dialog" aria-modal="true" aria-label="Duplicate count" className="bg-white rounded-lg w-full max-w-md">
+      <div className="p-4 border-b flex items-center gap-2">
+        <Copy className="h-5 w-5 text-yellow-600" />
+        <h3 className="text-lg font-bold">Already counted</h3>
+      </div>
+      <div className="p-4 space-y-3">
+        <p className="text-sm text-gray-700">
+          {message} ({location}). What should happen with <span className="font-semibold">{quantity} {uom}</span>?
+        </p>
+        {!modes.includes(DUPLICATE_MODE.ADD) && (
+          <p className="text-xs text-gray-500">Only that counter or an admin can add to or replace their count.</p>
+        )}
+        {CHOICES.filter(({ mode }) => modes.includes(mode)).map(({ mode, icon: Icon, label, description }) => (
+          <button
+            key={mode}
+            onClick={() => onChoose(mode)}
+            disabled={submitting}
+            className="w-full text-left p-3 border rounded-md hover:bg-blue-50 hover:border-blue-300 disabled:opacity-50 flex gap-3"
+          >
+            <Icon className="h-5 w-5 text-blue-600 shrink-0 mt-0.5" />
+            <span>
+              <span className="block font-semibold text-gray-900">{label}</span>
+              <span className="block text-xs text-gray-600">{description}</span>
+            </span>
+          </button>
+        ))}
+      </div>
+      <div className="p-4 border-t flex justify-end">
+        <button onClick={onCancel} disabled={submitting} className="px-4 py-2 text-gray-600 border rounded-md hover:bg-gray-50">
+          Cancel
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default DuplicateCountDialog;
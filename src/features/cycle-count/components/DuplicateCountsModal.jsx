@@ -0,0 +1,203 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Layers, Merge, RefreshCw, X } from 'lucide-react';
+import { fetchSessionDuplicateCounts, markCountsSeparate, mergeSessionCounts } from '../api/cycleCountApi';
+import { MERGE_MODE, groupDuplicateCounts, previewMerge } from '../lib/duplicateCounts';
+
+const DuplicateGroup = ({ group, busy, onMerge, onSeparate }) => {
+  const [keepId, setKeepId] = useState(group.counts[0]?.count_id);
+  const [mode, setMode] = useState(MERGE_MODE.SUM);
+  const preview = previewMerge(group, keepId, mode);
+  const uom = group.item?.uom ?? '';
+
+  return (
+    <li className="border rounded-md">
+      <div className="px-3 py-2 bg-gray-50 border-b flex flex-wrap justify-between gap-2">
+        <div className="min-w-0">
+          <p className="font-semibold text-gray-900 truncate">
+            {group.item ? `${group.item.sku} | ${group.item.item_name}` : group.itemId}
+          </p>
+          <p className="text-sm text-gray-600">
+            {group.locationName}
+            {group.countRound === 2 && <span className="ml-2 text-xs text-purple-700">Recount</span>}
+          </p>
+        </div>
+        <p className="text-sm text-gray-700">
+          {group.counts.length} rows, total <span className="font-semibold">{group.total} {uom}</span>
+        </p>
+      </div>
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-gray-500 uppercase">
+            <th className="px-3 py-1">Keep</th>
+            <th className="px-3 py-1">Counter</th>
+            <th className="px-3 py-1 text-right">Qty</th>
+            <th className="px-3 py-1">Calculation</th>
+            <th className="px-3 py-1">Captured</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {group.counts.map((count) => (
+            <tr key={count.count_id}>
+              <td className="px-3 py-1">
+                <input
+                  type="radio"
+                  name={`keep-${group.key}`}
+                  checked={keepId === count.count_id}
+                  onChange={() => setKeepId(count.count_id)}
+                />
+              </td>
+              <td className="px-3 py-1">
+                {count.user_name || 'Unknown'}
+                {count.is_separate_pallet && <span className="ml-1 text-xs text-gray-500">(separate pallet)</span>}
+              </td>
+              <td className="px-3 py-1 text-right font-medium">{count.counted_qty}</td>
+              <td className="px-3 py-1 text-gray-600">{count.counted_qty_calculation || '-'}</td>
+              <td className="px-3 py-1 text-gray-500">
+                {count.captured_at ? new Date(count.captured_at).toLocaleString() : '-'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="px-3 py-2 border-t flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-3 text-sm">
+          <label className="flex items-center gap-1">
+            <input type="radio" checked={mode === MERGE_MODE.SUM} onChange={() => setMode(MERGE_MODE.SUM)} />
+            Add the others to the kept row
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="radio" checked={mode === MERGE_MODE.DISCARD} onChange={() => setMode(MERGE_MODE.DISCARD)} />
+            Drop the others as double counts
+          </label>
+        </div>
+        <div className="flex items-center gap-2">
+          {preview && (
+            <span className="text-sm text-gray-600">
+              Result: <span className="font-semibold">{preview.qty} {uom}</span>
+            </span>
+          )}
+          <button
+            onClick={() => onSeparate(group)}
+            disabled={busy}
+            className="px-3 py-1.5 text-sm border rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 flex items-center gap-1"
+            title="These rows are different pallets"
+          >
+            <Layers className="h-4 w-4" />
+            Separate pallets
+          </button>
+          <button
+            onClick={() => onMerge(group, keepId, mode)}
+            disabled={busy || !keepId}
+            className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-300 flex items-center gap-1"
+          >
+            <Merge className="h-4 w-4" />
+            Merge
+          </button>
+        </div>
+      </div>
+    </li>
+  );
+};
+
+const DuplicateCountsModal = ({ session, onClose }) => {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      setRows(await fetchSessionDuplicateCounts(session.id));
+    } catch (err) {
+      console.error('Error loading duplicate counts:', err);
+      alert('Error loading duplicate counts: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [session.id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const groups = useMemo(() => groupDuplicateCounts(rows), [rows]);
+
+  const handleMerge = async (group, keepId, mode) => {
+    const others = group.counts.filter((count) => count.count_id !== keepId);
+    const action = mode === MERGE_MODE.SUM ? 'added to the kept row' : 'dropped';
+    if (!window.confirm(`${others.length} count(s) will be ${action} and deleted. The change is recorded in the count history. Continue?`)) {
+      return;
+    }
+    try {
+      setBusy(true);
+      await mergeSessionCounts(keepId, others.map((count) => count.count_id), mode);
+      await load();
+    } catch (err) {
+      alert('Error merging counts: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSeparate = async (group) => {
+    try {
+      setBusy(true);
+      await markCountsSeparate(group.counts.map((count) => count.count_id));
+      await load();
+    } catch (err) {
+      alert('Error updating counts: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-xl font-bold">Duplicate Counts: {session.name}</h3>
+          <div className="flex items-center gap-2">
+            <button onClick={load} disabled={loading} className="text-gray-500 hover:text-gray-700 p-1" title="Refresh">
+              <RefreshCw className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+            <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-4 overflow-y-auto">
+          <p className="text-sm text-gray-600 mb-3">
+            Items with more than one count at the same location. Merge them when they were counted twice, or mark
+            them as separate pallets when both are real stock.
+          </p>
+          {loading ? (
+            <p className="text-gray-500">Loading duplicates...</p>
+          ) : groups.length === 0 ? (
+            <p className="text-gray-500">No suspected duplicates in this session.</p>
+          ) : (
+            <ul className="space-y-3">
+              {groups.map((group) => (
+                <DuplicateGroup
+                  key={`${group.key}-${group.counts.length}`}
+                  group={group}
+                  busy={busy}
+                  onMerge={handleMerge}
+                  onSeparate={handleSeparate}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="p-4 border-t flex justify-end">
+          <button onClick={onClose} className="px-4 py-2 text-gray-600 border rounded-md hover:bg-gray-50">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateCountsModal;
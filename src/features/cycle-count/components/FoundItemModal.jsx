@@ -0,0 +1,255 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle, MapPin, PackagePlus, QrCode, Save, X } from 'lucide-react';
+import { fetchSessionFoundItems, fetchSessionItem, recordFoundItem } from '../api/cycleCountApi';
+import { createClientId } from '../lib/offlineCountQueue';
+import { getDeviceLabel } from '../lib/deviceLabel';
+import { FOUND_ITEM_STATUS_STYLES, describeFoundItem, validateFoundItem } from '../lib/foundItems';
+import ItemMasterSearch from './ItemMasterSearch';
+import ScannerModal from '../../scanner/components/ScannerModal';
+import { useBarcodeRules } from '../../barcode-rules/hooks/useBarcodeRules';
+import { parseScannedCode } from '../../barcode-rules/lib/barcodeRules';
+import { lookupScannedItem } from '../../barcode-rules/api/barcodeRulesApi';
+
+/**
+ * Records stock found at a location that is not part of the session: an
+ * item from the item master or an unknown barcode with a description. The
+ * find waits for admin review before it counts. Whether the item is already
+ * in the session is checked on the server, since a large session's list is
+ * only loaded a page at a time.
+ */
+const FoundItemModal = ({ sessionId, locations, defaultLocation = '', onCountSessionItem, onClose }) => {
+  const { rules } = useBarcodeRules();
+  const [locationName, setLocationName] = useState(defaultLocation);
+  const [unknown, setUnknown] = useState(false);
+  const [item, setItem] = useState(null);
+  const [scannedCode, setScannedCode] = useState('');
+  const [description, setDescription] = useState('');
+  const [quantity, setQuantity] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
+  const [myFinds, setMyFinds] = useState([]);
+  const [sessionItem, setSessionItem] = useState(null);
+
+  const loadFinds = useCallback(async () => {
+    try {
+      setMyFinds(await fetchSessionFoundItems(sessionId));
+    } catch (err) {
+      console.error('Error loading found items:', err);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    loadFinds();
+  }, [loadFinds]);
+
+  useEffect(() => {
+    setSessionItem(null);
+    if (!item) return undefined;
+    let cancelled = false;
+    fetchSessionItem(sessionId, item.id)
+      .then((row) => { if (!cancelled) setSessionItem(row); })
+      .catch((err) => console.error('Error checking session item:', err));
+    return () => { cancelled = true; };
+  }, [sessionId, item]);
+
+  const inSession = Boolean(item && sessionItem);
+
+  const handleScan = async (code) => {
+    const match = await lookupScannedItem(parseScannedCode(code, rules), 'id, sku, item_code, item_name, uom, category, internal_product_code');
+    if (match) {
+      setItem(match.item);
+      setUnknown(false);
+    } else {
+      setItem(null);
+      setUnknown(true);
+      setScannedCode(code);
+    }
+    setShowScanner(false);
+    return null;
+  };
+
+  const handleSave = async () => {
+    const location = locations.find((row) => row.name === locationName);
+    const checked = validateFoundItem({
+      locationId: location?.id,
+      item: unknown ? null : item,
+      description: unknown ? description : '',
+      quantity,
+    });
+    if (checked.error) {
+      setError(checked.error);
+      return;
+    }
+    try {
+      setSaving(true);
+      setError('');
+      await recordFoundItem({
+        clientId: createClientId(),
+        sessionId,
+        locationId: location.id,
+        itemId: unknown ? null : item.id,
+        scannedCode: unknown ? scannedCode : null,
+        description: unknown ? description : null,
+        countedQty: checked.qty,
+        calculation: checked.calculation,
+        capturedAt: new Date().toISOString(),
+        device: getDeviceLabel(),
+      });
+      setItem(null);
+      setScannedCode('');
+      setDescription('');
+      setQuantity('');
+      await loadFinds();
+    } catch (err) {
+      // Added to the session since the check; count it there instead
+      const row = err.code === 'CC_ITEM_IN_SESSION' ? await fetchSessionItem(sessionId, item.id).catch(() => null) : null;
+      if (row) {
+        onCountSessionItem(row);
+        return;
+      }
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg w-full max-w-lg max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-lg font-bold flex items-center gap-2">
+            <PackagePlus className="h-5 w-5" />
+            Add Found Item
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4 overflow-y-auto">
+          <p className="text-sm text-gray-600">
+            For stock that is not in this session's item list. An admin reviews it before it counts.
+          </p>
+
+          <div className="relative">
+            <MapPin className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+            <select
+              value={locationName}
+              onChange={(e) => setLocationName(e.target.value)}
+              className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Select a location...</option>
+              {locations.map((row) => <option key={row.id} value={row.name}>{row.name}</option>)}
+            </select>
+          </div>
+
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+              {[[false, 'Item master'], [true, 'Unknown barcode']].map(([value, label]) => (
+                <button
+                  key={label}
+                  onClick={() => setUnknown(value)}
+                  className={`px-3 py-1.5 ${unknown === value ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={() => setShowScanner(true)}
+              className="bg-blue-600 text-white px-3 py-1.5 rounded-md hover:bg-blue-700 flex items-center gap-1 text-sm"
+            >
+              <QrCode className="h-4 w-4" />
+              Scan
+            </button>
+          </div>
+
+          {unknown ? (
+            <div className="space-y-2">
+              <input
+                type="text"
+                value={scannedCode}
+                onChange={(e) => setScannedCode(e.target.value)}
+                placeholder="Barcode on the label (optional)"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <textarea
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                rows={2}
+                placeholder="What is it? Name, colour, size, supplier..."
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          ) : item ? (
+            <div className="p-3 bg-gray-50 rounded-md flex justify-between items-start gap-2">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900">{item.sku}</p>
+                <p className="text-sm text-gray-600">{item.item_name}</p>
+                {inSession && (
+                  <p className="text-sm text-orange-700 mt-1 flex items-center gap-1">
+                    <AlertTriangle className="h-4 w-4" />
+                    Already in this session.
+                    <button onClick={() => onCountSessionItem(sessionItem)} className="underline">Count it from the list</button>
+                  </p>
+                )}
+              </div>
+              <button onClick={() => setItem(null)} className="text-gray-400 hover:text-gray-600" title="Pick another item">
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          ) : (
+            <ItemMasterSearch onSelect={setItem} />
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Quantity found</label>
+            <input
+              type="text"
+              inputMode="decimal"
+              value={quantity}
+              onChange={(e) => setQuantity(e.target.value)}
+              placeholder="e.g. 12 or 3*24+5"
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <button
+            onClick={handleSave}
+            disabled={saving || inSession}
+            className="w-full bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center justify-center gap-2"
+          >
+            {saving ? <div className="spinner w-4 h-4"></div> : <Save className="h-4 w-4" />}
+            Record Found Item
+          </button>
+
+          {myFinds.length > 0 && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-1">Found items in this session</h4>
+              <ul className="divide-y divide-gray-100 text-sm border rounded-md">
+                {myFinds.map((row) => (
+                  <li key={row.id} className="px-3 py-2 flex justify-between items-center gap-2">
+                    <div className="min-w-0">
+                      <p className="truncate text-gray-900">{describeFoundItem(row)}</p>
+                      <p className="text-xs text-gray-500">{row.location?.name} · {row.counted_qty} {row.item?.uom ?? ''}</p>
+                    </div>
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${FOUND_ITEM_STATUS_STYLES[row.status]}`}>
+                      {row.status.toLowerCase()}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showScanner && <ScannerModal onScan={handleScan} onClose={() => setShowScanner(false)} />}
+    </div>
+  );
+};
+
+export default FoundItemModal;
@@ -0,0 +1,173 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Ban, Check, Link2, RefreshCw, X } from 'lucide-react';
+import { fetchSessionFoundItems, resolveFoundItem } from '../api/cycleCountApi';
+import {
+  FOUND_ITEM_ACTION,
+  FOUND_ITEM_STATUS,
+  FOUND_ITEM_STATUS_STYLES,
+  describeFoundItem,
+  sortFoundItems,
+} from '../lib/foundItems';
+import ItemMasterSearch from './ItemMasterSearch';
+
+const FoundItemRow = ({ row, busy, onResolve }) => {
+  const [mapping, setMapping] = useState(false);
+  const pending = row.status === FOUND_ITEM_STATUS.PENDING;
+  const uom = (row.resolved_item ?? row.item)?.uom ?? '';
+
+  return (
+    <li className="border rounded-md">
+      <div className="px-3 py-2 flex flex-wrap justify-between gap-2">
+        <div className="min-w-0">
+          <p className="font-semibold text-gray-900 truncate">{describeFoundItem(row)}</p>
+          <p className="text-sm text-gray-600">
+            {row.location?.name} · <span className="font-medium">{row.counted_qty} {uom}</span>
+            {row.counted_qty_calculation && <span className="ml-1 text-gray-500">({row.counted_qty_calculation})</span>}
+          </p>
+          <p className="text-xs text-gray-500">
+            {row.user_name || 'Unknown'} · {row.captured_at ? new Date(row.captured_at).toLocaleString() : '-'}
+            {row.device && ` · ${row.device}`}
+          </p>
+          {row.status === FOUND_ITEM_STATUS.MAPPED && row.resolved_item && (
+            <p className="text-sm text-blue-700">Mapped to {row.resolved_item.sku} | {row.resolved_item.item_name}</p>
+          )}
+          {row.review_note && <p className="text-sm text-gray-600 italic">{row.review_note}</p>}
+        </div>
+        <div className="flex items-start gap-2">
+          {pending ? (
+            <>
+              <button
+                onClick={() => onResolve(row, FOUND_ITEM_ACTION.ACCEPT)}
+                disabled={busy || !row.item_id}
+                className="px-3 py-1.5 text-sm bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center gap-1"
+                title={row.item_id ? 'Add the item to the session with this count' : 'Unknown items must be mapped to a SKU'}
+              >
+                <Check className="h-4 w-4" />
+                Accept
+              </button>
+              <button
+                onClick={() => setMapping(!mapping)}
+                disabled={busy}
+                className="px-3 py-1.5 text-sm border rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 flex items-center gap-1"
+              >
+                <Link2 className="h-4 w-4" />
+                Map
+              </button>
+              <button
+                onClick={() => onResolve(row, FOUND_ITEM_ACTION.REJECT)}
+                disabled={busy}
+                className="px-3 py-1.5 text-sm border border-red-300 rounded-md text-red-700 hover:bg-red-50 disabled:opacity-50 flex items-center gap-1"
+              >
+                <Ban className="h-4 w-4" />
+                Reject
+              </button>
+            </>
+          ) : (
+            <span className={`px-2 py-0.5 rounded-full text-xs ${FOUND_ITEM_STATUS_STYLES[row.status]}`}>
+              {row.status.toLowerCase()}
+            </span>
+          )}
+        </div>
+      </div>
+      {pending && mapping && (
+        <div className="px-3 py-2 border-t bg-gray-50">
+          <ItemMasterSearch
+            autoFocus
+            placeholder="Find the SKU this stock really is..."
+            onSelect={(item) => onResolve(row, FOUND_ITEM_ACTION.MAP, item)}
+          />
+        </div>
+      )}
+    </li>
+  );
+};
+
+const FoundItemsModal = ({ session, onClose, onChange }) => {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      setRows(await fetchSessionFoundItems(session.id));
+    } catch (err) {
+      console.error('Error loading found items:', err);
+      alert('Error loading found items: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [session.id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const sorted = useMemo(() => sortFoundItems(rows), [rows]);
+  const pendingCount = rows.filter((row) => row.status === FOUND_ITEM_STATUS.PENDING).length;
+
+  const handleResolve = async (row, action, item = null) => {
+    let note = null;
+    if (action === FOUND_ITEM_ACTION.REJECT) {
+      note = window.prompt('Why is this find rejected? (optional)');
+      if (note === null) return;
+    } else if (action === FOUND_ITEM_ACTION.MAP) {
+      if (!window.confirm(`Count ${row.counted_qty} of ${item.sku} at ${row.location?.name}? The item is added to the session.`)) return;
+    }
+    try {
+      setBusy(true);
+      await resolveFoundItem(row.id, action, { itemId: item?.id ?? null, note: note || null });
+      await load();
+      onChange?.();
+    } catch (err) {
+      alert('Error resolving found item: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-xl font-bold">Found Items: {session.name}</h3>
+          <div className="flex items-center gap-2">
+            <button onClick={load} disabled={loading} className="text-gray-500 hover:text-gray-700 p-1" title="Refresh">
+              <RefreshCw className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+            <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-4 overflow-y-auto">
+          <p className="text-sm text-gray-600 mb-3">
+            Stock counters found that was not planned for this session. Accept a find to add the item and its count,
+            map an unknown barcode to an existing SKU, or reject it. The session cannot be approved while finds are
+            pending{pendingCount > 0 && ` (${pendingCount} now)`}.
+          </p>
+          {loading ? (
+            <p className="text-gray-500">Loading found items...</p>
+          ) : sorted.length === 0 ? (
+            <p className="text-gray-500">No found items in this session.</p>
+          ) : (
+            <ul className="space-y-3">
+              {sorted.map((row) => (
+                <FoundItemRow key={`${row.id}-${row.status}`} row={row} busy={busy} onResolve={handleResolve} />
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="p-4 border-t flex justify-end">
+          <button onClick={onClose} className="px-4 py-2 text-gray-600 border rounded-md hover:bg-gray-50">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FoundItemsModal;
@@ -0,0 +1,257 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { CheckCircle, MapPin, QrCode, Search, XCircle } from 'lucide-react';
+import {
+  fetchSessionLocationStatus,
+  listLocationExpectedItems,
+  setSessionLocationDone,
+} from '../api/cycleCountApi';
+import { buildLocationChecklist } from '../lib/locationGuide';
+import { getItemViewers } from '../lib/sessionPresence';
+import PresenceAvatars from './PresenceAvatars';
+
+/**
+ * Location-first counting: pick or scan a location, count the items
+ * expected there and mark the location done.
+ */
+const GuidedLocationPanel = ({
+  sessionId,
+  locations,
+  categories,
+  items,
+  counts,
+  locationName,
+  zoneLocationNames = [],
+  onLocationChange,
+  onCountItem,
+  onScan,
+  presencePeers = [],
+}) => {
+  const [expected, setExpected] = useState([]);
+  const [doneLocations, setDoneLocations] = useState([]);
+  const [loadingExpected, setLoadingExpected] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [search, setSearch] = useState('');
+  const location = locations.find((row) => row.name === locationName) ?? null;
+  const isDone = Boolean(location && doneLocations.some((row) => row.location_id === location.id));
+
+  const refreshDone = useCallback(async () => {
+    try {
+      setDoneLocations(await fetchSessionLocationStatus(sessionId));
+    } catch (err) {
+      console.error('Error loading location status:', err);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    refreshDone();
+  }, [refreshDone]);
+
+  useEffect(() => {
+    setSearch('');
+    if (!location) {
+      setExpected([]);
+      return undefined;
+    }
+    let cancelled = false;
+    setLoadingExpected(true);
+    listLocationExpectedItems(sessionId, location.id)
+      .then((rows) => {
+        if (!cancelled) setExpected(rows);
+      })
+      .catch((err) => {
+        console.error('Error loading expected items:', err);
+        if (!cancelled) setExpected([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingExpected(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, location?.id]);
+
+  const checklist = useMemo(
+    () => buildLocationChecklist({ items, expected, counts, locationName }),
+    [items, expected, counts, locationName]
+  );
+
+  // Other items that may be stored at this location, for unexpected finds
+  const searchResults = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    if (!query || !location) return [];
+    const category = categories.find((row) => row.id === location.category_id);
+    return items
+      .filter((item) => !category || item.category === category.name)
+      .filter((item) => [item.sku, item.item_name, item.item_code, item.internal_product_code]
+        .some((value) => value && value.toLowerCase().includes(query)))
+      .slice(0, 20);
+  }, [search, location, categories, items]);
+
+  const renderLocationOptions = (rows) => rows.map((row) => (
+    <option key={row.id} value={row.name}>
+      {doneLocations.some((done) => done.location_id === row.id) ? '✓ ' : ''}{row.name}
+    </option>
+  ));
+  const zoneLocations = locations.filter((row) => zoneLocationNames.includes(row.name));
+
+  const handleToggleDone = async () => {
+    if (!location) return;
+    const remaining = checklist.expectedCount - checklist.expectedCounted;
+    if (!isDone && remaining > 0
+      && !window.confirm(`${remaining} expected item(s) are not counted at ${location.name}. Mark it done anyway?`)) {
+      return;
+    }
+    try {
+      setSaving(true);
+      await setSessionLocationDone(sessionId, location.id, !isDone);
+      await refreshDone();
+    } catch (err) {
+      alert('Error updating location: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const progressPct = checklist.expectedCount > 0
+    ? Math.round((checklist.expectedCounted / checklist.expectedCount) * 100)
+    : 0;
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white p-4 rounded-lg shadow">
+        <div className="flex flex-col sm:flex-row gap-2">
+          <div className="flex-1 relative">
+            <MapPin className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+            <select
+              value={locationName}
+              onChange={(e) => onLocationChange(e.target.value)}
+              className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Select a location...</option>
+              {zoneLocations.length > 0 ? (
+                <>
+                  <optgroup label="My zone">{renderLocationOptions(zoneLocations)}</optgroup>
+                  <optgroup label="Other locations">
+                    {renderLocationOptions(locations.filter((row) => !zoneLocationNames.includes(row.name)))}
+                  </optgroup>
+                </>
+              ) : renderLocationOptions(locations)}
+            </select>
+          </div>
+          {onScan && (
+            <button
+              onClick={onScan}
+              className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 flex items-center justify-center space-x-2"
+            >
+              <QrCode className="h-4 w-4" />
+              <span>Scan</span>
+            </button>
+          )}
+        </div>
+
+        {location && (
+          <div className="mt-3">
+            <div className="flex justify-between items-center text-sm text-gray-600 mb-1">
+              <span>{checklist.expectedCounted} of {checklist.expectedCount} expected items counted</span>
+              {isDone && <span className="px-2 py-0.5 bg-green-100 text-green-800 text-xs font-semibold rounded-full">DONE</span>}
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div className="bg-green-500 h-2 rounded-full" style={{ width: `${progressPct}%` }}></div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {!location ? (
+        <p className="text-center text-gray-500 py-6">Select or scan a location to start counting it.</p>
+      ) : (
+        <>
+          {loadingExpected ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="spinner"></div>
+            </div>
+          ) : checklist.rows.length === 0 ? (
+            <p className="text-center text-gray-500 py-6">No items are expected here. Search below to count what you find.</p>
+          ) : (
+            <ul className="grid gap-2">
+              {checklist.rows.map((row) => (
+                <li
+                  key={row.item.id}
+                  onClick={() => onCountItem(row.item)}
+                  className={`bg-white rounded-lg shadow p-3 flex items-center justify-between cursor-pointer hover:bg-gray-50 ${
+                    row.counted ? 'border-l-4 border-green-500' : 'border-l-4 border-gray-300'
+                  }`}
+                >
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <span className="font-semibold text-gray-900">{row.item.sku}</span>
+                      {row.counted
+                        ? <CheckCircle className="h-4 w-4 text-green-500" />
+                        : <XCircle className="h-4 w-4 text-gray-400" />}
+                      {!row.expected && (
+                        <span className="px-1.5 py-0.5 bg-purple-100 text-purple-800 text-xs font-semibold rounded">NOT EXPECTED</span>
+                      )}
+                      {row.pending && (
+                        <span className="px-1.5 py-0.5 text-xs rounded bg-yellow-100 text-yellow-800">pending</span>
+                      )}
+                      <PresenceAvatars users={getItemViewers(presencePeers, row.item.id)} />
+                    </div>
+                    <p className="text-sm text-gray-600">{row.item.item_name}</p>
+                    {row.expected && (
+                      <p className="text-xs text-gray-400">
+                        {[row.fromCounts && 'Counted here before', row.fromLots && 'FIFO lot here'].filter(Boolean).join(' · ')}
+                      </p>
+                    )}
+                  </div>
+                  {row.counted && (
+                    <span className="text-green-700 font-bold">{row.countedQty} {row.item.uom}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="bg-white p-4 rounded-lg shadow">
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+              <input
+                type="text"
+                placeholder="Found something else? Search SKU, name, or code..."
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            {searchResults.length > 0 && (
+              <ul className="mt-2 divide-y divide-gray-100">
+                {searchResults.map((item) => (
+                  <li key={item.id}>
+                    <button
+                      onClick={() => onCountItem(item)}
+                      className="w-full text-left px-2 py-2 hover:bg-gray-50 text-sm"
+                    >
+                      <span className="font-medium text-gray-900">{item.sku}</span>
+                      <span className="ml-2 text-gray-600">{item.item_name}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <button
+              onClick={handleToggleDone}
+              disabled={saving}
+              className={`mt-4 w-full px-4 py-2 rounded-md flex items-center justify-center space-x-2 disabled:opacity-50 ${
+                isDone ? 'bg-gray-200 text-gray-800 hover:bg-gray-300' : 'bg-green-600 text-white hover:bg-green-700'
+              }`}
+            >
+              <CheckCircle className="h-4 w-4" />
+              <span>{isDone ? 'Reopen Location' : 'Mark Location Done'}</span>
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GuidedLocationPanel;
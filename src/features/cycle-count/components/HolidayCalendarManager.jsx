@@ -0,0 +1,257 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CalendarOff, Edit, Plus, Save, Trash2, X } from 'lucide-react';
+import { deleteHoliday, fetchHolidays, saveHoliday } from '../api/cycleCountApi';
+import { HOLIDAY_KIND, HOLIDAY_KIND_LABELS } from '../lib/recurrence';
+import { localDateOf } from '../lib/sessionClone';
+
+const EMPTY_HOLIDAY = { name: '', kind: HOLIDAY_KIND.PUBLIC_HOLIDAY, startsOn: '', endsOn: '' };
+
+const KIND_STYLES = {
+  public_holiday: 'bg-red-100 text-red-800',
+  shutdown: 'bg-orange-100 text-orange-800',
+  other: 'bg-gray-100 text-gray-800',
+};
+
+const formatDay = (isoDate) => new Date(`${isoDate}T00:00:00`).toLocaleDateString(undefined, {
+  weekday: 'short', day: 'numeric', month: 'short', year: 'numeric',
+});
+
+const validateHoliday = (draft) => {
+  if (!draft.name.trim()) return 'Name is required';
+  if (!draft.startsOn) return 'Choose the first day';
+  if (draft.endsOn && draft.endsOn < draft.startsOn) return 'The last day cannot be before the first day';
+  return null;
+};
+
+const HolidayForm = ({ holiday, onSave, onClose }) => {
+  const [draft, setDraft] = useState(holiday);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const problem = validateHoliday(draft);
+  const set = (field) => (e) => setDraft((current) => ({ ...current, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (problem) return;
+    setSaving(true);
+    setError('');
+    try {
+      await onSave(draft);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg w-full max-w-md p-6 space-y-4">
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-bold">{holiday.id ? 'Edit Non-Working Day' : 'New Non-Working Day'}</h3>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Name</label>
+          <input
+            value={draft.name}
+            onChange={set('name')}
+            placeholder="e.g. Christmas Day, Summer shutdown"
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Kind</label>
+          <select
+            value={draft.kind}
+            onChange={set('kind')}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(HOLIDAY_KIND_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">First day</label>
+            <input
+              type="date"
+              value={draft.startsOn}
+              onChange={set('startsOn')}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Last day</label>
+            <input
+              type="date"
+              value={draft.endsOn}
+              min={draft.startsOn || undefined}
+              onChange={set('endsOn')}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">Leave empty for a single day.</p>
+          </div>
+        </div>
+        {(problem || error) && (
+          <p className="text-sm text-red-600 flex items-center gap-1">
+            <AlertCircle className="h-4 w-4" />
+            {error || problem}
+          </p>
+        )}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 border rounded-md text-gray-700 hover:bg-gray-50">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={Boolean(problem) || saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+          >
+            <Save className="h-4 w-4" />
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+/**
+ * Admin list of public holidays and plant shutdowns. Recurring templates
+ * skip these days or move their sessions off them.
+ */
+const HolidayCalendarManager = () => {
+  const [holidays, setHolidays] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showPast, setShowPast] = useState(false);
+  const [editing, setEditing] = useState(null);
+
+  const today = localDateOf(new Date());
+
+  const load = async () => {
+    try {
+      setError('');
+      setHolidays(await fetchHolidays({ from: showPast ? null : today }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [showPast]);
+
+  const handleSave = async (draft) => {
+    await saveHoliday(draft);
+    setEditing(null);
+    await load();
+  };
+
+  const handleDelete = async (holiday) => {
+    if (!window.confirm(`Delete "${holiday.name}"? Sessions already generated are not changed.`)) return;
+    try {
+      await deleteHoliday(holiday.id);
+      await load();
+    } catch (err) {
+      alert('Error deleting non-working day: ' + err.message);
+    }
+  };
+
+  const startEdit = (holiday) => setEditing({
+    id: holiday.id,
+    name: holiday.name,
+    kind: holiday.kind,
+    startsOn: holiday.starts_on,
+    endsOn: holiday.ends_on === holiday.starts_on ? '' : holiday.ends_on,
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-start gap-4">
+        <div>
+          <h3 className="text-xl font-semibold">Holidays &amp; Shutdowns</h3>
+          <p className="text-gray-600 text-sm mt-1">
+            Days recurring sessions are not generated on. Each template either skips them or moves
+            its session to the nearest working day. Sessions already generated are not moved.
+          </p>
+        </div>
+        <button
+          onClick={() => setEditing(EMPTY_HOLIDAY)}
+          className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 flex items-center gap-2"
+        >
+          <Plus className="h-4 w-4" />
+          Add Day or Range
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          <AlertCircle className="h-4 w-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={showPast} onChange={(e) => setShowPast(e.target.checked)} />
+        Show past days
+      </label>
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="spinner"></div>
+          </div>
+        ) : holidays.length === 0 ? (
+          <div className="py-8 text-center text-gray-500 flex flex-col items-center gap-2">
+            <CalendarOff className="h-8 w-8 text-gray-300" />
+            {showPast ? 'No holidays or shutdowns yet.' : 'No upcoming holidays or shutdowns.'}
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Name', 'Kind', 'From', 'To', ''].map((heading) => (
+                  <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {holidays.map((holiday) => (
+                <tr key={holiday.id} className={holiday.ends_on < today ? 'text-gray-400' : ''}>
+                  <td className="px-4 py-2 font-medium">{holiday.name}</td>
+                  <td className="px-4 py-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${KIND_STYLES[holiday.kind] ?? KIND_STYLES.other}`}>
+                      {HOLIDAY_KIND_LABELS[holiday.kind] ?? holiday.kind}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2">{formatDay(holiday.starts_on)}</td>
+                  <td className="px-4 py-2">{holiday.ends_on === holiday.starts_on ? '—' : formatDay(holiday.ends_on)}</td>
+                  <td className="px-4 py-2">
+                    <div className="flex space-x-2 justify-end">
+                      <button onClick={() => startEdit(holiday)} className="text-blue-500 hover:text-blue-700" title="Edit">
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button onClick={() => handleDelete(holiday)} className="text-red-500 hover:text-red-700" title="Delete">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {editing && <HolidayForm holiday={editing} onSave={handleSave} onClose={() => setEditing(null)} />}
+    </div>
+  );
+};
+
+export default HolidayCalendarManager;
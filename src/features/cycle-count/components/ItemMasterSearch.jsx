@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from 'react';
+import { Search } from 'lucide-react';
+import { searchItemMaster } from '../api/cycleCountApi';
+
+const SEARCH_DELAY_MS = 300;
+
+/** Search box over the whole item master; calls onSelect with the picked item. */
+const ItemMasterSearch = ({ onSelect, placeholder = 'Search SKU, name or code in the item master...', autoFocus = false }) => {
+  const [term, setTerm] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!term.trim()) {
+      setResults([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        setSearching(true);
+        setError('');
+        const rows = await searchItemMaster(term);
+        if (!cancelled) setResults(rows);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [term]);
+
+  return (
+    <div>
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+        <input
+          type="text"
+          value={term}
+          onChange={(e) => setTerm(e.target.value)}
+          placeholder={placeholder}
+          autoFocus={autoFocus}
+          className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+      {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+      {term.trim() && !error && (
+        <ul className="mt-1 max-h-48 overflow-y-auto border rounded-md divide-y divide-gray-100">
+          {searching && results.length === 0 ? (
+            <li className="px-3 py-2 text-sm text-gray-500">Searching...</li>
+          ) : results.length === 0 ? (
+            <li className="px-3 py-2 text-sm text-gray-500">No items found</li>
+          ) : results.map((item) => (
+            <li key={item.id}>
+              <button
+                type="button"
+                onClick={() => onSelect(item)}
+                className="w-full text-left px-3 py-2 hover:bg-blue-50"
+              >
+                <span className="font-medium text-gray-900">{item.sku}</span>
+                <span className="ml-2 text-sm text-gray-600">{item.item_name}</span>
+                {item.category && <span className="ml-2 text-xs text-gray-400">{item.category}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ItemMasterSearch;
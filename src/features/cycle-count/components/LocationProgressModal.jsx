@@ -0,0 +1,182 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { RefreshCw, X } from 'lucide-react';
+import { fetchSessionLocationProgress, fetchSessionZoneProgress } from '../api/cycleCountApi';
+import { getZoneCompletion } from '../lib/counterZones';
+import { summarizeOnlineUsers } from '../lib/sessionPresence';
+import { useSessionPresence } from '../hooks/useSessionPresence';
+import { LOCATION_PROGRESS, getLocationProgressStatus, summarizeLocationProgress } from '../lib/locationGuide';
+
+const STATUS_STYLES = {
+  [LOCATION_PROGRESS.DONE]: ['bg-green-100 text-green-800', 'Done'],
+  [LOCATION_PROGRESS.IN_PROGRESS]: ['bg-blue-100 text-blue-800', 'In progress'],
+  [LOCATION_PROGRESS.NOT_STARTED]: ['bg-gray-100 text-gray-700', 'Not started'],
+};
+
+const LocationProgressModal = ({ session, userId, onClose }) => {
+  const [rows, setRows] = useState([]);
+  const [zoneRows, setZoneRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [locationRows, zoneProgress] = await Promise.all([
+        fetchSessionLocationProgress(session.id),
+        fetchSessionZoneProgress(session.id),
+      ]);
+      setRows(locationRows);
+      setZoneRows(zoneProgress);
+    } catch (err) {
+      console.error('Error loading location progress:', err);
+      alert('Error loading location progress: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [session.id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const summary = useMemo(() => summarizeLocationProgress(rows), [rows]);
+  // Watch the session's presence without showing up in it
+  const presence = useSessionPresence({ sessionId: session.id, userId, track: false });
+  const onlineUsers = useMemo(() => summarizeOnlineUsers(presence.peers), [presence.peers]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg w-full max-w-3xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-xl font-bold">Location Progress: {session.name}</h3>
+          <div className="flex items-center gap-2">
+            <button onClick={load} disabled={loading} className="text-gray-500 hover:text-gray-700 p-1" title="Refresh">
+              <RefreshCw className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+            <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-4 flex-1 overflow-y-auto">
+          {loading && rows.length === 0 ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="spinner"></div>
+            </div>
+          ) : (
+            <>
+              <div className="grid grid-cols-3 gap-3 mb-4 text-sm">
+                <div className="p-3 bg-green-50 rounded-lg">
+                  <p className="text-gray-500">Done</p>
+                  <p className="text-lg font-semibold">{summary.done} / {summary.total}</p>
+                </div>
+                <div className="p-3 bg-blue-50 rounded-lg">
+                  <p className="text-gray-500">In progress</p>
+                  <p className="text-lg font-semibold">{summary.inProgress}</p>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-gray-500">Not started</p>
+                  <p className="text-lg font-semibold">{summary.notStarted}</p>
+                </div>
+              </div>
+
+              <div className="mb-6">
+                <h4 className="font-semibold text-gray-700 mb-2">
+                  Online now ({onlineUsers.length})
+                  {!presence.connected && <span className="ml-2 text-xs font-normal text-gray-400">connecting...</span>}
+                </h4>
+                {onlineUsers.length === 0 ? (
+                  <p className="text-sm text-gray-500">Nobody is counting in this session right now</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100 text-sm">
+                    {onlineUsers.map((peer) => (
+                      <li key={peer.userId} className="py-1.5 flex justify-between gap-3">
+                        <span className="font-medium text-gray-900">
+                          {peer.name || 'Unknown'}
+                          {peer.devices > 1 && <span className="ml-1 text-xs text-gray-400">({peer.devices} devices)</span>}
+                        </span>
+                        <span className="text-gray-600">
+                          {peer.location || 'No location'}
+                          {peer.itemLabel && <span className="ml-2 text-gray-400">counting {peer.itemLabel}</span>}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              {zoneRows.length > 0 && (
+                <div className="mb-6">
+                  <h4 className="font-semibold text-gray-700 mb-2">Counter zones</h4>
+                  <ul className="space-y-2 text-sm">
+                    {zoneRows.map((row) => {
+                      const completion = getZoneCompletion(row);
+                      return (
+                        <li key={row.user_id}>
+                          <div className="flex justify-between text-gray-700">
+                            <span className="font-medium">{row.user_name || 'Unknown'}</span>
+                            <span>
+                              {row.expected_counted} / {row.expected_count} expected · {row.done_locations} / {row.zone_locations} locations done
+                              {row.out_of_zone_counts > 0 && (
+                                <span className="ml-2 text-orange-600">{row.out_of_zone_counts} outside zone</span>
+                              )}
+                            </span>
+                          </div>
+                          <div className="w-full bg-gray-200 rounded-full h-2 mt-1">
+                            <div className="bg-cyan-500 h-2 rounded-full" style={{ width: `${completion}%` }}></div>
+                          </div>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              )}
+
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Location</th>
+                    <th className="px-3 py-2 text-right">Expected counted</th>
+                    <th className="px-3 py-2 text-right">Items counted</th>
+                    <th className="px-3 py-2 text-left">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {rows.map((row) => {
+                    const [style, label] = STATUS_STYLES[getLocationProgressStatus(row)];
+                    return (
+                      <tr key={row.location_id}>
+                        <td className="px-3 py-2 font-medium text-gray-900">{row.location_name}</td>
+                        <td className="px-3 py-2 text-right">{row.expected_counted} / {row.expected_count}</td>
+                        <td className="px-3 py-2 text-right">{row.counted_items}</td>
+                        <td className="px-3 py-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${style}`}>{label}</span>
+                          {row.completed_at && (
+                            <span className="ml-2 text-xs text-gray-500">
+                              {row.completed_by_name || 'Unknown'} · {new Date(row.completed_at).toLocaleString()}
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {rows.length === 0 && (
+                <p className="text-center text-gray-500 py-6">No locations have expected items or counts yet</p>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="p-4 border-t flex justify-end">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LocationProgressModal;
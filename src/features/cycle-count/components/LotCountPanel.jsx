@@ -0,0 +1,66 @@
+import React from 'react';
+import { lotVariance } from '../lib/lotCounts';
+
+const formatQty = (value) => Number(value).toLocaleString(undefined, { maximumFractionDigits: 4 });
+
+/**
+ * One input per open FIFO lot at the count location, plus stock found
+ * without a lot. The parent turns the quantities into the lot lines and the
+ * quantity calculation.
+ */
+const LotCountPanel = ({ lots, quantities, unlisted, onChange, onUnlistedChange, loading, error, stale }) => {
+  if (loading) {
+    return <p className="p-3 bg-gray-50 rounded-md text-xs text-gray-500">Loading lots...</p>;
+  }
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-md space-y-2">
+      {lots.map((lot) => {
+        const variance = lotVariance(lot, quantities[lot.lot_id]);
+        return (
+          <label key={lot.lot_id} className="flex items-center gap-2 text-xs text-gray-700">
+            <span className="flex-1">
+              <span className="block font-medium">Received {lot.received_date}</span>
+              {lot.expected_qty != null && (
+                <span className="text-gray-500">Expected {formatQty(lot.expected_qty)}</span>
+              )}
+            </span>
+            {variance != null && variance !== 0 && (
+              <span className={`font-semibold ${variance > 0 ? 'text-blue-700' : 'text-red-700'}`}>
+                {variance > 0 ? '+' : ''}{formatQty(variance)}
+              </span>
+            )}
+            <input
+              type="number"
+              inputMode="decimal"
+              min="0"
+              step="any"
+              value={quantities[lot.lot_id] ?? ''}
+              onChange={(e) => onChange({ ...quantities, [lot.lot_id]: e.target.value })}
+              className="w-24 px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+        );
+      })}
+      <label className="flex items-center gap-2 text-xs text-gray-700">
+        <span className="flex-1 font-medium">Without lot label</span>
+        <input
+          type="number"
+          inputMode="decimal"
+          min="0"
+          step="any"
+          value={unlisted}
+          onChange={(e) => onUnlistedChange(e.target.value)}
+          placeholder="0"
+          className="w-24 px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </label>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {stale && !error && (
+        <p className="text-xs text-orange-600">The quantity was edited by hand, so the lot quantities will not be saved.</p>
+      )}
+    </div>
+  );
+};
+
+export default LotCountPanel;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { getInitials } from '../lib/sessionPresence';
+
+const MAX_AVATARS = 3;
+
+const PresenceAvatars = ({ users }) => {
+  if (!users?.length) return null;
+  const shown = users.slice(0, MAX_AVATARS);
+  const title = users
+    .map((user) => `${user.name || 'Unknown'}${user.location ? ` @ ${user.location}` : ''}`)
+    .join(', ');
+
+  return (
+    <span className="flex -space-x-1.5" title={`Open by ${title}`}>
+      {shown.map((user) => (
+        <span
+          key={user.userId}
+          className="h-6 w-6 rounded-full bg-indigo-500 text-white text-[10px] font-semibold flex items-center justify-center ring-2 ring-white"
+        >
+          {getInitials(user.name)}
+        </span>
+      ))}
+      {users.length > MAX_AVATARS && (
+        <span className="h-6 w-6 rounded-full bg-gray-300 text-gray-700 text-[10px] font-semibold flex items-center justify-center ring-2 ring-white">
+          +{users.length - MAX_AVATARS}
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default PresenceAvatars;
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { CheckCircle } from 'lucide-react';
+import { assignSessionRecount, resolveSessionRecount } from '../api/cycleCountApi';
+
+const formatQty = (value) => (value == null ? '-' : Number(value).toLocaleString(undefined, { maximumFractionDigits: 4 }));
+
+const STATUS_STYLES = {
+  REQUESTED: 'bg-yellow-100 text-yellow-800',
+  COUNTED: 'bg-blue-100 text-blue-800',
+  RESOLVED: 'bg-green-100 text-green-800',
+};
+
+const RecountRow = ({ row, counters, onChanged }) => {
+  const { recount } = row;
+  const [finalSource, setFinalSource] = useState(recount.final_source || (row.recountQty != null ? 'RECOUNT' : 'FIRST'));
+  const [manualQty, setManualQty] = useState(recount.final_source === 'MANUAL' ? String(recount.final_qty) : '');
+  const [saving, setSaving] = useState(false);
+  const eligibleCounters = counters.filter((counter) => !(recount.first_counter_ids ?? []).includes(counter.id));
+
+  const run = async (action) => {
+    try {
+      setSaving(true);
+      await action();
+      await onChanged();
+    } catch (err) {
+      alert('Error updating recount: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleResolve = () => {
+    if (finalSource === 'MANUAL' && (manualQty.trim() === '' || !(Number(manualQty) >= 0))) {
+      alert('Enter a final quantity of zero or more.');
+      return;
+    }
+    run(() => resolveSessionRecount(recount.id, finalSource, finalSource === 'MANUAL' ? Number(manualQty) : null));
+  };
+
+  return (
+    <tr className="align-top">
+      <td className="px-3 py-2">
+        <p className="font-medium text-gray-900">{row.item.sku}</p>
+        <p className="text-gray-500">{row.item.item_name}</p>
+        <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[recount.status]}`}>
+          {recount.status}
+        </span>
+      </td>
+      <td className="px-3 py-2 text-right">{formatQty(recount.book_qty)}</td>
+      <td className="px-3 py-2 text-right">{formatQty(row.firstCountQty)}</td>
+      <td className="px-3 py-2 text-right">{formatQty(row.recountQty)}</td>
+      <td className="px-3 py-2">
+        {recount.status === 'REQUESTED' ? (
+          <select
+            value={recount.assigned_to || ''}
+            onChange={(e) => run(() => assignSessionRecount(recount.id, e.target.value))}
+            disabled={saving}
+            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">Unassigned</option>
+            {eligibleCounters.map((counter) => (
+              <option key={counter.id} value={counter.id}>{counter.name || counter.username}</option>
+            ))}
+          </select>
+        ) : (
+          <span className="text-gray-700">
+            {counters.find((counter) => counter.id === recount.assigned_to)?.name || '-'}
+          </span>
+        )}
+      </td>
+      <td className="px-3 py-2">
+        <div className="space-y-1">
+          {[
+            ['FIRST', `First (${formatQty(row.firstCountQty)})`],
+            ['RECOUNT', `Recount (${formatQty(row.recountQty)})`],
+            ['MANUAL', 'Manual'],
+          ].map(([value, label]) => (
+            <label key={value} className="flex items-center gap-1 text-sm">
+              <input
+                type="radio"
+                name={`final-${recount.id}`}
+                value={value}
+                checked={finalSource === value}
+                onChange={() => setFinalSource(value)}
+                disabled={saving || (value === 'RECOUNT' && row.recountQty == null)}
+              />
+              {label}
+            </label>
+          ))}
+          {finalSource === 'MANUAL' && (
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={manualQty}
+              onChange={(e) => setManualQty(e.target.value)}
+              className="w-28 px-2 py-1 border border-gray-300 rounded-md text-sm"
+            />
+          )}
+        </div>
+      </td>
+      <td className="px-3 py-2 text-right">
+        {recount.status === 'RESOLVED' && (
+          <p className="text-green-700 font-semibold mb-1">{formatQty(recount.final_qty)}</p>
+        )}
+        <button
+          onClick={handleResolve}
+          disabled={saving}
+          className="px-3 py-1 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 inline-flex items-center gap-1 text-sm"
+        >
+          <CheckCircle className="h-4 w-4" />
+          {recount.status === 'RESOLVED' ? 'Update' : 'Set final'}
+        </button>
+      </td>
+    </tr>
+  );
+};
+
+const RecountReviewTable = ({ rows, counters, onChanged }) => {
+  const recountRows = rows.filter((row) => row.recount);
+  if (recountRows.length === 0) {
+    return <p className="text-center text-gray-500 py-6">No items need a recount</p>;
+  }
+  return (
+    <table className="min-w-full text-sm">
+      <thead className="bg-gray-50 text-gray-600">
+        <tr>
+          <th className="px-3 py-2 text-left">Item</th>
+          <th className="px-3 py-2 text-right">Book</th>
+          <th className="px-3 py-2 text-right">First count</th>
+          <th className="px-3 py-2 text-right">Recount</th>
+          <th className="px-3 py-2 text-left">Recount by</th>
+          <th className="px-3 py-2 text-left">Final value</th>
+          <th className="px-3 py-2 text-right"></th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-200">
+        {recountRows.map((row) => (
+          <RecountRow key={row.recount.id} row={row} counters={counters} onChanged={onChanged} />
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default RecountReviewTable;
@@ -0,0 +1,242 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { AlertCircle, CalendarClock } from 'lucide-react';
+import { fetchHolidays } from '../api/cycleCountApi';
+import {
+  HOLIDAY_RULE_LABELS,
+  ORDINAL_LABELS,
+  RECURRENCE_TYPE,
+  RECURRENCE_TYPE_LABELS,
+  WEEKDAY_NAMES,
+  addDays,
+  buildRecurrenceConfig,
+  describeRecurrence,
+  expandRecurrence,
+  validateRecurrence,
+} from '../lib/recurrence';
+import { localDateOf } from '../lib/sessionClone';
+
+const PREVIEW_COUNT = 8;
+// Far enough ahead for eight sessions of an every-month rule.
+const PREVIEW_DAYS = 366;
+
+const SHORT_DAYS = WEEKDAY_NAMES.map((name) => name.slice(0, 3));
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const toggled = (values, value) => (values.includes(value)
+  ? values.filter((current) => current !== value)
+  : [...values, value].sort((a, b) => a - b));
+
+const formatDay = (isoDate) => new Date(`${isoDate}T00:00:00`).toLocaleDateString(undefined, {
+  weekday: 'short', day: 'numeric', month: 'short', year: 'numeric',
+});
+
+const ToggleButton = ({ active, onClick, children, className = 'px-3 py-2 rounded-md' }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className={`${className} text-sm font-medium ${
+      active ? 'bg-purple-600 text-white' : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+    }`}
+  >
+    {children}
+  </button>
+);
+
+/**
+ * Recurrence fields of the session editor. value is the form from
+ * normalizeRecurrence(); the preview lists the next sessions the rule
+ * generates, after the holiday calendar, exactly as the server will.
+ */
+const RecurrenceRuleFields = ({ value, onChange }) => {
+  const [holidays, setHolidays] = useState([]);
+  const [holidayError, setHolidayError] = useState('');
+  const today = localDateOf(new Date());
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchHolidays({ from: today })
+      .then((rows) => { if (!cancelled) setHolidays(rows); })
+      .catch((err) => { if (!cancelled) setHolidayError(err.message); });
+    return () => { cancelled = true; };
+  }, [today]);
+
+  const set = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+  const setFromEvent = (field) => (e) => set(field, e.target.value);
+
+  const config = useMemo(() => buildRecurrenceConfig(value), [value]);
+  const problem = validateRecurrence(config);
+
+  const preview = useMemo(() => {
+    if (problem) return [];
+    const from = value.start_date && value.start_date > today ? value.start_date : today;
+    return expandRecurrence(config, {
+      anchor: value.start_date || null,
+      from,
+      to: addDays(from, PREVIEW_DAYS),
+      holidays,
+    }).slice(0, PREVIEW_COUNT);
+  }, [config, problem, value.start_date, today, holidays]);
+
+  const holidayNameOn = (isoDate) => holidays.find((holiday) => isoDate >= holiday.starts_on && isoDate <= holiday.ends_on)?.name;
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-3">
+        <div className="col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Recurrence Pattern *</label>
+          <select value={value.type} onChange={setFromEvent('type')} className={inputClass}>
+            {Object.entries(RECURRENCE_TYPE_LABELS).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Repeat every</label>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="1"
+              max="99"
+              value={value.interval}
+              onChange={setFromEvent('interval')}
+              className={inputClass}
+            />
+            <span className="text-sm text-gray-600">
+              {{ daily: 'day(s)', weekly: 'week(s)' }[value.type] ?? 'month(s)'}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      {value.type === RECURRENCE_TYPE.WEEKLY && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Select Days *</label>
+          <div className="flex flex-wrap gap-2">
+            {SHORT_DAYS.map((label, day) => (
+              <ToggleButton key={label} active={value.days.includes(day)} onClick={() => set('days', toggled(value.days, day))}>
+                {label}
+              </ToggleButton>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {value.type === RECURRENCE_TYPE.MONTHLY && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Select Dates *</label>
+          <div className="grid grid-cols-7 gap-1">
+            {Array.from({ length: 31 }, (_, i) => i + 1).map((date) => (
+              <ToggleButton
+                key={date}
+                active={value.dates.includes(date)}
+                onClick={() => set('dates', toggled(value.dates, date))}
+                className="px-2 py-2 rounded"
+              >
+                {date}
+              </ToggleButton>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">Months without the date (e.g. the 31st) get no session.</p>
+        </div>
+      )}
+
+      {value.type === RECURRENCE_TYPE.MONTHLY_WEEKDAY && (
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Week of the month *</label>
+            <select value={value.week} onChange={(e) => set('week', Number(e.target.value))} className={inputClass}>
+              {[1, 2, 3, 4, -1].map((week) => (
+                <option key={week} value={week}>{ORDINAL_LABELS[week]}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Weekday *</label>
+            <select value={value.weekday} onChange={(e) => set('weekday', Number(e.target.value))} className={inputClass}>
+              {WEEKDAY_NAMES.map((name, day) => (
+                <option key={name} value={day}>{name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+
+      {value.type === RECURRENCE_TYPE.MONTHLY_WORKING_DAY && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Working day of the month *</label>
+          <select value={value.working_day} onChange={(e) => set('working_day', Number(e.target.value))} className={inputClass}>
+            {[1, 2, 3, 4, 5, -1].map((position) => (
+              <option key={position} value={position}>{ORDINAL_LABELS[position]} working day</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">Counted over the working days below, leaving out holidays and shutdowns.</p>
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Working days</label>
+        <div className="flex flex-wrap gap-2">
+          {SHORT_DAYS.map((label, day) => (
+            <ToggleButton
+              key={label}
+              active={value.working_days.includes(day)}
+              onClick={() => set('working_days', toggled(value.working_days, day))}
+            >
+              {label}
+            </ToggleButton>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">On a holiday or non-working day</label>
+          <select value={value.holidays} onChange={setFromEvent('holidays')} className={inputClass}>
+            {Object.entries(HOLIDAY_RULE_LABELS).map(([rule, label]) => (
+              <option key={rule} value={rule}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Counting from</label>
+          <input type="date" value={value.start_date ?? ''} onChange={setFromEvent('start_date')} className={inputClass} />
+        </div>
+      </div>
+
+      <div className="p-3 bg-white rounded-md border border-purple-200 text-sm">
+        <p className="font-medium text-purple-900 flex items-center gap-2">
+          <CalendarClock className="h-4 w-4" />
+          {problem ? 'Next sessions' : describeRecurrence(config)}
+        </p>
+        {problem ? (
+          <p className="mt-1 text-xs text-red-600 flex items-center gap-1">
+            <AlertCircle className="h-3 w-3" />
+            {problem}
+          </p>
+        ) : preview.length === 0 ? (
+          <p className="mt-1 text-gray-500">No sessions in the next year.</p>
+        ) : (
+          <ul className="mt-2 space-y-1">
+            {preview.map((occurrence) => (
+              <li key={occurrence.date} className="flex justify-between gap-4">
+                <span>{formatDay(occurrence.date)}</span>
+                {occurrence.shifted && (
+                  <span className="text-xs text-orange-700">
+                    moved from {formatDay(occurrence.occurrence)}
+                    {holidayNameOn(occurrence.occurrence) ? ` (${holidayNameOn(occurrence.occurrence)})` : ''}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {holidayError && (
+          <p className="mt-2 text-xs text-yellow-700">Holiday calendar unavailable, preview ignores holidays: {holidayError}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecurrenceRuleFields;
@@ -0,0 +1,178 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AlertTriangle, CheckCircle, MapPin, QrCode, Save, Undo2 } from 'lucide-react';
+import { SCAN_STEP } from '../lib/scanTally';
+import { formatBreakdown } from '../lib/unitConversion';
+
+/**
+ * Scan-to-count: every scan of an item label adds one unit (or one pack)
+ * at the chosen location. The tally is written as counts in one go.
+ * The code field also takes input from keyboard-wedge scanners.
+ */
+const ScanCountPanel = ({
+  locations,
+  location,
+  onLocationChange,
+  zoneLocationNames = [],
+  step,
+  onStepChange,
+  lines,
+  lastScan,
+  feedback,
+  onCode,
+  onUndo,
+  onClear,
+  onCommit,
+  onOpenCamera,
+  committing,
+}) => {
+  const [code, setCode] = useState('');
+  const inputRef = useRef(null);
+  const scanCount = lines.reduce((sum, line) => sum + line.scans, 0);
+  const hasScans = scanCount > 0;
+
+  useEffect(() => {
+    if (location) inputRef.current?.focus();
+  }, [location]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!code.trim()) return;
+    onCode(code);
+    setCode('');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white p-4 rounded-lg shadow space-y-3">
+        <div className="flex flex-col sm:flex-row gap-2">
+          <div className="flex-1 relative">
+            <MapPin className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+            <select
+              value={location}
+              onChange={(e) => onLocationChange(e.target.value)}
+              disabled={hasScans}
+              title={hasScans ? 'Save or clear the tally before changing location' : undefined}
+              className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+            >
+              <option value="">Select a location...</option>
+              {locations.map((row) => (
+                <option key={row.id} value={row.name}>
+                  {zoneLocationNames.includes(row.name) ? '★ ' : ''}{row.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+            {[
+              [SCAN_STEP.EACH, 'Each scan = 1'],
+              [SCAN_STEP.PACK, 'Each scan = 1 pack'],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => onStepChange(value)}
+                className={`px-3 py-1.5 ${step === value ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <input
+            ref={inputRef}
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            disabled={!location || committing}
+            placeholder={location ? 'Scan or type an item code' : 'Select a location first'}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+            autoComplete="off"
+          />
+          {onOpenCamera && (
+            <button
+              type="button"
+              onClick={onOpenCamera}
+              disabled={!location || committing}
+              className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center space-x-2"
+            >
+              <QrCode className="h-4 w-4" />
+              <span>Camera</span>
+            </button>
+          )}
+        </form>
+
+        {feedback && (
+          <div className={`p-2 rounded-md text-sm flex items-center gap-2 ${
+            feedback.ok ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-700'
+          }`}>
+            {feedback.ok ? <CheckCircle className="h-4 w-4" /> : <AlertTriangle className="h-4 w-4" />}
+            <span>{feedback.message}</span>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="p-4 border-b flex flex-wrap justify-between items-center gap-2">
+          <p className="text-sm text-gray-700">
+            <span className="text-2xl font-bold text-gray-900 mr-1">{scanCount}</span>
+            scan(s), {lines.length} item(s){location ? ` at ${location}` : ''}
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={onUndo}
+              disabled={!hasScans || committing}
+              className="px-3 py-2 border rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 flex items-center space-x-1 text-sm"
+              title="Undo the last scan"
+            >
+              <Undo2 className="h-4 w-4" />
+              <span>Undo</span>
+            </button>
+            <button
+              onClick={onClear}
+              disabled={!hasScans || committing}
+              className="px-3 py-2 border rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 text-sm"
+            >
+              Clear
+            </button>
+            <button
+              onClick={onCommit}
+              disabled={!hasScans || committing}
+              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center space-x-2 text-sm"
+            >
+              {committing ? <div className="spinner w-4 h-4"></div> : <Save className="h-4 w-4" />}
+              <span>Save Counts</span>
+            </button>
+          </div>
+        </div>
+        {lines.length === 0 ? (
+          <p className="text-center text-gray-500 py-8 text-sm">Scanned items appear here</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {lines.map((line) => (
+              <li
+                key={line.itemId}
+                className={`px-4 py-3 flex justify-between items-center ${lastScan?.itemId === line.itemId ? 'bg-blue-50' : ''}`}
+              >
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{line.item?.sku ?? 'Unknown item'}</p>
+                  <p className="text-sm text-gray-500 truncate">{line.item?.item_name}</p>
+                  {line.entry.breakdown && line.entry.breakdown.length > 1 && (
+                    <p className="text-xs text-gray-500">{formatBreakdown(line.entry.breakdown)}</p>
+                  )}
+                  {line.entry.error && <p className="text-xs text-red-600">{line.entry.error}</p>}
+                </div>
+                <p className="text-xl font-bold text-gray-900 ml-4">
+                  {line.entry.total}
+                  <span className="ml-1 text-xs font-normal text-gray-500">{line.item?.uom}</span>
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScanCountPanel;
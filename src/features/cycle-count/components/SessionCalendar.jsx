@@ -0,0 +1,235 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { AlertCircle, ChevronLeft, ChevronRight, Repeat } from 'lucide-react';
+import { fetchHolidays, fetchTemplateGeneratedDates, rescheduleSession } from '../api/cycleCountApi';
+import { localDateOf } from '../lib/sessionClone';
+import {
+  CALENDAR_VIEW,
+  SESSION_STATUS_STYLES,
+  WEEKDAY_LABELS,
+  calendarDateOf,
+  calendarRange,
+  calendarWeeks,
+  canMoveSession,
+  groupSessionsByDay,
+  projectTemplateDates,
+  stepAnchor,
+} from '../lib/sessionCalendar';
+
+const MONTH_CELL_LIMIT = 3;
+
+const formatTime = (value) => new Date(value).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+const formatDay = (isoDate, options) => new Date(`${isoDate}T00:00:00`).toLocaleDateString(undefined, options);
+
+const SessionChip = ({ session, movable, onOpen, onDragStart, onDragEnd }) => (
+  <button
+    type="button"
+    draggable={movable}
+    onDragStart={(e) => {
+      e.dataTransfer.setData('text/plain', session.id);
+      onDragStart(session.id);
+    }}
+    onDragEnd={onDragEnd}
+    onClick={() => onOpen(session)}
+    className={`w-full text-left text-xs px-1.5 py-1 rounded border ${SESSION_STATUS_STYLES[session.status] ?? SESSION_STATUS_STYLES.draft} ${movable ? 'cursor-move' : ''}`}
+    title={`${session.name} (${session.status})${movable ? ' – drag to move' : ''}`}
+  >
+    <span className="block font-medium truncate">{session.name}</span>
+    {session.valid_from && session.valid_until && (
+      <span className="block opacity-75">{formatTime(session.valid_from)} – {formatTime(session.valid_until)}</span>
+    )}
+  </button>
+);
+
+/**
+ * Month or week calendar of the dated sessions, coloured by status. Draft
+ * and scheduled sessions can be dragged to another day, and a chosen
+ * recurring template shows the days it will still generate.
+ */
+const SessionCalendar = ({ sessions = [], onOpenSession, onRescheduled }) => {
+  const today = localDateOf(new Date());
+  const [view, setView] = useState(CALENDAR_VIEW.MONTH);
+  const [anchor, setAnchor] = useState(today);
+  const [templateId, setTemplateId] = useState('');
+  const [generatedDates, setGeneratedDates] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [dragId, setDragId] = useState(null);
+  const [dropDay, setDropDay] = useState(null);
+  const [moving, setMoving] = useState(false);
+  const [error, setError] = useState('');
+
+  const templates = useMemo(() => sessions.filter((session) => session.is_recurring_template), [sessions]);
+  const template = templates.find((session) => session.id === templateId) ?? null;
+  const byDay = useMemo(() => groupSessionsByDay(sessions), [sessions]);
+  const weeks = useMemo(() => calendarWeeks(anchor, view), [anchor, view]);
+  const range = calendarRange(anchor, view);
+  const projected = useMemo(
+    () => new Set(template ? projectTemplateDates(template, { ...range, today, generatedDates, holidays }) : []),
+    [template, range.start, range.end, today, generatedDates, holidays],
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    // Without the holiday calendar the calendar still works, just unshaded
+    fetchHolidays()
+      .then((rows) => { if (!cancelled) setHolidays(rows); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    if (!templateId) return undefined;
+    let cancelled = false;
+    setGeneratedDates([]);
+    fetchTemplateGeneratedDates(templateId)
+      .then((dates) => { if (!cancelled) setGeneratedDates(dates); })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [templateId]);
+
+  const draggedSession = sessions.find((session) => session.id === dragId) ?? null;
+  const canDropOn = (day) => Boolean(draggedSession) && day >= today && day !== calendarDateOf(draggedSession);
+
+  const handleDrop = async (day, e) => {
+    e.preventDefault();
+    const session = draggedSession ?? sessions.find((row) => row.id === e.dataTransfer.getData('text/plain'));
+    setDragId(null);
+    setDropDay(null);
+    if (!session || !canMoveSession(session, today) || day < today || day === calendarDateOf(session)) return;
+    setMoving(true);
+    setError('');
+    try {
+      await rescheduleSession(session.id, day);
+      await onRescheduled?.();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setMoving(false);
+    }
+  };
+
+  const title = view === CALENDAR_VIEW.MONTH
+    ? formatDay(`${anchor.slice(0, 7)}-01`, { month: 'long', year: 'numeric' })
+    : `${formatDay(range.start, { day: 'numeric', month: 'short' })} – ${formatDay(range.end, { day: 'numeric', month: 'short', year: 'numeric' })}`;
+
+  return (
+    <div className="bg-white shadow sm:rounded-md p-4 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <button onClick={() => setAnchor(stepAnchor(anchor, view, -1))} className="p-1.5 border rounded-md hover:bg-gray-50" title="Previous">
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <button onClick={() => setAnchor(today)} className="px-3 py-1 text-sm border rounded-md hover:bg-gray-50">
+            Today
+          </button>
+          <button onClick={() => setAnchor(stepAnchor(anchor, view, 1))} className="p-1.5 border rounded-md hover:bg-gray-50" title="Next">
+            <ChevronRight className="h-4 w-4" />
+          </button>
+          <h3 className="text-lg font-medium text-gray-900 ml-2">{title}</h3>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={templateId}
+            onChange={(e) => setTemplateId(e.target.value)}
+            className="px-2 py-1.5 text-sm border border-gray-300 rounded-md"
+            title="Show the days a recurring template will generate"
+          >
+            <option value="">No template dates</option>
+            {templates.map((row) => <option key={row.id} value={row.id}>{row.name}</option>)}
+          </select>
+          <div className="flex rounded-md border overflow-hidden text-sm">
+            {[CALENDAR_VIEW.MONTH, CALENDAR_VIEW.WEEK].map((value) => (
+              <button
+                key={value}
+                onClick={() => setView(value)}
+                className={`px-3 py-1.5 capitalize ${view === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              >
+                {value}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          <AlertCircle className="h-4 w-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      <div className={`grid grid-cols-7 border-t border-l text-sm ${moving ? 'opacity-60 pointer-events-none' : ''}`}>
+        {WEEKDAY_LABELS.map((label) => (
+          <div key={label} className="border-r border-b bg-gray-50 px-2 py-1 text-xs font-medium text-gray-500 uppercase">{label}</div>
+        ))}
+        {weeks.flat().map((day) => {
+          const daySessions = byDay[day] ?? [];
+          const shown = view === CALENDAR_VIEW.MONTH ? daySessions.slice(0, MONTH_CELL_LIMIT) : daySessions;
+          const outsideMonth = view === CALENDAR_VIEW.MONTH && day.slice(0, 7) !== anchor.slice(0, 7);
+          const holiday = holidays.find((row) => day >= row.starts_on && day <= row.ends_on);
+          return (
+            <div
+              key={day}
+              onDragOver={(e) => {
+                if (!canDropOn(day)) return;
+                e.preventDefault();
+                setDropDay(day);
+              }}
+              onDragLeave={() => setDropDay((current) => (current === day ? null : current))}
+              onDrop={(e) => handleDrop(day, e)}
+              className={`border-r border-b p-1 space-y-1 ${view === CALENDAR_VIEW.WEEK ? 'min-h-[20rem]' : 'min-h-[7rem]'} ${
+                dropDay === day ? 'bg-blue-50 ring-2 ring-inset ring-blue-400' : holiday ? 'bg-red-50' : outsideMonth || day < today ? 'bg-gray-50' : ''
+              }`}
+              title={holiday?.name}
+            >
+              <div className={`text-xs font-medium ${day === today ? 'inline-block bg-blue-600 text-white rounded-full px-1.5' : outsideMonth ? 'text-gray-400' : 'text-gray-700'}`}>
+                {Number(day.slice(8, 10))}
+              </div>
+              {holiday && <div className="text-[10px] text-red-700 truncate">{holiday.name}</div>}
+              {shown.map((session) => (
+                <SessionChip
+                  key={session.id}
+                  session={session}
+                  movable={canMoveSession(session, today)}
+                  onOpen={onOpenSession}
+                  onDragStart={setDragId}
+                  onDragEnd={() => {
+                    setDragId(null);
+                    setDropDay(null);
+                  }}
+                />
+              ))}
+              {daySessions.length > shown.length && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setAnchor(day);
+                    setView(CALENDAR_VIEW.WEEK);
+                  }}
+                  className="text-xs text-blue-600 hover:underline"
+                >
+                  +{daySessions.length - shown.length} more
+                </button>
+              )}
+              {projected.has(day) && (
+                <div className="flex items-center gap-1 text-xs px-1.5 py-1 rounded border border-dashed border-purple-400 text-purple-700" title={`${template.name} will generate a session on this day`}>
+                  <Repeat className="h-3 w-3 flex-shrink-0" />
+                  <span className="truncate">{template.name}</span>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+        {Object.entries(SESSION_STATUS_STYLES).map(([status, style]) => (
+          <span key={status} className={`px-2 py-0.5 rounded border ${style}`}>{status}</span>
+        ))}
+        <span className="px-2 py-0.5 rounded border border-red-200 bg-red-50 text-red-700">holiday</span>
+        <span>Drag a draft or scheduled session to move it; its time window moves with it.</span>
+      </div>
+    </div>
+  );
+};
+
+export default SessionCalendar;
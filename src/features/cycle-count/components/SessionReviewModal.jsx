@@ -0,0 +1,304 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { CheckCircle, Save, X } from 'lucide-react';
+import {
+  approveSessionReview,
+  fetchSessionCountSummary,
+  fetchSessionLotVariances,
+  fetchSessionReview,
+  saveSessionReview,
+} from '../api/cycleCountApi';
+import { buildVarianceReport } from '../lib/variance';
+import {
+  REVIEW_REASONS,
+  buildReviewLines,
+  getReviewBlockers,
+  summarizeReview,
+  toReviewPayload,
+} from '../lib/sessionReview';
+import { groupLotVariances, planLotAdjustment } from '../lib/lotCounts';
+
+const formatQty = (value) => (value == null ? '-' : Number(value).toLocaleString(undefined, { maximumFractionDigits: 4 }));
+const varianceClass = (value) => {
+  if (value == null || value === 0) return 'text-gray-700';
+  return value > 0 ? 'text-blue-700' : 'text-red-700';
+};
+
+const SessionReviewModal = ({ session, onClose, onApproved }) => {
+  const [data, setData] = useState({ items: [], counts: [], bookQuantities: [], recounts: [], counters: [] });
+  const [review, setReview] = useState(null);
+  const [savedLines, setSavedLines] = useState([]);
+  const [lotVariances, setLotVariances] = useState({});
+  const [edits, setEdits] = useState({});
+  const [notes, setNotes] = useState('');
+  const [onlyVariance, setOnlyVariance] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [summary, saved, lotRows] = await Promise.all([
+        fetchSessionCountSummary(session.id),
+        fetchSessionReview(session.id),
+        fetchSessionLotVariances(session.id),
+      ]);
+      setData(summary);
+      setLotVariances(groupLotVariances(lotRows));
+      setReview(saved.review);
+      setSavedLines(saved.lines);
+      setNotes(saved.review?.notes ?? '');
+      setEdits({});
+    } catch (err) {
+      console.error('Error loading review:', err);
+      alert('Error loading review: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [session.id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const approved = review?.status === 'APPROVED';
+  const lines = useMemo(() => {
+    const built = buildReviewLines(buildVarianceReport(data), savedLines, { approved });
+    return built.map((line) => ({ ...line, ...edits[line.item.id] }));
+  }, [data, savedLines, approved, edits]);
+  const summary = useMemo(() => summarizeReview(lines), [lines]);
+  const blockers = useMemo(() => getReviewBlockers(lines, data.recounts), [lines, data.recounts]);
+  const visibleLines = onlyVariance ? lines.filter((line) => line.needsReason) : lines;
+
+  const updateLine = (itemId, field, value) => {
+    setEdits((current) => ({ ...current, [itemId]: { ...current[itemId], [field]: value } }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setBusy(true);
+      await saveSessionReview(session.id, toReviewPayload(lines), notes);
+      await load();
+    } catch (err) {
+      alert('Error saving review: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleApprove = async () => {
+    const postings = summary.gains + summary.losses;
+    const message = [
+      `Approve ${session.name}?`,
+      postings > 0 ? `${postings} Raw Material adjustment(s) will be posted to the FIFO ledger.` : 'No FIFO adjustments will be posted.',
+      session.status === 'active' ? 'The session is still active and will be closed for counting.' : '',
+      'This cannot be undone.',
+    ].filter(Boolean).join('\n');
+    if (!window.confirm(message)) return;
+    try {
+      setBusy(true);
+      const result = await approveSessionReview(session.id, toReviewPayload(lines), notes);
+      alert(`Session approved. ${result?.posted_count ?? 0} adjustment(s) posted.`);
+      await load();
+      onApproved?.();
+    } catch (err) {
+      alert('Error approving session: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg w-full max-w-6xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-4 border-b flex justify-between items-center">
+          <div className="flex items-center gap-2">
+            <h3 className="text-xl font-bold">Review: {session.name}</h3>
+            <span className={`px-2 py-1 rounded-full text-xs font-semibold ${
+              approved ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+            }`}>
+              {approved ? 'APPROVED' : 'IN REVIEW'}
+            </span>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-4 flex-1 overflow-y-auto">
+          {loading ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="spinner"></div>
+            </div>
+          ) : (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 text-sm">
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-gray-500">With variance</p>
+                  <p className="text-lg font-semibold">{summary.withVariance}</p>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-gray-500">FIFO gains</p>
+                  <p className="text-lg font-semibold text-blue-700">{summary.gains}</p>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-gray-500">FIFO losses</p>
+                  <p className="text-lg font-semibold text-red-700">{summary.losses}</p>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-gray-500">Not counted</p>
+                  <p className={`text-lg font-semibold ${summary.notCounted > 0 ? 'text-yellow-700' : ''}`}>{summary.notCounted}</p>
+                </div>
+              </div>
+
+              {approved ? (
+                <p className="mb-3 p-2 bg-green-50 text-green-800 rounded text-sm">
+                  Approved {review.approved_at ? new Date(review.approved_at).toLocaleString() : ''}. The figures below are frozen.
+                </p>
+              ) : blockers.length > 0 && (
+                <ul className="mb-3 p-2 bg-yellow-50 text-yellow-800 rounded text-sm list-disc list-inside">
+                  {blockers.map((blocker) => <li key={blocker}>{blocker}</li>)}
+                </ul>
+              )}
+
+              <div className="flex justify-end mb-2">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input type="checkbox" checked={onlyVariance} onChange={(e) => setOnlyVariance(e.target.checked)} />
+                  Only items with variance
+                </label>
+              </div>
+
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Item</th>
+                    <th className="px-3 py-2 text-right">Counted</th>
+                    <th className="px-3 py-2 text-right">Book</th>
+                    <th className="px-3 py-2 text-right">Variance</th>
+                    <th className="px-3 py-2 text-left">Reason</th>
+                    <th className="px-3 py-2 text-left">Notes</th>
+                    <th className="px-3 py-2 text-left">FIFO</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {visibleLines.map((line) => {
+                    const itemLots = lotVariances[line.item.id] ?? [];
+                    const lotPlan = line.postsAdjustment ? planLotAdjustment(itemLots, line.variance) : null;
+                    return (
+                      <tr key={line.item.id} className="align-top">
+                        <td className="px-3 py-2">
+                          <p className="font-medium text-gray-900">{line.item.sku}</p>
+                          <p className="text-gray-500">{line.item.item_name}</p>
+                          {itemLots.map((lot) => (
+                            <p key={lot.lotId} className="text-xs text-gray-500">
+                              Lot {lot.location} / {lot.receivedDate}: {formatQty(lot.countedQty)} of {formatQty(lot.expectedQty)}{' '}
+                              <span className={varianceClass(lot.variance)}>({lot.variance > 0 ? '+' : ''}{formatQty(lot.variance)})</span>
+                            </p>
+                          ))}
+                        </td>
+                        <td className="px-3 py-2 text-right">{line.isCounted ? formatQty(line.countedQty) : 'Not counted'}</td>
+                        <td className="px-3 py-2 text-right">{formatQty(line.bookQty)}</td>
+                        <td className={`px-3 py-2 text-right font-semibold ${varianceClass(line.variance)}`}>{formatQty(line.variance)}</td>
+                        <td className="px-3 py-2">
+                          <select
+                            value={line.reasonCode}
+                            onChange={(e) => updateLine(line.item.id, 'reasonCode', e.target.value)}
+                            disabled={approved || busy}
+                            className={`w-40 px-2 py-1 border rounded-md text-sm ${
+                              line.needsReason && !line.reasonCode ? 'border-red-400' : 'border-gray-300'
+                            }`}
+                          >
+                            <option value="">{line.needsReason ? 'Select reason' : '-'}</option>
+                            {REVIEW_REASONS.map((reason) => (
+                              <option key={reason.value} value={reason.value}>{reason.label}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="text"
+                            value={line.notes}
+                            onChange={(e) => updateLine(line.item.id, 'notes', e.target.value)}
+                            disabled={approved || busy}
+                            className="w-full min-w-[10rem] px-2 py-1 border border-gray-300 rounded-md text-sm"
+                          />
+                        </td>
+                        <td className="px-3 py-2">
+                          {approved && line.fifoTransactionId ? (
+                            <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-green-100 text-green-800">POSTED</span>
+                          ) : line.postsAdjustment && line.variance > 0 ? (
+                            <input
+                              type="text"
+                              value={line.adjustLocation}
+                              onChange={(e) => updateLine(line.item.id, 'adjustLocation', e.target.value)}
+                              disabled={approved || busy}
+                              placeholder={lotPlan?.gainLot?.location ?? 'Auto'}
+                              title="FIFO location for the new lot. Leave empty to use the lot with the largest surplus, else the most-counted location."
+                              className="w-24 px-2 py-1 border border-gray-300 rounded-md text-sm uppercase"
+                            />
+                          ) : lotPlan?.lossLots ? (
+                            <span
+                              className="text-xs text-gray-500"
+                              title={lotPlan.lossLots.map((lot) => `${lot.location} / ${lot.receivedDate}: ${formatQty(lot.qty)}`).join('\n')}
+                            >
+                              Short lots first{lotPlan.fifoQty > 0 ? `, ${formatQty(lotPlan.fifoQty)} FIFO` : ''}
+                            </span>
+                          ) : line.postsAdjustment ? (
+                            <span className="text-xs text-gray-500">FIFO loss</span>
+                          ) : (
+                            <span className="text-gray-300">-</span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {visibleLines.length === 0 && (
+                <p className="text-center text-gray-500 py-6">No items to show</p>
+              )}
+
+              <label className="block mt-4 text-sm font-medium text-gray-700">
+                Review notes
+                <textarea
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  disabled={approved || busy}
+                  rows={2}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                />
+              </label>
+            </>
+          )}
+        </div>
+
+        <div className="p-4 border-t flex justify-end gap-2">
+          {!approved && (
+            <>
+              <button
+                onClick={handleSave}
+                disabled={loading || busy}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center space-x-2"
+              >
+                <Save className="h-4 w-4" />
+                <span>Save Draft</span>
+              </button>
+              <button
+                onClick={handleApprove}
+                disabled={loading || busy || blockers.length > 0}
+                className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center space-x-2"
+              >
+                <CheckCircle className="h-4 w-4" />
+                <span>Approve</span>
+              </button>
+            </>
+          )}
+          <button onClick={onClose} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionReviewModal;
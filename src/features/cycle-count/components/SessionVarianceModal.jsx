@@ -0,0 +1,271 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import * as XLSX from 'xlsx';
+import { ChevronDown, ChevronRight, Database, Download, Upload, X } from 'lucide-react';
+import {
+  fetchSessionCountSummary,
+  takeSessionBookSnapshot,
+  uploadSessionBookQuantities,
+} from '../api/cycleCountApi';
+import { parseBookQuantityRows } from '../lib/bookQuantityRows';
+import { buildVarianceReport, summarizeVariance, toVarianceExportRows } from '../lib/variance';
+import RecountReviewTable from './RecountReviewTable';
+
+const formatQty = (value) => (value == null ? '-' : Number(value).toLocaleString(undefined, { maximumFractionDigits: 4 }));
+const formatPct = (value, bookQty) => {
+  if (bookQty == null) return '-';
+  return value == null ? 'n/a' : `${value.toFixed(1)}%`;
+};
+const varianceClass = (value) => {
+  if (value == null || value === 0) return 'text-gray-700';
+  return value > 0 ? 'text-blue-700' : 'text-red-700';
+};
+
+const SessionVarianceModal = ({ session, onClose }) => {
+  const [data, setData] = useState({ items: [], counts: [], bookQuantities: [], recounts: [], counters: [] });
+  const [view, setView] = useState('variance');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [onlyVariance, setOnlyVariance] = useState(false);
+  const [expanded, setExpanded] = useState(new Set());
+  const fileInputRef = useRef(null);
+
+  const load = useCallback(async ({ quiet = false } = {}) => {
+    try {
+      if (!quiet) setLoading(true);
+      setData(await fetchSessionCountSummary(session.id));
+    } catch (err) {
+      console.error('Error loading variance:', err);
+      alert('Error loading variance: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [session.id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const report = useMemo(() => buildVarianceReport(data), [data]);
+  const summary = useMemo(() => summarizeVariance(report), [report]);
+  const openRecounts = data.recounts.filter((recount) => recount.status !== 'RESOLVED').length;
+  const visibleRows = onlyVariance ? report.filter((row) => row.variance !== 0) : report;
+  const hasRawMaterial = data.items.some((item) => String(item.category ?? '').trim().toLowerCase() === 'raw material');
+
+  const toggle = (itemId) => {
+    const next = new Set(expanded);
+    if (next.has(itemId)) next.delete(itemId);
+    else next.add(itemId);
+    setExpanded(next);
+  };
+
+  const handleSnapshot = async () => {
+    try {
+      setBusy(true);
+      const inserted = await takeSessionBookSnapshot(session.id);
+      alert(inserted > 0 ? `Captured FIFO stock for ${inserted} row(s).` : 'All Raw Material items already have a snapshot.');
+      await load();
+    } catch (err) {
+      alert('Error taking snapshot: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      setBusy(true);
+      const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+      const sheetRows = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: true, defval: '' });
+      const { validRows, invalidRows } = parseBookQuantityRows(sheetRows, data.items);
+      if (invalidRows.length > 0) {
+        const details = invalidRows.slice(0, 10).map((row) => `Row ${row.rowNumber}: ${row.reason}`).join('\n');
+        alert(`The file has ${invalidRows.length} invalid row(s) and was not uploaded.\n${details}`);
+        return;
+      }
+      if (!window.confirm(`Replace the uploaded system stock with ${validRows.length} row(s) from ${file.name}?`)) return;
+      await uploadSessionBookQuantities(session.id, validRows);
+      await load();
+    } catch (err) {
+      alert('Error uploading system stock: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = () => {
+    const { byItem, byLocation } = toVarianceExportRows(report);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(byItem), 'By Item');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(byLocation), 'By Location');
+    XLSX.writeFile(workbook, `${session.name}_variance.xlsx`);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg w-full max-w-5xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-xl font-bold">Variance: {session.name}</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-4 border-b flex flex-wrap items-center gap-2">
+          {hasRawMaterial && (
+            <button
+              onClick={handleSnapshot}
+              disabled={busy}
+              className="px-3 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50 flex items-center space-x-2"
+              title="Capture FIFO stock for Raw Material items without a snapshot"
+            >
+              <Database className="h-4 w-4" />
+              <span>Snapshot FIFO Stock</span>
+            </button>
+          )}
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={busy}
+            className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center space-x-2"
+            title="Upload a sheet with SKU, QTY and optional LOCATION columns"
+          >
+            <Upload className="h-4 w-4" />
+            <span>Upload System Stock</span>
+          </button>
+          <input ref={fileInputRef} type="file" accept=".xlsx,.xls,.csv" className="hidden" onChange={handleUpload} />
+          <button
+            onClick={handleExport}
+            disabled={loading || report.length === 0}
+            className="px-3 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center space-x-2"
+          >
+            <Download className="h-4 w-4" />
+            <span>Export</span>
+          </button>
+          <div className="ml-auto flex items-center gap-4">
+            {view === 'variance' && (
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" checked={onlyVariance} onChange={(e) => setOnlyVariance(e.target.checked)} />
+                Only items with variance
+              </label>
+            )}
+            <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+              {[
+                ['variance', 'Variance'],
+                ['recounts', `Recounts${openRecounts > 0 ? ` (${openRecounts})` : ''}`],
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => setView(value)}
+                  className={`px-3 py-1.5 ${view === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="p-4 flex-1 overflow-y-auto">
+          {loading ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="spinner"></div>
+            </div>
+          ) : view === 'recounts' ? (
+            <>
+              {session.recount_tolerance_pct == null && (
+                <p className="mb-3 p-2 bg-yellow-50 text-yellow-800 rounded text-sm">
+                  Recounts are off for this session. Set a recount tolerance in the session settings to flag items automatically.
+                </p>
+              )}
+              <RecountReviewTable rows={report} counters={data.counters} onChanged={() => load({ quiet: true })} />
+            </>
+          ) : (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 text-sm">
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-gray-500">Items</p>
+                  <p className="text-lg font-semibold">{summary.itemCount}</p>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-gray-500">With variance</p>
+                  <p className="text-lg font-semibold">{summary.withVariance}</p>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-gray-500">Net / absolute</p>
+                  <p className="text-lg font-semibold">{formatQty(summary.netVariance)} / {formatQty(summary.absVariance)}</p>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-gray-500">Missing book qty</p>
+                  <p className={`text-lg font-semibold ${summary.missingBook > 0 ? 'text-yellow-700' : ''}`}>{summary.missingBook}</p>
+                </div>
+              </div>
+
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Item</th>
+                    <th className="px-3 py-2 text-right">Counted</th>
+                    <th className="px-3 py-2 text-right">Book</th>
+                    <th className="px-3 py-2 text-right">Variance</th>
+                    <th className="px-3 py-2 text-right">%</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {visibleRows.map((row) => (
+                    <React.Fragment key={row.item.id}>
+                      <tr className="hover:bg-gray-50 cursor-pointer" onClick={() => toggle(row.item.id)}>
+                        <td className="px-3 py-2">
+                          <div className="flex items-center gap-1">
+                            {expanded.has(row.item.id)
+                              ? <ChevronDown className="h-4 w-4 text-gray-400" />
+                              : <ChevronRight className="h-4 w-4 text-gray-400" />}
+                            <span className="font-medium text-gray-900">{row.item.sku}</span>
+                            <span className="text-gray-500 truncate">{row.item.item_name}</span>
+                            {row.recount && (
+                              <span className={`px-1.5 py-0.5 rounded text-xs font-semibold ${
+                                row.recount.status === 'RESOLVED' ? 'bg-green-100 text-green-800' : 'bg-orange-100 text-orange-800'
+                              }`}>
+                                {row.recount.status === 'RESOLVED' ? 'FINAL' : 'RECOUNT'}
+                              </span>
+                            )}
+                          </div>
+                        </td>
+                        <td className="px-3 py-2 text-right">{formatQty(row.countedQty)}</td>
+                        <td className="px-3 py-2 text-right">{formatQty(row.bookQty)}</td>
+                        <td className={`px-3 py-2 text-right font-semibold ${varianceClass(row.variance)}`}>{formatQty(row.variance)}</td>
+                        <td className={`px-3 py-2 text-right ${varianceClass(row.variance)}`}>{formatPct(row.variancePct, row.bookQty)}</td>
+                      </tr>
+                      {expanded.has(row.item.id) && row.locations.map((location) => (
+                        <tr key={`${row.item.id}-${location.location}`} className="bg-gray-50 text-gray-600">
+                          <td className="px-3 py-1 pl-9">{location.location || '(no location)'}</td>
+                          <td className="px-3 py-1 text-right">{formatQty(location.countedQty)}</td>
+                          <td className="px-3 py-1 text-right">{formatQty(location.bookQty)}</td>
+                          <td className={`px-3 py-1 text-right ${varianceClass(location.variance)}`}>{formatQty(location.variance)}</td>
+                          <td className="px-3 py-1 text-right">{formatPct(location.variancePct, location.bookQty)}</td>
+                        </tr>
+                      ))}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+              {visibleRows.length === 0 && (
+                <p className="text-center text-gray-500 py-6">No items to show</p>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="p-4 border-t flex justify-end">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionVarianceModal;
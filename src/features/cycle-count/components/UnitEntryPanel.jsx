@@ -0,0 +1,37 @@
+import React from 'react';
+
+/**
+ * Per-unit quantity inputs for items with pack sizes. The parent converts
+ * the quantities to the base UOM and feeds the quantity calculation.
+ */
+const UnitEntryPanel = ({ units, quantities, onChange, error, stale }) => {
+  const baseUnit = units[units.length - 1]?.unit;
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-md">
+      <div className="grid grid-cols-3 gap-2">
+        {units.map(({ unit, factor }) => (
+          <label key={unit} className="block text-xs font-medium text-gray-700">
+            {unit}
+            <input
+              type="number"
+              inputMode="decimal"
+              min="0"
+              step="any"
+              value={quantities[unit] ?? ''}
+              onChange={(e) => onChange({ ...quantities, [unit]: e.target.value })}
+              className="mt-1 block w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {factor !== 1 && <span className="text-gray-400 font-normal">= {factor} {baseUnit}</span>}
+          </label>
+        ))}
+      </div>
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+      {stale && !error && (
+        <p className="mt-2 text-xs text-orange-600">The quantity was edited by hand, so the unit breakdown will not be saved.</p>
+      )}
+    </div>
+  );
+};
+
+export default UnitEntryPanel;
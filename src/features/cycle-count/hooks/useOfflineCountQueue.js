@@ -0,0 +1,104 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { isNetworkError, saveCountCapture } from '../api/cycleCountApi';
+import { CAPTURE_STATUS, createCountQueue, replayCountQueue } from '../lib/offlineCountQueue';
+
+let sharedQueue = null;
+const getQueue = () => {
+  sharedQueue ||= createCountQueue();
+  return sharedQueue;
+};
+
+/**
+ * Write-ahead queue for count captures. Every capture is stored on the device
+ * first and then replayed, so a save that loses its connection mid-request is
+ * retried instead of thrown away.
+ */
+export function useOfflineCountQueue({ sessionId, userId, onSynced, queue = getQueue() }) {
+  const [entries, setEntries] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [online, setOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+  const mountedRef = useRef(true);
+  const flushingRef = useRef(null);
+  const onSyncedRef = useRef(onSynced);
+  onSyncedRef.current = onSynced;
+
+  const reload = useCallback(async () => {
+    if (!sessionId || !userId) return;
+    const next = await queue.list({ sessionId, userId });
+    if (mountedRef.current) setEntries(next);
+  }, [queue, sessionId, userId]);
+
+  const flush = useCallback(() => {
+    if (!userId) return Promise.resolve(null);
+    // Concurrent flushes would replay the same entry twice; share the running one.
+    if (!flushingRef.current) {
+      setSyncing(true);
+      flushingRef.current = replayCountQueue(queue, {
+        save: saveCountCapture,
+        isNetworkError,
+        userId,
+        onSynced: (entry, row) => {
+          if (entry.sessionId === sessionId) onSyncedRef.current?.(entry, row);
+        },
+      }).finally(async () => {
+        flushingRef.current = null;
+        await reload();
+        if (mountedRef.current) setSyncing(false);
+      });
+    }
+    return flushingRef.current;
+  }, [queue, reload, sessionId, userId]);
+
+  const capture = useCallback(async (input) => {
+    const entry = await queue.enqueue({ ...input, sessionId, userId });
+    await reload();
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return { status: CAPTURE_STATUS.PENDING, entry };
+    }
+    const summaries = [flushingRef.current ? await flushingRef.current : null, await flush()];
+    const conflict = summaries.flatMap((summary) => summary?.conflicts ?? [])
+      .find((item) => item?.clientId === entry.clientId);
+    if (conflict) return { status: CAPTURE_STATUS.CONFLICT, entry: conflict, error: conflict.error };
+    const synced = summaries.flatMap((summary) => summary?.synced ?? [])
+      .find((item) => item.entry.clientId === entry.clientId);
+    if (synced) return { status: 'synced', entry, row: synced.row };
+    return { status: CAPTURE_STATUS.PENDING, entry };
+  }, [flush, queue, reload, sessionId, userId]);
+
+  const discard = useCallback(async (clientId) => {
+    await queue.remove(clientId);
+    await reload();
+  }, [queue, reload]);
+
+  // changes lets the review pick a duplicate mode for a rejected capture
+  const retry = useCallback(async (clientId, changes = {}) => {
+    await queue.update(clientId, { ...changes, status: CAPTURE_STATUS.PENDING, error: null });
+    await reload();
+    return flush();
+  }, [flush, queue, reload]);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    reload().then(() => flush());
+    const handleOnline = () => { setOnline(true); flush(); };
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      mountedRef.current = false;
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [flush, reload]);
+
+  return {
+    pending: entries.filter((entry) => entry.status === CAPTURE_STATUS.PENDING),
+    conflicts: entries.filter((entry) => entry.status === CAPTURE_STATUS.CONFLICT),
+    syncing,
+    online,
+    capture,
+    flush,
+    discard,
+    retry,
+  };
+}
@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  createScan,
+  findScannedItem,
+  loadTally,
+  saveTally,
+  summarizeTally,
+  tallyStorageKey,
+} from '../lib/scanTally';
+
+const storage = typeof localStorage !== 'undefined' ? localStorage : null;
+
+/**
+ * Running tally of continuous scans at one location. Scans are kept in
+ * localStorage until they are committed, so a reload does not lose them.
+ * scan() resolves the code against the session items with the barcode rules
+ * and reports 'added' or 'unknown'. Every read counts: identical cartons are
+ * scanned back to back, and the camera debounces its own re-reads.
+ */
+export function useScanTally({ sessionId, userId, items, rules }) {
+  const key = sessionId && userId ? tallyStorageKey(sessionId, userId) : null;
+  const [tally, setTally] = useState({ location: '', scans: [] });
+
+  useEffect(() => {
+    setTally((key && loadTally(storage, key)) || { location: '', scans: [] });
+  }, [key]);
+
+  const update = useCallback((change) => {
+    setTally((current) => {
+      const next = change(current);
+      if (key) saveTally(storage, key, next);
+      return next;
+    });
+  }, [key]);
+
+  const scan = useCallback((code, step) => {
+    const item = findScannedItem(items, code, rules);
+    if (!item) return { status: 'unknown', item: null };
+    const entry = createScan(item, code, step);
+    update((current) => ({ ...current, scans: [...current.scans, entry] }));
+    return { status: 'added', item, scan: entry };
+  }, [items, rules, update]);
+
+  const undo = useCallback(() => {
+    update((current) => ({ ...current, scans: current.scans.slice(0, -1) }));
+  }, [update]);
+
+  const setLocation = useCallback((location) => {
+    update((current) => ({ ...current, location }));
+  }, [update]);
+
+  const removeItems = useCallback((itemIds) => {
+    const done = new Set(itemIds);
+    update((current) => ({ ...current, scans: current.scans.filter((entry) => !done.has(entry.itemId)) }));
+  }, [update]);
+
+  const clear = useCallback(() => {
+    update((current) => ({ ...current, scans: [] }));
+  }, [update]);
+
+  const lines = useMemo(() => summarizeTally(tally.scans, items), [tally.scans, items]);
+
+  return {
+    location: tally.location,
+    scans: tally.scans,
+    lastScan: tally.scans[tally.scans.length - 1] ?? null,
+    lines,
+    scan,
+    undo,
+    setLocation,
+    removeItems,
+    clear,
+  };
+}
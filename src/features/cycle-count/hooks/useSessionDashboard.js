@@ -0,0 +1,81 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { supabase } from '../../../lib/supabase';
+import { fetchSessionCountSummary, fetchSessionLocationProgress } from '../api/cycleCountApi';
+import { applyCountChange } from '../lib/sessionDashboard';
+
+/**
+ * Loads a session's items, counts, counters and location progress, then
+ * keeps the counts current from the counts realtime feed. Location progress
+ * is computed on the server and reloaded shortly after count changes.
+ */
+export function useSessionDashboard(sessionId) {
+  const [state, setState] = useState({
+    session: null, items: [], counts: [], counters: [], locationRows: [],
+    loading: true, error: null, lastUpdated: null,
+  });
+  const mountedRef = useRef(true);
+  const locationTimer = useRef(null);
+
+  const refresh = useCallback(async ({ background = false } = {}) => {
+    if (!background) setState((current) => ({ ...current, loading: true, error: null }));
+    try {
+      const [sessionResult, summary, locationRows] = await Promise.all([
+        supabase.from('sessions').select('*').eq('id', sessionId).single(),
+        fetchSessionCountSummary(sessionId),
+        fetchSessionLocationProgress(sessionId),
+      ]);
+      if (sessionResult.error) throw sessionResult.error;
+      if (mountedRef.current) {
+        setState({
+          session: sessionResult.data,
+          items: summary.items,
+          counts: summary.counts,
+          counters: summary.counters,
+          locationRows,
+          loading: false,
+          error: null,
+          lastUpdated: new Date(),
+        });
+      }
+    } catch (error) {
+      if (mountedRef.current) setState((current) => ({ ...current, loading: false, error }));
+    }
+  }, [sessionId]);
+
+  const refreshLocations = useCallback(async () => {
+    try {
+      const locationRows = await fetchSessionLocationProgress(sessionId);
+      if (mountedRef.current) setState((current) => ({ ...current, locationRows }));
+    } catch (error) {
+      console.error('Error refreshing location progress:', error);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    refresh();
+    const channel = supabase
+      .channel(`counts-dashboard:${sessionId}`)
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'counts', filter: `session_id=eq.${sessionId}` },
+        (payload) => {
+          setState((current) => ({
+            ...current,
+            counts: applyCountChange(current.counts, payload),
+            lastUpdated: new Date(),
+          }));
+          clearTimeout(locationTimer.current);
+          locationTimer.current = setTimeout(refreshLocations, 1000);
+        }
+      )
+      .subscribe();
+    return () => {
+      mountedRef.current = false;
+      clearTimeout(locationTimer.current);
+      supabase.removeChannel(channel);
+    };
+  }, [refresh, refreshLocations, sessionId]);
+
+  return { ...state, refresh };
+}
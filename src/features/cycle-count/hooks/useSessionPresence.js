@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { supabase } from '../../../lib/supabase';
+import { createClientId } from '../lib/offlineCountQueue';
+import { listPresencePeers } from '../lib/sessionPresence';
+
+/**
+ * Joins the session's presence channel. Counters publish the item and
+ * location they have open through update(); observers (the admin view)
+ * pass track: false and only watch.
+ */
+export function useSessionPresence({ sessionId, userId, name, track = true }) {
+  const [peers, setPeers] = useState([]);
+  const [connected, setConnected] = useState(false);
+  const channelRef = useRef(null);
+  const clientIdRef = useRef(createClientId());
+  const activityRef = useRef({ itemId: null, itemLabel: null, location: null });
+
+  const publish = useCallback(() => {
+    const channel = channelRef.current;
+    if (!track || !channel) return;
+    channel.track({
+      clientId: clientIdRef.current,
+      userId,
+      name,
+      ...activityRef.current,
+      updatedAt: new Date().toISOString(),
+    }).catch(() => {});
+  }, [track, userId, name]);
+
+  useEffect(() => {
+    if (!sessionId || !userId) return undefined;
+
+    const channel = supabase.channel(`presence:${sessionId}`, {
+      config: { private: true, presence: { key: clientIdRef.current } },
+    });
+    const sync = () => setPeers(listPresencePeers(channel.presenceState(), clientIdRef.current));
+    channel
+      .on('presence', { event: 'sync' }, sync)
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          channelRef.current = channel;
+          setConnected(true);
+          publish();
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+          setConnected(false);
+        }
+      });
+
+    return () => {
+      channelRef.current = null;
+      setConnected(false);
+      setPeers([]);
+      try { supabase.removeChannel(channel); } catch {}
+    };
+  }, [sessionId, userId, publish]);
+
+  const update = useCallback((activity) => {
+    const next = { ...activityRef.current, ...activity };
+    const current = activityRef.current;
+    if (next.itemId === current.itemId && next.location === current.location && next.itemLabel === current.itemLabel) return;
+    activityRef.current = next;
+    publish();
+  }, [publish]);
+
+  return { peers, connected, update };
+}
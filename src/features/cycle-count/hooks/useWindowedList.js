@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { ESTIMATED_ITEM_ROW_HEIGHT, computeItemWindow } from '../lib/itemWindow';
+
+/**
+ * Renders only the rows of a page-scrolled list that are near the
+ * viewport. Attach listRef to the list container and measure(row.id) to
+ * each rendered row; rows that expand are re-measured on every render.
+ * gap is the space the container puts between rows.
+ * Returns the row range to render and the spacer heights around it.
+ */
+export function useWindowedList(rows, { estimate = ESTIMATED_ITEM_ROW_HEIGHT, gap = 0, overscan = 4 } = {}) {
+  const listRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const frameRef = useRef(null);
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: typeof window === 'undefined' ? 0 : window.innerHeight });
+  const [measured, setMeasured] = useState(0);
+
+  const readViewport = useCallback(() => {
+    frameRef.current = null;
+    const element = listRef.current;
+    if (!element) return;
+    const next = { scrollTop: -element.getBoundingClientRect().top, height: window.innerHeight };
+    setViewport((prev) => (prev.scrollTop === next.scrollTop && prev.height === next.height ? prev : next));
+  }, []);
+
+  const scheduleRead = useCallback(() => {
+    if (frameRef.current === null) frameRef.current = window.requestAnimationFrame(readViewport);
+  }, [readViewport]);
+
+  useEffect(() => {
+    window.addEventListener('scroll', scheduleRead, { passive: true });
+    window.addEventListener('resize', scheduleRead);
+    return () => {
+      window.removeEventListener('scroll', scheduleRead);
+      window.removeEventListener('resize', scheduleRead);
+      if (frameRef.current !== null) window.cancelAnimationFrame(frameRef.current);
+      frameRef.current = null;
+    };
+  }, [scheduleRead]);
+
+  // The list moves when the rows change (search, filter, first load)
+  useLayoutEffect(() => {
+    readViewport();
+  }, [rows, readViewport]);
+
+  const range = useMemo(() => computeItemWindow({
+    count: rows.length,
+    scrollTop: viewport.scrollTop,
+    viewportHeight: viewport.height,
+    heights: rows.map((row) => heightsRef.current.get(row.id)),
+    estimate,
+    gap,
+    overscan,
+  }), [rows, viewport, estimate, gap, overscan, measured]); // measured bumps when a row's height changes
+
+  const measure = (id) => (node) => {
+    if (!node) return;
+    const height = node.offsetHeight;
+    if (height > 0 && heightsRef.current.get(id) !== height) {
+      heightsRef.current.set(id, height);
+      setMeasured((value) => value + 1);
+    }
+  };
+
+  return { listRef, ...range, measure };
+}
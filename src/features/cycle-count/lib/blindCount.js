@@ -0,0 +1,28 @@
+/**
+ * Blind counting: counters of a blind session only see their own counts, so
+ * nobody can copy a figure. Admins still see every count. RLS enforces the
+ * same rule on the server; these keep the client from asking for, or
+ * showing, rows it should not.
+ */
+
+export function isBlindFor(session, isAdmin) {
+  return Boolean(session?.is_blind) && !isAdmin;
+}
+
+/** Narrows a counts query to userId's own rows when counting blind. */
+export function restrictToOwnCounts(query, blind, userId) {
+  return blind ? query.eq('user_id', userId) : query;
+}
+
+/** Whether a realtime count row belongs to another counter of a blind session. */
+export function isHiddenCount(row, blind, userId) {
+  return blind && Boolean(row?.user_id) && row.user_id !== userId;
+}
+
+/**
+ * The shared calculator broadcasts what is being typed, so it stays off in
+ * blind sessions and while recounting an item.
+ */
+export function canShareCalculator({ blind, recounting }) {
+  return !blind && !recounting;
+}
@@ -0,0 +1,60 @@
+const normalize = (value) => String(value ?? '').trim();
+const normalizedCode = (value) => normalize(value).toUpperCase();
+const isRawMaterial = (item) => normalize(item?.category).toLowerCase() === 'raw material';
+
+function errorRow(rowNumber, code, reason, extra = {}) {
+  return { rowNumber, valid: false, code, reason, ...extra };
+}
+
+/**
+ * Parses a system stock sheet (header row first) into book quantities for
+ * the session items. Items are matched by SKU or item code; LOCATION is
+ * optional and leaves the quantity at item level when empty.
+ */
+export function parseBookQuantityRows(sheetRows = [], items = []) {
+  const headers = (sheetRows[0] ?? []).map((value) => normalizedCode(value));
+  const column = (...names) => headers.findIndex((header) => names.includes(header));
+  const indexes = {
+    code: column('SKU', 'SKU#', 'ITEM CODE', 'ITEM_CODE'),
+    quantity: column('QTY', 'BOOK QTY', 'SYSTEM QTY', 'QUANTITY', 'STOCK'),
+    location: column('LOCATION', 'LOC', 'LOKASI'),
+  };
+  if (indexes.code < 0 || indexes.quantity < 0) {
+    const rows = [errorRow(1, 'MISSING_HEADERS', 'SKU and QTY headers are required')];
+    return { rows, validRows: [], invalidRows: rows };
+  }
+
+  const itemMap = new Map();
+  items.forEach((item) => {
+    [item.sku, item.item_code].filter(Boolean).forEach((code) => {
+      if (!itemMap.has(normalizedCode(code))) itemMap.set(normalizedCode(code), item);
+    });
+  });
+
+  const seen = new Set();
+  const rows = sheetRows.slice(1).flatMap((source, index) => {
+    const rowNumber = index + 2;
+    const itemCode = normalize(source?.[indexes.code]);
+    const quantityRaw = source?.[indexes.quantity];
+    const location = indexes.location >= 0 ? normalize(source?.[indexes.location]) : '';
+    if (!itemCode && normalize(quantityRaw) === '' && !location) return [];
+    const item = itemMap.get(normalizedCode(itemCode));
+    const bookQty = Number(quantityRaw);
+    const base = { rowNumber, itemCode, item, location, bookQty };
+    const key = `${item?.id}|${normalizedCode(location)}`;
+
+    if (!item) return [errorRow(rowNumber, 'UNKNOWN_ITEM', 'Item is not part of this session', base)];
+    if (isRawMaterial(item)) return [errorRow(rowNumber, 'RAW_MATERIAL', 'Raw Material stock comes from the FIFO snapshot', base)];
+    if (normalize(quantityRaw) === '' || !Number.isFinite(bookQty) || bookQty < 0) {
+      return [errorRow(rowNumber, 'INVALID_QUANTITY', 'QTY must be a number of zero or more', base)];
+    }
+    if (seen.has(key)) return [errorRow(rowNumber, 'DUPLICATE_ROW', 'Item and location appear more than once', base)];
+    seen.add(key);
+    return [{ ...base, valid: true, code: null, reason: '' }];
+  });
+  return {
+    rows,
+    validRows: rows.filter((row) => row.valid),
+    invalidRows: rows.filter((row) => !row.valid),
+  };
+}
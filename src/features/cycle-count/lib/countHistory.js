@@ -0,0 +1,30 @@
+const blank = (value) => (value == null ? '' : value);
+const qty = (value) => (value == null ? null : Number(value));
+
+/** One-line summary of a history row, e.g. "12 → 15". */
+export function describeHistoryChange(entry) {
+  if (entry.action === 'INSERT') return `Counted ${qty(entry.new_qty)}`;
+  if (entry.action === 'DELETE') return `Deleted ${qty(entry.old_qty)}`;
+  if (qty(entry.old_qty) === qty(entry.new_qty)) return 'Calculation changed';
+  return `${qty(entry.old_qty)} → ${qty(entry.new_qty)}`;
+}
+
+export function toCountHistoryExportRows(rows = []) {
+  return rows.map((row) => ({
+    'Changed At': row.changed_at ?? '',
+    Action: row.action,
+    SKU: row.item?.sku ?? '',
+    'Item Name': row.item?.item_name ?? '',
+    Location: row.location_name ?? '',
+    'Old Qty': blank(qty(row.old_qty)),
+    'New Qty': blank(qty(row.new_qty)),
+    'Old Calculation': row.old_calculation ?? '',
+    'New Calculation': row.new_calculation ?? '',
+    Counter: row.count_user_name ?? '',
+    'Changed By': row.changed_by_name ?? '',
+    Device: row.device ?? '',
+    'Captured At': row.captured_at ?? '',
+    Note: row.note ?? '',
+    'Count ID': row.count_id,
+  }));
+}
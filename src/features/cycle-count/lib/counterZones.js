@@ -0,0 +1,41 @@
+const sameName = (a, b) => String(a ?? '').trim().toUpperCase() === String(b ?? '').trim().toUpperCase();
+
+/**
+ * Names of the active locations in one counter's zone, with category rows
+ * expanded to their locations. An empty list means the counter has no zone
+ * and may count anywhere.
+ */
+export function getZoneLocationNames(zones = [], userId, locations = []) {
+  const ownZones = zones.filter((zone) => zone.user_id === userId);
+  const locationIds = new Set(ownZones.map((zone) => zone.location_id).filter(Boolean));
+  const categoryIds = new Set(ownZones.map((zone) => zone.category_id).filter(Boolean));
+  return locations
+    .filter((location) => location.is_active !== false)
+    .filter((location) => locationIds.has(location.id) || categoryIds.has(location.category_id))
+    .map((location) => location.name);
+}
+
+export function isOutsideZone(zoneLocationNames = [], locationName) {
+  if (zoneLocationNames.length === 0 || !locationName) return false;
+  return !zoneLocationNames.some((name) => sameName(name, locationName));
+}
+
+/** Short admin label such as "Raw Material (all), A1.1, A1.2". */
+export function describeZone(zones = [], userId, { locations = [], categories = [] } = {}) {
+  const ownZones = zones.filter((zone) => zone.user_id === userId);
+  const categoryNames = ownZones
+    .filter((zone) => zone.category_id)
+    .map((zone) => categories.find((category) => category.id === zone.category_id)?.name)
+    .filter(Boolean)
+    .map((name) => `${name} (all)`);
+  const locationNames = ownZones
+    .filter((zone) => zone.location_id)
+    .map((zone) => locations.find((location) => location.id === zone.location_id)?.name)
+    .filter(Boolean);
+  return [...categoryNames.sort(), ...locationNames.sort()].join(', ');
+}
+
+export function getZoneCompletion(row) {
+  if (!row.expected_count) return row.zone_locations > 0 ? Math.round((row.done_locations / row.zone_locations) * 100) : 0;
+  return Math.round((row.expected_counted / row.expected_count) * 100);
+}
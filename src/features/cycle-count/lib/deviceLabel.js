@@ -0,0 +1,52 @@
+import { createClientId } from './offlineCountQueue';
+
+const DEVICE_ID_KEY = 'cycleCountDeviceId';
+
+const PLATFORMS = [
+  [/android/i, 'Android'],
+  [/iphone|ipod/i, 'iPhone'],
+  [/ipad/i, 'iPad'],
+  [/windows/i, 'Windows'],
+  [/macintosh|mac os x/i, 'Mac'],
+  [/cros/i, 'ChromeOS'],
+  [/linux/i, 'Linux'],
+];
+// Order matters: Edge and Opera also report Chrome, Chrome also reports Safari.
+const BROWSERS = [
+  [/edg\//i, 'Edge'],
+  [/opr\//i, 'Opera'],
+  [/firefox|fxios/i, 'Firefox'],
+  [/chrome|crios/i, 'Chrome'],
+  [/safari/i, 'Safari'],
+];
+
+const firstMatch = (patterns, text) => patterns.find(([pattern]) => pattern.test(text))?.[1];
+
+export function describeUserAgent(userAgent = '') {
+  const platform = firstMatch(PLATFORMS, userAgent);
+  const browser = firstMatch(BROWSERS, userAgent);
+  return [platform, browser].filter(Boolean).join(' ') || 'Unknown device';
+}
+
+/**
+ * Names this device in count history: platform, browser and a short ID
+ * that stays the same across sessions so edits from one scanner can be
+ * told apart from another of the same model.
+ */
+export function getDeviceLabel({
+  storage = globalThis.localStorage,
+  userAgent = globalThis.navigator?.userAgent,
+} = {}) {
+  let deviceId = null;
+  try {
+    deviceId = storage?.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = createClientId();
+      storage?.setItem(DEVICE_ID_KEY, deviceId);
+    }
+  } catch {
+    // Private browsing can block storage; the label is still useful without the ID.
+  }
+  const name = describeUserAgent(userAgent);
+  return deviceId ? `${name} #${deviceId.slice(0, 8)}` : name;
+}
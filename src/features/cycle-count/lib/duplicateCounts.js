@@ -0,0 +1,74 @@
+/** What to do with a capture that hits an existing count for the same item and location. */
+export const DUPLICATE_MODE = Object.freeze({
+  ADD: 'ADD',
+  REPLACE: 'REPLACE',
+  SEPARATE: 'SEPARATE',
+});
+
+/** How an admin merge treats the rows that are removed. */
+export const MERGE_MODE = Object.freeze({
+  SUM: 'SUM',
+  DISCARD: 'DISCARD',
+});
+
+// CC_DUPLICATE_OTHER_COUNT: the existing row is another counter's, which
+// only its counter or an admin may add to or replace.
+export const isDuplicateCountError = (error) => ['CC_DUPLICATE_COUNT', 'CC_DUPLICATE_OTHER_COUNT'].includes(error?.code);
+
+/** The duplicate modes the server accepts for this rejection. */
+export const duplicateModesFor = (error) => (error?.code === 'CC_DUPLICATE_OTHER_COUNT'
+  ? [DUPLICATE_MODE.SEPARATE]
+  : Object.values(DUPLICATE_MODE));
+
+const stripTrailingOperators = (calculation) => String(calculation ?? '').trim().replace(/[+\-*/\s]+$/, '');
+
+/** Mirrors combine_count_calculations() in count_duplicates_migration.sql. */
+export function combineCalculations(firstCalculation, firstQty, secondCalculation, secondQty) {
+  const first = stripTrailingOperators(firstCalculation) || String(firstQty);
+  const second = stripTrailingOperators(secondCalculation) || String(secondQty);
+  return `(${first})+(${second})`;
+}
+
+/**
+ * Groups the rows of list_session_duplicate_counts() by item, location and
+ * count round, oldest count first.
+ */
+export function groupDuplicateCounts(rows = []) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = `${row.item_id}|${row.location_id}|${row.count_round ?? 1}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        itemId: row.item_id,
+        item: row.item ?? null,
+        locationName: row.location_name ?? '',
+        countRound: row.count_round ?? 1,
+        counts: [],
+        total: 0,
+      });
+    }
+    const group = groups.get(key);
+    group.counts.push(row);
+    group.total += Number(row.counted_qty) || 0;
+  });
+  return [...groups.values()].map((group) => ({
+    ...group,
+    counts: [...group.counts].sort((a, b) => String(a.captured_at ?? '').localeCompare(String(b.captured_at ?? ''))),
+  }));
+}
+
+/** Quantity and calculation the kept count ends up with after merge_session_counts(). */
+export function previewMerge(group, keepCountId, mode) {
+  const keep = group.counts.find((count) => count.count_id === keepCountId);
+  if (!keep) return null;
+  if (mode === MERGE_MODE.DISCARD) {
+    return { qty: keep.counted_qty, calculation: keep.counted_qty_calculation ?? null };
+  }
+  return group.counts
+    .filter((count) => count.count_id !== keepCountId)
+    .reduce((merged, count) => ({
+      qty: merged.qty + count.counted_qty,
+      calculation: combineCalculations(merged.calculation, merged.qty, count.counted_qty_calculation, count.counted_qty),
+    }), { qty: keep.counted_qty, calculation: keep.counted_qty_calculation ?? null });
+}
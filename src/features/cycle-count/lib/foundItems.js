@@ -0,0 +1,58 @@
+import { evaluateExpression } from '../../../lib/expression';
+
+export const FOUND_ITEM_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  ACCEPTED: 'ACCEPTED',
+  MAPPED: 'MAPPED',
+  REJECTED: 'REJECTED',
+});
+
+export const FOUND_ITEM_ACTION = Object.freeze({
+  ACCEPT: 'ACCEPT',
+  MAP: 'MAP',
+  REJECT: 'REJECT',
+});
+
+export const FOUND_ITEM_STATUS_STYLES = Object.freeze({
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  ACCEPTED: 'bg-green-100 text-green-800',
+  MAPPED: 'bg-blue-100 text-blue-800',
+  REJECTED: 'bg-red-100 text-red-800',
+});
+
+// Characters that would break a PostgREST or() filter.
+export const sanitizeItemSearch = (term) => String(term ?? '').replace(/[,()*%\\]/g, ' ').trim();
+
+/**
+ * Checks a found-item entry before it is recorded. Returns
+ * { error } or { qty, calculation } with the evaluated quantity.
+ */
+export function validateFoundItem({ locationId, item, description, quantity }) {
+  if (!locationId) return { error: 'Choose the location the item was found at' };
+  if (!item && !String(description ?? '').trim()) return { error: 'Pick an item or describe the unknown one' };
+  const expression = String(quantity ?? '').trim();
+  if (!expression) return { error: 'Enter the quantity found' };
+  const result = evaluateExpression(expression);
+  if (result.error || !Number.isInteger(result.value) || result.value < 0) {
+    return { error: 'Quantity must be a whole number of zero or more' };
+  }
+  return { qty: result.value, calculation: /^\d+$/.test(expression) ? '' : expression };
+}
+
+/** Label for a find: its SKU and name, or the unknown barcode and description. */
+export function describeFoundItem(row) {
+  const item = row.item;
+  if (item) return `${item.sku} | ${item.item_name}`;
+  return [row.scanned_code, row.description].filter(Boolean).join(' | ') || 'Unknown item';
+}
+
+/** Pending finds first, oldest first within each status. */
+export function sortFoundItems(rows = []) {
+  const rank = (row) => (row.status === FOUND_ITEM_STATUS.PENDING ? 0 : 1);
+  return [...rows].sort((a, b) => rank(a) - rank(b) || String(a.captured_at).localeCompare(String(b.captured_at)));
+}
+
+/** { [sessionId]: pending count } from rows of { session_id }. */
+export function countPendingBySession(rows = []) {
+  return rows.reduce((counts, row) => ({ ...counts, [row.session_id]: (counts[row.session_id] ?? 0) + 1 }), {});
+}
@@ -0,0 +1,65 @@
+// Sessions above this many items page and filter their item list on the
+// server and load counts only for the rows on screen.
+export const LARGE_SESSION_ITEM_COUNT = 1000;
+export const ITEM_PAGE_SIZE = 100;
+export const ESTIMATED_ITEM_ROW_HEIGHT = 112;
+
+export const isLargeSession = (itemCount) => Number(itemCount) > LARGE_SESSION_ITEM_COUNT;
+
+/**
+ * Picks the rows of a list that overlap the viewport. Row heights are the
+ * measured ones where known and the estimate otherwise. scrollTop is the
+ * viewport's offset into the list (negative while the list starts below
+ * the fold) and gap the space between rows. Returns { start, end, before,
+ * after } where end is exclusive and before/after are the pixel heights of
+ * the rows left out.
+ */
+export function computeItemWindow({ count, scrollTop, viewportHeight, heights = [], estimate = ESTIMATED_ITEM_ROW_HEIGHT, gap = 0, overscan = 4 }) {
+  if (count <= 0) return { start: 0, end: 0, before: 0, after: 0 };
+  const heightOf = (index) => (heights[index] ?? estimate) + gap;
+  const top = Math.max(0, scrollTop);
+  const bottom = scrollTop + viewportHeight;
+
+  let offset = 0;
+  let start = 0;
+  while (start < count - 1 && offset + heightOf(start) <= top) {
+    offset += heightOf(start);
+    start += 1;
+  }
+  let end = start;
+  let visibleBottom = offset;
+  while (end < count && visibleBottom < bottom) {
+    visibleBottom += heightOf(end);
+    end += 1;
+  }
+
+  const first = Math.max(0, start - overscan);
+  const last = Math.min(count, Math.max(end, start + 1) + overscan);
+  let before = 0;
+  for (let index = 0; index < first; index += 1) before += heightOf(index);
+  let after = 0;
+  for (let index = last; index < count; index += 1) after += heightOf(index);
+  return { start: first, end: last, before, after };
+}
+
+/** Whether the window reaches close enough to the end of the loaded rows to fetch the next page. */
+export const shouldLoadMore = ({ end, loaded, total, threshold = 20 }) => loaded < total && end >= loaded - threshold;
+
+/** Item ids in view whose counts have not been loaded yet. */
+export const missingCountItemIds = (itemIds, loadedIds) => [...new Set(itemIds)].filter((id) => id && !loadedIds.has(id));
+
+/** Count rows as ItemsList keeps them, grouped by item id. */
+export function groupCountsByItem(rows = []) {
+  return rows.reduce((grouped, count) => {
+    (grouped[count.item_id] ??= []).push({
+      location: count.locations?.name || 'Unknown',
+      countedQty: count.counted_qty,
+      calculation: count.counted_qty_calculation,
+      breakdown: count.counted_qty_breakdown,
+      timestamp: count.timestamp,
+      id: count.id,
+      userId: count.user_id,
+    });
+    return grouped;
+  }, {});
+}
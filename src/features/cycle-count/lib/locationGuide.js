@@ -0,0 +1,61 @@
+const sameLocation = (a, b) => String(a ?? '').trim().toUpperCase() === String(b ?? '').trim().toUpperCase();
+
+/**
+ * Checklist for one location in guided mode: the expected items (uncounted
+ * first) followed by items counted there that were not expected. `counts`
+ * is the per-item map ItemsList displays.
+ */
+export function buildLocationChecklist({ items = [], expected = [], counts = {}, locationName }) {
+  const countedHere = (itemId) => (counts[itemId] ?? []).filter((count) => sameLocation(count.location, locationName));
+  const toRow = (item, expectation) => {
+    const itemCounts = countedHere(item.id);
+    return {
+      item,
+      expected: Boolean(expectation),
+      fromCounts: Boolean(expectation?.from_counts),
+      fromLots: Boolean(expectation?.from_lots),
+      counted: itemCounts.length > 0,
+      countedQty: itemCounts.length > 0 ? itemCounts.reduce((total, count) => total + Number(count.countedQty ?? 0), 0) : null,
+      pending: itemCounts.some((count) => count.pending),
+    };
+  };
+
+  const expectedRows = items
+    .map((item) => [item, expected.find((row) => row.item_id === item.id)])
+    .filter(([, expectation]) => expectation)
+    .map(([item, expectation]) => toRow(item, expectation));
+  const extraRows = items
+    .filter((item) => !expected.some((row) => row.item_id === item.id) && countedHere(item.id).length > 0)
+    .map((item) => toRow(item, null));
+
+  return {
+    rows: [
+      ...expectedRows.filter((row) => !row.counted),
+      ...expectedRows.filter((row) => row.counted),
+      ...extraRows,
+    ],
+    expectedCount: expectedRows.length,
+    expectedCounted: expectedRows.filter((row) => row.counted).length,
+  };
+}
+
+export const LOCATION_PROGRESS = Object.freeze({
+  DONE: 'DONE',
+  IN_PROGRESS: 'IN_PROGRESS',
+  NOT_STARTED: 'NOT_STARTED',
+});
+
+export function getLocationProgressStatus(row) {
+  if (row.completed_at) return LOCATION_PROGRESS.DONE;
+  return row.counted_items > 0 ? LOCATION_PROGRESS.IN_PROGRESS : LOCATION_PROGRESS.NOT_STARTED;
+}
+
+export function summarizeLocationProgress(rows = []) {
+  const statuses = rows.map(getLocationProgressStatus);
+  return {
+    total: rows.length,
+    done: statuses.filter((status) => status === LOCATION_PROGRESS.DONE).length,
+    inProgress: statuses.filter((status) => status === LOCATION_PROGRESS.IN_PROGRESS).length,
+    notStarted: statuses.filter((status) => status === LOCATION_PROGRESS.NOT_STARTED).length,
+  };
+}
@@ -0,0 +1,103 @@
+const roundQty = (value) => Math.round(value * 10000) / 10000;
+const toNumber = (value) => (value == null ? null : Number(value));
+
+export const isRawMaterialItem = (item) => String(item?.category ?? '').trim().toLowerCase() === 'raw material';
+
+/**
+ * Starting values for the lot inputs: what was counted per lot when editing,
+ * otherwise the expected quantity so a matching lot only needs a glance.
+ * Blind sessions have no expected quantity, and editing a count saved
+ * without lots must not change it, so both start empty.
+ */
+export function initialLotQuantities(lots = [], { editing = false } = {}) {
+  const counted = lots.some((lot) => lot.counted_qty != null);
+  return Object.fromEntries(lots.map((lot) => {
+    const value = counted || editing ? lot.counted_qty : lot.expected_qty;
+    return [lot.lot_id, value == null ? '' : String(toNumber(value))];
+  }));
+}
+
+/**
+ * Converts the typed lot quantities (keyed by lot id) and the stock found
+ * without a lot into the lines saved with the count. Like the unit entry,
+ * `expression` feeds the quantity calculation, so the count stays the sum.
+ * Leaving every input empty means the item is counted without lots.
+ */
+export function buildLotEntry(lots = [], quantities = {}, unlisted = '') {
+  const empty = { lines: null, total: 0, expression: '', error: null };
+  const raw = lots.map((lot) => String(quantities[lot.lot_id] ?? '').trim());
+  const unlistedRaw = String(unlisted ?? '').trim();
+  if (raw.every((value) => !value) && !unlistedRaw) return empty;
+  if (raw.some((value) => !value)) {
+    return { ...empty, error: 'Enter a quantity for every lot (0 if it is gone)' };
+  }
+
+  const values = [...raw, unlistedRaw || '0'].map(Number);
+  if (values.some((value) => !Number.isFinite(value) || value < 0)) {
+    return { ...empty, error: 'Lot quantities must be zero or more' };
+  }
+  const total = roundQty(values.reduce((sum, value) => sum + value, 0));
+  if (!Number.isInteger(total)) {
+    return { ...empty, total, error: `${total} is not a whole number, so it cannot be saved as the count` };
+  }
+
+  const lines = lots.map((lot, index) => ({ lot_id: lot.lot_id, counted_qty: values[index] }));
+  const terms = values.filter((value) => value > 0);
+  return { lines, total, expression: terms.length > 0 ? terms.join('+') : '0', error: null };
+}
+
+/** Counted minus expected per lot, or null when the expected quantity is hidden. */
+export function lotVariance(lot, quantity) {
+  const expected = toNumber(lot.expected_qty);
+  const raw = String(quantity ?? '').trim();
+  if (expected == null || !raw || !Number.isFinite(Number(raw))) return null;
+  return roundQty(Number(raw) - expected);
+}
+
+/** Session lot totals grouped per item, keeping only lots with a difference. */
+export function groupLotVariances(rows = []) {
+  return rows.reduce((grouped, row) => {
+    const variance = toNumber(row.variance);
+    if (!variance) return grouped;
+    (grouped[row.item_id] ||= []).push({
+      lotId: row.lot_id,
+      location: row.location,
+      receivedDate: row.received_date,
+      expectedQty: toNumber(row.expected_qty),
+      countedQty: toNumber(row.counted_qty),
+      variance,
+    });
+    return grouped;
+  }, {});
+}
+
+/**
+ * Where an item's FIFO adjustment will land, mirroring
+ * post_session_adjustment() in database/lot_count_migration.sql. A loss
+ * first takes each short lot's shortfall in FIFO order and leaves the rest
+ * (`fifoQty`) to plain FIFO; a gain goes to the lot with the largest
+ * surplus. Lot stock is not known here, so the preview assumes every short
+ * lot still holds its shortfall.
+ */
+export function planLotAdjustment(lotVariances = [], variance) {
+  if (!variance) return null;
+  if (variance > 0) {
+    const surplus = lotVariances
+      .filter((lot) => lot.variance > 0)
+      .sort((a, b) => b.variance - a.variance || String(a.receivedDate).localeCompare(String(b.receivedDate)))[0];
+    return surplus ? { gainLot: surplus } : null;
+  }
+
+  let needed = -variance;
+  const lots = [];
+  lotVariances
+    .filter((lot) => lot.variance < 0)
+    .sort((a, b) => String(a.receivedDate).localeCompare(String(b.receivedDate)))
+    .forEach((lot) => {
+      if (needed <= 0) return;
+      const qty = roundQty(Math.min(needed, -lot.variance));
+      lots.push({ ...lot, qty });
+      needed = roundQty(needed - qty);
+    });
+  return lots.length > 0 ? { lossLots: lots, fifoQty: needed } : null;
+}
@@ -0,0 +1,152 @@
+const DB_NAME = 'cycle-count-offline';
+const STORE_NAME = 'count-captures';
+
+export const CAPTURE_STATUS = Object.freeze({
+  PENDING: 'pending',
+  CONFLICT: 'conflict',
+});
+
+export function createClientId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  // randomUUID is missing outside secure contexts; build a v4 UUID by hand.
+  const bytes = new Uint8Array(16);
+  if (globalThis.crypto?.getRandomValues) globalThis.crypto.getRandomValues(bytes);
+  else bytes.forEach((_, index) => { bytes[index] = Math.floor(Math.random() * 256); });
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = [...bytes].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export function createIndexedDbStorage(indexedDB = globalThis.indexedDB) {
+  let database = null;
+  const open = () => {
+    if (!database) {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'clientId' });
+      database = promisify(request);
+    }
+    return database;
+  };
+  const run = async (mode, action) => {
+    const db = await open();
+    return promisify(action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  };
+  return {
+    getAll: () => run('readonly', (store) => store.getAll()),
+    put: (entry) => run('readwrite', (store) => store.put(entry)),
+    delete: (clientId) => run('readwrite', (store) => store.delete(clientId)),
+  };
+}
+
+// Used where IndexedDB is unavailable (tests, some private browsing modes).
+export function createMemoryStorage(initial = []) {
+  const entries = new Map(initial.map((entry) => [entry.clientId, entry]));
+  return {
+    getAll: async () => [...entries.values()],
+    put: async (entry) => { entries.set(entry.clientId, entry); },
+    delete: async (clientId) => { entries.delete(clientId); },
+  };
+}
+
+export const createDefaultStorage = () => (
+  globalThis.indexedDB ? createIndexedDbStorage() : createMemoryStorage()
+);
+
+const bySequence = (a, b) => a.sequence - b.sequence;
+
+export function createCountQueue(storage = createDefaultStorage()) {
+  const list = async ({ sessionId, userId } = {}) => (await storage.getAll())
+    .filter((entry) => (!sessionId || entry.sessionId === sessionId) && (!userId || entry.userId === userId))
+    .sort(bySequence);
+
+  // Capturing again with the clientId of a queued entry (editing a count that
+  // has not synced yet) replaces its values instead of queueing a second write.
+  const enqueue = async (capture) => {
+    const entries = await storage.getAll();
+    const existing = capture.clientId && entries.find((entry) => entry.clientId === capture.clientId);
+    const entry = {
+      ...existing,
+      ...capture,
+      clientId: capture.clientId || createClientId(),
+      countId: existing ? existing.countId : capture.countId ?? null,
+      sequence: existing?.sequence ?? Math.max(0, ...entries.map((item) => item.sequence)) + 1,
+      status: CAPTURE_STATUS.PENDING,
+      error: null,
+    };
+    await storage.put(entry);
+    return entry;
+  };
+
+  const update = async (clientId, changes) => {
+    const entry = (await storage.getAll()).find((item) => item.clientId === clientId);
+    if (!entry) return null;
+    const next = { ...entry, ...changes };
+    await storage.put(next);
+    return next;
+  };
+
+  const remove = (clientId) => storage.delete(clientId);
+
+  return { list, enqueue, update, remove };
+}
+
+/**
+ * Replays pending captures oldest first. A network failure stops the replay so
+ * later captures never overtake earlier ones; a server rejection marks that
+ * capture as a conflict for review and moves on.
+ */
+export async function replayCountQueue(queue, { save, isNetworkError, userId, onSynced } = {}) {
+  const summary = { synced: [], conflicts: [], remaining: 0 };
+  const pending = (await queue.list({ userId })).filter((entry) => entry.status === CAPTURE_STATUS.PENDING);
+  for (let index = 0; index < pending.length; index += 1) {
+    const entry = pending[index];
+    try {
+      const row = await save(entry);
+      await queue.remove(entry.clientId);
+      summary.synced.push({ entry, row });
+      onSynced?.(entry, row);
+    } catch (error) {
+      if (isNetworkError?.(error)) {
+        summary.remaining = pending.length - index;
+        break;
+      }
+      const conflict = await queue.update(entry.clientId, {
+        status: CAPTURE_STATUS.CONFLICT,
+        error: { code: error?.code ?? null, message: error?.message ?? String(error) },
+      });
+      summary.conflicts.push(conflict);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Overlays queued captures on the per-item count lists used by ItemsList.
+ * Queued edits replace the server value; queued inserts are appended.
+ */
+export function mergePendingCounts(countsByItem, entries = []) {
+  const merged = { ...countsByItem };
+  entries.forEach((entry) => {
+    const pendingCount = {
+      id: entry.countId || entry.clientId,
+      clientId: entry.clientId,
+      location: entry.locationName,
+      countedQty: entry.countedQty,
+      calculation: entry.calculation,
+      breakdown: entry.breakdown ?? null,
+      timestamp: entry.capturedAt,
+      pending: true,
+    };
+    const list = merged[entry.itemId] || [];
+    merged[entry.itemId] = entry.countId && list.some((count) => count.id === entry.countId)
+      ? list.map((count) => (count.id === entry.countId ? { ...count, ...pendingCount } : count))
+      : [...list, pendingCount];
+  });
+  return merged;
+}
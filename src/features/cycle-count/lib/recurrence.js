@@ -0,0 +1,258 @@
+import { localDateOf } from './sessionClone';
+
+// Rules a recurring template's recurring_config can hold. The database
+// applies the same rules in recurrence_rule_matches() and recurrence_dates()
+// (database/recurrence_rules_migration.sql).
+export const RECURRENCE_TYPE = Object.freeze({
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  MONTHLY_WEEKDAY: 'monthly_weekday',
+  MONTHLY_WORKING_DAY: 'monthly_working_day',
+});
+
+export const RECURRENCE_TYPE_LABELS = Object.freeze({
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly on dates',
+  monthly_weekday: 'Monthly on a weekday (e.g. first Monday)',
+  monthly_working_day: 'Monthly on a working day (e.g. last working day)',
+});
+
+const INTERVAL_UNITS = { daily: 'day', weekly: 'week', monthly: 'month', monthly_weekday: 'month', monthly_working_day: 'month' };
+
+export const HOLIDAY_RULE = Object.freeze({
+  SKIP: 'skip',
+  PREVIOUS: 'previous',
+  NEXT: 'next',
+});
+
+export const HOLIDAY_RULE_LABELS = Object.freeze({
+  skip: 'Skip the session',
+  previous: 'Move to the previous working day',
+  next: 'Move to the next working day',
+});
+
+export const HOLIDAY_KIND = Object.freeze({
+  PUBLIC_HOLIDAY: 'public_holiday',
+  SHUTDOWN: 'shutdown',
+  OTHER: 'other',
+});
+
+export const HOLIDAY_KIND_LABELS = Object.freeze({
+  public_holiday: 'Public holiday',
+  shutdown: 'Plant shutdown',
+  other: 'Other non-working day',
+});
+
+export const ORDINAL_LABELS = Object.freeze({ 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', [-1]: 'last' });
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+// How far an occurrence may move to reach a working day.
+export const SHIFT_LIMIT_DAYS = 31;
+const MAX_INTERVAL = 99;
+
+// Calendar days are YYYY-MM-DD strings; the arithmetic runs in UTC so
+// daylight saving never skips or repeats a day.
+const toUtc = (isoDate) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+export const addDays = (isoDate, days) => {
+  const date = toUtc(isoDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+export const weekdayOf = (isoDate) => toUtc(isoDate).getUTCDay();
+
+const daysBetween = (from, to) => Math.round((toUtc(to) - toUtc(from)) / 86400000);
+const weekStart = (isoDate) => addDays(isoDate, -weekdayOf(isoDate));
+const monthIndex = (isoDate) => Number(isoDate.slice(0, 4)) * 12 + Number(isoDate.slice(5, 7)) - 1;
+const dayOfMonth = (isoDate) => Number(isoDate.slice(8, 10));
+const sameMonth = (a, b) => a.slice(0, 7) === b.slice(0, 7);
+const numbers = (values) => (values ?? []).map(Number);
+
+export const recurrenceInterval = (config) => Math.max(1, Math.floor(Number(config?.interval) || 1));
+
+/** Day the template's intervals count from: its start date, else the day it was created. */
+export function recurrenceAnchor(template) {
+  if (template?.recurring_config?.start_date) return template.recurring_config.start_date;
+  if (template?.created_date) return localDateOf(template.created_date);
+  return null;
+}
+
+export const isHoliday = (isoDate, holidays = []) => holidays.some((holiday) => isoDate >= holiday.starts_on && isoDate <= holiday.ends_on);
+
+/**
+ * Holidays and shutdowns are non-working for every template; a template
+ * with working_days also treats the other weekdays as non-working.
+ * Templates saved before working_days existed work every weekday.
+ */
+export function isNonWorkingDay(config, isoDate, holidays = []) {
+  if (Array.isArray(config?.working_days) && !numbers(config.working_days).includes(weekdayOf(isoDate))) return true;
+  return isHoliday(isoDate, holidays);
+}
+
+/** Whether the rule falls on the day, before holidays are applied. */
+export function ruleMatches(config, isoDate, { anchor = null, holidays = [] } = {}) {
+  if (anchor && isoDate < anchor) return false;
+  const base = anchor ?? isoDate;
+  const every = recurrenceInterval(config);
+  const monthDue = (monthIndex(isoDate) - monthIndex(base)) % every === 0;
+
+  switch (config?.type) {
+    case RECURRENCE_TYPE.DAILY:
+      return daysBetween(base, isoDate) % every === 0;
+    case RECURRENCE_TYPE.WEEKLY:
+      return numbers(config.days).includes(weekdayOf(isoDate))
+        && (daysBetween(weekStart(base), weekStart(isoDate)) / 7) % every === 0;
+    case RECURRENCE_TYPE.MONTHLY:
+      return monthDue && numbers(config.dates).includes(dayOfMonth(isoDate));
+    case RECURRENCE_TYPE.MONTHLY_WEEKDAY: {
+      if (!monthDue || weekdayOf(isoDate) !== Number(config.weekday)) return false;
+      const week = Number(config.week);
+      if (week === -1) return !sameMonth(addDays(isoDate, 7), isoDate);
+      return Math.floor((dayOfMonth(isoDate) - 1) / 7) + 1 === week;
+    }
+    case RECURRENCE_TYPE.MONTHLY_WORKING_DAY: {
+      if (!monthDue || isNonWorkingDay(config, isoDate, holidays)) return false;
+      const position = Number(config.working_day);
+      if (position === -1) {
+        for (let day = addDays(isoDate, 1); sameMonth(day, isoDate); day = addDays(day, 1)) {
+          if (!isNonWorkingDay(config, day, holidays)) return false;
+        }
+        return true;
+      }
+      let count = 0;
+      for (let day = `${isoDate.slice(0, 7)}-01`; day <= isoDate; day = addDays(day, 1)) {
+        if (!isNonWorkingDay(config, day, holidays)) count += 1;
+      }
+      return count === position;
+    }
+    default:
+      return false;
+  }
+}
+
+function shiftToWorkingDay(config, isoDate, step, holidays) {
+  for (let offset = 1; offset <= SHIFT_LIMIT_DAYS; offset += 1) {
+    const day = addDays(isoDate, step * offset);
+    if (!isNonWorkingDay(config, day, holidays)) return day;
+  }
+  return null;
+}
+
+/**
+ * Days from `from` to `to` the template generates a session on. An
+ * occurrence on a non-working day is skipped or moved to the nearest
+ * working day as config.holidays says; when two occurrences land on the
+ * same day only one session is generated. Returns [{ date, occurrence,
+ * shifted }] in date order.
+ */
+export function expandRecurrence(config, { anchor = null, from, to, holidays = [] }) {
+  const rule = config?.holidays ?? HOLIDAY_RULE.SKIP;
+  const byDate = new Map();
+  for (let day = addDays(from, -SHIFT_LIMIT_DAYS); day <= addDays(to, SHIFT_LIMIT_DAYS); day = addDays(day, 1)) {
+    if (!ruleMatches(config, day, { anchor, holidays })) continue;
+    let date = day;
+    if (isNonWorkingDay(config, day, holidays)) {
+      date = rule === HOLIDAY_RULE.SKIP ? null : shiftToWorkingDay(config, day, rule === HOLIDAY_RULE.PREVIOUS ? -1 : 1, holidays);
+    }
+    // A day the rule gives itself wins over an occurrence moved onto it
+    if (date && date >= from && date <= to && (!byDate.has(date) || date === day)) {
+      byDate.set(date, { date, occurrence: day, shifted: date !== day });
+    }
+  }
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** Sessions the rule generates in a year, before holidays; mirrors public.abc_occurrences_per_year. */
+export function occurrencesPerYear(config) {
+  const perYear = {
+    daily: 365,
+    weekly: 52 * (config?.days?.length ?? 0),
+    monthly: 12 * (config?.dates?.length ?? 0),
+    monthly_weekday: 12,
+    monthly_working_day: 12,
+  }[config?.type] ?? 0;
+  return Math.round(perYear / recurrenceInterval(config));
+}
+
+/** Reason the rule cannot be saved, or null. */
+export function validateRecurrence(config) {
+  if (!Object.values(RECURRENCE_TYPE).includes(config?.type)) return 'Choose a recurrence pattern';
+  const interval = Number(config.interval ?? 1);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) return `Repeat every must be a whole number from 1 to ${MAX_INTERVAL}`;
+  if (config.type === RECURRENCE_TYPE.WEEKLY && !config.days?.length) return 'Please select at least one day';
+  if (config.type === RECURRENCE_TYPE.MONTHLY && !config.dates?.length) return 'Please select at least one date';
+  if (config.type === RECURRENCE_TYPE.MONTHLY_WEEKDAY) {
+    if (!ALL_DAYS.includes(Number(config.weekday))) return 'Choose the weekday';
+    if (![1, 2, 3, 4, -1].includes(Number(config.week))) return 'Choose which week of the month';
+  }
+  if (config.type === RECURRENCE_TYPE.MONTHLY_WORKING_DAY && ![1, 2, 3, 4, 5, -1].includes(Number(config.working_day))) {
+    return 'Choose which working day of the month';
+  }
+  if (Array.isArray(config.working_days) && config.working_days.length === 0) return 'Select at least one working day';
+  if (config.holidays && !Object.values(HOLIDAY_RULE).includes(config.holidays)) return 'Choose what happens on holidays';
+  if (config.start_date && !/^\d{4}-\d{2}-\d{2}$/.test(config.start_date)) return 'Start date is not valid';
+  return null;
+}
+
+/** Editable form of a stored config, with defaults for anything it lacks. */
+export function normalizeRecurrence(config, fallbackStart) {
+  return {
+    type: config?.type ?? RECURRENCE_TYPE.DAILY,
+    interval: config?.interval ?? 1,
+    days: config?.days ?? [],
+    dates: config?.dates ?? [],
+    week: config?.week ?? 1,
+    weekday: config?.weekday ?? 1,
+    working_day: config?.working_day ?? -1,
+    // Templates saved before working days existed ran every day of the week
+    working_days: config?.working_days ?? (config ? ALL_DAYS : DEFAULT_WORKING_DAYS),
+    holidays: config?.holidays ?? HOLIDAY_RULE.SKIP,
+    start_date: config?.start_date ?? fallbackStart,
+  };
+}
+
+/** The config to store: only the fields the chosen pattern uses. */
+export function buildRecurrenceConfig(form) {
+  const config = { type: form.type };
+  if (form.type === RECURRENCE_TYPE.WEEKLY) config.days = numbers(form.days);
+  if (form.type === RECURRENCE_TYPE.MONTHLY) config.dates = numbers(form.dates);
+  if (form.type === RECURRENCE_TYPE.MONTHLY_WEEKDAY) {
+    config.week = Number(form.week);
+    config.weekday = Number(form.weekday);
+  }
+  if (form.type === RECURRENCE_TYPE.MONTHLY_WORKING_DAY) config.working_day = Number(form.working_day);
+  if (recurrenceInterval(form) > 1) config.interval = recurrenceInterval(form);
+  config.working_days = numbers(form.working_days).sort((a, b) => a - b);
+  config.holidays = form.holidays;
+  if (form.start_date) config.start_date = form.start_date;
+  return config;
+}
+
+const SHORT_DAYS = WEEKDAY_NAMES.map((name) => name.slice(0, 3));
+
+/** One-line summary such as "Every 2 weeks on Mon, Thu · holidays skipped". */
+export function describeRecurrence(config) {
+  if (!config?.type) return '';
+  const every = recurrenceInterval(config);
+  const unit = INTERVAL_UNITS[config.type] ?? 'day';
+  const cadence = every > 1 ? `Every ${every} ${unit}s` : { day: 'Daily', week: 'Weekly', month: 'Monthly' }[unit];
+  let detail = '';
+  if (config.type === RECURRENCE_TYPE.WEEKLY) detail = ` on ${numbers(config.days).map((day) => SHORT_DAYS[day]).join(', ')}`;
+  if (config.type === RECURRENCE_TYPE.MONTHLY) detail = ` on day ${numbers(config.dates).join(', ')}`;
+  if (config.type === RECURRENCE_TYPE.MONTHLY_WEEKDAY) detail = ` on the ${ORDINAL_LABELS[config.week]} ${WEEKDAY_NAMES[config.weekday]}`;
+  if (config.type === RECURRENCE_TYPE.MONTHLY_WORKING_DAY) detail = ` on the ${ORDINAL_LABELS[config.working_day]} working day`;
+  const holidays = {
+    skip: 'holidays skipped',
+    previous: 'holidays move to the previous working day',
+    next: 'holidays move to the next working day',
+  }[config.holidays ?? HOLIDAY_RULE.SKIP];
+  return `${cadence}${detail} · ${holidays}`;
+}
@@ -0,0 +1,28 @@
+let audioContext = null;
+
+const beep = (frequency, duration) => {
+  const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+  if (!AudioContextClass) return;
+  audioContext ||= new AudioContextClass();
+  const oscillator = audioContext.createOscillator();
+  const gain = audioContext.createGain();
+  oscillator.frequency.value = frequency;
+  gain.gain.value = 0.2;
+  oscillator.connect(gain);
+  gain.connect(audioContext.destination);
+  oscillator.start();
+  oscillator.stop(audioContext.currentTime + duration / 1000);
+};
+
+/**
+ * Short beep and vibration so counters can keep their eyes on the shelf:
+ * one high beep for a counted scan, a low double buzz for a rejected one.
+ */
+export function signalScan(accepted) {
+  try {
+    beep(accepted ? 1200 : 300, accepted ? 80 : 250);
+  } catch {
+    // Audio may be blocked until the page gets a user gesture
+  }
+  globalThis.navigator?.vibrate?.(accepted ? 60 : [120, 80, 120]);
+}
@@ -0,0 +1,69 @@
+import { buildUnitBreakdown, getItemUnits } from './unitConversion';
+import { DEFAULT_BARCODE_RULES, resolveScannedCode } from '../../barcode-rules/lib/barcodeRules';
+
+export const SCAN_STEP = Object.freeze({
+  EACH: 'each',
+  PACK: 'pack',
+});
+
+const normalizeCode = (code) => String(code ?? '').trim().toUpperCase();
+
+/** The session item a raw scan belongs to under the barcode rules. */
+export function findScannedItem(items = [], code, rules = DEFAULT_BARCODE_RULES) {
+  return resolveScannedCode(code, items, rules).item;
+}
+
+/** Unit one scan adds: the base UOM, or the item's smallest pack when stepping by pack. */
+export function getScanUnit(item, step = SCAN_STEP.EACH) {
+  const units = getItemUnits(item);
+  const base = units[units.length - 1];
+  if (step !== SCAN_STEP.PACK) return base;
+  return units.filter((unit) => unit.factor > 1).pop() ?? base;
+}
+
+export function createScan(item, code, step, at = Date.now()) {
+  const { unit, factor } = getScanUnit(item, step);
+  return { itemId: item.id, code: normalizeCode(code), unit, factor, at };
+}
+
+/**
+ * Per-item totals of the scans, most recently scanned first. `entry` is the
+ * unit breakdown and calculation the count is saved with.
+ */
+export function summarizeTally(scans = [], items = []) {
+  const lines = new Map();
+  scans.forEach((scan, index) => {
+    const line = lines.get(scan.itemId) ?? { itemId: scan.itemId, scans: 0, quantities: {}, lastIndex: index };
+    line.scans += 1;
+    line.quantities[scan.unit] = (line.quantities[scan.unit] ?? 0) + 1;
+    line.lastIndex = index;
+    lines.set(scan.itemId, line);
+  });
+  return [...lines.values()]
+    .sort((a, b) => b.lastIndex - a.lastIndex)
+    .map(({ lastIndex, ...line }) => {
+      const item = items.find((candidate) => candidate.id === line.itemId) ?? null;
+      const entry = buildUnitBreakdown(getItemUnits(item), line.quantities);
+      return { ...line, item, entry };
+    });
+}
+
+export const tallyStorageKey = (sessionId, userId) => `scanTally_${sessionId}_${userId}`;
+
+export function loadTally(storage, key) {
+  try {
+    const saved = JSON.parse(storage?.getItem(key) ?? 'null');
+    return saved && Array.isArray(saved.scans) ? { location: saved.location ?? '', scans: saved.scans } : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveTally(storage, key, tally) {
+  try {
+    if (tally.scans.length === 0) storage?.removeItem(key);
+    else storage?.setItem(key, JSON.stringify(tally));
+  } catch {
+    // A full or blocked storage only costs the reload safety net
+  }
+}
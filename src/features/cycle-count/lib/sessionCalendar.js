@@ -0,0 +1,96 @@
+import { addDays, expandRecurrence, recurrenceAnchor, weekdayOf } from './recurrence';
+import { localDateOf } from './sessionClone';
+
+export const CALENDAR_VIEW = Object.freeze({
+  MONTH: 'month',
+  WEEK: 'week',
+});
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const SESSION_STATUS_STYLES = Object.freeze({
+  draft: 'bg-gray-100 text-gray-800 border-gray-300',
+  scheduled: 'bg-yellow-100 text-yellow-800 border-yellow-300',
+  active: 'bg-green-100 text-green-800 border-green-300',
+  completed: 'bg-blue-100 text-blue-800 border-blue-300',
+  closed: 'bg-red-100 text-red-800 border-red-300',
+  cancelled: 'bg-gray-200 text-gray-500 border-gray-300 line-through',
+});
+
+const MOVABLE_STATUSES = ['draft', 'scheduled'];
+
+/** First and last day shown for the anchor day: whole weeks from Sunday. */
+export function calendarRange(anchor, view) {
+  if (view === CALENDAR_VIEW.WEEK) {
+    const start = addDays(anchor, -weekdayOf(anchor));
+    return { start, end: addDays(start, 6) };
+  }
+  const first = `${anchor.slice(0, 7)}-01`;
+  const start = addDays(first, -weekdayOf(first));
+  return { start, end: addDays(start, 41) };
+}
+
+/** The shown days in rows of seven. */
+export function calendarWeeks(anchor, view) {
+  const { start, end } = calendarRange(anchor, view);
+  const weeks = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    if (weekdayOf(day) === 0) weeks.push([]);
+    weeks[weeks.length - 1].push(day);
+  }
+  return weeks;
+}
+
+/** Anchor day one month or week before or after. */
+export function stepAnchor(anchor, view, direction) {
+  if (view === CALENDAR_VIEW.WEEK) return addDays(anchor, 7 * direction);
+  const date = new Date(`${anchor.slice(0, 7)}-01T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + direction);
+  return date.toISOString().split('T')[0];
+}
+
+/** Day a session sits on in the calendar, or null for templates and undated sessions. */
+export function calendarDateOf(session) {
+  if (session?.is_recurring_template) return null;
+  if (session?.scheduled_date) return session.scheduled_date;
+  if (session?.valid_from) return localDateOf(session.valid_from);
+  return null;
+}
+
+export const canMoveSession = (session, today) => Boolean(
+  session
+  && !session.is_recurring_template
+  && MOVABLE_STATUSES.includes(session.status)
+  && calendarDateOf(session)
+  && calendarDateOf(session) >= today,
+);
+
+/** Sessions grouped by calendar day, each day ordered by start time. */
+export function groupSessionsByDay(sessions = []) {
+  const days = {};
+  sessions.forEach((session) => {
+    const day = calendarDateOf(session);
+    if (day) (days[day] ??= []).push(session);
+  });
+  Object.values(days).forEach((list) => list.sort((a, b) => String(a.valid_from ?? '').localeCompare(String(b.valid_from ?? ''))));
+  return days;
+}
+
+/**
+ * Days from today on, within start..end, the template will still generate a
+ * session for, after holidays: the days its rule gives that are not in
+ * generatedDates (the days it already generated, wherever those sessions
+ * were moved since).
+ */
+export function projectTemplateDates(template, { start, end, today, generatedDates = [], holidays = [] }) {
+  if (!template?.recurring_config) return [];
+  const done = new Set(generatedDates);
+  return expandRecurrence(template.recurring_config, {
+    anchor: recurrenceAnchor(template),
+    from: start > today ? start : today,
+    to: end,
+    holidays,
+  })
+    .map((occurrence) => occurrence.date)
+    .filter((day) => !done.has(day));
+}
@@ -0,0 +1,75 @@
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const pad = (value) => String(value).padStart(2, '0');
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export function localDateOf(value) {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** The day a session counts on: its scheduled date, else the start of its window, else its creation day. */
+export function sessionDate(session) {
+  if (session?.scheduled_date) return session.scheduled_date;
+  if (session?.valid_from) return localDateOf(session.valid_from);
+  if (session?.created_date) return localDateOf(session.created_date);
+  return null;
+}
+
+/** YYYY-MM-DD plus whole months, clamped to the last day of a shorter month. */
+export function addMonths(isoDate, months) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  return `${target.getUTCFullYear()}-${pad(target.getUTCMonth() + 1)}-${pad(Math.min(day, lastDay))}`;
+}
+
+const daysBetween = (fromIso, toIso) => Math.round((Date.parse(`${toIso}T00:00:00Z`) - Date.parse(`${fromIso}T00:00:00Z`)) / 86400000);
+
+/**
+ * Moves a session's time window to another day, keeping its local start and
+ * end times and its length. Returns ISO timestamps, or nulls when the
+ * session has no window.
+ */
+export function shiftSessionWindow(session, toDate) {
+  if (!session?.valid_from || !session?.valid_until || !toDate) return { validFrom: null, validUntil: null };
+  const days = daysBetween(localDateOf(session.valid_from), toDate);
+  const shift = (value) => {
+    const date = new Date(value);
+    date.setDate(date.getDate() + days);
+    return date.toISOString();
+  };
+  return { validFrom: shift(session.valid_from), validUntil: shift(session.valid_until) };
+}
+
+// Date spellings a session name may carry, most specific first.
+const datePatterns = (isoDate) => {
+  const [year, month, day] = isoDate.split('-');
+  const monthName = MONTHS[Number(month) - 1];
+  return [
+    { key: 'ymd', text: `${year}-${month}-${day}` },
+    { key: 'dmy', text: `${day}/${month}/${year}` },
+    { key: 'ym', text: `${year}-${month}` },
+    { key: 'my', text: `${month}/${year}` },
+    { key: 'long', text: `${monthName} ${year}` },
+    { key: 'short', text: `${monthName.slice(0, 3)} ${year}` },
+  ];
+};
+
+/**
+ * Name for a copy of a session moved from one day to another. Dates and
+ * month-year labels of the source day in the name (2026-09-15, 15/09/2026,
+ * 09/2026, September 2026, Sep 2026) are rewritten for the new day;
+ * otherwise " (Copy)" is appended.
+ */
+export function suggestCloneName(name, fromDate, toDate) {
+  const source = String(name ?? '').trim();
+  if (fromDate && toDate) {
+    const targets = Object.fromEntries(datePatterns(toDate).map((pattern) => [pattern.key, pattern.text]));
+    let renamed = source;
+    for (const pattern of datePatterns(fromDate)) {
+      renamed = renamed.replace(new RegExp(`(^|[^\\w/-])${escapeRegex(pattern.text)}(?![\\w/-])`, 'gi'), (match, lead) => `${lead}${targets[pattern.key]}`);
+    }
+    if (renamed !== source) return renamed;
+  }
+  return `${source} (Copy)`;
+}
@@ -0,0 +1,102 @@
+const HOUR = 60 * 60 * 1000;
+
+const percentOf = (part, total) => (total > 0 ? Math.round((part / total) * 100) : 0);
+
+const countedItemIds = (counts) => new Set(counts.map((count) => count.item_id));
+
+export function summarizeSessionProgress(items = [], counts = []) {
+  const counted = countedItemIds(counts);
+  const countedItems = items.filter((item) => counted.has(item.id)).length;
+  return {
+    totalItems: items.length,
+    countedItems,
+    remainingItems: items.length - countedItems,
+    percent: percentOf(countedItems, items.length),
+    countRows: counts.length,
+  };
+}
+
+/** Items counted vs total per item category, categories sorted by name. */
+export function progressByCategory(items = [], counts = []) {
+  const counted = countedItemIds(counts);
+  const categories = new Map();
+  items.forEach((item) => {
+    const name = item.category || 'Uncategorized';
+    const row = categories.get(name) ?? { category: name, total: 0, counted: 0 };
+    row.total += 1;
+    if (counted.has(item.id)) row.counted += 1;
+    categories.set(name, row);
+  });
+  return [...categories.values()]
+    .map((row) => ({ ...row, percent: percentOf(row.counted, row.total) }))
+    .sort((a, b) => a.category.localeCompare(b.category));
+}
+
+/**
+ * One row per session counter (also those who have not counted yet) plus
+ * anyone else who counted, most active first.
+ */
+export function progressByCounter(counters = [], counts = []) {
+  const rows = new Map(counters.map((counter) => [counter.id, {
+    userId: counter.id,
+    name: counter.name || counter.username || 'Unknown',
+    countRows: 0,
+    items: new Set(),
+    lastCountAt: null,
+  }]));
+  counts.forEach((count) => {
+    const row = rows.get(count.user_id) ?? {
+      userId: count.user_id, name: 'Other user', countRows: 0, items: new Set(), lastCountAt: null,
+    };
+    row.countRows += 1;
+    row.items.add(count.item_id);
+    if (count.timestamp && (!row.lastCountAt || count.timestamp > row.lastCountAt)) row.lastCountAt = count.timestamp;
+    rows.set(count.user_id, row);
+  });
+  return [...rows.values()]
+    .map(({ items, ...row }) => ({ ...row, itemCount: items.size }))
+    .sort((a, b) => b.countRows - a.countRows || a.name.localeCompare(b.name));
+}
+
+/**
+ * Count rows per clock hour for the last `hours` hours up to and including
+ * the current one, oldest first.
+ */
+export function countsPerHour(counts = [], { now = new Date(), hours = 12 } = {}) {
+  const currentHour = new Date(now);
+  currentHour.setMinutes(0, 0, 0);
+  const buckets = Array.from({ length: hours }, (_, index) => {
+    const start = new Date(currentHour.getTime() - (hours - 1 - index) * HOUR);
+    return {
+      start: start.toISOString(),
+      label: `${String(start.getHours()).padStart(2, '0')}:00`,
+      count: 0,
+    };
+  });
+  const first = currentHour.getTime() - (hours - 1) * HOUR;
+  counts.forEach((count) => {
+    const time = new Date(count.timestamp).getTime();
+    if (!Number.isFinite(time) || time < first || time >= currentHour.getTime() + HOUR) return;
+    buckets[Math.floor((time - first) / HOUR)].count += 1;
+  });
+  return buckets;
+}
+
+export function listUncountedItems(items = [], counts = []) {
+  const counted = countedItemIds(counts);
+  return items
+    .filter((item) => !counted.has(item.id))
+    .sort((a, b) => String(a.sku ?? '').localeCompare(String(b.sku ?? '')));
+}
+
+/** Applies a counts postgres_changes payload to the dashboard's count rows. */
+export function applyCountChange(counts = [], { eventType, new: newRecord, old: oldRecord } = {}) {
+  if (eventType === 'DELETE') {
+    return counts.filter((count) => count.id !== oldRecord?.id);
+  }
+  if (!newRecord?.id) return counts;
+  const exists = counts.some((count) => count.id === newRecord.id);
+  return exists
+    ? counts.map((count) => (count.id === newRecord.id ? { ...count, ...newRecord } : count))
+    : [...counts, newRecord];
+}
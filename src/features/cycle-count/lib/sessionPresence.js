@@ -0,0 +1,45 @@
+const sameName = (a, b) => String(a ?? '').trim().toUpperCase() === String(b ?? '').trim().toUpperCase();
+
+/**
+ * Flattens a Supabase presence state ({ key: [meta, ...] }) into one entry
+ * per connected client, leaving out this client.
+ */
+export function listPresencePeers(state = {}, ownClientId) {
+  return Object.values(state)
+    .flat()
+    .filter((meta) => meta?.clientId && meta.clientId !== ownClientId);
+}
+
+/** Other users with this item's count editor open, one entry per user. */
+export function getItemViewers(peers = [], itemId) {
+  const viewers = new Map();
+  peers
+    .filter((peer) => itemId && peer.itemId === itemId)
+    .forEach((peer) => viewers.set(peer.userId, peer));
+  return [...viewers.values()];
+}
+
+/** Other users counting the same item at the same location. */
+export function findCountConflicts(peers = [], { itemId, location, userId }) {
+  if (!itemId || !location) return [];
+  return getItemViewers(peers, itemId)
+    .filter((peer) => peer.userId !== userId && sameName(peer.location, location));
+}
+
+/** Admin view: one row per online user, with their most recent activity. */
+export function summarizeOnlineUsers(peers = []) {
+  const users = new Map();
+  peers.forEach((peer) => {
+    const current = users.get(peer.userId);
+    const devices = (current?.devices ?? 0) + 1;
+    const newer = !current || String(peer.updatedAt ?? '') >= String(current.updatedAt ?? '');
+    users.set(peer.userId, { ...(newer ? peer : current), devices });
+  });
+  return [...users.values()].sort((a, b) => String(a.name ?? '').localeCompare(String(b.name ?? '')));
+}
+
+export function getInitials(name) {
+  const words = String(name ?? '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return '?';
+  return words.slice(0, 2).map((word) => word[0].toUpperCase()).join('');
+}
@@ -0,0 +1,79 @@
+export const REVIEW_REASONS = Object.freeze([
+  { value: 'COUNTING_ERROR', label: 'Counting error' },
+  { value: 'DAMAGED', label: 'Damaged' },
+  { value: 'EXPIRED', label: 'Expired' },
+  { value: 'MISPLACED', label: 'Misplaced' },
+  { value: 'UNRECORDED_RECEIPT', label: 'Unrecorded receipt' },
+  { value: 'UNRECORDED_ISSUE', label: 'Unrecorded issue' },
+  { value: 'THEFT', label: 'Theft' },
+  { value: 'OTHER', label: 'Other' },
+]);
+
+const FIFO_LOCATION_PATTERN = /^[A-Z]+[0-9]+\.[0-9]+$/;
+
+const toNumber = (value) => (value == null ? null : Number(value));
+const isRawMaterial = (item) => String(item?.category ?? '').trim().toLowerCase() === 'raw material';
+
+/**
+ * Joins variance report rows with the saved review lines. Once a session is
+ * approved the frozen line figures replace the live ones. Items nobody
+ * counted are never adjusted, matching session_review_totals() in
+ * database/session_review_migration.sql.
+ */
+export function buildReviewLines(report = [], savedLines = [], { approved = false } = {}) {
+  return report.map((row) => {
+    const saved = savedLines.find((line) => line.item_id === row.item.id) ?? {};
+    const isCounted = row.recount?.status === 'RESOLVED' || row.countCount > 0;
+    const figures = approved
+      ? { countedQty: toNumber(saved.counted_qty), bookQty: toNumber(saved.book_qty), variance: toNumber(saved.variance) }
+      : { countedQty: isCounted ? row.countedQty : null, bookQty: row.bookQty, variance: isCounted ? row.variance : null };
+    const needsReason = figures.variance != null && figures.variance !== 0;
+    return {
+      item: row.item,
+      isCounted,
+      isRawMaterial: isRawMaterial(row.item),
+      ...figures,
+      needsReason,
+      postsAdjustment: needsReason && isRawMaterial(row.item),
+      reasonCode: saved.reason_code ?? '',
+      notes: saved.notes ?? '',
+      adjustLocation: saved.adjust_location ?? '',
+      fifoTransactionId: saved.fifo_transaction_id ?? null,
+    };
+  });
+}
+
+/** Reasons the session cannot be approved yet, as display messages. */
+export function getReviewBlockers(lines = [], recounts = []) {
+  const blockers = [];
+  const openRecounts = recounts.filter((recount) => recount.status !== 'RESOLVED').length;
+  if (openRecounts > 0) blockers.push(`${openRecounts} recount(s) are not resolved.`);
+  const missingBook = lines.filter((line) => line.isRawMaterial && line.isCounted && line.bookQty == null).length;
+  if (missingBook > 0) blockers.push(`${missingBook} Raw Material item(s) have no FIFO snapshot.`);
+  const missingReason = lines.filter((line) => line.needsReason && !line.reasonCode).length;
+  if (missingReason > 0) blockers.push(`${missingReason} item(s) with a variance need a reason code.`);
+  const badLocation = lines.filter((line) => line.adjustLocation && !FIFO_LOCATION_PATTERN.test(line.adjustLocation.trim().toUpperCase())).length;
+  if (badLocation > 0) blockers.push(`${badLocation} adjustment location(s) are not FIFO locations such as A1.1.`);
+  return blockers;
+}
+
+export function toReviewPayload(lines = []) {
+  return lines
+    .filter((line) => line.reasonCode || line.notes.trim() || line.adjustLocation.trim())
+    .map((line) => ({
+      item_id: line.item.id,
+      reason_code: line.reasonCode || null,
+      notes: line.notes.trim() || null,
+      adjust_location: line.adjustLocation.trim().toUpperCase() || null,
+    }));
+}
+
+export function summarizeReview(lines = []) {
+  const posting = lines.filter((line) => line.postsAdjustment);
+  return {
+    withVariance: lines.filter((line) => line.needsReason).length,
+    notCounted: lines.filter((line) => !line.isCounted).length,
+    gains: posting.filter((line) => line.variance > 0).length,
+    losses: posting.filter((line) => line.variance < 0).length,
+  };
+}
@@ -0,0 +1,28 @@
+const CLOSED_STATUSES = ['closed', 'completed', 'cancelled'];
+
+/**
+ * Returns why a count captured at `capturedAt` cannot be recorded for the
+ * session, or null when it can. The server applies the same rules in
+ * save_count_capture(), so a capture accepted here can still conflict later
+ * if the session changes before it syncs.
+ */
+export function getCaptureBlockReason(session, capturedAt = new Date()) {
+  if (!session) return null;
+  if (CLOSED_STATUSES.includes(session.status)) {
+    return `Cannot save count. Session is ${session.status}.`;
+  }
+  if (session.status === 'scheduled') {
+    return 'Cannot save count. Session is not yet active.';
+  }
+  if (session.valid_from && session.valid_until) {
+    const validFrom = new Date(session.valid_from);
+    const validUntil = new Date(session.valid_until);
+    if (capturedAt < validFrom) {
+      return `Session has not started yet. It will open at ${validFrom.toLocaleString()}`;
+    }
+    if (capturedAt > validUntil) {
+      return `Session has expired. It closed at ${validUntil.toLocaleString()}`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,78 @@
+const normalizeUnit = (unit) => String(unit ?? '').trim().toUpperCase();
+
+// Factors such as 0.1 would otherwise leave 2.9999999999999996 behind
+const roundQty = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Parses the admin text form "PALLET=40, BOX=10" into item unit
+ * conversions. Factors are base UOM per unit.
+ */
+export function parseUnitConversionText(text, baseUom = '') {
+  const conversions = [];
+  const parts = String(text ?? '').split(',').map((part) => part.trim()).filter(Boolean);
+  for (const part of parts) {
+    const match = part.match(/^([^=]+)=\s*([0-9]*\.?[0-9]+)$/);
+    if (!match) return { conversions: [], error: `"${part}" should look like BOX=10` };
+    const unit = normalizeUnit(match[1]);
+    const factor = Number(match[2]);
+    if (!(factor > 0)) return { conversions: [], error: `${unit} needs a factor above zero` };
+    if (unit === normalizeUnit(baseUom)) return { conversions: [], error: `${unit} is already the base UOM` };
+    if (conversions.some((conversion) => conversion.unit === unit)) {
+      return { conversions: [], error: `${unit} is listed twice` };
+    }
+    conversions.push({ unit, factor });
+  }
+  return { conversions, error: null };
+}
+
+export function formatUnitConversionText(conversions = []) {
+  return conversions.map((conversion) => `${conversion.unit}=${conversion.factor}`).join(', ');
+}
+
+/** Entry units for an item, largest first, ending with the base UOM. */
+export function getItemUnits(item) {
+  const baseUnit = normalizeUnit(item?.uom) || 'PCS';
+  const alternates = (Array.isArray(item?.unit_conversions) ? item.unit_conversions : [])
+    .map((conversion) => ({ unit: normalizeUnit(conversion.unit), factor: Number(conversion.factor) }))
+    .filter((conversion) => conversion.unit && conversion.unit !== baseUnit && conversion.factor > 0)
+    .sort((a, b) => b.factor - a.factor);
+  return [...alternates, { unit: baseUnit, factor: 1 }];
+}
+
+export const hasUnitConversions = (item) => getItemUnits(item).length > 1;
+
+export function formatBreakdown(breakdown = []) {
+  return (breakdown ?? []).map((entry) => `${entry.qty} ${entry.unit}`).join(' + ');
+}
+
+/**
+ * Converts per-unit quantities (keyed by unit, as typed) to the base UOM.
+ * `expression` is the equivalent calculator input, so the existing
+ * quantity field keeps working as the source of the saved count.
+ */
+export function buildUnitBreakdown(units = [], quantities = {}) {
+  const breakdown = [];
+  for (const { unit, factor } of units) {
+    const raw = String(quantities[unit] ?? '').trim();
+    if (!raw) continue;
+    const qty = Number(raw);
+    if (!Number.isFinite(qty) || qty < 0) {
+      return { breakdown: null, total: 0, expression: '', error: `${unit} quantity is not valid` };
+    }
+    if (qty > 0) breakdown.push({ unit, qty, factor });
+  }
+  if (breakdown.length === 0) return { breakdown: null, total: 0, expression: '', error: null };
+
+  const total = roundQty(breakdown.reduce((sum, entry) => sum + entry.qty * entry.factor, 0));
+  if (!Number.isInteger(total)) {
+    return { breakdown: null, total, expression: '', error: `${total} is not a whole number of base units` };
+  }
+  const expression = breakdown
+    .map((entry) => (entry.factor === 1 ? `${entry.qty}` : `${entry.qty}*${entry.factor}`))
+    .join('+');
+  return { breakdown, total, expression, error: null };
+}
+
+export function breakdownToQuantities(breakdown = []) {
+  return Object.fromEntries((breakdown ?? []).map((entry) => [entry.unit, String(entry.qty)]));
+}
@@ -0,0 +1,137 @@
+const round = (value) => Math.round(value * 10000) / 10000;
+const locationKey = (value) => String(value ?? '').trim().toUpperCase();
+
+/**
+ * Counted minus book. A zero book with a non-zero count has no meaningful
+ * percentage, so variancePct is null there; an unknown book leaves every
+ * variance field null.
+ */
+export function computeVariance(countedQty, bookQty) {
+  if (bookQty == null) {
+    return { countedQty, bookQty: null, variance: null, absVariance: null, variancePct: null };
+  }
+  const variance = round(countedQty - bookQty);
+  let variancePct = null;
+  if (bookQty !== 0) variancePct = round((variance / bookQty) * 100);
+  else if (variance === 0) variancePct = 0;
+  return { countedQty, bookQty, variance, absVariance: Math.abs(variance), variancePct };
+}
+
+const sumBy = (rows, field) => round(rows.reduce((total, row) => total + Number(row[field] ?? 0), 0));
+
+const countRound = (count) => count.count_round ?? 1;
+
+/**
+ * The quantity an item is reported and adjusted with: the admin's final
+ * value once its recount is resolved, otherwise the first-round total.
+ */
+export function resolveCountedQty(firstCountQty, recount) {
+  return recount?.status === 'RESOLVED' ? Number(recount.final_qty) : firstCountQty;
+}
+
+/**
+ * Final quantity of every counted item, keyed by item id, for exports that
+ * list the individual counts: the resolved recount value, otherwise the
+ * first-round total.
+ */
+export function finalQtyByItem(counts = [], recounts = []) {
+  const itemIds = new Set([
+    ...counts.map((count) => count.item_id),
+    ...recounts.filter((recount) => recount.status === 'RESOLVED').map((recount) => recount.item_id),
+  ]);
+  return Object.fromEntries([...itemIds].map((itemId) => {
+    const firstCounts = counts.filter((count) => count.item_id === itemId && countRound(count) === 1);
+    const recount = recounts.find((row) => row.item_id === itemId);
+    return [itemId, resolveCountedQty(sumBy(firstCounts, 'counted_qty'), recount)];
+  }));
+}
+
+/**
+ * Builds one row per session item with its per-location breakdown. Book
+ * quantities recorded without a location only apply to the item total, so
+ * its location rows then have no book quantity. Location rows follow the
+ * recount round when the recount was chosen as the final value.
+ */
+export function buildVarianceReport({ items = [], counts = [], bookQuantities = [], recounts = [] }) {
+  return items.map((item) => {
+    const recount = recounts.find((row) => row.item_id === item.id) ?? null;
+    const allCounts = counts.filter((count) => count.item_id === item.id);
+    const firstCounts = allCounts.filter((count) => countRound(count) === 1);
+    const recountCounts = allCounts.filter((count) => countRound(count) === 2);
+    const itemCounts = recount?.final_source === 'RECOUNT' ? recountCounts : firstCounts;
+    const firstCountQty = sumBy(firstCounts, 'counted_qty');
+    const itemBook = bookQuantities.filter((book) => book.item_id === item.id);
+    const hasBook = itemBook.length > 0;
+    const hasLocationBook = itemBook.some((book) => book.location_name);
+
+    const locations = new Map();
+    const locationRow = (name) => {
+      const key = locationKey(name);
+      if (!locations.has(key)) locations.set(key, { location: name, counted: [], book: [] });
+      return locations.get(key);
+    };
+    itemCounts.forEach((count) => locationRow(count.location_name).counted.push(count));
+    itemBook.filter((book) => book.location_name).forEach((book) => locationRow(book.location_name).book.push(book));
+
+    return {
+      item,
+      ...computeVariance(resolveCountedQty(firstCountQty, recount), hasBook ? sumBy(itemBook, 'book_qty') : null),
+      countCount: itemCounts.length,
+      source: itemBook[0]?.source ?? null,
+      firstCountQty,
+      recountQty: recountCounts.length > 0 ? sumBy(recountCounts, 'counted_qty') : null,
+      recount,
+      locations: [...locations.values()]
+        .sort((a, b) => String(a.location).localeCompare(String(b.location)))
+        .map((row) => ({
+          location: row.location,
+          ...computeVariance(sumBy(row.counted, 'counted_qty'), hasLocationBook ? sumBy(row.book, 'book_qty') : null),
+        })),
+    };
+  });
+}
+
+export function summarizeVariance(rows = []) {
+  const withBook = rows.filter((row) => row.bookQty != null);
+  return {
+    itemCount: rows.length,
+    missingBook: rows.length - withBook.length,
+    withVariance: withBook.filter((row) => row.variance !== 0).length,
+    netVariance: sumBy(withBook, 'variance'),
+    absVariance: sumBy(withBook, 'absVariance'),
+  };
+}
+
+const blank = (value) => (value == null ? '' : value);
+
+export function toVarianceExportRows(rows = []) {
+  const base = (row) => ({
+    SKU: row.item.sku ?? '',
+    'Item Code': row.item.item_code ?? '',
+    'Item Name': row.item.item_name ?? '',
+    UOM: row.item.uom ?? '',
+  });
+  const figures = (row) => ({
+    'Counted Qty': row.countedQty,
+    'Book Qty': blank(row.bookQty),
+    Variance: blank(row.variance),
+    'Abs Variance': blank(row.absVariance),
+    'Variance %': blank(row.variancePct),
+  });
+  return {
+    byItem: rows.map((row) => ({
+      ...base(row),
+      ...figures(row),
+      'Book Source': row.source ?? '',
+      'First Count': row.firstCountQty,
+      Recount: blank(row.recountQty),
+      'Recount Status': row.recount?.status ?? '',
+      'Final Source': row.recount?.final_source ?? '',
+    })),
+    byLocation: rows.flatMap((row) => row.locations.map((location) => ({
+      ...base(row),
+      Location: location.location,
+      ...figures(location),
+    }))),
+  };
+}
@@ -51,7 +51,8 @@ export async function fetchFifoTransactions(filters = {}) {
     allocations:material_fifo_allocations(
       id, quantity,
       lot:material_fifo_lots(id, location, received_date)
-    )
+    ),
+    source_session:sessions(id, name)
   `).order('created_at', { ascending: false }).limit(filters.limit ?? 500);
   if (filters.dateFrom) query = query.gte('transaction_date', filters.dateFrom);
   if (filters.dateTo) query = query.lte('transaction_date', filters.dateTo);
@@ -2,10 +2,9 @@ import React, { useRef, useState } from 'react';
 import MaterialSearchField from './MaterialSearchField';
 import { receiveMaterial } from '../api/materialFifoApi';
 import { localDateInput } from '../lib/dates';
+import { parseFifoQuantity } from '../lib/quantity';
 import { FieldLabel, inputClass, ModalFrame, primaryButtonClass, secondaryButtonClass } from './MaterialFifoUi';
 
-const validDecimal = (value) => /^\d+(\.\d{1,4})?$/.test(value) && Number(value) > 0;
-
 const FifoInboundModal = ({ materials, lotsByItem, onClose, refresh }) => {
   const [item, setItem] = useState(null);
   const [location, setLocation] = useState('');
@@ -16,19 +15,20 @@ const FifoInboundModal = ({ materials, lotsByItem, onClose, refresh }) => {
   const [success, setSuccess] = useState('');
   const [saving, setSaving] = useState(false);
   const requestId = useRef(null);
+  const parsedQuantity = parseFifoQuantity(quantity);
   const existingLocation = item && (lotsByItem[item.item_id] ?? []).some((lot) => lot.location.toUpperCase() === location.trim().toUpperCase());
 
   const submit = async (event) => {
     event.preventDefault(); setError(''); setSuccess('');
     if (!item) return setError('Pilih material terlebih dahulu.');
     if (!/^[A-Za-z]+[0-9]+\.[0-9]+$/.test(location.trim())) return setError('Gunakan format seperti A1.1.');
-    if (!validDecimal(quantity)) return setError('Qty harus positif dan maksimal 4 desimal.');
+    if (parsedQuantity.error) return setError(parsedQuantity.error);
     if (!date) return setError('Tanggal masuk wajib diisi.');
     if (!navigator.onLine) return setError('Transaksi membutuhkan koneksi internet.');
     requestId.current ||= crypto.randomUUID();
     setSaving(true);
     try {
-      const result = await receiveMaterial({ itemId: item.item_id, location: location.trim().toUpperCase(), quantity, receivedDate: date, notes, requestId: requestId.current });
+      const result = await receiveMaterial({ itemId: item.item_id, location: location.trim().toUpperCase(), quantity: parsedQuantity.quantity, receivedDate: date, notes, requestId: requestId.current });
       setSuccess(`Barang masuk tersimpan. Stok baru ${result.stock_after} ${item.uom}.`);
       await refresh(); requestId.current = null;
     } catch (failure) { setError(failure.message); }
@@ -42,7 +42,7 @@ const FifoInboundModal = ({ materials, lotsByItem, onClose, refresh }) => {
       <MaterialSearchField items={materials} value={item} onChange={setItem} label="Material masuk" />
       <div className="grid gap-3 sm:grid-cols-2">
         <FieldLabel label="Lokasi FIFO"><input aria-label="Lokasi FIFO" value={location} onChange={(event) => setLocation(event.target.value)} placeholder="A1.1" className={inputClass} /></FieldLabel>
-        <FieldLabel label="Qty"><input aria-label="Qty" value={quantity} onChange={(event) => setQuantity(event.target.value)} inputMode="decimal" className={inputClass} /></FieldLabel>
+        <FieldLabel label="Qty"><input aria-label="Qty" value={quantity} onChange={(event) => setQuantity(event.target.value)} placeholder="12 atau 2*12.5" className={inputClass} />{parsedQuantity.isFormula && parsedQuantity.quantity && <span className="mt-1 block text-slate-500">= {parsedQuantity.quantity} {item?.uom}</span>}</FieldLabel>
         <FieldLabel label="Tanggal masuk"><input aria-label="Tanggal masuk" type="date" value={date} onChange={(event) => setDate(event.target.value)} className={inputClass} /></FieldLabel>
         <FieldLabel label="Catatan"><input aria-label="Catatan" value={notes} onChange={(event) => setNotes(event.target.value)} className={inputClass} /></FieldLabel>
       </div>
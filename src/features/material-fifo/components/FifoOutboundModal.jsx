@@ -2,10 +2,9 @@ import React, { useEffect, useRef, useState } from 'react';
 import MaterialSearchField from './MaterialSearchField';
 import { issueMaterial, previewIssue } from '../api/materialFifoApi';
 import { localDateInput } from '../lib/dates';
+import { parseFifoQuantity } from '../lib/quantity';
 import { FieldLabel, inputClass, ModalFrame, secondaryButtonClass } from './MaterialFifoUi';
 
-const validDecimal = (value) => /^\d+(\.\d{1,4})?$/.test(value) && Number(value) > 0;
-
 const FifoOutboundModal = ({ materials, lotsByItem, onClose, refresh }) => {
   const [item, setItem] = useState(null); const [quantity, setQuantity] = useState('');
   const [method, setMethod] = useState('FIFO'); const [location, setLocation] = useState('');
@@ -13,8 +12,9 @@ const FifoOutboundModal = ({ materials, lotsByItem, onClose, refresh }) => {
   const [error, setError] = useState(''); const [saving, setSaving] = useState(false);
   const requestId = useRef(null);
   const locations = [...new Set((lotsByItem[item?.item_id] ?? []).filter((lot) => Number(lot.remaining_qty) > 0).map((lot) => lot.location))];
-  const input = () => ({ itemId: item?.item_id, quantity, issueMethod: method, location: method === 'MANUAL' ? location : '' });
-  const validate = () => { if (!item) return 'Pilih material terlebih dahulu.'; if (!validDecimal(quantity)) return 'Qty harus positif dan maksimal 4 desimal.'; if (method === 'MANUAL' && !location) return 'Pilih lokasi pengambilan.'; return ''; };
+  const parsedQuantity = parseFifoQuantity(quantity);
+  const input = () => ({ itemId: item?.item_id, quantity: parsedQuantity.quantity, issueMethod: method, location: method === 'MANUAL' ? location : '' });
+  const validate = () => { if (!item) return 'Pilih material terlebih dahulu.'; if (parsedQuantity.error) return parsedQuantity.error; if (method === 'MANUAL' && !location) return 'Pilih lokasi pengambilan.'; return ''; };
   const showPreview = async () => { const message = validate(); if (message) return setError(message); setError(''); try { setPreview(await previewIssue(input())); } catch (failure) { setError(failure.message); } };
   useEffect(() => {
     if (validate()) return undefined;
@@ -28,7 +28,7 @@ const FifoOutboundModal = ({ materials, lotsByItem, onClose, refresh }) => {
   return <ModalFrame title="Barang Keluar FIFO" description="Preview lot selalu dihitung oleh server." onClose={onClose} footer={footer}>
     <div className="space-y-4">
       <MaterialSearchField items={materials} value={item} onChange={(value) => { setItem(value); setPreview(null); }} label="Material keluar" />
-      <FieldLabel label="Qty"><input aria-label="Qty" value={quantity} onChange={(event) => { setQuantity(event.target.value); setPreview(null); }} inputMode="decimal" className={inputClass} /></FieldLabel>
+      <FieldLabel label="Qty"><input aria-label="Qty" value={quantity} onChange={(event) => { setQuantity(event.target.value); setPreview(null); }} placeholder="12 atau 2*12.5" className={inputClass} />{parsedQuantity.isFormula && parsedQuantity.quantity && <span className="mt-1 block text-slate-500">= {parsedQuantity.quantity} {item?.uom}</span>}</FieldLabel>
       <div className="grid gap-3 sm:grid-cols-2">
         <FieldLabel label="Metode"><select aria-label="Metode" value={method} onChange={(event) => { setMethod(event.target.value); setPreview(null); }} className={inputClass}><option value="FIFO">Otomatis FIFO</option><option value="MANUAL">Lokasi manual</option></select></FieldLabel>
         {method === 'MANUAL' && <FieldLabel label="Lokasi"><select aria-label="Lokasi" value={location} onChange={(event) => setLocation(event.target.value)} className={inputClass}><option value="">Pilih lokasi</option>{locations.map((loc) => <option key={loc}>{loc}</option>)}</select></FieldLabel>}
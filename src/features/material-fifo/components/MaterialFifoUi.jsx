@@ -42,6 +42,7 @@ const statusPresentation = {
   NOT_CONFIGURED: { label: 'Belum diset', badge: 'bg-slate-100 text-slate-600', dot: 'bg-slate-300' },
   IN: { label: 'Masuk', badge: 'bg-blue-50 text-blue-700', dot: 'bg-blue-500' },
   OUT: { label: 'Keluar', badge: 'bg-orange-50 text-orange-700', dot: 'bg-orange-500' },
+  ADJ: { label: 'Penyesuaian', badge: 'bg-amber-50 text-amber-700', dot: 'bg-amber-500' },
 };
 
 export const getStatusPresentation = (status) => statusPresentation[status] ?? {
@@ -33,6 +33,9 @@ export function toTransactionExportRows(transactions = []) {
     Tanggal: dateText(transaction.transaction_date),
     Jenis: transaction.transaction_type ?? '',
     Metode: transaction.issue_method ?? '',
+    'Arah Penyesuaian': transaction.adjustment_direction ?? '',
+    'Sesi Cycle Count': transaction.source_session?.name ?? '',
+    Alasan: transaction.reason_code ?? '',
     SKU: transaction.item?.sku ?? transaction.sku ?? '',
     'Nama Material': transaction.item?.item_name ?? transaction.item_name ?? '',
     Qty: Number(transaction.quantity ?? 0),
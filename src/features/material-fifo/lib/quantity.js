@@ -0,0 +1,17 @@
+import { evaluateExpression, hasOperator } from '../../../lib/expression';
+
+const QTY_RULE = 'Qty harus positif dan maksimal 4 desimal.';
+
+/**
+ * Reads a FIFO quantity field, which may hold a formula such as 2*12.5.
+ * Returns the quantity as the decimal string the API expects.
+ */
+export function parseFifoQuantity(input) {
+  const { value, error } = evaluateExpression(input);
+  if (error) return { quantity: null, error: `Rumus qty salah di posisi ${error.position + 1}.`, isFormula: true };
+  const isFormula = hasOperator(input);
+  if (value === null || value <= 0 || Math.round(value * 10000) / 10000 !== value) {
+    return { quantity: null, error: QTY_RULE, isFormula };
+  }
+  return { quantity: String(value), error: null, isFormula };
+}
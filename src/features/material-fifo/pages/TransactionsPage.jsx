@@ -5,6 +5,11 @@ import { EmptyState, PageHeader, Panel, StatusBadge, TableShell } from '../compo
 
 const controlClass = 'w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-xs text-slate-700 outline-none transition focus:border-blue-400 focus:ring-2 focus:ring-blue-500/20';
 
+const adjustmentSign = (transaction) => {
+  if (transaction.transaction_type !== 'ADJ') return '';
+  return transaction.adjustment_direction === 'GAIN' ? '+' : '−';
+};
+
 const TransactionsPage = (props) => {
   const outlet = useOutletContext() ?? {};
   const transactions = props.transactions ?? outlet.transactions ?? [];
@@ -21,7 +26,7 @@ const TransactionsPage = (props) => {
       const user = profiles[transaction.created_by];
       const locations = (transaction.allocations ?? []).map((allocation) => allocation.lot?.location);
       const inboundLot = Array.isArray(transaction.inbound_lot) ? transaction.inbound_lot[0] : transaction.inbound_lot;
-      const searchable = [transaction.item?.sku, transaction.item?.item_name, transaction.selected_location, inboundLot?.location, user?.name, user?.username, transaction.created_by, ...locations].filter(Boolean).join(' ').toLowerCase();
+      const searchable = [transaction.item?.sku, transaction.item?.item_name, transaction.selected_location, inboundLot?.location, transaction.source_session?.name, user?.name, user?.username, transaction.created_by, ...locations].filter(Boolean).join(' ').toLowerCase();
       return (type === 'ALL' || transaction.transaction_type === type)
         && (!dateFrom || transaction.transaction_date >= dateFrom)
         && (!dateTo || transaction.transaction_date <= dateTo)
@@ -35,7 +40,7 @@ const TransactionsPage = (props) => {
 
       <Panel className="grid gap-2 p-3 sm:grid-cols-2 xl:grid-cols-[160px_160px_160px_minmax(220px,1fr)]" ariaLabel="Filter transaksi">
         <select aria-label="Tipe transaksi" value={type} onChange={(event) => setType(event.target.value)} className={controlClass}>
-          <option value="ALL">Semua tipe</option><option value="IN">Barang masuk</option><option value="OUT">Barang keluar</option>
+          <option value="ALL">Semua tipe</option><option value="IN">Barang masuk</option><option value="OUT">Barang keluar</option><option value="ADJ">Penyesuaian</option>
         </select>
         <input aria-label="Tanggal mulai" type="date" value={dateFrom} onChange={(event) => setDateFrom(event.target.value)} className={controlClass} />
         <input aria-label="Tanggal akhir" type="date" value={dateTo} onChange={(event) => setDateTo(event.target.value)} className={controlClass} />
@@ -61,13 +66,16 @@ const TransactionsPage = (props) => {
             return (
               <React.Fragment key={transaction.id}>
                 <tr className={`border-b border-slate-100 ${index % 2 ? 'bg-slate-50/45' : 'bg-white'}`}>
-                  <td className="px-4 py-3.5"><StatusBadge status={transaction.transaction_type} showDot /></td>
+                  <td className="px-4 py-3.5">
+                    <StatusBadge status={transaction.transaction_type} showDot />
+                    {transaction.transaction_type === 'ADJ' && <p className="mt-1 max-w-[10rem] truncate text-[10px] text-slate-500">{transaction.source_session?.name ?? 'Cycle count'} · {transaction.reason_code}</p>}
+                  </td>
                   <td className="whitespace-nowrap px-4 py-3.5 tabular-nums text-slate-600">{transaction.transaction_date}</td>
                   <td className="px-4 py-3.5"><p className="font-mono text-[11px] font-semibold text-slate-800">{transaction.item?.sku}</p><p className="mt-0.5 text-[11px] text-slate-500">{transaction.item?.item_name}</p></td>
-                  <td className="whitespace-nowrap px-4 py-3.5 text-right font-semibold tabular-nums text-slate-900">{Number(transaction.quantity).toLocaleString('id-ID')} <span className="text-[10px] font-normal text-slate-400">{transaction.item?.uom}</span></td>
+                  <td className="whitespace-nowrap px-4 py-3.5 text-right font-semibold tabular-nums text-slate-900">{adjustmentSign(transaction)}{Number(transaction.quantity).toLocaleString('id-ID')} <span className="text-[10px] font-normal text-slate-400">{transaction.item?.uom}</span></td>
                   <td className="whitespace-nowrap px-4 py-3.5 text-slate-600">{profile?.name || profile?.username || transaction.created_by}</td>
                   <td className="px-4 py-3.5">
-                    {transaction.transaction_type === 'OUT' && allocations.length > 0 ? (
+                    {allocations.length > 0 ? (
                       <button type="button" aria-label={`Lihat alokasi ${transaction.item?.sku}`} onClick={() => setExpanded(isExpanded ? null : transaction.id)} className="inline-flex items-center gap-1 whitespace-nowrap rounded-md border border-blue-100 px-2 py-1 text-[10px] font-semibold text-blue-700 hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500">
                         {isExpanded ? <ChevronUp className="h-3 w-3" /> : <ChevronDown className="h-3 w-3" />}{isExpanded ? 'Tutup' : 'Lihat FIFO'}
                       </button>
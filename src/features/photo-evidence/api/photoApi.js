@@ -0,0 +1,95 @@
+import { supabase } from '../../../lib/supabase';
+import { createClientId } from '../../cycle-count/lib/offlineCountQueue';
+import { compressImage } from '../lib/imageCompression';
+import { createLocalPhotoStorage, createSupabasePhotoStorage, resolvePhotoStorageMode } from '../lib/photoStorage';
+
+export const PHOTO_SUBJECT = Object.freeze({
+  COUNT: 'count',
+  STATUS_REPORT: 'status_report',
+});
+
+// Links in exported files have to outlive the download for a while.
+export const EXPORT_LINK_SECONDS = 7 * 24 * 60 * 60;
+
+// Keeps .in() filters well below the URL length limit.
+const ID_CHUNK_SIZE = 100;
+
+let sharedStorage = null;
+export const getPhotoStorage = () => {
+  sharedStorage ||= resolvePhotoStorageMode(import.meta.env) === 'local'
+    ? createLocalPhotoStorage()
+    : createSupabasePhotoStorage(supabase);
+  return sharedStorage;
+};
+
+function throwIfError(error) {
+  if (error) throw new Error(error.message || 'Photo operation failed.');
+}
+
+export async function fetchPhotos(subjectType, subjectIds) {
+  const ids = [...new Set(subjectIds.filter(Boolean))];
+  const rows = [];
+  for (let start = 0; start < ids.length; start += ID_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('photo_attachments')
+      .select('*')
+      .eq('subject_type', subjectType)
+      .in('subject_id', ids.slice(start, start + ID_CHUNK_SIZE))
+      .order('created_at');
+    throwIfError(error);
+    rows.push(...(data ?? []));
+  }
+  return rows;
+}
+
+/** { [photoId]: url } for displaying or linking the given photo rows. */
+export async function getPhotoUrls(photos, { expiresIn, storage = getPhotoStorage() } = {}) {
+  const urls = await storage.getUrls(photos.map((photo) => photo.storage_path), { expiresIn });
+  return Object.fromEntries(photos.map((photo) => [photo.id, urls[photo.storage_path] ?? null]));
+}
+
+/** Compresses and stores each file, then records it against the subject. */
+export async function uploadPhotos(subjectType, subjectId, files, { storage = getPhotoStorage() } = {}) {
+  const saved = [];
+  for (const file of files) {
+    const image = await compressImage(file);
+    const path = `${subjectType}/${subjectId}/${createClientId()}.jpg`;
+    await storage.upload(path, image.blob, { contentType: image.contentType });
+    const { data, error } = await supabase
+      .from('photo_attachments')
+      .insert({
+        subject_type: subjectType,
+        subject_id: subjectId,
+        storage_path: path,
+        content_type: image.contentType,
+        size_bytes: image.blob.size,
+        width: image.width,
+        height: image.height,
+      })
+      .select()
+      .single();
+    if (error) {
+      await storage.remove([path]).catch(() => {});
+      throwIfError(error);
+    }
+    saved.push(data);
+  }
+  return saved;
+}
+
+export async function deletePhoto(photo, { storage = getPhotoStorage() } = {}) {
+  const { error } = await supabase.from('photo_attachments').delete().eq('id', photo.id);
+  throwIfError(error);
+  await storage.remove([photo.storage_path]);
+}
+
+/** { [subjectId]: [url, ...] } with long-lived links for exports. */
+export async function fetchPhotoLinks(subjectType, subjectIds, { storage = getPhotoStorage() } = {}) {
+  const photos = await fetchPhotos(subjectType, subjectIds);
+  if (photos.length === 0) return {};
+  const urls = await getPhotoUrls(photos, { expiresIn: EXPORT_LINK_SECONDS, storage });
+  return photos.reduce((links, photo) => {
+    if (urls[photo.id]) (links[photo.subject_id] ||= []).push(urls[photo.id]);
+    return links;
+  }, {});
+}
@@ -0,0 +1,111 @@
+import React, { useRef, useState } from 'react';
+import { Camera, Loader2, X } from 'lucide-react';
+import { useAuth } from '../../../contexts/AuthContext';
+import { deletePhoto, uploadPhotos } from '../api/photoApi';
+import { usePhotoAttachments } from '../hooks/usePhotoAttachments';
+import { MAX_PHOTOS } from './PhotoPicker';
+
+/**
+ * Thumbnails of one subject's photos, with an add button for its owner.
+ * photos and urls come from usePhotoAttachments(), which loads a whole
+ * list of subjects at once; onChange reloads them after an upload or delete.
+ */
+export const PhotoAttachmentList = ({ subjectType, subjectId, photos, urls, loading = false, canAdd = false, onChange }) => {
+  const { user, isAdmin } = useAuth();
+  const inputRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+
+  const handleSelect = async (event) => {
+    const files = [...(event.target.files ?? [])].slice(0, MAX_PHOTOS - photos.length);
+    event.target.value = '';
+    if (files.length === 0) return;
+    try {
+      setUploading(true);
+      await uploadPhotos(subjectType, subjectId, files);
+      await onChange?.();
+    } catch (err) {
+      alert('Error uploading photo: ' + err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (photo) => {
+    if (!window.confirm('Delete this photo?')) return;
+    try {
+      await deletePhoto(photo);
+      await onChange?.();
+    } catch (err) {
+      alert('Error deleting photo: ' + err.message);
+    }
+  };
+
+  if (loading || (photos.length === 0 && !canAdd)) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-1">
+      {photos.map((photo) => (
+        <div key={photo.id} className="relative">
+          <a href={urls[photo.id] ?? undefined} target="_blank" rel="noreferrer">
+            {urls[photo.id] ? (
+              <img src={urls[photo.id]} alt="Evidence" className="h-12 w-12 object-cover rounded border" />
+            ) : (
+              <span className="h-12 w-12 rounded border bg-gray-100 text-[10px] text-gray-500 flex items-center justify-center">
+                missing
+              </span>
+            )}
+          </a>
+          {(isAdmin || photo.uploaded_by === user?.id) && (
+            <button
+              onClick={() => handleDelete(photo)}
+              className="absolute -top-1.5 -right-1.5 bg-white rounded-full shadow text-gray-600 hover:text-red-600"
+              title="Delete photo"
+            >
+              <X className="h-3.5 w-3.5" />
+            </button>
+          )}
+        </div>
+      ))}
+      {canAdd && photos.length < MAX_PHOTOS && (
+        <>
+          <button
+            onClick={() => inputRef.current?.click()}
+            disabled={uploading}
+            className="h-12 px-2 border border-dashed border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50 flex items-center gap-1 disabled:opacity-50"
+            title="Attach photo"
+          >
+            {uploading ? <Loader2 className="h-4 w-4 animate-spin" /> : <Camera className="h-4 w-4" />}
+            Photo
+          </button>
+          <input
+            ref={inputRef}
+            type="file"
+            accept="image/*"
+            capture="environment"
+            multiple
+            className="hidden"
+            onChange={handleSelect}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+/** Thumbnails of the photos attached to a saved count or report, with an add button for its owner. */
+const PhotoAttachments = ({ subjectType, subjectId, canAdd = false }) => {
+  const { photosFor, urls, loading, reload } = usePhotoAttachments(subjectType, [subjectId]);
+  return (
+    <PhotoAttachmentList
+      subjectType={subjectType}
+      subjectId={subjectId}
+      photos={photosFor(subjectId)}
+      urls={urls}
+      loading={loading}
+      canAdd={canAdd}
+      onChange={reload}
+    />
+  );
+};
+
+export default PhotoAttachments;
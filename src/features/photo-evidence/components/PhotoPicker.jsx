@@ -0,0 +1,59 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { Camera, X } from 'lucide-react';
+
+export const MAX_PHOTOS = 5;
+
+/** Collects photos for something that is not saved yet; the parent uploads them after saving. */
+const PhotoPicker = ({ files, onChange, disabled }) => {
+  const inputRef = useRef(null);
+  const previews = useMemo(() => files.map((file) => URL.createObjectURL(file)), [files]);
+
+  useEffect(() => () => previews.forEach((url) => URL.revokeObjectURL(url)), [previews]);
+
+  const handleSelect = (event) => {
+    const selected = [...(event.target.files ?? [])].filter((file) => file.type.startsWith('image/'));
+    onChange([...files, ...selected].slice(0, MAX_PHOTOS));
+    event.target.value = '';
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {previews.map((url, index) => (
+        <div key={url} className="relative">
+          <img src={url} alt={`Photo ${index + 1}`} className="h-14 w-14 object-cover rounded border" />
+          <button
+            type="button"
+            onClick={() => onChange(files.filter((_, fileIndex) => fileIndex !== index))}
+            disabled={disabled}
+            className="absolute -top-1.5 -right-1.5 bg-white rounded-full shadow text-gray-600 hover:text-red-600"
+            title="Remove photo"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+      {files.length < MAX_PHOTOS && (
+        <button
+          type="button"
+          onClick={() => inputRef.current?.click()}
+          disabled={disabled}
+          className="h-14 px-3 border border-dashed border-gray-300 rounded text-sm text-gray-600 hover:bg-gray-50 flex items-center gap-1 disabled:opacity-50"
+        >
+          <Camera className="h-4 w-4" />
+          Add photo
+        </button>
+      )}
+      <input
+        ref={inputRef}
+        type="file"
+        accept="image/*"
+        capture="environment"
+        multiple
+        className="hidden"
+        onChange={handleSelect}
+      />
+    </div>
+  );
+};
+
+export default PhotoPicker;
@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { fetchPhotos, getPhotoUrls } from '../api/photoApi';
+
+const EMPTY = [];
+
+/**
+ * Photos of many subjects at once: one query for the rows and one signing
+ * request for their URLs, instead of one of each per subject.
+ */
+export function usePhotoAttachments(subjectType, subjectIds) {
+  const key = useMemo(() => [...new Set(subjectIds.filter(Boolean))].sort().join(','), [subjectIds]);
+  const [photos, setPhotos] = useState([]);
+  const [urls, setUrls] = useState({});
+  const [loading, setLoading] = useState(true);
+  const requestRef = useRef(0);
+
+  const reload = useCallback(async () => {
+    const request = ++requestRef.current;
+    if (!key) {
+      setPhotos([]);
+      setUrls({});
+      setLoading(false);
+      return;
+    }
+    try {
+      const rows = await fetchPhotos(subjectType, key.split(','));
+      const signed = await getPhotoUrls(rows);
+      if (request !== requestRef.current) return;
+      setPhotos(rows);
+      setUrls(signed);
+    } catch (err) {
+      console.error('Error loading photos:', err);
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [subjectType, key]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const bySubject = useMemo(() => photos.reduce((groups, photo) => {
+    (groups[photo.subject_id] ||= []).push(photo);
+    return groups;
+  }, {}), [photos]);
+
+  const photosFor = useCallback((subjectId) => bySubject[subjectId] ?? EMPTY, [bySubject]);
+
+  return { photosFor, urls, loading, reload };
+}
@@ -0,0 +1,51 @@
+export const MAX_PHOTO_DIMENSION = 1600;
+export const PHOTO_QUALITY = 0.7;
+
+/** Scales width x height down (never up) so the longer side is at most maxDimension. */
+export function fitWithin(width, height, maxDimension = MAX_PHOTO_DIMENSION) {
+  if (!width || !height) return { width: 0, height: 0 };
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+const loadImage = async (file) => {
+  // createImageBitmap also applies the EXIF rotation of phone photos
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Re-encodes a camera photo as a JPEG of at most maxDimension pixels.
+ * Resolves to { blob, width, height, contentType }.
+ */
+export async function compressImage(file, { maxDimension = MAX_PHOTO_DIMENSION, quality = PHOTO_QUALITY } = {}) {
+  if (!file?.type?.startsWith('image/')) {
+    throw new Error('Only image files can be attached.');
+  }
+  const image = await loadImage(file);
+  const size = fitWithin(image.width, image.height, maxDimension);
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  canvas.getContext('2d').drawImage(image, 0, 0, size.width, size.height);
+  image.close?.();
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) => (result ? resolve(result) : reject(new Error('Could not compress the photo.'))),
+      'image/jpeg',
+      quality
+    );
+  });
+  return { blob, width: size.width, height: size.height, contentType: 'image/jpeg' };
+}
@@ -0,0 +1,108 @@
+export const PHOTO_BUCKET = 'photo-evidence';
+
+/**
+ * Photo storage backends share one interface:
+ *   upload(path, blob, { contentType }) -> { path }
+ *   getUrls(paths, { expiresIn })       -> { [path]: url }
+ *   remove(paths)
+ */
+
+export function createSupabasePhotoStorage(client, bucket = PHOTO_BUCKET) {
+  const files = () => client.storage.from(bucket);
+  return {
+    async upload(path, blob, { contentType } = {}) {
+      const { error } = await files().upload(path, blob, { contentType, upsert: false });
+      if (error) throw error;
+      return { path };
+    },
+    async getUrls(paths, { expiresIn = 60 * 60 } = {}) {
+      if (paths.length === 0) return {};
+      const { data, error } = await files().createSignedUrls(paths, expiresIn);
+      if (error) throw error;
+      return Object.fromEntries((data ?? []).filter((row) => row.signedUrl).map((row) => [row.path, row.signedUrl]));
+    },
+    async remove(paths) {
+      if (paths.length === 0) return;
+      const { error } = await files().remove(paths);
+      if (error) throw error;
+    },
+  };
+}
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const createIndexedDbBlobStore = (indexedDB) => {
+  let database = null;
+  const open = () => {
+    if (!database) {
+      const request = indexedDB.open('photo-evidence-dev', 1);
+      request.onupgradeneeded = () => request.result.createObjectStore('photos');
+      database = promisify(request);
+    }
+    return database;
+  };
+  const run = async (mode, action) => {
+    const db = await open();
+    return promisify(action(db.transaction('photos', mode).objectStore('photos')));
+  };
+  return {
+    get: (path) => run('readonly', (store) => store.get(path)),
+    put: (path, blob) => run('readwrite', (store) => store.put(blob, path)),
+    delete: (path) => run('readwrite', (store) => store.delete(path)),
+  };
+};
+
+const createMemoryBlobStore = () => {
+  const blobs = new Map();
+  return {
+    get: async (path) => blobs.get(path),
+    put: async (path, blob) => { blobs.set(path, blob); },
+    delete: async (path) => { blobs.delete(path); },
+  };
+};
+
+/**
+ * Development stand-in that keeps photos in this browser (IndexedDB when
+ * available) and hands out object URLs. Photo rows still go to the database,
+ * so other devices see broken thumbnails for photos taken here.
+ */
+export function createLocalPhotoStorage({ indexedDB = globalThis.indexedDB } = {}) {
+  const blobs = indexedDB ? createIndexedDbBlobStore(indexedDB) : createMemoryBlobStore();
+  const urls = new Map();
+  const toUrl = (path, blob) => {
+    if (!urls.has(path)) urls.set(path, URL.createObjectURL(blob));
+    return urls.get(path);
+  };
+  return {
+    async upload(path, blob) {
+      await blobs.put(path, blob);
+      return { path };
+    },
+    async getUrls(paths) {
+      const entries = await Promise.all(paths.map(async (path) => {
+        const blob = await blobs.get(path);
+        return blob ? [path, toUrl(path, blob)] : null;
+      }));
+      return Object.fromEntries(entries.filter(Boolean));
+    },
+    async remove(paths) {
+      await Promise.all(paths.map(async (path) => {
+        if (urls.has(path)) URL.revokeObjectURL(urls.get(path));
+        urls.delete(path);
+        await blobs.delete(path);
+      }));
+    },
+  };
+}
+
+/**
+ * VITE_PHOTO_STORAGE picks the backend ('supabase' or 'local'); without it,
+ * dev builds use the local stand-in and production uses Supabase Storage.
+ */
+export function resolvePhotoStorageMode(env = {}) {
+  if (env.VITE_PHOTO_STORAGE === 'local' || env.VITE_PHOTO_STORAGE === 'supabase') return env.VITE_PHOTO_STORAGE;
+  return env.DEV ? 'local' : 'supabase';
+}
@@ -0,0 +1,92 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { AlertCircle, Camera, Keyboard, X } from 'lucide-react';
+import { useCameraScanner } from '../hooks/useCameraScanner';
+import { useKeyboardWedge } from '../hooks/useKeyboardWedge';
+
+// The camera keeps decoding a code while it stays in view. Only camera reads
+// are debounced; a wedge scanner reading identical cartons counts every scan.
+const CAMERA_REPEAT_MS = 1500;
+const ERROR_VISIBLE_MS = 3000;
+
+/**
+ * The one scanner dialog: camera (native or ZXing), USB/Bluetooth wedge
+ * scanner and manual entry all end in onScan(code). onScan returns, or
+ * resolves to, an error message when the code is rejected; the dialog shows
+ * it and keeps scanning. An accepted code stops the camera unless
+ * `continuous` is set; closing is up to the parent. A camera re-read of the
+ * code still in view is skipped with a notice rather than counted again.
+ */
+const ScannerModal = ({ onScan, onClose, title = 'Scan QR / Barcode', continuous = false }) => {
+  const videoRef = useRef(null);
+  const lastReadRef = useRef({ text: null, at: 0 });
+  const busyRef = useRef(false);
+  const [manual, setManual] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const cameraRef = useRef(null);
+
+  useEffect(() => {
+    if (!error) return undefined;
+    const timeout = setTimeout(() => setError(''), ERROR_VISIBLE_MS);
+    return () => clearTimeout(timeout);
+  }, [error]);
+
+  useEffect(() => {
+    if (!notice) return undefined;
+    const timeout = setTimeout(() => setNotice(''), ERROR_VISIBLE_MS);
+    return () => clearTimeout(timeout);
+  }, [notice]);
+
+  const submit = useCallback((code) => {
+    const value = String(code ?? '').trim();
+    if (!value || busyRef.current) return;
+    const finish = (message) => {
+      busyRef.current = false;
+      if (message) {
+        setError(message);
+        return;
+      }
+      setError('');
+      setManual('');
+      if (!continuous) cameraRef.current?.stop();
+    };
+    const result = onScan(value);
+    if (result && typeof result.then === 'function') {
+      busyRef.current = true;
+      result.then(finish, (err) => finish(err?.message || 'Terjadi kesalahan saat memproses scan'));
+    } else {
+      finish(result);
+    }
+  }, [continuous, onScan]);
+
+  const handleCameraRead = useCallback((text) => {
+    const now = Date.now();
+    const last = lastReadRef.current;
+    if (last.text === text && now - last.at < CAMERA_REPEAT_MS) {
+      setNotice(`${text} masih terbaca, tidak dihitung lagi. Jauhkan kamera lalu scan ulang untuk label yang sama.`);
+      return;
+    }
+    lastReadRef.current = { text, at: now };
+    setNotice('');
+    submit(text);
+  }, [submit]);
+
+  const camera = useCameraScanner({ videoRef, onRead: handleCameraRead });
+  cameraRef.current = camera;
+  useKeyboardWedge(submit);
+
+  const close = () => { camera.stop(); onClose(); };
+
+  return <div role="dialog" aria-modal="true" aria-label="Scanner QR dan barcode" className="fixed inset-0 z-[60] flex items-center justify-center bg-slate-950/70 p-3 backdrop-blur-[1px] sm:p-4">
+    <div className="material-fifo-scrollbar max-h-[calc(100dvh-1.5rem)] w-full max-w-lg overflow-y-auto rounded-xl bg-white p-5 shadow-2xl">
+      <div className="flex items-start justify-between gap-4"><div><h2 className="flex items-center gap-2 text-base font-bold text-slate-950"><Camera className="h-5 w-5 text-blue-600" /> {title}</h2><p className="mt-0.5 text-xs text-slate-500">Kamera, scanner USB/Bluetooth, atau input manual.</p></div><button aria-label="Tutup scanner" onClick={close} className="rounded-lg p-1.5 text-slate-400 transition hover:bg-slate-100 hover:text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500"><X className="h-4 w-4" /></button></div>
+      <video ref={videoRef} muted playsInline className="mt-4 aspect-video w-full rounded-lg bg-slate-950 object-cover" />
+      <p className="mt-2 rounded-lg bg-slate-50 px-3 py-2 text-xs text-slate-600" role="status">{camera.status}</p>
+      {error && <p className="mt-2 flex items-center gap-2 rounded-lg bg-red-50 px-3 py-2 text-xs font-medium text-red-700" role="alert"><AlertCircle className="h-4 w-4 flex-shrink-0" />{error}</p>}
+      {notice && !error && <p className="mt-2 flex items-center gap-2 rounded-lg bg-amber-50 px-3 py-2 text-xs font-medium text-amber-800" role="status"><AlertCircle className="h-4 w-4 flex-shrink-0" />{notice}</p>}
+      <div className="mt-4 flex flex-col gap-2 sm:flex-row"><label className="min-w-0 flex-1 text-xs font-medium text-slate-700"><span className="flex items-center gap-1"><Keyboard className="h-3.5 w-3.5" /> Kode manual</span><input aria-label="Kode manual" value={manual} onChange={(event) => setManual(event.target.value)} onKeyDown={(event) => { if (event.key === 'Enter') { event.stopPropagation(); submit(manual); } }} className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-blue-400 focus:ring-2 focus:ring-blue-500/20" /></label><button onClick={() => submit(manual)} className="rounded-lg bg-blue-600 px-4 py-2 text-sm font-semibold text-white transition hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 sm:self-end">Gunakan kode</button></div>
+    </div>
+  </div>;
+};
+
+export default ScannerModal;
@@ -0,0 +1,108 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { BrowserMultiFormatReader } from '@zxing/library';
+import { hasCameraSupport, isSecureContext } from '../../../lib/deviceDetection';
+
+const NATIVE_FORMATS = ['qr_code', 'code_128', 'code_39', 'ean_13', 'ean_8'];
+const NATIVE_UNAVAILABLE = 'Scanner native tidak tersedia, memakai fallback kamera.';
+const READY = 'Arahkan kamera ke QR atau barcode.';
+
+/**
+ * Streams the back camera into videoRef and calls onRead with every decoded
+ * text: the native BarcodeDetector when the browser has one, ZXing otherwise.
+ * Reading continues until stop() or unmount.
+ */
+export function useCameraScanner({ videoRef, onRead }) {
+  const streamRef = useRef(null);
+  const readerRef = useRef(null);
+  const frameRef = useRef(null);
+  const stoppedRef = useRef(false);
+  const onReadRef = useRef(onRead);
+  onReadRef.current = onRead;
+  const [status, setStatus] = useState('Memulai kamera...');
+
+  const stop = useCallback(() => {
+    stoppedRef.current = true;
+    if (frameRef.current) cancelAnimationFrame(frameRef.current);
+    readerRef.current?.reset?.();
+    streamRef.current?.getTracks?.().forEach((track) => track.stop());
+    streamRef.current = null;
+  }, []);
+
+  useEffect(() => {
+    let disposed = false;
+    stoppedRef.current = false;
+    const read = (text) => {
+      if (!disposed && !stoppedRef.current) onReadRef.current(text);
+    };
+
+    const start = async () => {
+      if (!isSecureContext()) {
+        setStatus('Kamera butuh koneksi HTTPS. Gunakan scanner handheld atau input manual.');
+        return;
+      }
+      if (!hasCameraSupport()) {
+        setStatus('Kamera tidak tersedia. Gunakan scanner handheld atau input manual.');
+        return;
+      }
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: { ideal: 'environment' } }, audio: false });
+        if (disposed) return stream.getTracks().forEach((track) => track.stop());
+        streamRef.current = stream;
+        if (videoRef.current) {
+          videoRef.current.srcObject = stream;
+          await videoRef.current.play?.().catch(() => undefined);
+        }
+
+        let fallbackStarted = false;
+        const startZxing = () => {
+          if (disposed || fallbackStarted) return;
+          fallbackStarted = true;
+          const reader = new BrowserMultiFormatReader();
+          readerRef.current = reader;
+          setStatus(READY);
+          reader.decodeFromVideoDevice(undefined, videoRef.current, (result) => {
+            const text = result?.getText?.() ?? result?.text;
+            if (text) read(text);
+          });
+        };
+
+        if ('BarcodeDetector' in globalThis) {
+          let detector;
+          try {
+            detector = new globalThis.BarcodeDetector({ formats: NATIVE_FORMATS });
+          } catch {
+            setStatus(NATIVE_UNAVAILABLE);
+            startZxing();
+            return;
+          }
+          const detect = async () => {
+            if (disposed || stoppedRef.current || !videoRef.current) return;
+            try {
+              const codes = await detector.detect(videoRef.current);
+              if (codes[0]?.rawValue) read(codes[0].rawValue);
+            } catch {
+              setStatus(NATIVE_UNAVAILABLE);
+              startZxing();
+              return;
+            }
+            if (!stoppedRef.current) frameRef.current = requestAnimationFrame(detect);
+          };
+          setStatus(READY);
+          frameRef.current = requestAnimationFrame(detect);
+          return;
+        }
+
+        startZxing();
+      } catch (error) {
+        stop();
+        setStatus(error?.name === 'NotAllowedError'
+          ? 'Izin kamera ditolak. Gunakan scanner handheld atau input manual.'
+          : 'Kamera tidak tersedia. Gunakan scanner handheld atau input manual.');
+      }
+    };
+    start();
+    return () => { disposed = true; stop(); };
+  }, [stop, videoRef]);
+
+  return { status, stop };
+}
@@ -0,0 +1,30 @@
+import { useEffect, useRef } from 'react';
+import { KeyboardWedgeBuffer, isEditableTarget } from '../lib/keyboardWedge';
+
+/**
+ * Listens on the window for keyboard-wedge scanner input and calls onCode
+ * with each complete code. Page-level listeners pass ignoreEditable so
+ * typing and scanning into a form field is left to that field.
+ */
+export function useKeyboardWedge(onCode, { enabled = true, maxGapMs = 80, minLength = 3, ignoreEditable = false } = {}) {
+  const bufferRef = useRef(null);
+  const onCodeRef = useRef(onCode);
+  onCodeRef.current = onCode;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    bufferRef.current = new KeyboardWedgeBuffer({ maxGapMs, minLength });
+    const handleKey = (event) => {
+      if (event.ctrlKey || event.altKey || event.metaKey) return;
+      if (ignoreEditable && isEditableTarget(event.target)) return;
+      const code = bufferRef.current.push(event.key, event.timeStamp);
+      if (code) {
+        // The scanner's Enter must not also press the focused button
+        event.preventDefault();
+        onCodeRef.current(code);
+      }
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [enabled, maxGapMs, minLength, ignoreEditable]);
+}
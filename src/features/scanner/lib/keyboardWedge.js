@@ -0,0 +1,47 @@
+/**
+ * Collects the keystrokes of a keyboard-wedge (USB/Bluetooth) scanner. The
+ * scanner types much faster than a person, so a slow gap starts over and
+ * Enter returns the buffered code.
+ */
+export class KeyboardWedgeBuffer {
+  constructor({ maxGapMs = 80, minLength = 3 } = {}) {
+    this.maxGapMs = maxGapMs;
+    this.minLength = minLength;
+    this.reset();
+  }
+
+  reset() {
+    this.value = '';
+    this.lastTimestamp = null;
+  }
+
+  push(key, timestamp = Date.now()) {
+    if (key === 'Enter') {
+      const result = this.value.length >= this.minLength ? this.value : null;
+      this.reset();
+      return result;
+    }
+    if (key.length !== 1) return null;
+    if (this.lastTimestamp !== null && timestamp - this.lastTimestamp > this.maxGapMs) {
+      this.value = '';
+    }
+    this.value += key;
+    this.lastTimestamp = timestamp;
+    return null;
+  }
+}
+
+/**
+ * Whether a key event lands in a field the user types into. Page-wide
+ * listeners leave those alone unless the field opts in with
+ * data-wedge-scan (a search box that is fine to scan into).
+ */
+export function isEditableTarget(target) {
+  if (!target || typeof target.closest !== 'function') return false;
+  if (target.closest('[data-wedge-scan]')) return false;
+  if (target.isContentEditable) return true;
+  const tag = target.tagName;
+  if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+  if (tag !== 'INPUT') return false;
+  return !['button', 'checkbox', 'radio', 'range', 'submit', 'reset', 'file', 'color'].includes(target.type);
+}
@@ -0,0 +1,184 @@
+/**
+ * Arithmetic expression parser for quantity inputs.
+ *
+ * Supports + - * /, unary signs, parentheses, decimals and named
+ * multipliers (e.g. units of an item: "3 pallet + 4*box + 7"). A number
+ * directly followed by a name multiplies it. Nothing is passed to eval.
+ *
+ * evaluateExpression() never throws; it returns { value, error } where
+ * error is { code, message, position, length } pointing into the input.
+ */
+
+const OPERATORS = '+-*/';
+
+const tokenize = (input) => {
+  const tokens = [];
+  let index = 0;
+  while (index < input.length) {
+    const char = input[index];
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+    const number = /^(\d+(\.\d*)?|\.\d+)/.exec(input.slice(index));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), text: number[0], position: index });
+      index += number[0].length;
+      continue;
+    }
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(input.slice(index));
+    if (name) {
+      tokens.push({ type: 'name', text: name[0], position: index });
+      index += name[0].length;
+      continue;
+    }
+    if (OPERATORS.includes(char) || char === '(' || char === ')') {
+      tokens.push({ type: char, text: char, position: index });
+      index += 1;
+      continue;
+    }
+    return { tokens, error: { code: 'UNEXPECTED_CHARACTER', message: `Unexpected character "${char}"`, position: index, length: 1 } };
+  }
+  return { tokens, error: null };
+};
+
+class ExpressionError extends Error {
+  constructor(code, message, position, length = 1) {
+    super(message);
+    this.code = code;
+    this.position = position;
+    this.length = length;
+  }
+}
+
+const parse = (tokens, input, multipliers) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const endPosition = input.trimEnd().length;
+
+  const missingOperand = (operator) => {
+    const next = peek();
+    if (!next) {
+      return new ExpressionError('MISSING_OPERAND', `Missing number after "${operator.text}"`, operator.position);
+    }
+    return new ExpressionError('UNEXPECTED_TOKEN', `Unexpected "${next.text}"`, next.position, next.text.length);
+  };
+
+  const lookupName = (token) => {
+    const key = Object.keys(multipliers).find((name) => name.toLowerCase() === token.text.toLowerCase());
+    if (key === undefined) {
+      throw new ExpressionError('UNKNOWN_NAME', `Unknown unit "${token.text}"`, token.position, token.text.length);
+    }
+    return Number(multipliers[key]);
+  };
+
+  let parseExpression;
+
+  const parsePrimary = (operator) => {
+    const token = peek();
+    if (!token) {
+      if (operator) throw missingOperand(operator);
+      throw new ExpressionError('MISSING_OPERAND', 'Missing number', endPosition);
+    }
+    if (token.type === 'number') {
+      index += 1;
+      const next = peek();
+      if (next?.type === 'name') {
+        index += 1;
+        return token.value * lookupName(next);
+      }
+      return token.value;
+    }
+    if (token.type === 'name') {
+      index += 1;
+      return lookupName(token);
+    }
+    if (token.type === '(') {
+      index += 1;
+      if (peek()?.type === ')') {
+        throw new ExpressionError('EMPTY_PARENTHESES', 'Empty parentheses', token.position, 2);
+      }
+      const value = parseExpression(token);
+      if (peek()?.type !== ')') {
+        throw new ExpressionError('UNCLOSED_PARENTHESIS', 'Missing closing parenthesis', token.position);
+      }
+      index += 1;
+      return value;
+    }
+    if (token.type === '+' || token.type === '-') {
+      index += 1;
+      const value = parsePrimary(token);
+      return token.type === '-' ? -value : value;
+    }
+    if (operator) throw missingOperand(operator);
+    throw new ExpressionError('UNEXPECTED_TOKEN', `Unexpected "${token.text}"`, token.position, token.text.length);
+  };
+
+  const parseTerm = (operator) => {
+    let value = parsePrimary(operator);
+    while (peek() && (peek().type === '*' || peek().type === '/')) {
+      const token = peek();
+      index += 1;
+      const right = parsePrimary(token);
+      if (token.type === '/' && right === 0) {
+        throw new ExpressionError('DIVISION_BY_ZERO', 'Division by zero', token.position);
+      }
+      value = token.type === '*' ? value * right : value / right;
+    }
+    return value;
+  };
+
+  parseExpression = (operator) => {
+    let value = parseTerm(operator);
+    while (peek() && (peek().type === '+' || peek().type === '-')) {
+      const token = peek();
+      index += 1;
+      const right = parseTerm(token);
+      value = token.type === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const value = parseExpression(null);
+  const extra = peek();
+  if (extra) {
+    const message = extra.type === ')' ? 'Unmatched closing parenthesis' : 'Missing operator';
+    const code = extra.type === ')' ? 'UNMATCHED_PARENTHESIS' : 'MISSING_OPERATOR';
+    throw new ExpressionError(code, message, extra.position, extra.text.length);
+  }
+  return value;
+};
+
+/**
+ * @param {string} input
+ * @param {object} [options]
+ * @param {Record<string, number>} [options.multipliers] named values, matched case-insensitively
+ * @param {boolean} [options.ignoreTrailingOperator] treat "12+" as "12" while the user is still typing
+ * @returns {{ value: number|null, error: {code, message, position, length}|null }}
+ *   value is null without an error when the input is empty
+ */
+export function evaluateExpression(input, { multipliers = {}, ignoreTrailingOperator = false } = {}) {
+  let source = String(input ?? '');
+  if (ignoreTrailingOperator) source = source.replace(/[+\-*]\s*$/, '');
+  if (!source.trim()) return { value: null, error: null };
+
+  const { tokens, error } = tokenize(source);
+  if (error) return { value: null, error };
+
+  try {
+    const value = parse(tokens, source, multipliers);
+    if (!Number.isFinite(value)) {
+      return { value: null, error: { code: 'INVALID_RESULT', message: 'Result is not a number', position: 0, length: source.length } };
+    }
+    // Decimal arithmetic noise such as 0.1*3 = 0.30000000000000004
+    return { value: Math.round(value * 1e9) / 1e9, error: null };
+  } catch (failure) {
+    if (!(failure instanceof ExpressionError)) throw failure;
+    return {
+      value: null,
+      error: { code: failure.code, message: failure.message, position: failure.position, length: failure.length },
+    };
+  }
+}
+
+export const hasOperator = (input) => /[+\-*/()A-Za-z]/.test(String(input ?? '').trim().replace(/^[+-]/, ''));
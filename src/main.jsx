@@ -2,13 +2,16 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
 import { AuthProvider } from './contexts/AuthContext.jsx';
+import BarcodeRulesProvider from './features/barcode-rules/components/BarcodeRulesProvider.jsx';
 import AppUpdateToast from './components/AppUpdateToast.jsx';
 import './index.css';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <AuthProvider>
-      <App />
+      <BarcodeRulesProvider>
+        <App />
+      </BarcodeRulesProvider>
     </AuthProvider>
     <AppUpdateToast />
   </React.StrictMode>,
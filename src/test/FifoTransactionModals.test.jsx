@@ -61,4 +61,12 @@ describe('FIFO transaction modals', () => {
     await waitFor(() => expect(api.previewIssue).toHaveBeenCalledWith({ itemId: 'i1', quantity: '2.5', issueMethod: 'FIFO', location: '' }));
     expect(await screen.findByText(/A1.1/)).toBeInTheDocument();
   });
+
+  it('sends the result of a quantity formula', async () => {
+    render(<FifoOutboundModal materials={materials} lotsByItem={{}} onClose={vi.fn()} refresh={vi.fn()} />);
+    fireEvent.click(screen.getByText('Pilih Material keluar'));
+    fireEvent.change(screen.getByLabelText(/^Qty/i), { target: { value: '2*6' } });
+    expect(screen.getByText('= 12 KG')).toBeInTheDocument();
+    await waitFor(() => expect(api.previewIssue).toHaveBeenCalledWith({ itemId: 'i1', quantity: '12', issueMethod: 'FIFO', location: '' }));
+  });
 });
@@ -0,0 +1,72 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const zxing = vi.hoisted(() => ({ decodeFromVideoDevice: vi.fn(), reset: vi.fn() }));
+vi.mock('@zxing/library', () => ({
+  BrowserMultiFormatReader: class BrowserMultiFormatReader {
+    decodeFromVideoDevice(...args) { return zxing.decodeFromVideoDevice(...args); }
+    reset() { return zxing.reset(); }
+  },
+}));
+
+import ScannerModal from '../features/scanner/components/ScannerModal';
+
+describe('ScannerModal', () => {
+  let stop;
+  let emit;
+  beforeEach(() => {
+    stop = vi.fn();
+    vi.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue();
+    navigator.mediaDevices = { getUserMedia: vi.fn().mockResolvedValue({ getTracks: () => [{ stop }] }) };
+    zxing.decodeFromVideoDevice.mockImplementation((_device, _video, callback) => { emit = (text) => callback({ getText: () => text }); });
+    zxing.reset.mockClear();
+    delete global.BarcodeDetector;
+  });
+  afterEach(() => vi.restoreAllMocks());
+
+  it('shows the message an async handler rejects a code with and keeps scanning', async () => {
+    const onScan = vi.fn().mockResolvedValue('Item dengan kode X tidak ditemukan di database');
+    render(<ScannerModal onScan={onScan} onClose={vi.fn()} />);
+    await waitFor(() => expect(zxing.decodeFromVideoDevice).toHaveBeenCalled());
+    emit('X');
+    expect(await screen.findByRole('alert')).toHaveTextContent('tidak ditemukan');
+    expect(onScan).toHaveBeenCalledWith('X');
+    expect(stop).not.toHaveBeenCalled();
+  });
+
+  it('ignores the same camera read while the code stays in view', async () => {
+    const onScan = vi.fn().mockReturnValue('no');
+    render(<ScannerModal onScan={onScan} onClose={vi.fn()} continuous />);
+    await waitFor(() => expect(zxing.decodeFromVideoDevice).toHaveBeenCalled());
+    emit('RM-01');
+    emit('RM-01');
+    emit('RM-02');
+    expect(onScan.mock.calls).toEqual([['RM-01'], ['RM-02']]);
+  });
+
+  it('stops the camera after an accepted code unless continuous', async () => {
+    const { unmount } = render(<ScannerModal onScan={() => null} onClose={vi.fn()} continuous />);
+    await waitFor(() => expect(zxing.decodeFromVideoDevice).toHaveBeenCalled());
+    emit('RM-01');
+    expect(stop).not.toHaveBeenCalled();
+    unmount();
+    expect(stop).toHaveBeenCalled();
+
+    stop.mockClear();
+    zxing.decodeFromVideoDevice.mockClear();
+    render(<ScannerModal onScan={() => null} onClose={vi.fn()} />);
+    await waitFor(() => expect(zxing.decodeFromVideoDevice).toHaveBeenCalled());
+    emit('RM-01');
+    expect(stop).toHaveBeenCalled();
+  });
+
+  it('takes handheld scanner input and manual codes', async () => {
+    const onScan = vi.fn().mockReturnValue(null);
+    render(<ScannerModal onScan={onScan} onClose={vi.fn()} />);
+    for (const key of ['A', 'B', 'C', 'Enter']) fireEvent.keyDown(window, { key });
+    fireEvent.change(screen.getByLabelText(/Kode manual/i), { target: { value: ' rm-09 ' } });
+    fireEvent.click(screen.getByRole('button', { name: /Gunakan kode/i }));
+    expect(onScan.mock.calls).toEqual([['ABC'], ['rm-09']]);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import {
+  ABC_BASIS,
+  DEFAULT_ABC_POLICIES,
+  classifyItems,
+  countByClass,
+  effectiveClass,
+  occurrencesPerYear,
+  planAbcQuotas,
+  validateAbcPolicies,
+} from '../features/abc-planning/lib/abcClassification';
+
+describe('classifyItems', () => {
+  it('splits items by cumulative share of consumption value', () => {
+    const rows = [
+      { item_id: 'c', sku: 'C', out_qty: 5, unit_cost: 1 },
+      { item_id: 'a', sku: 'A', out_qty: 10, unit_cost: 8 },
+      { item_id: 'b', sku: 'B', out_qty: 15, unit_cost: 1 },
+      { item_id: 'z', sku: 'Z', out_qty: 0, unit_cost: 3 },
+    ];
+    const result = classifyItems(rows, DEFAULT_ABC_POLICIES, ABC_BASIS.VALUE);
+    expect(result.map((row) => [row.item_id, row.usage, row.computed_class])).toEqual([
+      ['a', 80, 'A'],
+      ['b', 15, 'B'],
+      ['c', 5, 'C'],
+      ['z', 0, 'C'],
+    ]);
+    expect(result.map((row) => row.cumulative_pct)).toEqual([80, 95, 100, 100]);
+  });
+
+  it('keeps the item that crosses a boundary in the higher class', () => {
+    const rows = [{ item_id: 'a', out_qty: 85 }, { item_id: 'b', out_qty: 10 }, { item_id: 'c', out_qty: 5 }];
+    expect(classifyItems(rows, DEFAULT_ABC_POLICIES, ABC_BASIS.VOLUME).map((row) => row.computed_class)).toEqual(['A', 'B', 'C']);
+  });
+
+  it('treats usage without a unit cost as zero value', () => {
+    const [row] = classifyItems([{ item_id: 'a', out_qty: 50, unit_cost: '' }], DEFAULT_ABC_POLICIES, ABC_BASIS.VALUE);
+    expect(row).toMatchObject({ usage: 0, computed_class: 'C' });
+  });
+
+  it('lets overrides win and defaults unclassified items to C', () => {
+    expect(effectiveClass({ computed_class: 'C', override_class: 'A' })).toBe('A');
+    expect(effectiveClass(undefined)).toBe('C');
+    expect(countByClass(['a', 'b', 'c'], { a: { computed_class: 'A' }, b: { computed_class: 'B', override_class: 'A' } })).toEqual({ A: 2, C: 1 });
+  });
+});
+
+describe('validateAbcPolicies', () => {
+  it('accepts the defaults and rejects shares out of order or frequencies out of range', () => {
+    expect(validateAbcPolicies(DEFAULT_ABC_POLICIES)).toBeNull();
+    expect(validateAbcPolicies([
+      { abc_class: 'A', cumulative_pct: 90, counts_per_year: 12 },
+      { abc_class: 'B', cumulative_pct: 80, counts_per_year: 4 },
+      { abc_class: 'C', cumulative_pct: 100, counts_per_year: 1 },
+    ])).toMatch(/Class B share/);
+    expect(validateAbcPolicies(DEFAULT_ABC_POLICIES.map((policy) => ({ ...policy, counts_per_year: 0 })))).toMatch(/counts per year/);
+    expect(validateAbcPolicies(DEFAULT_ABC_POLICIES.slice(0, 2))).toMatch(/A, B and C/);
+  });
+});
+
+describe('planAbcQuotas', () => {
+  it('mirrors the recurrence counts used by the planner', () => {
+    expect(occurrencesPerYear({ type: 'daily' })).toBe(365);
+    expect(occurrencesPerYear({ type: 'weekly', days: [1, 4] })).toBe(104);
+    expect(occurrencesPerYear({ type: 'monthly', dates: [1] })).toBe(12);
+    expect(occurrencesPerYear(null)).toBe(0);
+  });
+
+  it('spreads each class over the sessions of a year', () => {
+    const quotas = planAbcQuotas({ classCounts: { A: 10, B: 30, C: 100 }, occurrencesPerYear: 52 });
+    expect(quotas.map(({ abc_class, perSession, cycleSessions }) => [abc_class, perSession, cycleSessions])).toEqual([
+      ['A', 3, 4],
+      ['B', 3, 10],
+      ['C', 2, 50],
+    ]);
+  });
+
+  it('never plans more than the pool and plans everything without a schedule', () => {
+    expect(planAbcQuotas({ classCounts: { A: 5 }, occurrencesPerYear: 6 })[0].perSession).toBe(5);
+    expect(planAbcQuotas({ classCounts: { C: 7 }, occurrencesPerYear: 0 })[2].perSession).toBe(7);
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_BARCODE_RULES,
+  buildCandidateFilter,
+  evaluateBarcodeRules,
+  matchScannedItem,
+  parseScannedCode,
+  resolveScannedCode,
+  validateBarcodeRule,
+} from '../features/barcode-rules/lib/barcodeRules';
+
+const items = [
+  { id: 'i1', sku: 'SKU-1', item_code: 'IC-1', internal_product_code: 'JI4ACO-GCAS17BK04', item_name: 'Cap' },
+  { id: 'i2', sku: '25000100JI4ACO', item_code: 'IC-2', internal_product_code: 'OTHER', item_name: 'Label' },
+  { id: 'i3', sku: 'SKU-3', item_code: '12345', internal_product_code: null, item_name: 'Box' },
+];
+
+const rule = (values) => ({ id: values.name, capture_group: 1, item_field: 'any', priority: 100, enabled: true, ...values });
+
+describe('parseScannedCode', () => {
+  it('extracts codes from every enabled rule in priority order', () => {
+    const candidates = parseScannedCode(' 25000100ji4aco-gcas17bk04 ');
+    expect(candidates.map((candidate) => [candidate.rule.id, candidate.code])).toEqual([
+      ['default-whole', '25000100JI4ACO-GCAS17BK04'],
+      ['default-date-prefix', 'JI4ACO-GCAS17BK04'],
+      ['default-numeric-prefix', 'JI4ACO-GCAS17BK04'],
+    ]);
+    expect(candidates[1].fields).toEqual(['internal_product_code']);
+    expect(candidates[0].fields).toEqual(['internal_product_code', 'sku', 'item_code']);
+  });
+
+  it('skips disabled rules, invalid patterns and empty captures', () => {
+    const rules = [
+      rule({ name: 'Off', pattern: '^(.+)$', enabled: false }),
+      rule({ name: 'Broken', pattern: '^(' }),
+      rule({ name: 'Optional', pattern: '^X?(\\d*)$' }),
+    ];
+    expect(parseScannedCode('X', rules)).toEqual([]);
+    expect(parseScannedCode('', DEFAULT_BARCODE_RULES)).toEqual([]);
+  });
+
+  it('does not strip an all-digit code down to its last digit', () => {
+    expect(parseScannedCode('12345').map((candidate) => candidate.code)).toEqual(['12345']);
+  });
+});
+
+describe('resolveScannedCode', () => {
+  it('prefers an exact code over a stripped prefix', () => {
+    expect(resolveScannedCode('25000100JI4ACO', items).item.id).toBe('i2');
+  });
+
+  it('falls through to later rules and reports which one matched', () => {
+    const result = resolveScannedCode('25000100JI4ACO-GCAS17BK04', items);
+    expect(result.item.id).toBe('i1');
+    expect(result.candidate.rule.id).toBe('default-date-prefix');
+    expect(result.field).toBe('internal_product_code');
+  });
+
+  it('maps a capture group to the configured item field only', () => {
+    const rules = [rule({ name: 'Item code after slash', pattern: '^[A-Z]+/(\\d+)$', item_field: 'item_code' })];
+    expect(resolveScannedCode('LOT/12345', items, rules).item.id).toBe('i3');
+    const skuOnly = [rule({ name: 'SKU after slash', pattern: '^[A-Z]+/(\\d+)$', item_field: 'sku' })];
+    expect(resolveScannedCode('LOT/12345', items, skuOnly).item).toBeNull();
+  });
+
+  it('keeps the best extraction when no item matches', () => {
+    const result = resolveScannedCode('NOPE', items);
+    expect(result.item).toBeNull();
+    expect(result.candidate.code).toBe('NOPE');
+    expect(matchScannedItem([], items)).toBeNull();
+  });
+});
+
+describe('buildCandidateFilter', () => {
+  it('looks every candidate up in one case-insensitive filter', () => {
+    const candidates = parseScannedCode('25000100ji4aco-gcas17bk04');
+    expect(buildCandidateFilter(candidates)).toBe([
+      'internal_product_code.ilike."25000100JI4ACO-GCAS17BK04"',
+      'sku.ilike."25000100JI4ACO-GCAS17BK04"',
+      'item_code.ilike."25000100JI4ACO-GCAS17BK04"',
+      'internal_product_code.ilike."JI4ACO-GCAS17BK04"',
+      'sku.ilike."JI4ACO-GCAS17BK04"',
+      'item_code.ilike."JI4ACO-GCAS17BK04"',
+    ].join(','));
+  });
+
+  it('escapes LIKE wildcards and filter syntax in the code', () => {
+    const candidates = [{ code: 'A_1%,(B)"\\', fields: ['sku'] }];
+    expect(buildCandidateFilter(candidates)).toBe('sku.ilike."A\\\\_1\\\\%,(B)\\"\\\\\\\\"');
+  });
+
+  it('picks the first candidate among rows stored in lower case', () => {
+    const rows = [
+      { id: 'i2', sku: 'x', item_code: null, internal_product_code: 'ji4aco-gcas17bk04' },
+      { id: 'i1', sku: '25000100ji4aco-gcas17bk04', item_code: null, internal_product_code: null },
+    ];
+    const match = matchScannedItem(parseScannedCode('25000100JI4ACO-GCAS17BK04'), rows);
+    expect(match.item.id).toBe('i1');
+    expect(match.field).toBe('sku');
+  });
+});
+
+describe('evaluateBarcodeRules', () => {
+  it('lists every rule with its extraction for the admin test panel', () => {
+    const rules = [
+      rule({ name: 'Off', pattern: '^(.+)$', enabled: false, priority: 1 }),
+      rule({ name: 'Broken', pattern: '^(', priority: 2 }),
+      rule({ name: 'Digits', pattern: '^(\\d+)$', priority: 3 }),
+    ];
+    expect(evaluateBarcodeRules('abc', rules).map(({ rule: r, code, error }) => [r.name, code, error])).toEqual([
+      ['Off', 'ABC', null],
+      ['Broken', null, 'Invalid pattern'],
+      ['Digits', null, null],
+    ]);
+  });
+});
+
+describe('validateBarcodeRule', () => {
+  it('accepts the built-in rules', () => {
+    DEFAULT_BARCODE_RULES.forEach((defaultRule) => expect(validateBarcodeRule(defaultRule)).toBeNull());
+  });
+
+  it('rejects bad patterns, groups and fields', () => {
+    expect(validateBarcodeRule(rule({ name: '', pattern: '^(.+)$' }))).toBe('Name is required');
+    expect(validateBarcodeRule(rule({ name: 'A', pattern: '^(' }))).toBe('Pattern is not a valid regular expression');
+    expect(validateBarcodeRule(rule({ name: 'A', pattern: '^(.+)$', capture_group: 2 }))).toBe('Pattern has only 1 capture group(s)');
+    expect(validateBarcodeRule(rule({ name: 'A', pattern: '^.+$', capture_group: 0 }))).toBeNull();
+    expect(validateBarcodeRule(rule({ name: 'A', pattern: '^(.+)$', item_field: 'item_name' }))).toBe('Choose which item field the code maps to');
+    expect(validateBarcodeRule(rule({ name: 'A', pattern: '^(.+)$', priority: 'x' }))).toBe('Priority must be a whole number');
+  });
+});
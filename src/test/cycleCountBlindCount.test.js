@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import {
+  canShareCalculator,
+  isBlindFor,
+  isHiddenCount,
+  restrictToOwnCounts,
+} from '../features/cycle-count/lib/blindCount';
+
+const createQuery = () => {
+  const filters = [];
+  const query = {
+    filters,
+    eq(column, value) {
+      filters.push([column, value]);
+      return query;
+    },
+  };
+  return query;
+};
+
+const visibilityFor = (session, isAdmin) => {
+  const blind = isBlindFor(session, isAdmin);
+  return {
+    blind,
+    filters: restrictToOwnCounts(createQuery(), blind, 'me').filters,
+    calculator: canShareCalculator({ blind, recounting: false }),
+  };
+};
+
+describe('blind counting', () => {
+  it('shows every count and shares the calculator without the blind flag', () => {
+    expect(visibilityFor({ is_blind: false }, false)).toEqual({ blind: false, filters: [], calculator: true });
+    expect(visibilityFor(null, false)).toEqual({ blind: false, filters: [], calculator: true });
+  });
+
+  it('limits a counter in a blind session to their own counts without the calculator', () => {
+    expect(visibilityFor({ is_blind: true }, false)).toEqual({ blind: true, filters: [['user_id', 'me']], calculator: false });
+  });
+
+  it('lets an admin see every count of a blind session', () => {
+    expect(visibilityFor({ is_blind: true }, true)).toEqual({ blind: false, filters: [], calculator: true });
+  });
+
+  it('drops realtime rows from other counters only while counting blind', () => {
+    expect(isHiddenCount({ user_id: 'other' }, true, 'me')).toBe(true);
+    expect(isHiddenCount({ user_id: 'me' }, true, 'me')).toBe(false);
+    expect(isHiddenCount({ user_id: 'other' }, false, 'me')).toBe(false);
+    expect(isHiddenCount(undefined, true, 'me')).toBe(false);
+  });
+
+  it('keeps the calculator off while recounting', () => {
+    expect(canShareCalculator({ blind: false, recounting: true })).toBe(false);
+  });
+});
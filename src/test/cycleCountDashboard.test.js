@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyCountChange,
+  countsPerHour,
+  listUncountedItems,
+  progressByCategory,
+  progressByCounter,
+  summarizeSessionProgress,
+} from '../features/cycle-count/lib/sessionDashboard';
+
+const items = [
+  { id: 'i1', sku: 'RM-02', category: 'Raw Material' },
+  { id: 'i2', sku: 'RM-01', category: 'Raw Material' },
+  { id: 'i3', sku: 'FG-01', category: 'Finished Goods' },
+  { id: 'i4', sku: 'PK-01', category: null },
+];
+const at = (hour, minute = 0) => new Date(2026, 9, 1, hour, minute).toISOString();
+const counts = [
+  { id: 'c1', item_id: 'i1', user_id: 'u1', timestamp: at(8, 10) },
+  { id: 'c2', item_id: 'i1', user_id: 'u2', timestamp: at(9, 5) },
+  { id: 'c3', item_id: 'i3', user_id: 'u1', timestamp: at(9, 50) },
+  { id: 'c4', item_id: 'i3', user_id: 'admin', timestamp: at(3, 0) },
+];
+
+describe('session progress', () => {
+  it('counts items with at least one count row', () => {
+    expect(summarizeSessionProgress(items, counts)).toEqual({
+      totalItems: 4, countedItems: 2, remainingItems: 2, percent: 50, countRows: 4,
+    });
+    expect(summarizeSessionProgress([], []).percent).toBe(0);
+  });
+
+  it('groups progress by category', () => {
+    expect(progressByCategory(items, counts)).toEqual([
+      { category: 'Finished Goods', total: 1, counted: 1, percent: 100 },
+      { category: 'Raw Material', total: 2, counted: 1, percent: 50 },
+      { category: 'Uncategorized', total: 1, counted: 0, percent: 0 },
+    ]);
+  });
+
+  it('lists every counter, busiest first, plus others who counted', () => {
+    const counters = [{ id: 'u1', name: 'Siti' }, { id: 'u2', username: 'budi' }, { id: 'u3', name: 'Andi' }];
+    expect(progressByCounter(counters, counts)).toEqual([
+      { userId: 'u1', name: 'Siti', countRows: 2, itemCount: 2, lastCountAt: at(9, 50) },
+      { userId: 'u2', name: 'budi', countRows: 1, itemCount: 1, lastCountAt: at(9, 5) },
+      { userId: 'admin', name: 'Other user', countRows: 1, itemCount: 1, lastCountAt: at(3, 0) },
+      { userId: 'u3', name: 'Andi', countRows: 0, itemCount: 0, lastCountAt: null },
+    ]);
+  });
+
+  it('buckets counts into the last hours up to now', () => {
+    const buckets = countsPerHour(counts, { now: new Date(2026, 9, 1, 9, 55), hours: 3 });
+    expect(buckets.map((bucket) => [bucket.label, bucket.count])).toEqual([
+      ['07:00', 0],
+      ['08:00', 1],
+      ['09:00', 2],
+    ]);
+  });
+
+  it('lists uncounted items by SKU', () => {
+    expect(listUncountedItems(items, counts).map((item) => item.sku)).toEqual(['PK-01', 'RM-01']);
+  });
+});
+
+describe('applyCountChange', () => {
+  it('inserts, updates and deletes count rows', () => {
+    const inserted = applyCountChange(counts, { eventType: 'INSERT', new: { id: 'c5', item_id: 'i2' } });
+    expect(inserted).toHaveLength(5);
+    const updated = applyCountChange(inserted, { eventType: 'UPDATE', new: { id: 'c5', item_id: 'i2', counted_qty: 7 } });
+    expect(updated.find((count) => count.id === 'c5').counted_qty).toBe(7);
+    expect(updated).toHaveLength(5);
+    expect(applyCountChange(updated, { eventType: 'DELETE', old: { id: 'c1' } }).map((count) => count.id))
+      .toEqual(['c2', 'c3', 'c4', 'c5']);
+  });
+});
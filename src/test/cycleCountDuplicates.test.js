@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DUPLICATE_MODE,
+  MERGE_MODE,
+  combineCalculations,
+  duplicateModesFor,
+  groupDuplicateCounts,
+  isDuplicateCountError,
+  previewMerge,
+} from '../features/cycle-count/lib/duplicateCounts';
+import { createCountQueue, createMemoryStorage, replayCountQueue } from '../features/cycle-count/lib/offlineCountQueue';
+import { evaluateExpression } from '../lib/expression';
+
+const rows = [
+  { count_id: 'c2', item_id: 'i1', location_id: 'l1', location_name: 'A1.1', count_round: 1, counted_qty: 5, counted_qty_calculation: '5', captured_at: '2026-10-01T09:00:00Z' },
+  { count_id: 'c1', item_id: 'i1', location_id: 'l1', location_name: 'A1.1', count_round: 1, counted_qty: 12, counted_qty_calculation: '3*4+', captured_at: '2026-10-01T08:00:00Z' },
+  { count_id: 'c3', item_id: 'i1', location_id: 'l1', location_name: 'A1.1', count_round: 2, counted_qty: 17, counted_qty_calculation: null, captured_at: '2026-10-01T10:00:00Z' },
+  { count_id: 'c4', item_id: 'i1', location_id: 'l1', location_name: 'A1.1', count_round: 2, counted_qty: 1, counted_qty_calculation: null, captured_at: '2026-10-01T10:05:00Z' },
+];
+
+describe('combineCalculations', () => {
+  it('wraps both sides so the result still evaluates to the sum', () => {
+    const combined = combineCalculations('3*4+', 12, '2*2+1', 5);
+    expect(combined).toBe('(3*4)+(2*2+1)');
+    expect(evaluateExpression(combined).value).toBe(17);
+  });
+
+  it('falls back to the quantity when there is no calculation', () => {
+    expect(combineCalculations(null, 12, '', 5)).toBe('(12)+(5)');
+  });
+});
+
+describe('groupDuplicateCounts', () => {
+  it('groups by item, location and round with the oldest count first', () => {
+    const groups = groupDuplicateCounts(rows);
+    expect(groups).toHaveLength(2);
+    expect(groups[0]).toMatchObject({ locationName: 'A1.1', countRound: 1, total: 17 });
+    expect(groups[0].counts.map((count) => count.count_id)).toEqual(['c1', 'c2']);
+    expect(groups[1]).toMatchObject({ countRound: 2, total: 18 });
+  });
+});
+
+describe('previewMerge', () => {
+  const [group] = groupDuplicateCounts(rows);
+
+  it('adds the other rows into the kept one', () => {
+    expect(previewMerge(group, 'c1', MERGE_MODE.SUM)).toEqual({ qty: 17, calculation: '(3*4)+(5)' });
+  });
+
+  it('keeps the kept row unchanged when the others are discarded', () => {
+    expect(previewMerge(group, 'c2', MERGE_MODE.DISCARD)).toEqual({ qty: 5, calculation: '5' });
+  });
+
+  it('returns null for a row that is not in the group', () => {
+    expect(previewMerge(group, 'missing', MERGE_MODE.SUM)).toBeNull();
+  });
+});
+
+describe('duplicate captures in the offline queue', () => {
+  it('recognises the server rejection', () => {
+    expect(isDuplicateCountError({ code: 'CC_DUPLICATE_COUNT' })).toBe(true);
+    expect(isDuplicateCountError({ code: 'CC_NOT_OWNER' })).toBe(false);
+    expect(isDuplicateCountError(null)).toBe(false);
+  });
+
+  it('offers only a separate pallet on another counter\'s count', () => {
+    expect(isDuplicateCountError({ code: 'CC_DUPLICATE_OTHER_COUNT' })).toBe(true);
+    expect(duplicateModesFor({ code: 'CC_DUPLICATE_OTHER_COUNT' })).toEqual([DUPLICATE_MODE.SEPARATE]);
+    expect(duplicateModesFor({ code: 'CC_DUPLICATE_COUNT' })).toEqual([DUPLICATE_MODE.ADD, DUPLICATE_MODE.REPLACE, DUPLICATE_MODE.SEPARATE]);
+  });
+
+  it('replays a rejected capture with the chosen duplicate mode', async () => {
+    const queue = createCountQueue(createMemoryStorage());
+    const entry = await queue.enqueue({ sessionId: 's1', userId: 'u1', itemId: 'i1', countedQty: 4 });
+    const modes = [];
+    const save = async (capture) => {
+      modes.push(capture.duplicateMode ?? null);
+      if (!capture.duplicateMode) throw Object.assign(new Error('Siti already counted'), { code: 'CC_DUPLICATE_COUNT' });
+      return { id: 'count-1' };
+    };
+
+    const first = await replayCountQueue(queue, { save, userId: 'u1' });
+    expect(first.conflicts[0].error.code).toBe('CC_DUPLICATE_COUNT');
+
+    await queue.update(entry.clientId, { duplicateMode: DUPLICATE_MODE.ADD, status: 'pending', error: null });
+    const second = await replayCountQueue(queue, { save, userId: 'u1' });
+    expect(second.synced).toHaveLength(1);
+    expect(modes).toEqual([null, DUPLICATE_MODE.ADD]);
+  });
+});
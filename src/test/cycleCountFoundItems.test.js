@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import {
+  FOUND_ITEM_STATUS,
+  countPendingBySession,
+  describeFoundItem,
+  sanitizeItemSearch,
+  sortFoundItems,
+  validateFoundItem,
+} from '../features/cycle-count/lib/foundItems';
+
+const item = { id: 'i1', sku: 'SKU-1', item_name: 'Bolt M8' };
+
+describe('validateFoundItem', () => {
+  it('needs a location, an item or description and a quantity', () => {
+    expect(validateFoundItem({ item, quantity: '4' }).error).toMatch(/location/);
+    expect(validateFoundItem({ locationId: 'l1', description: '  ', quantity: '4' }).error).toMatch(/describe/);
+    expect(validateFoundItem({ locationId: 'l1', item, quantity: '' }).error).toMatch(/quantity/);
+  });
+
+  it('evaluates the quantity expression and keeps it as the calculation', () => {
+    expect(validateFoundItem({ locationId: 'l1', item, quantity: '3*4+2' })).toEqual({ qty: 14, calculation: '3*4+2' });
+    expect(validateFoundItem({ locationId: 'l1', description: 'Blue crate', quantity: '7' })).toEqual({ qty: 7, calculation: '' });
+  });
+
+  it('rejects fractions and broken expressions', () => {
+    expect(validateFoundItem({ locationId: 'l1', item, quantity: '7/2' }).error).toMatch(/whole number/);
+    expect(validateFoundItem({ locationId: 'l1', item, quantity: '3**' }).error).toMatch(/whole number/);
+  });
+});
+
+describe('found item helpers', () => {
+  it('labels known items by SKU and unknown ones by barcode and description', () => {
+    expect(describeFoundItem({ item })).toBe('SKU-1 | Bolt M8');
+    expect(describeFoundItem({ scanned_code: '899123', description: 'Blue crate' })).toBe('899123 | Blue crate');
+    expect(describeFoundItem({})).toBe('Unknown item');
+  });
+
+  it('lists pending finds first, oldest first', () => {
+    const rows = [
+      { id: 'a', status: FOUND_ITEM_STATUS.ACCEPTED, captured_at: '2026-10-01T08:00:00Z' },
+      { id: 'b', status: FOUND_ITEM_STATUS.PENDING, captured_at: '2026-10-01T10:00:00Z' },
+      { id: 'c', status: FOUND_ITEM_STATUS.PENDING, captured_at: '2026-10-01T09:00:00Z' },
+    ];
+    expect(sortFoundItems(rows).map((row) => row.id)).toEqual(['c', 'b', 'a']);
+  });
+
+  it('counts pending finds per session', () => {
+    expect(countPendingBySession([{ session_id: 's1' }, { session_id: 's2' }, { session_id: 's1' }])).toEqual({ s1: 2, s2: 1 });
+  });
+
+  it('strips characters that would break the item search filter', () => {
+    expect(sanitizeItemSearch(' bolt,(m8)*% ')).toBe('bolt  m8');
+  });
+});
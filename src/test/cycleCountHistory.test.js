@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { describeHistoryChange, toCountHistoryExportRows } from '../features/cycle-count/lib/countHistory';
+import { describeUserAgent, getDeviceLabel } from '../features/cycle-count/lib/deviceLabel';
+
+const memoryStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, value),
+  };
+};
+
+describe('describeHistoryChange', () => {
+  it('summarizes inserts, edits and deletes', () => {
+    expect(describeHistoryChange({ action: 'INSERT', new_qty: '12.0000' })).toBe('Counted 12');
+    expect(describeHistoryChange({ action: 'UPDATE', old_qty: '12', new_qty: '15' })).toBe('12 → 15');
+    expect(describeHistoryChange({ action: 'UPDATE', old_qty: '12', new_qty: '12' })).toBe('Calculation changed');
+    expect(describeHistoryChange({ action: 'DELETE', old_qty: '15' })).toBe('Deleted 15');
+  });
+});
+
+describe('toCountHistoryExportRows', () => {
+  it('maps an audit row with item, location and users', () => {
+    const [row] = toCountHistoryExportRows([{
+      count_id: 'count-1', action: 'UPDATE', changed_at: '2026-10-01T08:00:00Z', captured_at: '2026-10-01T07:30:00Z',
+      old_qty: '12', new_qty: '15', old_calculation: '3*4', new_calculation: '3*5',
+      item: { sku: 'FG-01', item_name: 'Bottle' }, location_name: 'Rack A',
+      count_user_name: 'Siti', changed_by_name: 'Admin', device: 'Android Chrome #1a2b3c4d',
+    }]);
+    expect(row).toEqual({
+      'Changed At': '2026-10-01T08:00:00Z',
+      Action: 'UPDATE',
+      SKU: 'FG-01',
+      'Item Name': 'Bottle',
+      Location: 'Rack A',
+      'Old Qty': 12,
+      'New Qty': 15,
+      'Old Calculation': '3*4',
+      'New Calculation': '3*5',
+      Counter: 'Siti',
+      'Changed By': 'Admin',
+      Device: 'Android Chrome #1a2b3c4d',
+      'Captured At': '2026-10-01T07:30:00Z',
+      Note: '',
+      'Count ID': 'count-1',
+    });
+  });
+
+  it('leaves the missing side of inserts and deletes blank', () => {
+    const [inserted, deleted] = toCountHistoryExportRows([
+      { count_id: 'a', action: 'INSERT', new_qty: 3 },
+      { count_id: 'a', action: 'DELETE', old_qty: 3 },
+    ]);
+    expect(inserted).toMatchObject({ 'Old Qty': '', 'New Qty': 3 });
+    expect(deleted).toMatchObject({ 'Old Qty': 3, 'New Qty': '' });
+  });
+});
+
+describe('device label', () => {
+  it('names platform and browser from the user agent', () => {
+    expect(describeUserAgent('Mozilla/5.0 (Linux; Android 13; TC52) AppleWebKit/537.36 Chrome/120.0 Mobile Safari/537.36')).toBe('Android Chrome');
+    expect(describeUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0 Safari/537.36 Edg/120.0')).toBe('Windows Edge');
+    expect(describeUserAgent('')).toBe('Unknown device');
+  });
+
+  it('keeps a stable device ID per browser', () => {
+    const storage = memoryStorage();
+    const userAgent = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1';
+    const first = getDeviceLabel({ storage, userAgent });
+    expect(first).toMatch(/^iPhone Safari #[0-9a-f]{8}$/);
+    expect(getDeviceLabel({ storage, userAgent })).toBe(first);
+  });
+
+  it('still names the device when storage is blocked', () => {
+    const storage = { getItem: () => { throw new Error('blocked'); }, setItem: () => {} };
+    expect(getDeviceLabel({ storage, userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Firefox/120.0' })).toBe('Mac Firefox');
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import {
+  LARGE_SESSION_ITEM_COUNT,
+  computeItemWindow,
+  groupCountsByItem,
+  isLargeSession,
+  missingCountItemIds,
+  shouldLoadMore,
+} from '../features/cycle-count/lib/itemWindow';
+
+describe('computeItemWindow', () => {
+  it('renders the rows in view plus the overscan, with spacers for the rest', () => {
+    const range = computeItemWindow({ count: 1000, scrollTop: 1000, viewportHeight: 500, estimate: 100, overscan: 2 });
+    expect(range).toEqual({ start: 8, end: 17, before: 800, after: 98300 });
+  });
+
+  it('starts at the top while the list is still below the fold', () => {
+    const range = computeItemWindow({ count: 50, scrollTop: -300, viewportHeight: 600, estimate: 100, overscan: 0 });
+    expect(range).toMatchObject({ start: 0, end: 3, before: 0 });
+  });
+
+  it('uses measured heights and the row gap', () => {
+    const heights = [300, 300];
+    const range = computeItemWindow({ count: 10, scrollTop: 620, viewportHeight: 100, heights, estimate: 100, gap: 10, overscan: 0 });
+    expect(range).toMatchObject({ start: 2, end: 3, before: 620 });
+  });
+
+  it('handles an empty list and a scroll past the end', () => {
+    expect(computeItemWindow({ count: 0, scrollTop: 0, viewportHeight: 500 })).toEqual({ start: 0, end: 0, before: 0, after: 0 });
+    expect(computeItemWindow({ count: 3, scrollTop: 5000, viewportHeight: 500, estimate: 100, overscan: 0 })).toMatchObject({ start: 2, end: 3 });
+  });
+});
+
+describe('paging helpers', () => {
+  it('treats sessions above the threshold as large', () => {
+    expect(isLargeSession(LARGE_SESSION_ITEM_COUNT)).toBe(false);
+    expect(isLargeSession(LARGE_SESSION_ITEM_COUNT + 1)).toBe(true);
+  });
+
+  it('loads the next page when the window nears the last loaded row', () => {
+    expect(shouldLoadMore({ end: 85, loaded: 100, total: 500 })).toBe(true);
+    expect(shouldLoadMore({ end: 40, loaded: 100, total: 500 })).toBe(false);
+    expect(shouldLoadMore({ end: 100, loaded: 100, total: 100 })).toBe(false);
+  });
+
+  it('asks only for the counts not loaded yet', () => {
+    expect(missingCountItemIds(['a', 'b', 'b', 'c'], new Set(['a']))).toEqual(['b', 'c']);
+  });
+
+  it('groups count rows by item the way the list shows them', () => {
+    const grouped = groupCountsByItem([
+      { id: 'c1', item_id: 'i1', counted_qty: 4, counted_qty_calculation: '2*2', locations: { name: 'A1' }, user_id: 'u1' },
+      { id: 'c2', item_id: 'i1', counted_qty: 1, locations: null, user_id: 'u2' },
+    ]);
+    expect(grouped.i1.map((count) => [count.id, count.location, count.countedQty])).toEqual([['c1', 'A1', 4], ['c2', 'Unknown', 1]]);
+  });
+});
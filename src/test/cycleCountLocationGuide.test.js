@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import {
+  LOCATION_PROGRESS,
+  buildLocationChecklist,
+  getLocationProgressStatus,
+  summarizeLocationProgress,
+} from '../features/cycle-count/lib/locationGuide';
+
+const items = [
+  { id: 'i1', sku: 'RM-01' },
+  { id: 'i2', sku: 'RM-02' },
+  { id: 'i3', sku: 'RM-03' },
+];
+
+describe('buildLocationChecklist', () => {
+  it('lists uncounted expected items first, then counted ones, then unexpected finds', () => {
+    const checklist = buildLocationChecklist({
+      items,
+      expected: [
+        { item_id: 'i1', from_counts: true, from_lots: false },
+        { item_id: 'i2', from_counts: false, from_lots: true },
+      ],
+      counts: {
+        i1: [{ location: 'a1.1', countedQty: 4 }, { location: 'A1.1 ', countedQty: 6, pending: true }, { location: 'B2', countedQty: 9 }],
+        i3: [{ location: 'A1.1', countedQty: 2 }],
+      },
+      locationName: 'A1.1',
+    });
+
+    expect(checklist.rows.map((row) => row.item.id)).toEqual(['i2', 'i1', 'i3']);
+    expect(checklist.expectedCount).toBe(2);
+    expect(checklist.expectedCounted).toBe(1);
+    expect(checklist.rows[0]).toMatchObject({ expected: true, fromLots: true, counted: false, countedQty: null });
+    expect(checklist.rows[1]).toMatchObject({ fromCounts: true, counted: true, countedQty: 10, pending: true });
+    expect(checklist.rows[2]).toMatchObject({ expected: false, counted: true, countedQty: 2 });
+  });
+
+  it('returns an empty checklist when nothing is expected or counted', () => {
+    expect(buildLocationChecklist({ items, locationName: 'A1.1' }))
+      .toEqual({ rows: [], expectedCount: 0, expectedCounted: 0 });
+  });
+});
+
+describe('location progress', () => {
+  it('derives the status from the done mark and counted items', () => {
+    expect(getLocationProgressStatus({ completed_at: '2026-10-01T08:00:00Z', counted_items: 0 })).toBe(LOCATION_PROGRESS.DONE);
+    expect(getLocationProgressStatus({ completed_at: null, counted_items: 3 })).toBe(LOCATION_PROGRESS.IN_PROGRESS);
+    expect(getLocationProgressStatus({ completed_at: null, counted_items: 0 })).toBe(LOCATION_PROGRESS.NOT_STARTED);
+  });
+
+  it('summarizes locations by status', () => {
+    expect(summarizeLocationProgress([
+      { completed_at: '2026-10-01T08:00:00Z', counted_items: 4 },
+      { completed_at: null, counted_items: 1 },
+      { completed_at: null, counted_items: 0 },
+      { completed_at: null, counted_items: 0 },
+    ])).toEqual({ total: 4, done: 1, inProgress: 1, notStarted: 2 });
+  });
+});
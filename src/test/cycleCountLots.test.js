@@ -0,0 +1,120 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildLotEntry,
+  groupLotVariances,
+  initialLotQuantities,
+  isRawMaterialItem,
+  lotVariance,
+  planLotAdjustment,
+} from '../features/cycle-count/lib/lotCounts';
+import { evaluateExpression } from '../lib/expression';
+
+const lots = [
+  { lot_id: 'lot-1', location: 'A1.1', received_date: '2026-09-01', expected_qty: '40.0000', counted_qty: null },
+  { lot_id: 'lot-2', location: 'A1.1', received_date: '2026-09-15', expected_qty: '25.5000', counted_qty: null },
+];
+
+describe('isRawMaterialItem', () => {
+  it('matches the category case-insensitively', () => {
+    expect(isRawMaterialItem({ category: ' raw Material ' })).toBe(true);
+    expect(isRawMaterialItem({ category: 'Finished Goods' })).toBe(false);
+    expect(isRawMaterialItem(null)).toBe(false);
+  });
+});
+
+describe('initialLotQuantities', () => {
+  it('starts from the expected quantities of a new count', () => {
+    expect(initialLotQuantities(lots)).toEqual({ 'lot-1': '40', 'lot-2': '25.5' });
+  });
+
+  it('starts from the counted quantities when editing a lot count', () => {
+    const edited = [{ ...lots[0], counted_qty: '38' }, { ...lots[1], counted_qty: null }];
+    expect(initialLotQuantities(edited, { editing: true })).toEqual({ 'lot-1': '38', 'lot-2': '' });
+  });
+
+  it('starts empty in blind sessions and when editing a count without lots', () => {
+    expect(initialLotQuantities(lots.map((lot) => ({ ...lot, expected_qty: null })))).toEqual({ 'lot-1': '', 'lot-2': '' });
+    expect(initialLotQuantities(lots, { editing: true })).toEqual({ 'lot-1': '', 'lot-2': '' });
+  });
+});
+
+describe('buildLotEntry', () => {
+  it('returns the lines and a calculation that evaluates to the count', () => {
+    const entry = buildLotEntry(lots, { 'lot-1': '38', 'lot-2': '25.5' }, '1.5');
+    expect(entry.error).toBeNull();
+    expect(entry.total).toBe(65);
+    expect(entry.lines).toEqual([
+      { lot_id: 'lot-1', counted_qty: 38 },
+      { lot_id: 'lot-2', counted_qty: 25.5 },
+    ]);
+    expect(evaluateExpression(entry.expression).value).toBe(65);
+  });
+
+  it('keeps lots counted as zero in the lines', () => {
+    const entry = buildLotEntry(lots, { 'lot-1': '0', 'lot-2': '0' });
+    expect(entry.lines.map((line) => line.counted_qty)).toEqual([0, 0]);
+    expect(entry.expression).toBe('0');
+  });
+
+  it('treats all empty inputs as a count without lots', () => {
+    expect(buildLotEntry(lots, {}, '')).toEqual({ lines: null, total: 0, expression: '', error: null });
+  });
+
+  it('needs every lot once one is entered', () => {
+    expect(buildLotEntry(lots, { 'lot-1': '40' }).error).toMatch(/every lot/);
+  });
+
+  it('rejects negative and fractional totals', () => {
+    expect(buildLotEntry(lots, { 'lot-1': '-1', 'lot-2': '2' }).error).toMatch(/zero or more/);
+    expect(buildLotEntry(lots, { 'lot-1': '40', 'lot-2': '25.5' }).error).toMatch(/65.5 is not a whole number/);
+  });
+});
+
+describe('lotVariance', () => {
+  it('compares the typed quantity with the expected one', () => {
+    expect(lotVariance(lots[1], '20')).toBe(-5.5);
+    expect(lotVariance(lots[1], '')).toBeNull();
+    expect(lotVariance({ ...lots[1], expected_qty: null }, '20')).toBeNull();
+  });
+});
+
+const totals = [
+  { item_id: 'i1', lot_id: 'lot-1', location: 'A1.1', received_date: '2026-09-01', expected_qty: '40', counted_qty: '32', variance: '-8' },
+  { item_id: 'i1', lot_id: 'lot-2', location: 'A1.1', received_date: '2026-09-15', expected_qty: '25', counted_qty: '25', variance: '0' },
+  { item_id: 'i1', lot_id: 'lot-3', location: 'B2.1', received_date: '2026-08-20', expected_qty: '10', counted_qty: '7', variance: '-3' },
+  { item_id: 'i2', lot_id: 'lot-4', location: 'C1.1', received_date: '2026-09-10', expected_qty: '5', counted_qty: '9', variance: '4' },
+];
+
+describe('groupLotVariances', () => {
+  it('keeps only lots with a difference, per item', () => {
+    const grouped = groupLotVariances(totals);
+    expect(grouped.i1.map((lot) => lot.lotId)).toEqual(['lot-1', 'lot-3']);
+    expect(grouped.i2[0]).toMatchObject({ location: 'C1.1', expectedQty: 5, countedQty: 9, variance: 4 });
+  });
+});
+
+describe('planLotAdjustment', () => {
+  const grouped = groupLotVariances(totals);
+
+  it('takes a loss from the short lots in FIFO order, then plain FIFO', () => {
+    const plan = planLotAdjustment(grouped.i1, -14);
+    expect(plan.lossLots.map((lot) => [lot.lotId, lot.qty])).toEqual([['lot-3', 3], ['lot-1', 8]]);
+    expect(plan.fifoQty).toBe(3);
+  });
+
+  it('stops once the loss is covered', () => {
+    const plan = planLotAdjustment(grouped.i1, -5);
+    expect(plan.lossLots.map((lot) => [lot.lotId, lot.qty])).toEqual([['lot-3', 3], ['lot-1', 2]]);
+    expect(plan.fifoQty).toBe(0);
+  });
+
+  it('puts a gain at the lot with the largest surplus', () => {
+    expect(planLotAdjustment(grouped.i2, 4).gainLot).toMatchObject({ lotId: 'lot-4', location: 'C1.1' });
+  });
+
+  it('has no plan without matching lot differences', () => {
+    expect(planLotAdjustment(grouped.i1, 6)).toBeNull();
+    expect(planLotAdjustment([], -2)).toBeNull();
+    expect(planLotAdjustment(grouped.i1, 0)).toBeNull();
+  });
+});
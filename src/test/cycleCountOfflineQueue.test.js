@@ -0,0 +1,102 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  CAPTURE_STATUS,
+  createCountQueue,
+  createMemoryStorage,
+  mergePendingCounts,
+  replayCountQueue,
+} from '../features/cycle-count/lib/offlineCountQueue';
+import { getCaptureBlockReason } from '../features/cycle-count/lib/sessionWindow';
+
+const capture = (overrides = {}) => ({
+  sessionId: 'session-1',
+  userId: 'user-1',
+  itemId: 'item-1',
+  locationId: 'loc-1',
+  locationName: 'Rack A',
+  countedQty: 5,
+  calculation: '2+3',
+  capturedAt: '2026-01-05T08:00:00.000Z',
+  ...overrides,
+});
+
+const networkError = Object.assign(new Error('Failed to fetch'), { network: true });
+const isNetworkError = (error) => Boolean(error?.network);
+
+describe('offline count queue', () => {
+  it('keeps captures in order and merges re-captures of a queued entry', async () => {
+    const queue = createCountQueue(createMemoryStorage());
+    const first = await queue.enqueue(capture());
+    await queue.enqueue(capture({ itemId: 'item-2' }));
+    await queue.enqueue(capture({ clientId: first.clientId, countedQty: 7, countId: 'ignored' }));
+
+    const entries = await queue.list({ sessionId: 'session-1', userId: 'user-1' });
+    expect(entries.map((entry) => entry.itemId)).toEqual(['item-1', 'item-2']);
+    expect(entries[0]).toMatchObject({ countedQty: 7, countId: null, status: CAPTURE_STATUS.PENDING });
+  });
+
+  it('stops replaying on a network failure so later captures wait', async () => {
+    const queue = createCountQueue(createMemoryStorage());
+    await queue.enqueue(capture());
+    await queue.enqueue(capture({ itemId: 'item-2' }));
+    const save = vi.fn().mockRejectedValueOnce(networkError);
+
+    const summary = await replayCountQueue(queue, { save, isNetworkError, userId: 'user-1' });
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(summary).toMatchObject({ synced: [], conflicts: [], remaining: 2 });
+    expect(await queue.list()).toHaveLength(2);
+  });
+
+  it('removes synced captures and flags server rejections for review', async () => {
+    const queue = createCountQueue(createMemoryStorage());
+    await queue.enqueue(capture());
+    await queue.enqueue(capture({ itemId: 'item-2' }));
+    const rejection = Object.assign(new Error('Session is closed.'), { code: 'CC_SESSION_CLOSED' });
+    const save = vi.fn()
+      .mockResolvedValueOnce({ id: 'count-1' })
+      .mockRejectedValueOnce(rejection);
+    const onSynced = vi.fn();
+
+    const summary = await replayCountQueue(queue, { save, isNetworkError, userId: 'user-1', onSynced });
+
+    expect(onSynced).toHaveBeenCalledWith(expect.objectContaining({ itemId: 'item-1' }), { id: 'count-1' });
+    expect(summary.conflicts[0]).toMatchObject({
+      itemId: 'item-2',
+      status: CAPTURE_STATUS.CONFLICT,
+      error: { code: 'CC_SESSION_CLOSED', message: 'Session is closed.' },
+    });
+    expect((await queue.list()).map((entry) => entry.itemId)).toEqual(['item-2']);
+  });
+
+  it('overlays queued captures on server counts', () => {
+    const server = { 'item-1': [{ id: 'count-1', location: 'Rack A', countedQty: 1 }] };
+    const merged = mergePendingCounts(server, [
+      capture({ clientId: 'c-1', countId: 'count-1', countedQty: 9 }),
+      capture({ clientId: 'c-2', itemId: 'item-2', locationName: 'Rack B' }),
+    ]);
+
+    expect(merged['item-1']).toEqual([expect.objectContaining({ id: 'count-1', countedQty: 9, pending: true })]);
+    expect(merged['item-2']).toEqual([expect.objectContaining({ id: 'c-2', location: 'Rack B', pending: true })]);
+    expect(server['item-1'][0].countedQty).toBe(1);
+  });
+});
+
+describe('getCaptureBlockReason', () => {
+  const session = {
+    status: 'active',
+    valid_from: '2026-01-05T07:00:00.000Z',
+    valid_until: '2026-01-05T09:00:00.000Z',
+  };
+
+  it('judges the window by capture time', () => {
+    expect(getCaptureBlockReason(session, new Date('2026-01-05T08:00:00.000Z'))).toBeNull();
+    expect(getCaptureBlockReason(session, new Date('2026-01-05T10:00:00.000Z'))).toMatch(/^Session has expired/);
+    expect(getCaptureBlockReason(session, new Date('2026-01-05T06:00:00.000Z'))).toMatch(/^Session has not started/);
+  });
+
+  it('blocks closed and scheduled sessions', () => {
+    expect(getCaptureBlockReason({ status: 'completed' })).toBe('Cannot save count. Session is completed.');
+    expect(getCaptureBlockReason({ status: 'scheduled' })).toBe('Cannot save count. Session is not yet active.');
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import {
+  findCountConflicts,
+  getInitials,
+  getItemViewers,
+  listPresencePeers,
+  summarizeOnlineUsers,
+} from '../features/cycle-count/lib/sessionPresence';
+
+const state = {
+  'client-me': [{ clientId: 'client-me', userId: 'me', name: 'Me', itemId: 'i1', location: 'A1.1' }],
+  'client-siti': [{ clientId: 'client-siti', userId: 'siti', name: 'Siti Aminah', itemId: 'i1', location: 'a1.1', updatedAt: '2026-10-01T08:00:00Z' }],
+  'client-budi-phone': [{ clientId: 'client-budi-phone', userId: 'budi', name: 'Budi', itemId: 'i1', location: 'B2', updatedAt: '2026-10-01T08:05:00Z' }],
+  'client-budi-tablet': [{ clientId: 'client-budi-tablet', userId: 'budi', name: 'Budi', itemId: null, location: 'A1.2', updatedAt: '2026-10-01T08:01:00Z' }],
+};
+
+describe('session presence', () => {
+  const peers = listPresencePeers(state, 'client-me');
+
+  it('lists other clients only', () => {
+    expect(peers.map((peer) => peer.clientId)).toEqual(['client-siti', 'client-budi-phone', 'client-budi-tablet']);
+  });
+
+  it('shows each user once per item', () => {
+    expect(getItemViewers(peers, 'i1').map((peer) => peer.userId)).toEqual(['siti', 'budi']);
+    expect(getItemViewers(peers, 'i2')).toEqual([]);
+  });
+
+  it('warns about others counting the same item at the same location', () => {
+    expect(findCountConflicts(peers, { itemId: 'i1', location: 'A1.1', userId: 'me' }).map((peer) => peer.userId)).toEqual(['siti']);
+    expect(findCountConflicts(peers, { itemId: 'i1', location: 'C3', userId: 'me' })).toEqual([]);
+    expect(findCountConflicts(peers, { itemId: 'i1', location: '', userId: 'me' })).toEqual([]);
+  });
+
+  it('summarizes online users with their latest activity', () => {
+    expect(summarizeOnlineUsers(peers)).toEqual([
+      expect.objectContaining({ userId: 'budi', location: 'B2', itemId: 'i1', devices: 2 }),
+      expect.objectContaining({ userId: 'siti', devices: 1 }),
+    ]);
+  });
+
+  it('builds avatar initials', () => {
+    expect(getInitials('Siti Aminah Putri')).toBe('SA');
+    expect(getInitials('budi')).toBe('B');
+    expect(getInitials('')).toBe('?');
+  });
+});
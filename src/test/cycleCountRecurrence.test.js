@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildRecurrenceConfig,
+  describeRecurrence,
+  expandRecurrence,
+  isNonWorkingDay,
+  normalizeRecurrence,
+  occurrencesPerYear,
+  ruleMatches,
+  validateRecurrence,
+} from '../features/cycle-count/lib/recurrence';
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const datesOf = (occurrences) => occurrences.map((occurrence) => occurrence.date);
+
+describe('recurrence rules', () => {
+  it('repeats every N days from the anchor', () => {
+    const config = { type: 'daily', interval: 3 };
+    expect(ruleMatches(config, '2026-10-01', { anchor: '2026-10-01' })).toBe(true);
+    expect(ruleMatches(config, '2026-10-04', { anchor: '2026-10-01' })).toBe(true);
+    expect(ruleMatches(config, '2026-10-02', { anchor: '2026-10-01' })).toBe(false);
+    expect(ruleMatches(config, '2026-09-28', { anchor: '2026-10-01' })).toBe(false);
+  });
+
+  it('repeats every N weeks counted from the week of the anchor', () => {
+    const config = { type: 'weekly', days: [1], interval: 2 };
+    expect(datesOf(expandRecurrence(config, { anchor: '2026-10-01', from: '2026-10-01', to: '2026-10-31' })))
+      .toEqual(['2026-10-12', '2026-10-26']);
+  });
+
+  it('repeats monthly dates every N months', () => {
+    const config = { type: 'monthly', dates: [15], interval: 2 };
+    expect(datesOf(expandRecurrence(config, { anchor: '2026-10-01', from: '2026-10-01', to: '2026-12-31' })))
+      .toEqual(['2026-10-15', '2026-12-15']);
+  });
+
+  it('finds the first and last weekday of the month', () => {
+    const range = { from: '2026-10-01', to: '2026-12-31' };
+    expect(datesOf(expandRecurrence({ type: 'monthly_weekday', week: 1, weekday: 1 }, range)))
+      .toEqual(['2026-10-05', '2026-11-02', '2026-12-07']);
+    expect(datesOf(expandRecurrence({ type: 'monthly_weekday', week: -1, weekday: 5 }, range)))
+      .toEqual(['2026-10-30', '2026-11-27', '2026-12-25']);
+  });
+
+  it('counts working days around weekends and holidays', () => {
+    const last = { type: 'monthly_working_day', working_day: -1, working_days: WEEKDAYS };
+    const first = { type: 'monthly_working_day', working_day: 1, working_days: WEEKDAYS };
+    const range = { from: '2026-10-01', to: '2026-11-30' };
+    expect(datesOf(expandRecurrence(last, range))).toEqual(['2026-10-30', '2026-11-30']);
+    expect(datesOf(expandRecurrence(last, { ...range, holidays: [{ starts_on: '2026-11-30', ends_on: '2026-11-30' }] })))
+      .toEqual(['2026-10-30', '2026-11-27']);
+    expect(datesOf(expandRecurrence(first, { ...range, holidays: [{ starts_on: '2026-11-02', ends_on: '2026-11-02' }] })))
+      .toEqual(['2026-10-01', '2026-11-03']);
+  });
+
+  it('treats every weekday as working for templates saved before working days', () => {
+    expect(isNonWorkingDay({ type: 'daily' }, '2026-10-24')).toBe(false);
+    expect(isNonWorkingDay({ type: 'daily', working_days: WEEKDAYS }, '2026-10-24')).toBe(true);
+    expect(isNonWorkingDay({ type: 'daily' }, '2026-10-24', [{ starts_on: '2026-10-23', ends_on: '2026-10-25' }])).toBe(true);
+  });
+});
+
+describe('holidays', () => {
+  const holidays = [{ starts_on: '2026-10-26', ends_on: '2026-10-26' }];
+  const range = { from: '2026-10-18', to: '2026-10-31', holidays };
+  const mondays = (rule) => ({ type: 'weekly', days: [1], working_days: WEEKDAYS, holidays: rule });
+
+  it('skips or moves an occurrence on a holiday', () => {
+    expect(datesOf(expandRecurrence(mondays('skip'), range))).toEqual(['2026-10-19']);
+    expect(datesOf(expandRecurrence(mondays('previous'), range))).toEqual(['2026-10-19', '2026-10-23']);
+    expect(expandRecurrence(mondays('next'), range)[1]).toEqual({ date: '2026-10-27', occurrence: '2026-10-26', shifted: true });
+  });
+
+  it('generates one session when occurrences move onto the same day', () => {
+    const config = { type: 'daily', working_days: WEEKDAYS, holidays: 'next' };
+    expect(expandRecurrence(config, { from: '2026-10-17', to: '2026-10-20' })).toEqual([
+      { date: '2026-10-19', occurrence: '2026-10-19', shifted: false },
+      { date: '2026-10-20', occurrence: '2026-10-20', shifted: false },
+    ]);
+  });
+});
+
+describe('recurrence config', () => {
+  it('counts sessions per year over the interval', () => {
+    expect(occurrencesPerYear({ type: 'weekly', days: [1, 4], interval: 2 })).toBe(52);
+    expect(occurrencesPerYear({ type: 'monthly', dates: [1], interval: 3 })).toBe(4);
+    expect(occurrencesPerYear({ type: 'monthly_weekday', week: 1, weekday: 1 })).toBe(12);
+  });
+
+  it('rejects incomplete rules', () => {
+    expect(validateRecurrence({ type: 'weekly', days: [] })).toBe('Please select at least one day');
+    expect(validateRecurrence({ type: 'monthly_weekday', week: 5, weekday: 1 })).toBe('Choose which week of the month');
+    expect(validateRecurrence({ type: 'daily', working_days: [] })).toBe('Select at least one working day');
+    expect(validateRecurrence({ type: 'monthly_working_day', working_day: -1, working_days: WEEKDAYS })).toBeNull();
+  });
+
+  it('keeps legacy templates working every day and stores only the fields in use', () => {
+    expect(buildRecurrenceConfig(normalizeRecurrence({ type: 'weekly', days: [1] }, '2026-10-01'))).toEqual({
+      type: 'weekly',
+      days: [1],
+      working_days: [0, 1, 2, 3, 4, 5, 6],
+      holidays: 'skip',
+      start_date: '2026-10-01',
+    });
+    const form = { ...normalizeRecurrence(null, '2026-10-19'), type: 'monthly_weekday', days: [1], interval: '2' };
+    expect(buildRecurrenceConfig(form)).toEqual({
+      type: 'monthly_weekday',
+      week: 1,
+      weekday: 1,
+      interval: 2,
+      working_days: WEEKDAYS,
+      holidays: 'skip',
+      start_date: '2026-10-19',
+    });
+  });
+
+  it('describes the rule in one line', () => {
+    expect(describeRecurrence({ type: 'weekly', days: [1, 4], interval: 2 })).toBe('Every 2 weeks on Mon, Thu · holidays skipped');
+    expect(describeRecurrence({ type: 'monthly_working_day', working_day: -1, holidays: 'previous' }))
+      .toBe('Monthly on the last working day · holidays move to the previous working day');
+  });
+});
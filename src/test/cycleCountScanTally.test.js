@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import {
+  SCAN_STEP,
+  createScan,
+  findScannedItem,
+  getScanUnit,
+  loadTally,
+  saveTally,
+  summarizeTally,
+  tallyStorageKey,
+} from '../features/cycle-count/lib/scanTally';
+import { evaluateExpression } from '../lib/expression';
+
+const items = [
+  { id: 'i1', sku: 'SKU-1', item_code: 'IC-1', internal_product_code: 'JI4ACO-GCAS17BK04', uom: 'pcs', unit_conversions: [{ unit: 'box', factor: 12 }, { unit: 'carton', factor: 48 }] },
+  { id: 'i2', sku: 'SKU-2', item_code: 'IC-2', internal_product_code: null, uom: 'PCS' },
+];
+
+const createStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, value),
+    removeItem: (key) => values.delete(key),
+  };
+};
+
+describe('findScannedItem', () => {
+  it('matches the internal code, then the SKU, then the item code', () => {
+    expect(findScannedItem(items, ' ji4aco-gcas17bk04 ')?.id).toBe('i1');
+    expect(findScannedItem(items, 'SKU-2')?.id).toBe('i2');
+    expect(findScannedItem(items, 'ic-1')?.id).toBe('i1');
+    expect(findScannedItem(items, 'NOPE')).toBeNull();
+    expect(findScannedItem(items, '')).toBeNull();
+  });
+});
+
+describe('getScanUnit', () => {
+  it('adds one base unit per scan by default', () => {
+    expect(getScanUnit(items[0], SCAN_STEP.EACH)).toEqual({ unit: 'PCS', factor: 1 });
+  });
+
+  it('adds the smallest pack when stepping by pack', () => {
+    expect(getScanUnit(items[0], SCAN_STEP.PACK)).toEqual({ unit: 'BOX', factor: 12 });
+  });
+
+  it('falls back to the base unit for items without packs', () => {
+    expect(getScanUnit(items[1], SCAN_STEP.PACK)).toEqual({ unit: 'PCS', factor: 1 });
+  });
+});
+
+describe('summarizeTally', () => {
+  it('totals scans per item with a breakdown and calculation, latest item first', () => {
+    const scans = [
+      createScan(items[0], 'SKU-1', SCAN_STEP.PACK, 1),
+      createScan(items[0], 'SKU-1', SCAN_STEP.EACH, 2),
+      createScan(items[1], 'SKU-2', SCAN_STEP.EACH, 3),
+      createScan(items[0], 'SKU-1', SCAN_STEP.PACK, 4),
+    ];
+    const lines = summarizeTally(scans, items);
+    expect(lines.map((line) => line.itemId)).toEqual(['i1', 'i2']);
+    expect(lines[0]).toMatchObject({ scans: 3, quantities: { BOX: 2, PCS: 1 } });
+    expect(lines[0].entry.total).toBe(25);
+    expect(lines[0].entry.breakdown).toEqual([
+      { unit: 'BOX', qty: 2, factor: 12 },
+      { unit: 'PCS', qty: 1, factor: 1 },
+    ]);
+    expect(evaluateExpression(lines[0].entry.expression).value).toBe(25);
+    expect(lines[1].entry.total).toBe(1);
+  });
+
+  it('counts back-to-back reads of identical labels', () => {
+    const scans = [1000, 1001, 1002].map((at) => createScan(items[1], 'sku-2', SCAN_STEP.EACH, at));
+    expect(summarizeTally(scans, items)[0]).toMatchObject({ scans: 3, quantities: { PCS: 3 } });
+  });
+
+  it('is empty without scans', () => {
+    expect(summarizeTally([], items)).toEqual([]);
+  });
+});
+
+describe('tally storage', () => {
+  it('keeps unsaved scans per session and user and drops empty tallies', () => {
+    const storage = createStorage();
+    const key = tallyStorageKey('s1', 'u1');
+    const tally = { location: 'A1.1', scans: [createScan(items[1], 'SKU-2', SCAN_STEP.EACH, 5)] };
+    saveTally(storage, key, tally);
+    expect(loadTally(storage, key)).toEqual(tally);
+    saveTally(storage, key, { location: 'A1.1', scans: [] });
+    expect(loadTally(storage, key)).toBeNull();
+  });
+
+  it('ignores unreadable saved data', () => {
+    const storage = createStorage();
+    storage.setItem('broken', '{not json');
+    expect(loadTally(storage, 'broken')).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import {
+  CALENDAR_VIEW,
+  calendarDateOf,
+  calendarRange,
+  calendarWeeks,
+  canMoveSession,
+  groupSessionsByDay,
+  projectTemplateDates,
+  stepAnchor,
+} from '../features/cycle-count/lib/sessionCalendar';
+
+describe('calendar grid', () => {
+  it('shows six whole weeks from the Sunday before the first of the month', () => {
+    const weeks = calendarWeeks('2026-10-19', CALENDAR_VIEW.MONTH);
+    expect(weeks).toHaveLength(6);
+    expect(weeks[0][0]).toBe('2026-09-27');
+    expect(weeks[5][6]).toBe('2026-11-07');
+  });
+
+  it('shows the week of the anchor day', () => {
+    expect(calendarRange('2026-10-21', CALENDAR_VIEW.WEEK)).toEqual({ start: '2026-10-18', end: '2026-10-24' });
+    expect(calendarWeeks('2026-10-21', CALENDAR_VIEW.WEEK)).toHaveLength(1);
+  });
+
+  it('steps by month or week across the year end', () => {
+    expect(stepAnchor('2026-12-31', CALENDAR_VIEW.MONTH, 1)).toBe('2027-01-01');
+    expect(stepAnchor('2026-03-01', CALENDAR_VIEW.MONTH, -1)).toBe('2026-02-01');
+    expect(stepAnchor('2026-12-29', CALENDAR_VIEW.WEEK, 1)).toBe('2027-01-05');
+  });
+});
+
+describe('sessions on the calendar', () => {
+  const sessions = [
+    { id: 'late', scheduled_date: '2026-10-20', valid_from: '2026-10-20T09:00:00Z', status: 'scheduled' },
+    { id: 'early', scheduled_date: '2026-10-20', valid_from: '2026-10-20T01:00:00Z', status: 'active' },
+    { id: 'template', is_recurring_template: true, scheduled_date: null, valid_from: '2026-10-01T01:00:00Z' },
+    { id: 'undated', status: 'draft' },
+  ];
+
+  it('groups dated sessions by day in start order and leaves templates out', () => {
+    expect(groupSessionsByDay(sessions)).toEqual({ '2026-10-20': [sessions[1], sessions[0]] });
+    expect(calendarDateOf(sessions[2])).toBeNull();
+  });
+
+  it('only moves future draft and scheduled sessions', () => {
+    expect(canMoveSession(sessions[0], '2026-10-19')).toBe(true);
+    expect(canMoveSession(sessions[0], '2026-10-21')).toBe(false);
+    expect(canMoveSession(sessions[1], '2026-10-19')).toBe(false);
+    expect(canMoveSession(sessions[3], '2026-10-19')).toBe(false);
+  });
+});
+
+describe('template dates', () => {
+  it('projects the days from today on that were not generated yet', () => {
+    const template = { recurring_config: { type: 'weekly', days: [1] } };
+    expect(projectTemplateDates(template, {
+      start: '2026-09-27',
+      end: '2026-11-07',
+      today: '2026-10-19',
+      generatedDates: ['2026-10-19'],
+    })).toEqual(['2026-10-26', '2026-11-02']);
+  });
+
+  it('moves the days holidays take', () => {
+    const template = { recurring_config: { type: 'weekly', days: [1], holidays: 'next' } };
+    expect(projectTemplateDates(template, {
+      start: '2026-10-18',
+      end: '2026-10-31',
+      today: '2026-10-18',
+      holidays: [{ starts_on: '2026-10-26', ends_on: '2026-10-26' }],
+    })).toEqual(['2026-10-19', '2026-10-27']);
+  });
+});
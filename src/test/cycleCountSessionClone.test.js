@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { addMonths, sessionDate, shiftSessionWindow, suggestCloneName } from '../features/cycle-count/lib/sessionClone';
+
+const local = (year, month, day, hour, minute) => new Date(year, month - 1, day, hour, minute).toISOString();
+
+describe('suggestCloneName', () => {
+  it('moves the dates in a name to the new day', () => {
+    expect(suggestCloneName('Gudang A - 15/09/2026', '2026-09-15', '2026-10-15')).toBe('Gudang A - 15/10/2026');
+    expect(suggestCloneName('Stock 2026-09-15', '2026-09-15', '2026-10-15')).toBe('Stock 2026-10-15');
+  });
+
+  it('moves month labels in any of the usual spellings', () => {
+    expect(suggestCloneName('Monthly count September 2026', '2026-09-30', '2026-10-30')).toBe('Monthly count October 2026');
+    expect(suggestCloneName('Raw mat sep 2026', '2026-09-01', '2026-10-01')).toBe('Raw mat Oct 2026');
+    expect(suggestCloneName('RM 09/2026', '2026-09-01', '2026-12-01')).toBe('RM 12/2026');
+  });
+
+  it('appends (Copy) when the name has no date of the source day', () => {
+    expect(suggestCloneName('Weekly spot check', '2026-09-15', '2026-10-15')).toBe('Weekly spot check (Copy)');
+    expect(suggestCloneName('Count 16/09/2026', '2026-09-15', '2026-10-15')).toBe('Count 16/09/2026 (Copy)');
+    expect(suggestCloneName('Weekly spot check', null, null)).toBe('Weekly spot check (Copy)');
+  });
+});
+
+describe('session dates', () => {
+  it('adds months and clamps to the end of shorter months', () => {
+    expect(addMonths('2026-01-31', 1)).toBe('2026-02-28');
+    expect(addMonths('2026-12-15', 1)).toBe('2027-01-15');
+  });
+
+  it('prefers the scheduled date, then the window start', () => {
+    expect(sessionDate({ scheduled_date: '2026-09-15', valid_from: local(2026, 9, 1, 8, 0) })).toBe('2026-09-15');
+    expect(sessionDate({ valid_from: local(2026, 9, 1, 8, 0) })).toBe('2026-09-01');
+    expect(sessionDate({})).toBeNull();
+  });
+
+  it('moves the window to another day keeping its times and length', () => {
+    const session = { valid_from: local(2026, 9, 15, 22, 0), valid_until: local(2026, 9, 16, 6, 30) };
+    expect(shiftSessionWindow(session, '2026-10-20')).toEqual({
+      validFrom: local(2026, 10, 20, 22, 0),
+      validUntil: local(2026, 10, 21, 6, 30),
+    });
+    expect(shiftSessionWindow({}, '2026-10-20')).toEqual({ validFrom: null, validUntil: null });
+  });
+});
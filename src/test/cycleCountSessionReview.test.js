@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { buildVarianceReport } from '../features/cycle-count/lib/variance';
+import {
+  buildReviewLines,
+  getReviewBlockers,
+  summarizeReview,
+  toReviewPayload,
+} from '../features/cycle-count/lib/sessionReview';
+
+const items = [
+  { id: 'rm', sku: 'RM-01', item_name: 'Resin', category: 'Raw Material', uom: 'KG' },
+  { id: 'fg', sku: 'FG-01', item_name: 'Bottle', category: 'Finished Goods', uom: 'PCS' },
+  { id: 'wip', sku: 'WIP-01', item_name: 'Preform', category: 'WIP', uom: 'PCS' },
+];
+const counts = [
+  { item_id: 'rm', location_name: 'A1.1', counted_qty: 12, count_round: 1 },
+  { item_id: 'fg', location_name: 'Rack A', counted_qty: 7, count_round: 1 },
+];
+const bookQuantities = [
+  { item_id: 'rm', location_name: 'A1.1', book_qty: 10, source: 'MATERIAL_FIFO' },
+  { item_id: 'fg', location_name: null, book_qty: 9, source: 'UPLOAD' },
+  { item_id: 'wip', location_name: null, book_qty: 4, source: 'UPLOAD' },
+];
+const report = buildVarianceReport({ items, counts, bookQuantities });
+
+describe('buildReviewLines', () => {
+  it('flags counted items with a variance and marks Raw Material postings', () => {
+    const lines = buildReviewLines(report, [{ item_id: 'fg', reason_code: 'DAMAGED', notes: 'Crushed' }]);
+    expect(lines.map((line) => [line.item.id, line.variance, line.needsReason, line.postsAdjustment])).toEqual([
+      ['rm', 2, true, true],
+      ['fg', -2, true, false],
+      ['wip', null, false, false],
+    ]);
+    expect(lines[1]).toMatchObject({ reasonCode: 'DAMAGED', notes: 'Crushed' });
+    expect(lines[2]).toMatchObject({ isCounted: false, countedQty: null });
+  });
+
+  it('shows the frozen figures once approved', () => {
+    const [rm] = buildReviewLines(report, [
+      { item_id: 'rm', reason_code: 'COUNTING_ERROR', counted_qty: '11', book_qty: '10', variance: '1', fifo_transaction_id: 'tx-1' },
+    ], { approved: true });
+    expect(rm).toMatchObject({ countedQty: 11, bookQty: 10, variance: 1, fifoTransactionId: 'tx-1' });
+  });
+});
+
+describe('getReviewBlockers', () => {
+  it('requires resolved recounts, reason codes and FIFO locations', () => {
+    const lines = buildReviewLines(report, [{ item_id: 'rm', reason_code: 'OTHER', adjust_location: 'Rack 1' }]);
+    expect(getReviewBlockers(lines, [{ status: 'COUNTED' }, { status: 'RESOLVED' }])).toEqual([
+      '1 recount(s) are not resolved.',
+      '1 item(s) with a variance need a reason code.',
+      '1 adjustment location(s) are not FIFO locations such as A1.1.',
+    ]);
+  });
+
+  it('requires a FIFO snapshot for counted Raw Material items', () => {
+    const lines = buildReviewLines(buildVarianceReport({ items: [items[0]], counts, bookQuantities: [] }), []);
+    expect(getReviewBlockers(lines, [])).toEqual(['1 Raw Material item(s) have no FIFO snapshot.']);
+  });
+});
+
+describe('review payload and summary', () => {
+  it('sends only lines with review input and normalizes locations', () => {
+    const lines = buildReviewLines(report, []).map((line) => (
+      line.item.id === 'rm' ? { ...line, reasonCode: 'UNRECORDED_RECEIPT', adjustLocation: ' b2.1 ' } : line
+    ));
+    expect(toReviewPayload(lines)).toEqual([
+      { item_id: 'rm', reason_code: 'UNRECORDED_RECEIPT', notes: null, adjust_location: 'B2.1' },
+    ]);
+    expect(summarizeReview(lines)).toEqual({ withVariance: 2, notCounted: 1, gains: 1, losses: 0 });
+  });
+});
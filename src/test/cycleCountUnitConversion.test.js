@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import {
+  breakdownToQuantities,
+  buildUnitBreakdown,
+  formatBreakdown,
+  formatUnitConversionText,
+  getItemUnits,
+  hasUnitConversions,
+  parseUnitConversionText,
+} from '../features/cycle-count/lib/unitConversion';
+
+const item = {
+  uom: 'pcs',
+  unit_conversions: [{ unit: 'box', factor: 10 }, { unit: 'PALLET', factor: 40 }],
+};
+
+describe('parseUnitConversionText', () => {
+  it('reads unit=factor pairs', () => {
+    expect(parseUnitConversionText('pallet=40, Box = 10', 'PCS')).toEqual({
+      conversions: [{ unit: 'PALLET', factor: 40 }, { unit: 'BOX', factor: 10 }],
+      error: null,
+    });
+    expect(parseUnitConversionText('', 'PCS')).toEqual({ conversions: [], error: null });
+  });
+
+  it('rejects malformed, duplicate and base units', () => {
+    expect(parseUnitConversionText('BOX', 'PCS').error).toBe('"BOX" should look like BOX=10');
+    expect(parseUnitConversionText('BOX=0', 'PCS').error).toBe('BOX needs a factor above zero');
+    expect(parseUnitConversionText('BOX=10, box=12', 'PCS').error).toBe('BOX is listed twice');
+    expect(parseUnitConversionText('PCS=1', 'pcs').error).toBe('PCS is already the base UOM');
+  });
+
+  it('round-trips through the text form', () => {
+    expect(formatUnitConversionText(parseUnitConversionText('PALLET=40, BOX=10').conversions)).toBe('PALLET=40, BOX=10');
+  });
+});
+
+describe('getItemUnits', () => {
+  it('orders units largest first and ends with the base UOM', () => {
+    expect(getItemUnits(item)).toEqual([
+      { unit: 'PALLET', factor: 40 },
+      { unit: 'BOX', factor: 10 },
+      { unit: 'PCS', factor: 1 },
+    ]);
+    expect(hasUnitConversions(item)).toBe(true);
+    expect(hasUnitConversions({ uom: 'KG' })).toBe(false);
+  });
+});
+
+describe('buildUnitBreakdown', () => {
+  const units = getItemUnits(item);
+
+  it('converts per-unit quantities to the base UOM', () => {
+    const entry = buildUnitBreakdown(units, { PALLET: '3', BOX: '4', PCS: '7' });
+    expect(entry).toEqual({
+      breakdown: [
+        { unit: 'PALLET', qty: 3, factor: 40 },
+        { unit: 'BOX', qty: 4, factor: 10 },
+        { unit: 'PCS', qty: 7, factor: 1 },
+      ],
+      total: 167,
+      expression: '3*40+4*10+7',
+      error: null,
+    });
+    expect(formatBreakdown(entry.breakdown)).toBe('3 PALLET + 4 BOX + 7 PCS');
+    expect(breakdownToQuantities(entry.breakdown)).toEqual({ PALLET: '3', BOX: '4', PCS: '7' });
+  });
+
+  it('skips empty units and reports invalid entries', () => {
+    expect(buildUnitBreakdown(units, { BOX: '', PCS: '0' })).toEqual({ breakdown: null, total: 0, expression: '', error: null });
+    expect(buildUnitBreakdown(units, { BOX: '-1' }).error).toBe('BOX quantity is not valid');
+    expect(buildUnitBreakdown([{ unit: 'BOX', factor: 2.5 }, { unit: 'PCS', factor: 1 }], { BOX: '1' }).error)
+      .toBe('2.5 is not a whole number of base units');
+  });
+
+  it('accepts fractional units that convert to whole base units', () => {
+    expect(buildUnitBreakdown(units, { PALLET: '0.5' })).toMatchObject({ total: 20, expression: '0.5*40' });
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, expect, it } from 'vitest';
+import { parseBookQuantityRows } from '../features/cycle-count/lib/bookQuantityRows';
+import {
+  buildVarianceReport,
+  computeVariance,
+  finalQtyByItem,
+  resolveCountedQty,
+  summarizeVariance,
+  toVarianceExportRows,
+} from '../features/cycle-count/lib/variance';
+
+const items = [
+  { id: 'rm', sku: 'RM-01', item_code: 'RM01', item_name: 'Resin', category: 'Raw Material', uom: 'KG' },
+  { id: 'fg', sku: 'FG-01', item_code: 'FG01', item_name: 'Bottle', category: 'Finished Goods', uom: 'PCS' },
+  { id: 'wip', sku: 'WIP-01', item_code: 'WIP01', item_name: 'Preform', category: 'WIP', uom: 'PCS' },
+];
+
+describe('computeVariance', () => {
+  it('returns counted minus book with percentage of book', () => {
+    expect(computeVariance(12, 10)).toEqual({ countedQty: 12, bookQty: 10, variance: 2, absVariance: 2, variancePct: 20 });
+    expect(computeVariance(7, 10)).toMatchObject({ variance: -3, absVariance: 3, variancePct: -30 });
+  });
+
+  it('handles zero and unknown book quantities', () => {
+    expect(computeVariance(0, 0).variancePct).toBe(0);
+    expect(computeVariance(5, 0)).toMatchObject({ variance: 5, variancePct: null });
+    expect(computeVariance(5, null)).toMatchObject({ bookQty: null, variance: null, variancePct: null });
+  });
+});
+
+describe('buildVarianceReport', () => {
+  const counts = [
+    { item_id: 'rm', location_name: 'A1.1', counted_qty: 4 },
+    { item_id: 'rm', location_name: 'A1.1', counted_qty: 1 },
+    { item_id: 'rm', location_name: 'B2.1', counted_qty: 3 },
+    { item_id: 'fg', location_name: 'Rack A', counted_qty: 9 },
+  ];
+  const bookQuantities = [
+    { item_id: 'rm', location_name: 'a1.1', book_qty: 6, source: 'MATERIAL_FIFO' },
+    { item_id: 'rm', location_name: 'C3.1', book_qty: 2, source: 'MATERIAL_FIFO' },
+    { item_id: 'fg', location_name: null, book_qty: 10, source: 'UPLOAD' },
+  ];
+  const report = buildVarianceReport({ items, counts, bookQuantities });
+
+  it('compares item totals and per-location quantities', () => {
+    const rm = report.find((row) => row.item.id === 'rm');
+    expect(rm).toMatchObject({ countedQty: 8, bookQty: 8, variance: 0, source: 'MATERIAL_FIFO' });
+    expect(rm.locations).toEqual([
+      expect.objectContaining({ location: 'A1.1', countedQty: 5, bookQty: 6, variance: -1 }),
+      expect.objectContaining({ location: 'B2.1', countedQty: 3, bookQty: 0, variance: 3 }),
+      expect.objectContaining({ location: 'C3.1', countedQty: 0, bookQty: 2, variance: -2 }),
+    ]);
+  });
+
+  it('keeps item-level book quantities off the location rows', () => {
+    const fg = report.find((row) => row.item.id === 'fg');
+    expect(fg).toMatchObject({ countedQty: 9, bookQty: 10, variance: -1, variancePct: -10 });
+    expect(fg.locations).toEqual([expect.objectContaining({ location: 'Rack A', bookQty: null, variance: null })]);
+  });
+
+  it('summarizes and exports the report', () => {
+    expect(summarizeVariance(report)).toEqual({
+      itemCount: 3, missingBook: 1, withVariance: 1, netVariance: -1, absVariance: 1,
+    });
+    const { byItem, byLocation } = toVarianceExportRows(report);
+    expect(byItem[2]).toMatchObject({ SKU: 'WIP-01', 'Counted Qty': 0, 'Book Qty': '', Variance: '' });
+    expect(byLocation).toHaveLength(4);
+  });
+});
+
+describe('recount-aware variance', () => {
+  const counts = [
+    { item_id: 'fg', location_name: 'Rack A', counted_qty: 4, count_round: 1 },
+    { item_id: 'fg', location_name: 'Rack A', counted_qty: 9, count_round: 2 },
+    { item_id: 'fg', location_name: 'Rack B', counted_qty: 1, count_round: 2 },
+  ];
+  const bookQuantities = [{ item_id: 'fg', location_name: null, book_qty: 10, source: 'UPLOAD' }];
+  const fgItems = [items[1]];
+
+  it('keeps the first count until the recount is resolved', () => {
+    const recounts = [{ item_id: 'fg', status: 'COUNTED', final_qty: null, final_source: null }];
+    const [row] = buildVarianceReport({ items: fgItems, counts, bookQuantities, recounts });
+    expect(row).toMatchObject({ countedQty: 4, firstCountQty: 4, recountQty: 10, variance: -6 });
+    expect(row.locations.map((location) => location.location)).toEqual(['Rack A']);
+  });
+
+  it('uses the final value and the recount locations once resolved', () => {
+    const recounts = [{ item_id: 'fg', status: 'RESOLVED', final_qty: '10', final_source: 'RECOUNT' }];
+    const [row] = buildVarianceReport({ items: fgItems, counts, bookQuantities, recounts });
+    expect(row).toMatchObject({ countedQty: 10, variance: 0 });
+    expect(row.locations.map((location) => location.countedQty)).toEqual([9, 1]);
+    expect(toVarianceExportRows([row]).byItem[0]).toMatchObject({ 'First Count': 4, Recount: 10, 'Final Source': 'RECOUNT' });
+  });
+
+  it('resolves the counted quantity from a recount', () => {
+    expect(resolveCountedQty(4, null)).toBe(4);
+    expect(resolveCountedQty(4, { status: 'COUNTED', final_qty: null })).toBe(4);
+    expect(resolveCountedQty(4, { status: 'RESOLVED', final_qty: '7.5' })).toBe(7.5);
+  });
+
+  it('gives count exports the final quantity per item', () => {
+    const counts = [
+      { item_id: 'rm', counted_qty: 3, count_round: 1 },
+      { item_id: 'rm', counted_qty: 2, count_round: 1 },
+      { item_id: 'rm', counted_qty: 6, count_round: 2 },
+      { item_id: 'fg', counted_qty: 4, count_round: 1 },
+      { item_id: 'fg', counted_qty: 9, count_round: 2 },
+    ];
+    const recounts = [
+      { item_id: 'rm', status: 'RESOLVED', final_qty: '6' },
+      { item_id: 'fg', status: 'COUNTED', final_qty: null },
+    ];
+    expect(finalQtyByItem(counts, recounts)).toEqual({ rm: 6, fg: 4 });
+  });
+});
+
+describe('parseBookQuantityRows', () => {
+  it('matches items by SKU or item code and keeps optional locations', () => {
+    const { validRows, invalidRows } = parseBookQuantityRows([
+      ['Item Code', 'Qty', 'Location'],
+      ['fg-01', 10, ''],
+      ['WIP01', '4', 'Rack B'],
+    ], items);
+    expect(invalidRows).toEqual([]);
+    expect(validRows.map((row) => [row.item.id, row.location, row.bookQty])).toEqual([
+      ['fg', '', 10],
+      ['wip', 'Rack B', 4],
+    ]);
+  });
+
+  it('rejects unknown, raw material, invalid and duplicate rows', () => {
+    const { invalidRows } = parseBookQuantityRows([
+      ['SKU', 'QTY'],
+      ['NOPE', 1],
+      ['RM-01', 1],
+      ['FG-01', -1],
+      ['FG-01', 2],
+      ['FG01', 3],
+    ], items);
+    expect(invalidRows.map((row) => row.code)).toEqual(['UNKNOWN_ITEM', 'RAW_MATERIAL', 'INVALID_QUANTITY', 'DUPLICATE_ROW']);
+    expect(parseBookQuantityRows([['Name']], items).invalidRows[0].code).toBe('MISSING_HEADERS');
+  });
+});
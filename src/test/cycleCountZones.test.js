@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import {
+  describeZone,
+  getZoneCompletion,
+  getZoneLocationNames,
+  isOutsideZone,
+} from '../features/cycle-count/lib/counterZones';
+
+const categories = [{ id: 'rm', name: 'Raw Material' }, { id: 'fg', name: 'Finished Goods' }];
+const locations = [
+  { id: 'l1', name: 'A1.1', category_id: 'rm' },
+  { id: 'l2', name: 'A1.2', category_id: 'rm' },
+  { id: 'l3', name: 'FG-01', category_id: 'fg' },
+  { id: 'l4', name: 'FG-02', category_id: 'fg', is_active: false },
+];
+const zones = [
+  { user_id: 'u1', category_id: 'rm', location_id: null },
+  { user_id: 'u1', category_id: null, location_id: 'l3' },
+  { user_id: 'u2', category_id: 'fg', location_id: null },
+];
+
+describe('getZoneLocationNames', () => {
+  it('expands categories and skips inactive locations', () => {
+    expect(getZoneLocationNames(zones, 'u1', locations)).toEqual(['A1.1', 'A1.2', 'FG-01']);
+    expect(getZoneLocationNames(zones, 'u2', locations)).toEqual(['FG-01']);
+  });
+
+  it('is empty for a counter without a zone', () => {
+    expect(getZoneLocationNames(zones, 'u3', locations)).toEqual([]);
+  });
+});
+
+describe('isOutsideZone', () => {
+  it('flags locations outside a non-empty zone', () => {
+    expect(isOutsideZone(['A1.1', 'A1.2'], 'a1.2 ')).toBe(false);
+    expect(isOutsideZone(['A1.1', 'A1.2'], 'FG-01')).toBe(true);
+    expect(isOutsideZone([], 'FG-01')).toBe(false);
+    expect(isOutsideZone(['A1.1'], '')).toBe(false);
+  });
+});
+
+describe('describeZone', () => {
+  it('lists whole categories before single locations', () => {
+    expect(describeZone(zones, 'u1', { locations, categories })).toBe('Raw Material (all), FG-01');
+    expect(describeZone(zones, 'u3', { locations, categories })).toBe('');
+  });
+});
+
+describe('getZoneCompletion', () => {
+  it('uses expected items, falling back to done locations', () => {
+    expect(getZoneCompletion({ expected_count: 8, expected_counted: 2, zone_locations: 4, done_locations: 0 })).toBe(25);
+    expect(getZoneCompletion({ expected_count: 0, expected_counted: 0, zone_locations: 4, done_locations: 1 })).toBe(25);
+    expect(getZoneCompletion({ expected_count: 0, expected_counted: 0, zone_locations: 0, done_locations: 0 })).toBe(0);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateExpression, hasOperator } from '../lib/expression';
+
+const value = (input, options) => evaluateExpression(input, options).value;
+const error = (input, options) => evaluateExpression(input, options).error;
+
+describe('evaluateExpression', () => {
+  it('follows operator precedence, parentheses and unary signs', () => {
+    expect(value('12*25+7')).toBe(307);
+    expect(value('2+3*4-6/2')).toBe(11);
+    expect(value('(2+3)*(4-(1+1))')).toBe(10);
+    expect(value('-3+10')).toBe(7);
+    expect(value('4*-2')).toBe(-8);
+    expect(value('-(2+3)')).toBe(-5);
+    expect(value(' 1 +\n 2 ')).toBe(3);
+  });
+
+  it('handles decimals without floating point noise', () => {
+    expect(value('0.1*3')).toBe(0.3);
+    expect(value('.5+1.25')).toBe(1.75);
+    expect(value('2*12.5')).toBe(25);
+  });
+
+  it('resolves named multipliers case-insensitively', () => {
+    const multipliers = { PALLET: 40, BOX: 10 };
+    expect(value('3 pallet + 4*box + 7', { multipliers })).toBe(167);
+    expect(value('2Box', { multipliers })).toBe(20);
+    expect(error('3 crate', { multipliers })).toEqual({ code: 'UNKNOWN_NAME', message: 'Unknown unit "crate"', position: 2, length: 5 });
+  });
+
+  it('returns null for empty input and optionally ignores a trailing operator', () => {
+    expect(evaluateExpression('  ')).toEqual({ value: null, error: null });
+    expect(value('5*2+', { ignoreTrailingOperator: true })).toBe(10);
+    expect(value('+', { ignoreTrailingOperator: true })).toBeNull();
+    expect(error('5*2+')).toMatchObject({ code: 'MISSING_OPERAND', position: 3 });
+  });
+
+  it('reports the position of syntax errors', () => {
+    expect(error('5**2')).toEqual({ code: 'UNEXPECTED_TOKEN', message: 'Unexpected "*"', position: 2, length: 1 });
+    expect(error('2+(3*4')).toMatchObject({ code: 'UNCLOSED_PARENTHESIS', position: 2 });
+    expect(error('2+3)')).toMatchObject({ code: 'UNMATCHED_PARENTHESIS', position: 3 });
+    expect(error('()')).toMatchObject({ code: 'EMPTY_PARENTHESES', position: 0, length: 2 });
+    expect(error('2(3)')).toMatchObject({ code: 'MISSING_OPERATOR', position: 1 });
+    expect(error('4/0')).toMatchObject({ code: 'DIVISION_BY_ZERO', position: 1 });
+    expect(error('4#2')).toMatchObject({ code: 'UNEXPECTED_CHARACTER', position: 1 });
+  });
+});
+
+describe('hasOperator', () => {
+  it('tells formulas from plain numbers', () => {
+    expect(hasOperator('12.5')).toBe(false);
+    expect(hasOperator('-4')).toBe(false);
+    expect(hasOperator('2*12.5')).toBe(true);
+    expect(hasOperator('3 box')).toBe(true);
+  });
+});
@@ -30,4 +30,12 @@ describe('FIFO export mapping', () => {
     }]);
     expect(row.Lokasi).toBe('B2.1');
   });
+
+  it('maps cycle count adjustments back to their session', () => {
+    const [row] = toTransactionExportRows([{
+      id: 'tx-adj', transaction_type: 'ADJ', adjustment_direction: 'LOSS', quantity: '1.5',
+      reason_code: 'DAMAGED', source_session: { id: 'session-1', name: 'Weekly RM' },
+    }]);
+    expect(row).toMatchObject({ Jenis: 'ADJ', 'Arah Penyesuaian': 'LOSS', 'Sesi Cycle Count': 'Weekly RM', Alasan: 'DAMAGED' });
+  });
 });
@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest';
+import { parseFifoQuantity } from '../features/material-fifo/lib/quantity';
+
+describe('parseFifoQuantity', () => {
+  it('accepts plain decimals and formulas', () => {
+    expect(parseFifoQuantity('12.5')).toEqual({ quantity: '12.5', error: null, isFormula: false });
+    expect(parseFifoQuantity('2*12.5')).toEqual({ quantity: '25', error: null, isFormula: true });
+  });
+
+  it('enforces a positive result with at most 4 decimals', () => {
+    expect(parseFifoQuantity('').error).toBe('Qty harus positif dan maksimal 4 desimal.');
+    expect(parseFifoQuantity('5-5').error).toBe('Qty harus positif dan maksimal 4 desimal.');
+    expect(parseFifoQuantity('1.23456').error).toBe('Qty harus positif dan maksimal 4 desimal.');
+  });
+
+  it('points at formula mistakes', () => {
+    expect(parseFifoQuantity('2**3').error).toBe('Rumus qty salah di posisi 3.');
+  });
+});
@@ -0,0 +1,82 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { fitWithin } from '../features/photo-evidence/lib/imageCompression';
+import {
+  createLocalPhotoStorage,
+  createSupabasePhotoStorage,
+  resolvePhotoStorageMode,
+} from '../features/photo-evidence/lib/photoStorage';
+
+describe('fitWithin', () => {
+  it('scales the longer side down to the limit', () => {
+    expect(fitWithin(4000, 3000, 1600)).toEqual({ width: 1600, height: 1200 });
+    expect(fitWithin(3000, 4000, 1600)).toEqual({ width: 1200, height: 1600 });
+  });
+
+  it('never scales small images up', () => {
+    expect(fitWithin(800, 600, 1600)).toEqual({ width: 800, height: 600 });
+    expect(fitWithin(0, 600)).toEqual({ width: 0, height: 0 });
+  });
+});
+
+describe('resolvePhotoStorageMode', () => {
+  it('uses the local stand-in in development unless configured', () => {
+    expect(resolvePhotoStorageMode({ DEV: true })).toBe('local');
+    expect(resolvePhotoStorageMode({ DEV: false })).toBe('supabase');
+    expect(resolvePhotoStorageMode({ DEV: true, VITE_PHOTO_STORAGE: 'supabase' })).toBe('supabase');
+    expect(resolvePhotoStorageMode({ DEV: false, VITE_PHOTO_STORAGE: 'local' })).toBe('local');
+    expect(resolvePhotoStorageMode({ DEV: false, VITE_PHOTO_STORAGE: 's3' })).toBe('supabase');
+  });
+});
+
+describe('local photo storage', () => {
+  const originalCreate = URL.createObjectURL;
+  const originalRevoke = URL.revokeObjectURL;
+  afterEach(() => {
+    URL.createObjectURL = originalCreate;
+    URL.revokeObjectURL = originalRevoke;
+  });
+
+  it('stores blobs and hands out one object URL per path', async () => {
+    URL.createObjectURL = vi.fn(() => 'blob:photo-1');
+    URL.revokeObjectURL = vi.fn();
+    const storage = createLocalPhotoStorage({ indexedDB: null });
+    await storage.upload('count/c1/a.jpg', new Blob(['x'], { type: 'image/jpeg' }));
+
+    expect(await storage.getUrls(['count/c1/a.jpg', 'count/c1/missing.jpg'])).toEqual({ 'count/c1/a.jpg': 'blob:photo-1' });
+    await storage.getUrls(['count/c1/a.jpg']);
+    expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+
+    await storage.remove(['count/c1/a.jpg']);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:photo-1');
+    expect(await storage.getUrls(['count/c1/a.jpg'])).toEqual({});
+  });
+});
+
+describe('supabase photo storage', () => {
+  it('uploads to the bucket and signs URLs in one call', async () => {
+    const bucket = {
+      upload: vi.fn(async () => ({ error: null })),
+      createSignedUrls: vi.fn(async (paths) => ({
+        data: paths.map((path) => ({ path, signedUrl: `https://cdn/${path}?token=t` })),
+        error: null,
+      })),
+      remove: vi.fn(async () => ({ error: null })),
+    };
+    const client = { storage: { from: vi.fn(() => bucket) } };
+    const storage = createSupabasePhotoStorage(client);
+    const blob = new Blob(['x']);
+
+    await storage.upload('status_report/r1/a.jpg', blob, { contentType: 'image/jpeg' });
+    expect(client.storage.from).toHaveBeenCalledWith('photo-evidence');
+    expect(bucket.upload).toHaveBeenCalledWith('status_report/r1/a.jpg', blob, { contentType: 'image/jpeg', upsert: false });
+
+    expect(await storage.getUrls(['a', 'b'], { expiresIn: 60 })).toEqual({ a: 'https://cdn/a?token=t', b: 'https://cdn/b?token=t' });
+    expect(bucket.createSignedUrls).toHaveBeenCalledWith(['a', 'b'], 60);
+    expect(await storage.getUrls([])).toEqual({});
+  });
+
+  it('surfaces storage errors', async () => {
+    const client = { storage: { from: () => ({ upload: async () => ({ error: new Error('Payload too large') }) }) } };
+    await expect(createSupabasePhotoStorage(client).upload('p', new Blob(['x']))).rejects.toThrow('Payload too large');
+  });
+});
@@ -0,0 +1,43 @@
+import React from 'react';
+import { fireEvent, render } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import { useKeyboardWedge } from '../features/scanner/hooks/useKeyboardWedge';
+
+const Page = ({ onCode, enabled = true }) => {
+  useKeyboardWedge(onCode, { enabled, ignoreEditable: true });
+  return (
+    <div>
+      <input aria-label="Quantity" />
+      <input aria-label="Search" data-wedge-scan />
+      <button>Save</button>
+    </div>
+  );
+};
+
+const scan = (target, code) => {
+  for (const key of [...code, 'Enter']) fireEvent.keyDown(target, { key });
+};
+
+describe('useKeyboardWedge on a page', () => {
+  it('takes scans anywhere except fields that did not opt in', () => {
+    const onCode = vi.fn();
+    const { getByLabelText, getByRole } = render(<Page onCode={onCode} />);
+    scan(getByRole('button', { name: 'Save' }), 'RM-01');
+    scan(getByLabelText('Quantity'), 'RM-02');
+    scan(getByLabelText('Search'), 'RM-03');
+    expect(onCode.mock.calls).toEqual([['RM-01'], ['RM-03']]);
+  });
+
+  it('keeps the scanner Enter from pressing the focused button', () => {
+    render(<Page onCode={vi.fn()} />);
+    for (const key of ['A', 'B', 'C']) fireEvent.keyDown(window, { key });
+    expect(fireEvent.keyDown(window, { key: 'Enter' })).toBe(false);
+  });
+
+  it('stays quiet while disabled', () => {
+    const onCode = vi.fn();
+    render(<Page onCode={onCode} enabled={false} />);
+    scan(window, 'RM-01');
+    expect(onCode).not.toHaveBeenCalled();
+  });
+});